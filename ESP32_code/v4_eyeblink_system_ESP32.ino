@@ -5,6 +5,9 @@
   
   Hardware: NodeMCU 32S
     TCRT5000  D0  → GPIO34 (input-only)
+    TCRT5000  D0  → GPIO35 (optional second sensor, the dash input in two-switch mode)
+                    + 10 kΩ pull-up from GPIO35 to 3.3V: GPIO34-39 have no internal
+                    pull-up, and a floating pin sends false DASH keys in two-switch mode
     Buzzer    +   → GPIO25, – → GND
   Upload speed: 115200
 */
@@ -14,6 +17,7 @@
 #include "BLEServer.h"
 #include "BLEUtils.h"
 #include "BLE2902.h"
+#include <Preferences.h>
 
 // Classic Bluetooth for PC
 BluetoothSerial SerialBT;
@@ -24,22 +28,54 @@ BLECharacteristic* pTxCharacteristic = nullptr;
 BLECharacteristic* pRxCharacteristic = nullptr;
 bool deviceConnected = false;
 bool oldDeviceConnected = false;
+bool oldBtClient = false;   // Classic Bluetooth client seen in the last loop
+bool oldUsbClient = false;  // USB serial port open in the last loop (native USB boards only)
 
 // UUIDs MATCHING YOUR WEBSITE
 #define SERVICE_UUID        "12345678-1234-1234-1234-123456789abc"
 #define CHARACTERISTIC_TX   "87654321-4321-4321-4321-cba987654321"  // ESP32 sends data
 #define CHARACTERISTIC_RX   "11111111-2222-3333-4444-555555555555"  // ESP32 receives data
 
+// BLE MTU to offer the browser. Without it a notification carries 20 bytes,
+// less than a v2 EVT line or PARAM:ALL
+#define BLE_MTU 185
+
 // Pin definitions
 const int IR_PIN     = 34;
+const int DASH_PIN   = 35;  // Second sensor for two-switch mode (DUAL ON); needs the external pull-up
 const int BUZZER_PIN = 25;
 
-// Timing constants
-const unsigned DOT_TH    = 300;
-const unsigned CHAR_GAP  = 2000;
-const unsigned WORD_GAP  = 5000;
-const unsigned DOT_BEEP  = 100;
-const unsigned DASH_BEEP = 300;
+// Timing and beep parameters: SET <NAME> <value> changes them, SAVE keeps them
+// in flash (loaded at startup), GET ALL reports them
+unsigned DOT_TH    = 300;
+unsigned CHAR_GAP  = 2000;
+unsigned WORD_GAP  = 5000;
+unsigned DOT_BEEP  = 100;
+unsigned DASH_BEEP = 300;
+unsigned BEEP_FREQ = 2000;
+const unsigned ALARM_STEP = 400;  // Siren tone length while the emergency alarm is on
+
+// Parameter table for SET / GET / SAVE (same names and ranges as DEVICE_PARAMETERS in protocol.js)
+struct Param {
+  const char* name;
+  unsigned* value;
+  unsigned minValue;
+  unsigned maxValue;
+};
+Param params[] = {
+  {"DOT_TH",    &DOT_TH,    100, 2000},
+  {"CHAR_GAP",  &CHAR_GAP,  300, 10000},
+  {"WORD_GAP",  &WORD_GAP,  500, 20000},
+  {"DOT_BEEP",  &DOT_BEEP,  0,   1000},
+  {"DASH_BEEP", &DASH_BEEP, 0,   1000},
+  {"BEEP_FREQ", &BEEP_FREQ, 200, 5000}
+};
+const int PARAM_COUNT = sizeof(params) / sizeof(params[0]);
+Preferences prefs;
+
+// Line protocol (see protocol.js in the web app)
+#define PROTOCOL_VERSION 2
+#define FIRMWARE_VERSION "4.1"
 
 // Global variables
 unsigned long blinkStart = 0;
@@ -47,16 +83,33 @@ unsigned long lastEdge   = 0;
 bool inBlink = false;
 String morseBuffer = "";
 bool wordTokenSent = false;
+bool rawMode = false;  // RAW ON: stream blink durations, the website classifies them
+bool protoV2 = false;  // HELLO received: send timestamped EVT/SYM/CHAR/GAP lines
+bool dualMode = false; // DUAL ON: report the dot and dash sensors, the website times letters
+bool inDash = false;
+unsigned long seqNo = 0;
+bool alarmActive = false;  // ALARM from the website until ALARM OFF
+bool alarmHigh = false;
+unsigned long lastAlarmStep = 0;
 
 // Function prototypes
 void playBeep(unsigned dur);
 void sendData(String data);
+void sendEvent(String type, String value, String extra);
+void sendKey(String value);
+void resetClientModes();
+bool isDigits(String text);
+Param* findParam(String name);
+String formatParam(Param* param);
+void loadParams();
+void saveParams();
 void processCommand(String command);
 void setupBLE();
 
 // Audio functions
 void playBeep(unsigned dur) {
-  tone(BUZZER_PIN, 2000, dur);
+  if (dur == 0) return;  // A beep length of 0 turns that beep off
+  tone(BUZZER_PIN, BEEP_FREQ, dur);
   delay(dur + 20);
 }
 
@@ -89,10 +142,18 @@ void sendData(String data) {
     Serial.println("Classic BT TX: " + data);
   }
   
-  // Send via BLE (Web Bluetooth)
+  // Send via BLE (Web Bluetooth). Lines end with a line break, and a line longer
+  // than one notification (negotiated MTU - 3 bytes) goes out in pieces that the
+  // website joins again
   if (deviceConnected && pTxCharacteristic) {
-    pTxCharacteristic->setValue(data.c_str());
-    pTxCharacteristic->notify();
+    String line = data + "\n";
+    int pieceSize = (int)pServer->getPeerMTU(pServer->getConnId()) - 3;
+    if (pieceSize < 20) pieceSize = 20;
+    for (int start = 0; start < (int)line.length(); start += pieceSize) {
+      String piece = line.substring(start, start + pieceSize);
+      pTxCharacteristic->setValue((uint8_t*)piece.c_str(), piece.length());
+      pTxCharacteristic->notify();
+    }
     Serial.println("BLE TX: " + data);
   }
   
@@ -100,6 +161,69 @@ void sendData(String data) {
   Serial.println("DATA: " + data);
 }
 
+// Protocol v2 line: TYPE:VALUE,seq=N,t=millis[,extra]
+void sendEvent(String type, String value, String extra) {
+  String line = type + ":" + value + ",seq=" + String(seqNo++) + ",t=" + String(millis());
+  if (extra.length() > 0) {
+    line += "," + extra;
+  }
+  sendData(line);
+}
+
+// Two-switch input edge: KEY:DOT, KEY:DOT_UP, KEY:DASH, KEY:DASH_UP (bare value without HELLO)
+void sendKey(String value) {
+  if (protoV2) {
+    sendEvent("KEY", value, "");
+  } else {
+    sendData(value);
+  }
+}
+
+// A client went away: the next one starts in legacy mode until it sends HELLO
+void resetClientModes() {
+  protoV2 = false;
+  rawMode = false;
+  dualMode = false;
+}
+
+bool isDigits(String text) {
+  if (text.length() == 0) return false;
+  for (unsigned i = 0; i < text.length(); i++) {
+    if (!isDigit(text.charAt(i))) return false;
+  }
+  return true;
+}
+
+Param* findParam(String name) {
+  for (int i = 0; i < PARAM_COUNT; i++) {
+    if (name == params[i].name) {
+      return &params[i];
+    }
+  }
+  return nullptr;
+}
+
+String formatParam(Param* param) {
+  return String(param->name) + "=" + String(*param->value);
+}
+
+// Saved parameters replace the defaults above
+void loadParams() {
+  prefs.begin("eyeblink", true);
+  for (int i = 0; i < PARAM_COUNT; i++) {
+    *params[i].value = prefs.getUInt(params[i].name, *params[i].value);
+  }
+  prefs.end();
+}
+
+void saveParams() {
+  prefs.begin("eyeblink", false);
+  for (int i = 0; i < PARAM_COUNT; i++) {
+    prefs.putUInt(params[i].name, *params[i].value);
+  }
+  prefs.end();
+}
+
 void processCommand(String command) {
   command.trim();
   Serial.println("Command: " + command);
@@ -120,6 +244,98 @@ void processCommand(String command) {
   else if (command == "PING") {
     sendData("PONG");
   }
+  else if (command == "HELLO") {
+    protoV2 = true;
+    rawMode = false;
+    dualMode = false;
+    seqNo = 0;
+    morseBuffer = "";
+    wordTokenSent = true;
+    sendEvent("HELLO", "EYEBLINK", "proto=" + String(PROTOCOL_VERSION) + ",fw=" + FIRMWARE_VERSION);
+  }
+  else if (command == "ALARM") {
+    alarmActive = true;
+    morseBuffer = "";  // The website ignores blinks until the alarm is acknowledged
+    wordTokenSent = true;
+    sendData("ALARM_OK");
+  }
+  else if (command == "ALARM OFF") {
+    alarmActive = false;
+    noTone(BUZZER_PIN);
+    sendData("ALARM_OFF_OK");
+  }
+  else if (command == "RAW ON") {
+    rawMode = true;
+    morseBuffer = "";
+    wordTokenSent = true;
+    sendData("RAW_OK");
+  }
+  else if (command == "RAW OFF") {
+    rawMode = false;
+    sendData("RAW_OFF_OK");
+  }
+  else if (command == "DUAL ON") {
+    dualMode = true;
+    inBlink = false;
+    inDash = false;
+    morseBuffer = "";
+    wordTokenSent = true;
+    sendData("DUAL_OK");
+  }
+  else if (command == "DUAL OFF") {
+    dualMode = false;
+    inBlink = false;
+    inDash = false;
+    sendData("DUAL_OFF_OK");
+  }
+  else if (command.startsWith("SET ")) {
+    // SET DOT_TH 350 - applies at once, SAVE keeps it after a restart
+    String rest = command.substring(4);
+    rest.trim();
+    int space = rest.indexOf(' ');
+    String name = space > 0 ? rest.substring(0, space) : rest;
+    String valueText = space > 0 ? rest.substring(space + 1) : "";
+    valueText.trim();
+    Param* param = findParam(name);
+    // Digits only ("350abc" is refused), and short enough not to overflow toInt()
+    bool valid = param && isDigits(valueText) && valueText.length() <= 6;
+    long value = valid ? valueText.toInt() : 0;
+    
+    if (!valid || value < (long)param->minValue || value > (long)param->maxValue) {
+      sendData("PARAM:ERROR,name=" + name);
+    } else {
+      *param->value = (unsigned)value;
+      sendData("PARAM:SET," + formatParam(param));
+      
+      // Let the user hear a changed beep straight away
+      if (param->value == &DOT_BEEP || param->value == &BEEP_FREQ) {
+        playBeep(DOT_BEEP);
+      } else if (param->value == &DASH_BEEP) {
+        playBeep(DASH_BEEP);
+      }
+    }
+  }
+  else if (command == "GET ALL") {
+    String line = "PARAM:ALL";
+    for (int i = 0; i < PARAM_COUNT; i++) {
+      line += "," + formatParam(&params[i]);
+    }
+    sendData(line);
+  }
+  else if (command.startsWith("GET ")) {
+    String name = command.substring(4);
+    name.trim();
+    Param* param = findParam(name);
+    if (param) {
+      sendData("PARAM:GET," + formatParam(param));
+    } else {
+      sendData("PARAM:ERROR,name=" + name);
+    }
+  }
+  else if (command == "SAVE") {
+    saveParams();
+    sendData("PARAM:SAVED");
+  }
 }
 
 // BLE Server Callbacks
@@ -132,6 +348,7 @@ class MyServerCallbacks: public BLEServerCallbacks {
 
     void onDisconnect(BLEServer* pServer) {
       deviceConnected = false;
+      resetClientModes();
       Serial.println("BLE disconnected");
       playDisconnectedSound();
       
@@ -155,6 +372,7 @@ class MyCallbacks: public BLECharacteristicCallbacks {
 void setupBLE() {
   // Initialize BLE with clear device name
   BLEDevice::init("EyeBlink-ESP32");
+  BLEDevice::setMTU(BLE_MTU);
   
   // Create server
   pServer = BLEDevice::createServer();
@@ -198,8 +416,10 @@ void setupBLE() {
 
 void setup() {
   pinMode(IR_PIN, INPUT);
+  pinMode(DASH_PIN, INPUT);  // No INPUT_PULLUP on GPIO35 - fit the 10 kΩ resistor to 3.3V
   pinMode(BUZZER_PIN, OUTPUT);
   Serial.begin(115200);
+  loadParams();
   
   Serial.println("=== Eye-Blink Morse Device ===");
   Serial.println("NodeMCU 32S - Dual Mode");
@@ -238,6 +458,23 @@ void loop() {
     sendData("DEVICE_READY");
   }
   
+  // Classic Bluetooth and USB clients going away (BLE is handled in onDisconnect)
+  bool btClient = SerialBT.hasClient();
+  if (!btClient && oldBtClient) {
+    Serial.println("Classic BT disconnected");
+    resetClientModes();
+  }
+  oldBtClient = btClient;
+#if ARDUINO_USB_CDC_ON_BOOT
+  // Native USB reports whether the port is open; a USB-UART bridge (NodeMCU 32S) cannot,
+  // so there the HELLO of the next connection resets the modes instead
+  bool usbClient = (bool)Serial;
+  if (!usbClient && oldUsbClient) {
+    resetClientModes();
+  }
+  oldUsbClient = usbClient;
+#endif
+  
   // Handle incoming commands from Classic Bluetooth (PC)
   if (SerialBT.available()) {
     String command = SerialBT.readStringUntil('\n');
@@ -254,12 +491,39 @@ void loop() {
   int eye = digitalRead(IR_PIN);
   unsigned long now = millis();
   
+  // Emergency siren (non-blocking so blinks are still reported)
+  if (alarmActive && now - lastAlarmStep >= ALARM_STEP) {
+    alarmHigh = !alarmHigh;
+    tone(BUZZER_PIN, alarmHigh ? 2500 : 1800, ALARM_STEP - 20);
+    lastAlarmStep = now;
+  }
+  
+  // Two-switch mode: report both sensors as they change (short beeps that do not block)
+  if (dualMode) {
+    bool dash = digitalRead(DASH_PIN) == LOW;
+    if (inBlink != (eye == LOW)) {
+      inBlink = eye == LOW;
+      sendKey(inBlink ? "DOT" : "DOT_UP");
+      if (inBlink && DOT_BEEP > 0) tone(BUZZER_PIN, BEEP_FREQ, DOT_BEEP);
+    }
+    if (inDash != dash) {
+      inDash = dash;
+      sendKey(inDash ? "DASH" : "DASH_UP");
+      if (inDash && DASH_BEEP > 0) tone(BUZZER_PIN, BEEP_FREQ * 3 / 4, DASH_BEEP);
+    }
+    delay(10);
+    return;
+  }
+  
   // Blink starts
   if (!inBlink && eye == LOW) {
     inBlink = true;
     blinkStart = now;
     wordTokenSent = false;
     Serial.println("👁️ Blink START");
+    if (protoV2) {
+      sendEvent("EVT", "DOWN", "");
+    }
   }
   
   // Blink ends
@@ -272,7 +536,18 @@ void loop() {
     Serial.print(dur);
     Serial.println("ms");
     
-    if (dur < DOT_TH) {
+    if (protoV2) {
+      // Duration for the website's adaptive classifier, then our own guess
+      String symbol = dur < DOT_TH ? "." : "-";
+      sendEvent("EVT", "UP", "dur=" + String(dur));
+      morseBuffer += symbol;
+      sendEvent("SYM", symbol, "");
+      playBeep(dur < DOT_TH ? DOT_BEEP : DASH_BEEP);
+    } else if (rawMode) {
+      // Website learns the dot/dash boundary; DOT_TH only picks the beep
+      sendData("DUR:" + String(dur));
+      playBeep(dur < DOT_TH ? DOT_BEEP : DASH_BEEP);
+    } else if (dur < DOT_TH) {
       morseBuffer += '.';
       playBeep(DOT_BEEP);
       Serial.println("• DOT added");
@@ -282,7 +557,9 @@ void loop() {
       Serial.println("— DASH added");
     }
     
-    Serial.println("Building: " + morseBuffer);
+    if (!rawMode) {
+      Serial.println("Building: " + morseBuffer);
+    }
   }
   
   // Character complete (send morse pattern)
@@ -290,19 +567,27 @@ void loop() {
       (now - lastEdge) > CHAR_GAP) {
     
     Serial.println("✓ Character complete: " + morseBuffer);
-    sendData(morseBuffer);  // Send exactly what your website expects
+    if (protoV2) {
+      sendEvent("CHAR", morseBuffer, "");
+    } else {
+      sendData(morseBuffer);  // Send exactly what your website expects
+    }
     
     morseBuffer = "";
     lastEdge = now;
     wordTokenSent = false;
   }
   
-  // Word gap (send space token)
-  if (!inBlink && morseBuffer.length() == 0 &&
+  // Word gap (send space token) - in raw mode the website times gaps itself
+  if (!rawMode && !inBlink && morseBuffer.length() == 0 &&
       (now - lastEdge) > WORD_GAP && lastEdge > 0 && !wordTokenSent) {
     
     Serial.println("📝 Word gap - sending space");
-    sendData("/");  // Send exactly what your website expects
+    if (protoV2) {
+      sendEvent("GAP", "WORD", "");
+    } else {
+      sendData("/");  // Send exactly what your website expects
+    }
     wordTokenSent = true;
     
     // Audio feedback for word separation
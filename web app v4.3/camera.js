@@ -0,0 +1,384 @@
+// ==================== CAMERA BLINK DETECTION ====================
+// Reads eye openness from the webcam (or a video file) with the MediaPipe Face
+// Landmarker, which runs on the CPU from files shipped with the app - no video
+// leaves the device. Eye closed / open changes are reported like the IR sensor's.
+
+// Bundled model files (see the README for where to get them)
+const CAMERA_MODEL_FILES = {
+    library: './vendor/mediapipe/vision_bundle.mjs',
+    wasm: './vendor/mediapipe/wasm',
+    model: './vendor/mediapipe/face_landmarker.task'
+};
+
+const CAMERA_BLINK_DEFAULTS = {
+    closeLevel: 0.35,  // Eye counts as closed below this share of the calibrated open/closed range
+    openLevel: 0.55,   // ... and as open again above this one (the gap stops flicker)
+    settleFrames: 2    // Frames a change must last; its time is the first frame's
+};
+
+// Eye aspect ratio of a typical adult face before calibration
+const DEFAULT_EYE_CALIBRATION = { open: 0.28, closed: 0.12 };
+const MIN_CALIBRATION_RANGE = 0.04;
+
+// Face mesh points for the eye aspect ratio: corners p1 / p4, upper lid p2 p3, lower lid p6 p5
+const EYE_LANDMARKS = {
+    left: [33, 160, 158, 133, 153, 144],
+    right: [362, 385, 387, 263, 373, 380]
+};
+
+/**
+ * Eye aspect ratio: lid distance over eye width (about 0.3 open, under 0.15 closed)
+ * @param {Array<Object>} landmarks - Face mesh points { x, y } normalized to the frame
+ * @param {Array<number>} points - Six indices from EYE_LANDMARKS
+ * @param {number} width - Frame width, so x and y are on the same scale
+ * @param {number} height - Frame height
+ * @returns {number|null} - Ratio, or null when points are missing
+ */
+function getEyeAspectRatio(landmarks, points, width = 1, height = 1) {
+    const [p1, p2, p3, p4, p5, p6] = points.map(index => landmarks[index]);
+    if (![p1, p2, p3, p4, p5, p6].every(Boolean)) return null;
+
+    const distance = (a, b) => Math.hypot((a.x - b.x) * width, (a.y - b.y) * height);
+    const eyeWidth = distance(p1, p4);
+    return eyeWidth > 0 ? (distance(p2, p6) + distance(p3, p5)) / (2 * eyeWidth) : null;
+}
+
+/**
+ * Openness of both eyes
+ * @param {Array<Object>} landmarks - Face mesh points
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {number|null} - Mean eye aspect ratio, or null without a face
+ */
+function getEyeOpenness(landmarks, width = 1, height = 1) {
+    if (!landmarks) return null;
+
+    const ratios = Object.values(EYE_LANDMARKS)
+        .map(points => getEyeAspectRatio(landmarks, points, width, height))
+        .filter(ratio => ratio !== null);
+    return ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : null;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {number|null}
+ */
+function getMedian(values) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Calibration from openness measured with the eyes open and then closed
+ * @param {Array<number>} openSamples - Openness with the eyes open
+ * @param {Array<number>} closedSamples - Openness with the eyes closed
+ * @returns {Object} - { open, closed, calibratedAt }
+ */
+function createEyeCalibration(openSamples, closedSamples) {
+    const open = getMedian(openSamples.filter(Number.isFinite));
+    const closed = getMedian(closedSamples.filter(Number.isFinite));
+
+    if (open === null || closed === null) {
+        throw new Error('No face was seen - check the camera position and light');
+    }
+    if (open - closed < MIN_CALIBRATION_RANGE) {
+        throw new Error('Open and closed eyes looked the same - check the camera position and light');
+    }
+    return { open, closed, calibratedAt: Date.now() };
+}
+
+/**
+ * Turns per-frame openness into eye closed / open changes
+ */
+class EyeStateDetector {
+    /**
+     * @param {Object} options - { calibration, closeLevel, openLevel, settleFrames, onChange(closed, time) }
+     */
+    constructor(options = {}) {
+        this.options = { ...CAMERA_BLINK_DEFAULTS, ...options };
+        this.calibration = options.calibration || DEFAULT_EYE_CALIBRATION;
+        this.onChange = options.onChange || (() => {});
+        this.reset();
+    }
+
+    /**
+     * Start again with the eye open
+     */
+    reset() {
+        this.closed = false;
+        this.pending = null; // { time, frames } while a change is settling
+    }
+
+    /**
+     * Openness as a share of the calibrated range
+     * @param {number} openness - Eye aspect ratio
+     * @returns {number} - 0 = as closed as calibrated, 1 = as open as calibrated
+     */
+    getLevel(openness) {
+        const { open, closed } = this.calibration;
+        return (openness - closed) / (open - closed);
+    }
+
+    /**
+     * Add a frame
+     * @param {number|null} openness - Eye aspect ratio, or null without a face (counted as open)
+     * @param {number} time - Frame time in ms
+     * @returns {boolean} - Whether the eye is closed
+     */
+    update(openness, time) {
+        const level = openness === null ? 1 : this.getLevel(openness);
+        const closed = this.closed ? level < this.options.openLevel : level < this.options.closeLevel;
+
+        if (closed === this.closed) {
+            this.pending = null;
+            return this.closed;
+        }
+
+        this.pending = this.pending || { time, frames: 0 };
+        this.pending.frames++;
+        if (this.pending.frames >= this.options.settleFrames) {
+            const changedAt = this.pending.time;
+            this.closed = closed;
+            this.pending = null;
+            this.onChange(closed, changedAt);
+        }
+        return this.closed;
+    }
+}
+
+/**
+ * Runs the face landmarker on a camera or a video file
+ */
+class CameraBlinkSource {
+    /**
+     * @param {Object} options - { video, files, calibration, onEye(closed), onFrame(frame), onEnd() } -
+     *   frame is { openness, level, closed, face }; onEnd is called when a video file finishes
+     */
+    constructor(options = {}) {
+        this.video = options.video;
+        this.files = { ...CAMERA_MODEL_FILES, ...options.files };
+        this.onEye = options.onEye || (() => {});
+        this.onFrame = options.onFrame || (() => {});
+        this.onEnd = options.onEnd || (() => {});
+        this.detector = new EyeStateDetector({
+            calibration: options.calibration,
+            onChange: closed => this.onEye(closed)
+        });
+        this.landmarker = null;
+        this.stream = null;
+        this.fileUrl = null;
+        this.source = null;   // 'camera' or 'file' while running
+        this.frameRequest = null;
+        this.lastTimestamp = 0;
+        this.sampler = null;
+    }
+
+    /**
+     * Load the bundled library and model (once)
+     * @returns {Promise<void>}
+     */
+    async load() {
+        if (this.landmarker) return;
+
+        const { FilesetResolver, FaceLandmarker } = await import(this.files.library);
+        const fileset = await FilesetResolver.forVisionTasks(this.files.wasm);
+        this.landmarker = await FaceLandmarker.createFromOptions(fileset, {
+            baseOptions: { modelAssetPath: this.files.model, delegate: 'CPU' },
+            runningMode: 'VIDEO',
+            numFaces: 1
+        });
+    }
+
+    /**
+     * Watch the front camera
+     * @returns {Promise<void>} - Rejects when there is no camera or permission is refused
+     */
+    async startCamera() {
+        this.stopInput();
+
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+            audio: false
+        });
+        this.video.srcObject = this.stream;
+        await this.start('camera');
+    }
+
+    /**
+     * Watch a recorded video instead of the camera (for testing)
+     * @param {File|Blob} file - Video file
+     * @returns {Promise<void>}
+     */
+    async startFile(file) {
+        this.stopInput();
+
+        this.fileUrl = URL.createObjectURL(file);
+        this.video.srcObject = null;
+        this.video.src = this.fileUrl;
+        await this.start('file');
+    }
+
+    /**
+     * Play the video and analyse every frame
+     * @param {string} source - 'camera' or 'file'
+     */
+    async start(source) {
+        this.source = source;
+        this.detector.reset();
+        await this.video.play();
+        this.scheduleFrame();
+    }
+
+    /**
+     * Wait for the next video frame
+     */
+    scheduleFrame() {
+        if (!this.source) return;
+
+        if (this.video.requestVideoFrameCallback) {
+            this.frameRequest = this.video.requestVideoFrameCallback(() => this.processFrame());
+        } else {
+            this.frameRequest = requestAnimationFrame(() => this.processFrame());
+        }
+    }
+
+    /**
+     * Measure the eyes in the current frame
+     */
+    processFrame() {
+        if (!this.source) return;
+
+        if (this.video.ended) {
+            this.stopInput();
+            this.onEnd();
+            return;
+        }
+
+        // The landmarker needs increasing timestamps, also across camera and file
+        const timestamp = Math.max(performance.now(), this.lastTimestamp + 1);
+        this.lastTimestamp = timestamp;
+
+        if (this.landmarker && this.video.readyState >= 2) {
+            try {
+                const result = this.landmarker.detectForVideo(this.video, timestamp);
+                const landmarks = result.faceLandmarks?.[0] || null;
+                const openness = getEyeOpenness(landmarks, this.video.videoWidth, this.video.videoHeight);
+
+                if (this.sampler && openness !== null) this.sampler.values.push(openness);
+                const closed = this.detector.update(openness, timestamp);
+                this.onFrame({
+                    openness,
+                    level: openness === null ? null : this.detector.getLevel(openness),
+                    closed,
+                    face: Boolean(landmarks)
+                });
+            } catch (error) {
+                console.error('Face landmarker error:', error);
+            }
+        }
+        this.scheduleFrame();
+    }
+
+    /**
+     * Collect openness for calibration
+     * @param {number} duration - ms to collect for
+     * @returns {Promise<Array<number>>} - Openness of every frame with a face
+     */
+    sample(duration) {
+        const sampler = { values: [] };
+        this.sampler = sampler;
+        return new Promise(resolve => {
+            setTimeout(() => {
+                if (this.sampler === sampler) this.sampler = null;
+                resolve(sampler.values);
+            }, duration);
+        });
+    }
+
+    /**
+     * Use a new calibration
+     * @param {Object} calibration - { open, closed }
+     */
+    setCalibration(calibration) {
+        this.detector.calibration = calibration || DEFAULT_EYE_CALIBRATION;
+        this.detector.reset();
+    }
+
+    /**
+     * Whether a camera or video file is being watched
+     * @returns {boolean}
+     */
+    isRunning() {
+        return Boolean(this.source);
+    }
+
+    /**
+     * Stop the camera or video file (an eye closed at that moment is forgotten, not reported as a blink)
+     */
+    stopInput() {
+        if (this.frameRequest !== null) {
+            if (this.video.cancelVideoFrameCallback) {
+                this.video.cancelVideoFrameCallback(this.frameRequest);
+            } else {
+                cancelAnimationFrame(this.frameRequest);
+            }
+            this.frameRequest = null;
+        }
+
+        this.source = null;
+        this.sampler = null;
+        this.video.pause();
+        this.stream?.getTracks().forEach(track => track.stop());
+        this.stream = null;
+        this.video.srcObject = null;
+        if (this.fileUrl) {
+            URL.revokeObjectURL(this.fileUrl);
+            this.fileUrl = null;
+            this.video.removeAttribute('src');
+        }
+
+        this.detector.reset();
+    }
+
+    /**
+     * Stop and release the model
+     */
+    close() {
+        this.stopInput();
+        this.landmarker?.close?.();
+        this.landmarker = null;
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CAMERA_MODEL_FILES,
+        CAMERA_BLINK_DEFAULTS,
+        DEFAULT_EYE_CALIBRATION,
+        getEyeAspectRatio,
+        getEyeOpenness,
+        createEyeCalibration,
+        EyeStateDetector,
+        CameraBlinkSource
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.CameraBlink = {
+        CAMERA_MODEL_FILES,
+        CAMERA_BLINK_DEFAULTS,
+        DEFAULT_EYE_CALIBRATION,
+        getEyeAspectRatio,
+        getEyeOpenness,
+        createEyeCalibration,
+        EyeStateDetector,
+        CameraBlinkSource
+    };
+}
@@ -1,15 +1,128 @@
 // ==================== ENHANCED COMMUNICATION PAGE LOGIC ====================
-// Supports both Serial (Desktop) and Bluetooth (Mobile) connections
+// Supports Serial (Desktop), Bluetooth (Mobile) and a virtual device (simulator.js)
 
 let serialPort = null;
 let bluetoothDevice = null;
 let bluetoothCharacteristic = null;
+let bluetoothWriteCharacteristic = null;
+let bluetoothLineBuffer = null; // A line can span several notifications
+let bluetoothDecoder = null;
+let bluetoothFramed = false;     // Device ends its lines with a line break (firmware with BLE line framing)
+let bluetoothFlushTimer = null;
+const BLUETOOTH_MIN_PAYLOAD = 20;   // Notification size at the default MTU; framed firmware only splits longer lines
+const BLUETOOTH_LINE_FLUSH_MS = 60; // An unframed piece this old is a whole (truncated) line
 let reader = null;
 let keepReading = false;
 let currentBuilding = '';
 let decodedText = '';
 let isConnected = false;
-let connectionType = null; // 'serial' or 'bluetooth'
+let connectionType = null; // 'serial', 'bluetooth' or 'virtual'
+
+// Adaptive timing (raw blink durations from the device)
+let timingClassifier = null;
+let lastBlinkEndTime = 0;
+let wordGapPending = false;
+
+// Device line protocol (handshake + sequence tracking)
+let deviceProtocol = null;
+const HANDSHAKE_TIMEOUT = 1500;
+
+// Word prediction
+let wordPredictor = null;
+let suggestions = [];
+let selectedSuggestion = 0;
+let lastPredictedText = null;
+
+// Fuzzy decoding of unknown patterns
+let buildingConfidences = []; // Timing confidence of each symbol in currentBuilding
+let pendingCorrection = null; // { pattern, candidates, index, position, confidence, logId }
+
+// Decoding confidence
+const LOW_CONFIDENCE = 0.7;
+let decodedConfidences = []; // Confidence of each character in decodedText (null = typed, spaces, suggestions)
+let confidenceText = '';     // decodedText the confidences were recorded for
+let sessionAccuracy = null;  // Counters since the message was last cleared
+let deviceTiming = null;     // Firmware-default boundary for symbols the device classifies itself
+let lastBlinkConfidence = null;
+let pendingRetypes = [];     // Letter log ids of deleted letters; the next letters blinked are what was meant
+
+// Throughput per sitting (Messages → Analytics)
+let throughputSession = null;
+let throughputSavedAt = 0;
+const THROUGHPUT_IDLE_GAP = 10000;         // Pauses longer than this count as idle time
+const THROUGHPUT_SESSION_TIMEOUT = 600000; // After 10 minutes without input the next input starts a new session
+const THROUGHPUT_SAVE_INTERVAL = 5000;
+
+// Session recording and replay (recorder.js)
+let sessionRecorder = null;
+let replayState = null; // { log, replay, settings, saved, emergencies } while a recording is replayed
+const SILENCE_CHECK_INTERVAL = 100;
+// Settings that change how a stream decodes; recordings keep them so replays match
+const REPLAY_SETTINGS = [
+    'adaptiveTiming', 'morseLanguage', 'morseAlternate', 'commandPatterns', 'fuzzyDecoding',
+    'prosigns', 'wordPrediction', 'distressPatterns', 'emergencyEnabled', 'emergencyHoldTime',
+    'dualSqueeze', 'dualElementTime', 'dualLetterGap', 'dualWordGap', 'phraseScanInterval'
+];
+
+// Virtual device (simulator.js) - its output goes through the serial line splitter.
+// It also times the switch input mode, so a switch press is measured like the firmware does.
+let virtualDevice = null;
+let virtualLineBuffer = null;
+let switchRingFrame = null;
+const virtualDeviceFlash = {}; // Parameters the virtual device SAVEd, kept across reconnects
+
+// Camera input (camera.js) - eye changes seen by the camera drive the virtual device like the IR sensor
+let cameraSource = null;
+let cameraCalibrating = false;
+let cameraBlinkCount = 0;
+const CAMERA_CALIBRATION_SETTLE = 700; // ms to open or close the eyes before each measurement
+const CAMERA_CALIBRATION_TIME = 2000;  // ms measured with the eyes open, then closed
+
+// Two-switch input (keyer.js) - explicit dot and dash inputs; letters and words are timed here
+let dualKeyer = null;
+let dualWordGapPending = false;
+
+// Connections that run the firmware (switch and camera only borrow its timing):
+// they are asked for DUAL ON and for their parameters
+const FIRMWARE_CONNECTIONS = ['serial', 'bluetooth', 'virtual'];
+
+// Firmware parameters (SET / GET ALL / SAVE, see protocol.js)
+let deviceParameters = null;   // Values the connected device last reported
+let deviceProfilePending = false; // Send the active profile once the device's values arrive
+let deviceChannel = null;      // BroadcastChannel to the settings page
+
+// Reserved Morse patterns that act as commands (defaults in storage.js, editable in Settings)
+let commandPatterns = {};
+let morseLanguage = 'en'; // Active character table (MORSE_LANGUAGE_TABLES key), switched with DO / SN
+
+// Phrase board (shortcut codes and blink scanning)
+let phraseCodeBuffer = null; // null = not entering a shortcut code
+let phraseScan = null;
+let scanSuppressUntil = 0;
+const PHRASE_SCAN_SETTLE = 1000; // Ignore the rest of a selecting blink (SYM/CHAR lines)
+const PHRASE_SCAN_MAX_CYCLES = 3;
+
+// Emergency (SOS pattern or very long blink)
+let emergencyState = null;
+let emergencyHoldTimer = null;
+let letterHistory = []; // Letters of the current word: { pattern, text, logId }
+const EMERGENCY_ESCALATION_INTERVAL = 30000;
+const EMERGENCY_MAX_LEVEL = 3;
+const EMERGENCY_SPEECH = 'Emergency! The patient needs help now.';
+
+// Web Audio (alarm siren and feedback sounds)
+let audioContext = null;
+
+// Text-to-speech (speech.js), see getSpeechEngine()
+let speechEngine = null;
+
+// Morse trainer (trainer.js): while training, letters are graded instead of added to the message
+let trainer = null;
+let trainingActive = false;
+let trainerNextTimer = null;
+let trainerPlayer = null;
+const TRAINER_NEXT_DELAY = 1500;
+const TRAINER_UNKNOWN = '□'; // Shown for a pattern that is not a character
 
 // UI elements
 let liveMorseEl, buildingEl, decodedEl, statusEl, connectionStatusEl;
@@ -50,20 +163,48 @@ function updateConnectionUI(isMobile, hasSerial, hasBluetooth) {
     
     if (!connectBtn) return;
     
-    if (isMobile && hasBluetooth) {
+    const method = getConnectionMethod(isMobile, hasSerial, hasBluetooth);
+    connectBtn.disabled = isConnected;
+    
+    if (method === 'virtual') {
+        connectBtn.innerHTML = '<span>🧪</span> Connect Virtual Device';
+        connectBtn.title = 'Connect the built-in device simulator (no hardware needed)';
+    } else if (method === 'switch') {
+        connectBtn.innerHTML = '<span>🔘</span> Start Switch Input';
+        connectBtn.title = 'Blink with an accessibility switch, a key or a mouse button';
+    } else if (method === 'camera') {
+        connectBtn.innerHTML = '<span>📷</span> Start Camera Input';
+        connectBtn.title = 'Detect blinks with the camera (processed on this device)';
+    } else if (method === 'bluetooth') {
         connectBtn.innerHTML = '<span>📱</span> Connect Bluetooth';
         connectBtn.title = 'Connect via Bluetooth (Mobile)';
-    } else if (hasSerial) {
+    } else if (method === 'serial') {
         connectBtn.innerHTML = '<span>🔌</span> Connect Serial';
         connectBtn.title = 'Connect via Serial Port (Desktop)';
     } else {
         connectBtn.innerHTML = '<span>❌</span> Not Supported';
         connectBtn.disabled = true;
         connectBtn.title = 'Connection not supported on this device/browser';
-        showToast('Connection not supported. Use Chrome on Desktop or Android.', 'error', 5000);
+        showToast('Connection not supported. Use Chrome on Desktop or Android, or choose Virtual Device.', 'error', 5000);
     }
 }
 
+/**
+ * Connection to use: the one picked in the Connection select, or the best available
+ * @param {boolean} isMobile - Mobile browser
+ * @param {boolean} hasSerial - Web Serial available
+ * @param {boolean} hasBluetooth - Web Bluetooth available
+ * @returns {string|null} - 'serial', 'bluetooth', 'virtual', 'switch', 'camera' or null when nothing is supported
+ */
+function getConnectionMethod(isMobile, hasSerial, hasBluetooth) {
+    const choice = document.getElementById('connectionMethodSelect')?.value || 'auto';
+    if (choice !== 'auto') return choice;
+    
+    if (isMobile && hasBluetooth) return 'bluetooth';
+    if (hasSerial) return 'serial';
+    return null;
+}
+
 /**
  * Initialize the communication page
  */
@@ -89,7 +230,29 @@ function initializePage() {
     // Initialize displays
     updateDecoded();
     updateBuilding('—');
+
+    // Load the user's learned blink timing
+    initializeTimingClassifier();
+
+    if (typeof DeviceProtocol !== 'undefined') {
+        deviceProtocol = new DeviceProtocol();
+    }
+
+    loadCommandPatterns();
+
+    // Suggestions learned from the user's saved messages
+    initializeWordPrediction();
+
+    renderPhraseBoard();
+    initializeTrainer();
+    initializeSessionRecorder();
+    initializeDeviceChannel();
     
+    const methodSelect = document.getElementById('connectionMethodSelect');
+    if (methodSelect) {
+        methodSelect.value = localStorage.getItem('connection_method') || 'auto';
+    }
+
     // Check for auto-connect
     const settings = getSettings() || {};
     if (settings.autoConnect) {
@@ -110,6 +273,11 @@ function setupEventListeners() {
     // Connection buttons
     connectBtn?.addEventListener('click', connectDevice);
     disconnectBtn?.addEventListener('click', disconnectDevice);
+    document.getElementById('testBtn')?.addEventListener('click', testConnection);
+    document.getElementById('connectionMethodSelect')?.addEventListener('change', event => {
+        localStorage.setItem('connection_method', event.target.value);
+        detectConnectionMethod();
+    });
     
     // Text manipulation buttons
     saveBtn?.addEventListener('click', saveCurrentMessage);
@@ -129,11 +297,95 @@ function setupEventListeners() {
         });
     });
     
+    // Emergency acknowledgement (caregiver only - blinks never acknowledge)
+    document.getElementById('emergencyAckBtn')?.addEventListener('click', acknowledgeEmergency);
+    
+    // Phrase board scanning
+    document.getElementById('phraseScanBtn')?.addEventListener('click', () => {
+        if (replayState) return;
+        recordSessionEntry('event', { name: 'scan', start: !phraseScan });
+        phraseScan ? stopPhraseScan() : startPhraseScan();
+    });
+    
     // Quick reference toggle
     document.getElementById('toggleQuickRef')?.addEventListener('click', toggleQuickReference);
     
+    // Morse trainer
+    document.getElementById('trainerToggleBtn')?.addEventListener('click', () => {
+        trainingActive ? stopTraining() : startTraining();
+    });
+    document.getElementById('trainerModeSelect')?.addEventListener('change', () => {
+        if (trainingActive) nextTrainerPrompt();
+    });
+    document.getElementById('trainerPlayBtn')?.addEventListener('click', playTrainerPrompt);
+    document.getElementById('trainerSkipBtn')?.addEventListener('click', () => {
+        if (trainingActive) nextTrainerPrompt();
+    });
+    document.getElementById('trainerResetBtn')?.addEventListener('click', resetTrainer);
+    
+    // Session recorder
+    document.getElementById('replayBtn')?.addEventListener('click', () => {
+        replayState ? replayState.replay?.stop() : startReplay();
+    });
+    document.getElementById('exportLogBtn')?.addEventListener('click', exportSelectedSessionLog);
+    document.getElementById('importLogBtn')?.addEventListener('click', () => {
+        document.getElementById('importLogInput')?.click();
+    });
+    document.getElementById('importLogInput')?.addEventListener('change', event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) importSessionLogFile(file);
+    });
+    document.getElementById('deleteLogBtn')?.addEventListener('click', deleteSelectedSessionLog);
+    
+    // Device simulator: hold the button or the spacebar to close the eye
+    const simBlinkBtn = document.getElementById('simBlinkBtn');
+    simBlinkBtn?.addEventListener('pointerdown', pressVirtualSwitch);
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        simBlinkBtn?.addEventListener(type, () => virtualDevice?.eyeUp());
+    });
+    document.addEventListener('keydown', handleSimulatorKey);
+    document.addEventListener('keyup', handleSimulatorKey);
+    document.addEventListener('keydown', handleDualKeyboard);
+    document.addEventListener('keyup', handleDualKeyboard);
+    
+    // Switch input: the pad keeps the press even if the pointer drifts off it
+    const switchPad = document.getElementById('switchPad');
+    switchPad?.addEventListener('pointerdown', event => {
+        switchPad.setPointerCapture?.(event.pointerId);
+        pressVirtualSwitch();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => {
+        switchPad?.addEventListener(type, () => virtualDevice?.eyeUp());
+    });
+    switchPad?.addEventListener('contextmenu', event => event.preventDefault());
+    document.getElementById('simTextBtn')?.addEventListener('click', blinkSimulatorText);
+    document.getElementById('simSaveScriptBtn')?.addEventListener('click', saveSimulatorScript);
+    document.getElementById('simScriptBtn')?.addEventListener('click', () => {
+        document.getElementById('simScriptInput')?.click();
+    });
+    document.getElementById('simScriptInput')?.addEventListener('change', event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) runSimulatorScriptFile(file);
+    });
+    document.getElementById('simStopBtn')?.addEventListener('click', () => virtualDevice?.stopScript());
+    
+    // Camera input
+    document.getElementById('cameraCalibrateBtn')?.addEventListener('click', calibrateCamera);
+    document.getElementById('cameraUseCameraBtn')?.addEventListener('click', startCameraStream);
+    document.getElementById('cameraVideoBtn')?.addEventListener('click', () => {
+        document.getElementById('cameraVideoInput')?.click();
+    });
+    document.getElementById('cameraVideoInput')?.addEventListener('change', event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) runCameraVideoFile(file);
+    });
+    
     // Decoded text editing
     if (decodedEl) {
+        decodedEl.addEventListener('input', handleDecodedEdit);
         decodedEl.addEventListener('input', debounce(updateWordCount, 300));
         decodedEl.addEventListener('paste', () => {
             setTimeout(updateWordCount, 100);
@@ -153,10 +405,13 @@ async function connectDevice() {
     const isMobile = /Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     const hasSerial = 'serial' in navigator;
     const hasBluetooth = 'bluetooth' in navigator;
+    const method = getConnectionMethod(isMobile, hasSerial, hasBluetooth);
     
-    if (isMobile && hasBluetooth) {
+    if (method === 'virtual' || method === 'switch' || method === 'camera') {
+        await connectVirtualDevice(method);
+    } else if (method === 'bluetooth') {
         await connectBluetooth();
-    } else if (hasSerial) {
+    } else if (method === 'serial') {
         await connectSerial();
     } else {
         showToast('No supported connection method available', 'error', 3000);
@@ -183,11 +438,11 @@ async function connectBluetooth() {
                 { namePrefix: 'Arduino' },
                 { namePrefix: 'HC-' },
                 { services: ['0000ffe0-0000-1000-8000-00805f9b34fb'] }, // Common serial service
-                { services: [BLUETOOTH_SERVICE_UUID] } // Custom service
+                { services: [SERVICE_UUID] } // Custom service
             ],
             optionalServices: [
                 '0000ffe0-0000-1000-8000-00805f9b34fb', // Serial port service
-                BLUETOOTH_SERVICE_UUID,
+                SERVICE_UUID,
                 'battery_service',
                 'device_information'
             ]
@@ -203,7 +458,7 @@ async function connectBluetooth() {
         let service;
         try {
             // Try custom service first
-            service = await server.getPrimaryService(BLUETOOTH_SERVICE_UUID);
+            service = await server.getPrimaryService(SERVICE_UUID);
             console.log('Using custom service');
         } catch (e) {
             try {
@@ -217,7 +472,7 @@ async function connectBluetooth() {
         
         // Get characteristic for receiving data
         try {
-            bluetoothCharacteristic = await service.getCharacteristic(BLUETOOTH_CHARACTERISTIC_UUID);
+            bluetoothCharacteristic = await service.getCharacteristic(TX_CHARACTERISTIC);
         } catch (e) {
             try {
                 // Fallback to common serial characteristic
@@ -227,7 +482,17 @@ async function connectBluetooth() {
             }
         }
         
+        // Commands go to the separate RX characteristic; HM-10 style modules use one for both
+        try {
+            bluetoothWriteCharacteristic = await service.getCharacteristic(RX_CHARACTERISTIC);
+        } catch (e) {
+            bluetoothWriteCharacteristic = bluetoothCharacteristic;
+        }
+        
         // Start notifications
+        bluetoothLineBuffer = new LineBreakTransformer();
+        bluetoothDecoder = new TextDecoder('utf-8');
+        bluetoothFramed = false;
         await bluetoothCharacteristic.startNotifications();
         bluetoothCharacteristic.addEventListener('characteristicvaluechanged', handleBluetoothData);
         
@@ -237,6 +502,7 @@ async function connectBluetooth() {
         isConnected = true;
         connectionType = 'bluetooth';
         updateConnectionStatus();
+        recordSessionEntry('event', { name: 'connect', connection: 'bluetooth' });
         
         // Update connection status for other pages
         localStorage.setItem('device_connected', 'true');
@@ -244,8 +510,10 @@ async function connectBluetooth() {
         
         // Update session
         updateSessionConnection(true);
-        
+
         showToast(`Bluetooth connected: ${bluetoothDevice.name}`, 'success', 3000);
+
+        startHandshake();
         
     } catch (error) {
         console.error('Bluetooth connection failed:', error);
@@ -292,6 +560,7 @@ async function connectSerial() {
         isConnected = true;
         connectionType = 'serial';
         updateConnectionStatus();
+        recordSessionEntry('event', { name: 'connect', connection: 'serial' });
         
         // Update connection status for other pages
         localStorage.setItem('device_connected', 'true');
@@ -305,7 +574,9 @@ async function connectSerial() {
         readSerialData();
         
         showToast('Serial device connected successfully!', 'success', 3000);
-        
+
+        startHandshake();
+
     } catch (error) {
         console.error('Serial connection failed:', error);
         
@@ -325,23 +596,85 @@ async function connectSerial() {
 }
 
 /**
- * Handle incoming Bluetooth data
+ * Connect the virtual device (for testing, training and demos without hardware),
+ * or the switch or camera input mode, which run the same firmware logic on
+ * key and mouse presses or on blinks seen by the camera
+ * @param {string} kind - 'virtual', 'switch' or 'camera'
  */
-function handleBluetoothData(event) {
-    const value = event.target.value;
-    const decoder = new TextDecoder('utf-8');
-    const data = decoder.decode(value);
-    
-    console.log('Bluetooth data received:', data);
+async function connectVirtualDevice(kind = 'virtual') {
+    if (typeof VirtualEyeBlinkDevice === 'undefined') {
+        showToast('Device simulator not available (simulator.js not loaded)', 'error', 3000);
+        return;
+    }
     
-    // Process each line
-    const lines = data.split('\n');
-    lines.forEach(line => {
-        const trimmedLine = line.trim();
-        if (trimmedLine) {
-            handleDataLine(trimmedLine);
-        }
+    virtualLineBuffer = new LineBreakTransformer();
+    virtualDevice = new VirtualEyeBlinkDevice({
+        onData: handleVirtualData,
+        onChange: updateSimulatorStatus,
+        firmware: kind === 'switch' ? getSwitchTiming() : {},
+        savedParameters: kind === 'virtual' ? virtualDeviceFlash : {}
     });
+    
+    isConnected = true;
+    connectionType = kind;
+    updateConnectionStatus();
+    recordSessionEntry('event', { name: 'connect', connection: kind });
+    
+    // Update connection status for other pages
+    localStorage.setItem('device_connected', 'true');
+    localStorage.setItem('connection_type', kind);
+    
+    // Update session
+    updateSessionConnection(true);
+    
+    virtualDevice.start();
+    updateSimulatorPanel();
+    
+    showToast({
+        switch: 'Switch input ready - press and hold to blink',
+        camera: 'Camera input starting...'
+    }[kind] || 'Virtual device connected', 'success', 3000);
+    
+    startHandshake();
+    
+    if (kind === 'camera') {
+        startCameraInput();
+    }
+}
+
+/**
+ * Handle data from the virtual device, split into lines like a serial stream
+ * @param {string} chunk - Text the device sent
+ */
+function handleVirtualData(chunk) {
+    virtualLineBuffer?.transform(chunk, { enqueue: handleDataLine });
+}
+
+/**
+ * Handle incoming Bluetooth data, split into lines like a serial stream
+ */
+function handleBluetoothData(event) {
+    if (!bluetoothLineBuffer) return;
+
+    // Streaming keeps a character split between two notifications whole
+    const data = bluetoothDecoder.decode(event.target.value, { stream: true });
+    console.log('Bluetooth data received:', data);
+    bluetoothFramed = bluetoothFramed || data.includes('\n');
+
+    // Older firmware sends each line as one notification without a line break.
+    // Framed firmware leaves it out only of full-size pieces of a longer line.
+    const wholeLine = !bluetoothFramed && event.target.value.byteLength < BLUETOOTH_MIN_PAYLOAD;
+    bluetoothLineBuffer.transform(wholeLine ? `${data}\n` : data, { enqueue: handleDataLine });
+
+    // A full-size piece from unframed firmware is a line cut off at the MTU
+    clearTimeout(bluetoothFlushTimer);
+    if (!bluetoothFramed && bluetoothLineBuffer.chunks) {
+        bluetoothFlushTimer = setTimeout(() => {
+            if (!bluetoothLineBuffer) return;
+            bluetoothLineBuffer.flush({ enqueue: handleDataLine });
+            bluetoothLineBuffer.chunks = '';
+        }, BLUETOOTH_LINE_FLUSH_MS);
+    }
 }
 
 /**
@@ -353,10 +686,16 @@ function handleBluetoothDisconnection() {
     connectionType = null;
     bluetoothDevice = null;
     bluetoothCharacteristic = null;
+    bluetoothWriteCharacteristic = null;
+    clearTimeout(bluetoothFlushTimer);
+    bluetoothLineBuffer = null;
+    bluetoothDecoder = null;
     
     updateConnectionStatus();
     localStorage.setItem('device_connected', 'false');
     updateSessionConnection(false);
+    recordSessionEntry('event', { name: 'disconnect' });
+    finishSessionRecording();
     
     showToast('Bluetooth device disconnected', 'warning', 3000);
 }
@@ -382,6 +721,10 @@ async function disconnectDevice() {
         }
         bluetoothDevice = null;
         bluetoothCharacteristic = null;
+        bluetoothWriteCharacteristic = null;
+        clearTimeout(bluetoothFlushTimer);
+        bluetoothLineBuffer = null;
+        bluetoothDecoder = null;
         
     } else if (connectionType === 'serial' && serialPort) {
         try {
@@ -394,133 +737,3320 @@ async function disconnectDevice() {
             console.error('Error disconnecting Serial:', e);
         }
         serialPort = null;
+        
+    } else if (virtualDevice) {
+        stopCameraInput();
+        virtualDevice.stop();
+        virtualDevice = null;
+        virtualLineBuffer = null;
     }
     
     isConnected = false;
     connectionType = null;
     updateConnectionStatus();
+    updateSimulatorPanel();
     
     // Update connection status for other pages
     localStorage.setItem('device_connected', 'false');
     localStorage.removeItem('connection_type');
     updateSessionConnection(false);
+    recordSessionEntry('event', { name: 'disconnect' });
+    finishSessionRecording();
     
     showToast('Device disconnected', 'info', 2000);
 }
 
 /**
- * Read serial data loop (for desktop serial connections)
+ * Read serial data loop (for desktop serial connections)
+ */
+async function readSerialData() {
+    if (!serialPort) return;
+    
+    try {
+        const textDecoder = new TextDecoderStream();
+        const readableStreamClosed = serialPort.readable.pipeTo(textDecoder.writable);
+        reader = textDecoder.readable
+            .pipeThrough(new TransformStream(new LineBreakTransformer()))
+            .getReader();
+        
+        // Listen to data coming from the serial device
+        while (keepReading) {
+            const { value, done } = await reader.read();
+            
+            if (done) {
+                reader.releaseLock();
+                break;
+            }
+            
+            if (value) {
+                handleDataLine(value.trim());
+            }
+        }
+        
+    } catch (error) {
+        console.error('Read error:', error);
+        showToast('Communication error with device', 'error', 3000);
+        
+        if (isConnected) {
+            disconnectDevice();
+        }
+    }
+}
+
+/**
+ * Handle incoming data line (unified for both serial and bluetooth)
+ * @param {string} line - Data line from device
+ */
+function handleDataLine(line) {
+    if (!line) return;
+    
+    console.log('Received:', line);
+    recordSessionEntry('line', line);
+    
+    // Update live morse display
+    if (liveMorseEl) {
+        liveMorseEl.textContent = line;
+    }
+    
+    const message = deviceProtocol ? deviceProtocol.parse(line) : parseProtocolLine(line);
+    if (message.gap > 0) {
+        console.warn(`Protocol: ${message.gap} line(s) lost before seq ${message.seq}`);
+    }
+    if (!message.duplicate) {
+        handleProtocolMessage(message);
+    }
+    
+    updateDecoded();
+    
+    // Auto-save if enabled
+    const settings = getSettings() || {};
+    if (settings.autoSave && !replayState && decodedText.length > 0) {
+        if (decodedText.length % 10 === 0) {
+            saveCurrentMessage(true);
+        }
+    }
+}
+
+/**
+ * Act on one parsed protocol message
+ * @param {Object} message - Message from parseProtocolLine / DeviceProtocol.parse
+ */
+function handleProtocolMessage(message) {
+    if (handleEmergencyBlink(message) || handleScanBlink(message)) return;
+    
+    switch (message.type) {
+        case 'HELLO':
+            handleHandshake(message);
+            break;
+            
+        case 'EVT':
+            if (message.value === 'DOWN') {
+                setBlinkActive(true);
+            } else if (message.value === 'UP') {
+                setBlinkActive(false);
+                // Legacy DUR lines only arrive when we asked for them
+                if (message.dur && (message.legacy || isAdaptiveTimingActive())) {
+                    handleBlinkDuration(message.dur, message.t);
+                } else if (message.dur && deviceTiming) {
+                    // The SYM that follows was classified against the firmware's DOT_TH
+                    lastBlinkConfidence = deviceTiming.getConfidence(message.dur);
+                }
+            }
+            break;
+            
+        case 'SYM':
+            // Device-classified symbol: live building feedback
+            if (!isAdaptiveTimingActive() && /^[.\-]$/.test(message.value)) {
+                if (!currentBuilding) buildingConfidences = [];
+                buildingConfidences.push(lastBlinkConfidence);
+                lastBlinkConfidence = null;
+                currentBuilding += message.value;
+                updateBuilding(currentBuilding);
+                echoSymbol(message.value);
+                checkDistressInProgress();
+            }
+            break;
+            
+        case 'CHAR':
+            // Complete letter pattern (authoritative over the live SYM feedback)
+            if (!isAdaptiveTimingActive() || message.legacy) {
+                currentBuilding = message.value;
+                commitCurrentLetter();
+                updateBuilding(message.value);
+            }
+            break;
+            
+        case 'GAP':
+            if (isAdaptiveTimingActive() && !message.legacy) break;
+            commitCurrentLetter();
+            if (message.value === 'WORD') {
+                handleWordGap();
+            }
+            break;
+            
+        case 'KEY':
+            handleDualKey(message.value);
+            break;
+            
+        case 'PARAM':
+            handleDeviceParameters(message);
+            break;
+            
+        case 'BUILDING':
+            if (message.value) {
+                currentBuilding = message.value;
+                updateBuilding(message.value);
+            }
+            break;
+            
+        case 'REPLY':
+            handleDeviceReply(message.value);
+            break;
+            
+        default:
+            console.log('Raw data:', message.raw);
+    }
+}
+
+/**
+ * Start the protocol handshake after connecting
+ */
+async function startHandshake() {
+    if (deviceProtocol) {
+        deviceProtocol.reset();
+    }
+    
+    await sendToDevice('HELLO');
+    
+    // Firmware without the v2 protocol ignores HELLO - fall back to legacy lines
+    setTimeout(() => {
+        if (isConnected && (!deviceProtocol || !deviceProtocol.isVersioned())) {
+            console.log('No protocol handshake - using legacy line format');
+            requestRawTiming();
+            requestDualInput();
+            requestDeviceParameters();
+            updateConnectionStatus();
+        }
+    }, HANDSHAKE_TIMEOUT);
+}
+
+/**
+ * Handle the device's HELLO reply
+ * @param {Object} message - HELLO message
+ */
+function handleHandshake(message) {
+    const version = parseInt(message.fields.proto, 10) || 1;
+    console.log(`Device handshake: ${message.value} protocol v${version}, firmware ${message.fields.fw || 'unknown'}`);
+    
+    if (version > PROTOCOL_VERSION) {
+        showToast(`Device uses a newer protocol (v${version}) - some features may not work`, 'warning', 4000);
+    }
+    
+    requestDualInput();
+    requestDeviceParameters();
+    updateConnectionStatus();
+}
+
+/**
+ * Handle command replies (TEST_OK, PONG, ...)
+ * @param {string} reply - Reply text
+ */
+function handleDeviceReply(reply) {
+    const deviceStatusText = document.getElementById('deviceStatusText');
+    
+    switch (reply) {
+        case 'TEST_OK':
+            showToast('Device test successful', 'success', 2000);
+            break;
+        case 'RAW_OK':
+            console.log('Device is streaming raw blink durations');
+            break;
+        case 'DUAL_OK':
+            console.log('Device is reporting its dot and dash inputs');
+            break;
+        case 'DEVICE_READY':
+        case 'STATUS_READY':
+            if (deviceStatusText) deviceStatusText.textContent = 'Ready and listening';
+            break;
+    }
+}
+
+/**
+ * Whether symbols are classified in the browser from raw durations
+ * @returns {boolean}
+ */
+function isAdaptiveTimingActive() {
+    const settings = getSettings() || {};
+    // A switch is timed like the firmware, with the thresholds from Settings
+    const connection = replayState ? replayState.log.connection : connectionType;
+    return !!timingClassifier && settings.adaptiveTiming !== false && connection !== 'switch';
+}
+
+/**
+ * Show that the eye is currently closed (EVT:DOWN .. EVT:UP)
+ * @param {boolean} active - Whether a blink is in progress
+ */
+function setBlinkActive(active) {
+    buildingEl?.classList.toggle('blinking', active);
+}
+
+// ==================== ADAPTIVE TIMING ====================
+
+/**
+ * Create the timing classifier from the saved per-user profile
+ */
+function initializeTimingClassifier() {
+    if (typeof BlinkTimingClassifier === 'undefined') {
+        console.warn('timing.js not loaded - adaptive timing disabled');
+        return;
+    }
+
+    const savedProfile = typeof storage !== 'undefined' ? storage.get(STORAGE_KEYS.TIMING, null) : null;
+    timingClassifier = BlinkTimingClassifier.fromJSON(savedProfile);
+    deviceTiming = new BlinkTimingClassifier();
+    updateTimingProfile();
+
+    // Letters and words are committed from silence, not from device tokens
+    // (a replay runs the check on its own clock)
+    setInterval(() => {
+        if (!replayState) checkSilenceGap();
+    }, SILENCE_CHECK_INTERVAL);
+}
+
+/**
+ * Ask the device to stream raw blink durations (DUR:<ms>) instead of patterns
+ */
+async function requestRawTiming() {
+    if (!isAdaptiveTimingActive()) return;
+
+    await sendToDevice('RAW ON');
+}
+
+/**
+ * Start or stop raw durations after adaptive timing was switched in Settings
+ * (v2 firmware always sends them, older firmware only after RAW ON)
+ */
+async function updateRawTiming() {
+    if (deviceProtocol && deviceProtocol.isVersioned()) return;
+
+    await sendToDevice(isAdaptiveTimingActive() ? 'RAW ON' : 'RAW OFF');
+}
+
+/**
+ * Classify a raw blink duration and add the symbol to the building pattern
+ * @param {number} duration - Blink duration in ms
+ * @param {number|null} deviceTime - Device timestamp of the blink end (protocol v2)
+ */
+function handleBlinkDuration(duration, deviceTime = null) {
+    if (!timingClassifier) {
+        console.warn('Raw duration received but adaptive timing is not available:', duration);
+        return;
+    }
+
+    // A deliberate long blink between letters accepts the highlighted suggestion
+    if (!currentBuilding && pendingCorrection && timingClassifier.isLongBlink(duration)) {
+        settleCorrection();
+        return;
+    }
+    if (!trainingActive && !currentBuilding && suggestions.length > 0 && timingClassifier.isLongBlink(duration)) {
+        acceptSuggestion();
+        return;
+    }
+
+    try {
+        // Device timestamps give exact gaps; arrival time is the legacy fallback
+        const result = timingClassifier.classifyBlink(duration, deviceTime ?? getDecoderTime());
+
+        if (!currentBuilding) buildingConfidences = [];
+        buildingConfidences.push(result.confidence);
+        currentBuilding += result.symbol;
+        updateBuilding(currentBuilding);
+        echoSymbol(result.symbol);
+
+        lastBlinkEndTime = getDecoderTime();
+        wordGapPending = true;
+
+        checkDistressInProgress();
+
+        if (!replayState) saveTimingProfile();
+        updateTimingProfile();
+    } catch (error) {
+        console.error('Timing classification error:', error);
+    }
+}
+
+/**
+ * Commit the building letter or a word gap once the silence is long enough
+ */
+function checkSilenceGap() {
+    checkDualGap();
+    checkPhraseScan(); // The scan highlight moves on the same clock
+    if (!timingClassifier || !lastBlinkEndTime) return;
+
+    const gapType = timingClassifier.classifyGap(getDecoderTime() - lastBlinkEndTime);
+    if (gapType === 'element') return;
+
+    if (currentBuilding) {
+        commitCurrentLetter();
+    }
+
+    if (gapType === 'word' && wordGapPending) {
+        handleWordGap();
+        wordGapPending = false;
+        lastBlinkEndTime = 0;
+    }
+
+    updateDecoded();
+}
+
+/**
+ * Decode the building pattern, append it to the message and start a new letter
+ */
+function commitCurrentLetter() {
+    // Training: every pattern is an answer (only the distress pattern keeps its meaning)
+    if (trainingActive && currentBuilding) {
+        if (!detectDistressPattern(currentBuilding)) {
+            handleTrainerLetter(currentBuilding);
+        }
+        currentBuilding = '';
+        buildingConfidences = [];
+        updateBuilding('—');
+        return;
+    }
+
+    if (currentBuilding && !detectDistressPattern(currentBuilding) &&
+        !handleCommandPattern(currentBuilding) && !handleProsign(currentBuilding)) {
+        let decoded = decodeBlinkedLetter(currentBuilding);
+        let candidates = [];
+        if (decoded === '?') {
+            candidates = findCorrectionCandidates(currentBuilding);
+            decoded = candidates[0]?.char || '';
+            if (!decoded) {
+                showToast(`Unknown pattern ${currentBuilding}`, 'warning', 2000);
+            }
+        }
+
+        let added = '';
+        let logId = null;
+        if (decoded) {
+            if (phraseCodeBuffer !== null) {
+                addPhraseCodeChar(decoded);
+            } else {
+                const confidence = getLetterConfidence(currentBuilding, candidates[0]);
+                settleCorrection();
+                resolveRetype(decoded);
+                logId = logBlinkedLetter(currentBuilding, candidates.length > 0 ? decoded : null);
+                recordDecodedLetter(decoded, confidence, candidates.length > 0);
+                added = decoded;
+                echoLetter(decoded);
+                if (candidates.length > 0) {
+                    offerCorrection(currentBuilding, candidates, confidence, logId);
+                }
+            }
+        } else if (phraseCodeBuffer === null) {
+            logId = logBlinkedLetter(currentBuilding);
+            if (logId) pendingRetypes.push(logId);
+            recordDecodedLetter('', 0, false);
+        }
+        letterHistory.push({ pattern: currentBuilding, text: added, logId });
+    }
+    currentBuilding = '';
+    buildingConfidences = [];
+    updateBuilding('—');
+}
+
+/**
+ * End the current word (or a pending phrase shortcut code)
+ */
+function handleWordGap() {
+    letterHistory = [];
+    pendingRetypes = [];
+    
+    if (trainingActive) {
+        handleTrainerWordGap();
+        return;
+    }
+    if (phraseCodeBuffer !== null) {
+        finishPhraseCode();
+        return;
+    }
+    
+    const word = decodedText.match(/[^\s]*$/)[0];
+    decodedText += ' ';
+    noteThroughput({ characters: 1, words: word ? 1 : 0 });
+    if (word) {
+        echoWord(word);
+    }
+}
+
+/**
+ * Persist the learned timing profile (debounced - called on every blink)
+ */
+const saveTimingProfile = debounce(() => {
+    if (timingClassifier && typeof storage !== 'undefined') {
+        storage.set(STORAGE_KEYS.TIMING, timingClassifier.toJSON());
+    }
+}, 1000);
+
+/**
+ * Show the learned thresholds next to the live input
+ */
+function updateTimingProfile() {
+    const profileEl = document.getElementById('timingProfile');
+    if (!profileEl || !timingClassifier) return;
+
+    const thresholds = timingClassifier.getThresholds();
+    profileEl.textContent = `Dot < ${thresholds.dotThreshold} ms · Letter gap ${thresholds.letterGap} ms · Word gap ${thresholds.wordGap} ms`;
+    profileEl.title = `Learned from the last ${thresholds.samples} blinks`;
+}
+
+// ==================== TWO-SWITCH INPUT ====================
+
+/**
+ * Whether two-switch (dot input / dash input) mode is on in Settings
+ * @returns {boolean}
+ */
+function isDualInputEnabled() {
+    return (getSettings() || {}).dualInput === true;
+}
+
+/**
+ * Two-switch timing from Settings
+ * @returns {Object} - { squeeze, element, letterGap, wordGap } in ms
+ */
+function getDualTiming() {
+    const settings = getSettings() || {};
+    return {
+        squeeze: settings.dualSqueeze === true,
+        element: settings.dualElementTime || 200,
+        letterGap: settings.dualLetterGap || 1000,
+        wordGap: settings.dualWordGap || 2000
+    };
+}
+
+/**
+ * Ask the device to report its two inputs (KEY lines) instead of timing blinks itself
+ */
+async function requestDualInput() {
+    if (!isDualInputEnabled() || !FIRMWARE_CONNECTIONS.includes(connectionType)) return;
+
+    await sendToDevice('DUAL ON');
+}
+
+/**
+ * Keyer for the two inputs (created on first use, squeeze settings refreshed on every edge)
+ * @returns {DualKeyer|null}
+ */
+function getDualKeyer() {
+    if (typeof DualKeyer === 'undefined') {
+        console.warn('keyer.js not loaded - two-switch input disabled');
+        return null;
+    }
+
+    const { squeeze, element } = getDualTiming();
+    dualKeyer = dualKeyer || new DualKeyer({ onSymbol: addDualSymbol });
+    dualKeyer.options = { ...dualKeyer.options, squeeze, element };
+    return dualKeyer;
+}
+
+/**
+ * A dot or dash input closed or opened (KEY:DOT, KEY:DASH_UP...)
+ * @param {string} value - 'DOT', 'DASH', 'DOT_UP' or 'DASH_UP'
+ */
+function handleDualKey(value) {
+    const keyer = getDualKeyer();
+    if (!keyer) return;
+
+    const time = getDecoderTime();
+    if (value.endsWith('_UP')) {
+        keyer.release(value.slice(0, -3), time);
+        setBlinkActive(keyer.held.DOT || keyer.held.DASH);
+    } else {
+        setBlinkActive(true);
+        keyer.press(value, time);
+    }
+}
+
+/**
+ * Add a symbol from the keyer to the building pattern
+ * @param {string} symbol - '.' or '-'
+ */
+function addDualSymbol(symbol) {
+    if (!currentBuilding) buildingConfidences = [];
+    // An explicit input leaves no doubt about the symbol
+    buildingConfidences.push(1);
+    currentBuilding += symbol;
+    updateBuilding(currentBuilding);
+    echoSymbol(symbol);
+    dualWordGapPending = true;
+
+    checkDistressInProgress();
+}
+
+/**
+ * Send due squeeze symbols, then commit the letter or word once the inputs have been open long enough
+ */
+function checkDualGap() {
+    if (!dualKeyer) return;
+
+    const time = getDecoderTime();
+    dualKeyer.update(time);
+    const idle = dualKeyer.getIdleTime(time);
+    if (idle === null) return;
+
+    const { letterGap, wordGap } = getDualTiming();
+    if (currentBuilding && idle >= letterGap) {
+        commitCurrentLetter();
+        updateDecoded();
+    }
+    if (dualWordGapPending && idle >= letterGap + wordGap) {
+        handleWordGap();
+        dualWordGapPending = false;
+        updateDecoded();
+    }
+}
+
+/**
+ * Keyboard fallback: the dot and dash keys from Settings work as the two inputs, except while typing
+ * @param {KeyboardEvent} event - keydown or keyup
+ */
+function handleDualKeyboard(event) {
+    if (!isDualInputEnabled() || replayState) return;
+
+    const [dotKey, dashKey] = ((getSettings() || {}).dualKeys || 'Period,Minus').split(',');
+    const key = event.code === dotKey ? 'DOT' : event.code === dashKey ? 'DASH' : null;
+    if (!key) return;
+
+    const target = event.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+
+    event.preventDefault();
+    if (event.repeat) return;
+    const up = event.type === 'keyup';
+
+    // The simulator in two-switch mode gets the keys as its two sensors, like the real device
+    if (virtualDevice && connectionType === 'virtual' && virtualDevice.dualMode) {
+        if (key === 'DOT' && up) {
+            virtualDevice.eyeUp();
+        } else if (key === 'DOT') {
+            virtualDevice.eyeDown();
+        } else if (up) {
+            virtualDevice.dashUp();
+        } else {
+            virtualDevice.dashDown();
+        }
+        return;
+    }
+
+    handleDataLine(formatProtocolLine('KEY', up ? `${key}_UP` : key));
+}
+
+// ==================== DEVICE PARAMETERS ====================
+
+/**
+ * Read the firmware parameters after connecting; the active profile follows once they arrive
+ */
+async function requestDeviceParameters() {
+    if (!FIRMWARE_CONNECTIONS.includes(connectionType)) return;
+
+    deviceProfilePending = true;
+    await sendToDevice('GET ALL');
+}
+
+/**
+ * Handle a PARAM reply (GET ALL, SET, SAVE or a rejected value)
+ * @param {Object} message - PARAM message
+ */
+function handleDeviceParameters(message) {
+    // Replies in a recording describe the device as it was then
+    if (replayState) return;
+
+    if (message.value === 'ERROR') {
+        const name = message.fields.name || '';
+        showToast(`Device rejected the ${DEVICE_PARAMETERS[name]?.label || name || 'setting'} value`, 'warning', 3000);
+        postDeviceChannel({ type: 'error', name });
+        return;
+    }
+    if (message.value === 'SAVED') {
+        showToast('Settings saved on the device', 'success', 2000);
+        postDeviceChannel({ type: 'saved' });
+        return;
+    }
+
+    deviceParameters = { ...deviceParameters, ...parseDeviceParameters(message.fields) };
+    saveLastDeviceParameters(deviceParameters);
+    updateDeviceTiming();
+    postDeviceStatus();
+
+    if (message.value === 'ALL' && deviceProfilePending) {
+        deviceProfilePending = false;
+        pushDeviceProfile();
+    }
+}
+
+/**
+ * Send the values of the active profile that differ from the device's
+ */
+async function pushDeviceProfile() {
+    const profile = getActiveDeviceProfile();
+    if (!profile || !deviceParameters) return;
+
+    const changes = Object.entries(parseDeviceParameters(profile))
+        .filter(([name, value]) => deviceParameters[name] !== value);
+    for (const [name, value] of changes) {
+        await sendToDevice(`SET ${name} ${value}`);
+    }
+    if (changes.length > 0) {
+        showToast(`Device settings "${getDeviceProfiles().active}" applied`, 'success', 2000);
+    }
+}
+
+/**
+ * Use the device's dot threshold for the confidence of the symbols it classifies
+ */
+function updateDeviceTiming() {
+    if (typeof BlinkTimingClassifier === 'undefined' || !deviceParameters?.DOT_TH) return;
+
+    deviceTiming = new BlinkTimingClassifier({ dotThreshold: deviceParameters.DOT_TH });
+}
+
+/**
+ * Listen for the settings page, which reads and changes parameters through this page's connection
+ */
+function initializeDeviceChannel() {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    deviceChannel = new BroadcastChannel(DEVICE_CHANNEL_NAME);
+    deviceChannel.onmessage = event => handleDeviceChannelMessage(event.data || {});
+}
+
+/**
+ * Handle a request from the settings page
+ * @param {Object} request - { type: 'status' | 'get' | 'set' | 'save' | 'timing', name, value }
+ */
+function handleDeviceChannelMessage(request) {
+    const connected = isConnected && FIRMWARE_CONNECTIONS.includes(connectionType) && !replayState;
+    if (!connected || request.type === 'status') {
+        postDeviceStatus();
+        return;
+    }
+
+    switch (request.type) {
+        case 'get':
+            sendToDevice('GET ALL');
+            break;
+        case 'set': {
+            const value = validateDeviceParameter(request.name, request.value);
+            if (value !== null) {
+                sendToDevice(`SET ${request.name} ${value}`);
+            }
+            break;
+        }
+        case 'save':
+            sendToDevice('SAVE');
+            break;
+        case 'timing':
+            updateRawTiming();
+            break;
+    }
+}
+
+/**
+ * Tell the settings page whether a device is connected and what it reported
+ */
+function postDeviceStatus() {
+    const connected = isConnected && FIRMWARE_CONNECTIONS.includes(connectionType);
+    postDeviceChannel({
+        type: 'status',
+        connected,
+        device: connected ? document.getElementById('portName')?.textContent || connectionType : null,
+        values: connected ? deviceParameters : null
+    });
+}
+
+/**
+ * Send a message to the settings page
+ * @param {Object} message - Message
+ */
+function postDeviceChannel(message) {
+    deviceChannel?.postMessage(message);
+}
+
+// ==================== COMMANDS & CORRECTIONS ====================
+
+// Sounds for correction feedback (Hz, played one after another)
+const CORRECTION_TONES = {
+    deleteChar: [660, 440],
+    deleteWord: [660, 440, 330],
+    cancelLetter: [220, 220]
+};
+
+/**
+ * Load the command patterns (settings override the defaults)
+ */
+function loadCommandPatterns() {
+    const settings = getSettings() || {};
+    morseLanguage = settings.morseLanguage || 'en';
+    updateCommandPatterns();
+    renderAlphabetReference();
+}
+
+/**
+ * Use the command codes of the active alphabet (a default code it needs for a letter falls back to a long one)
+ */
+function updateCommandPatterns() {
+    const saved = (getSettings() || {}).commandPatterns;
+    commandPatterns = typeof getAlphabetCommandPatterns === 'function'
+        ? getAlphabetCommandPatterns(saved, typeof getMorseTable === 'function' ? getMorseTable(morseLanguage) : {})
+        : { ...(saved || {}) };
+    if (phraseCodeBuffer === null && !phraseScan) updatePhraseBoardStatus();
+}
+
+/**
+ * Whether the active alphabet uses a pattern for a letter
+ * @param {string} pattern - Morse pattern
+ * @returns {boolean}
+ */
+function isAlphabetLetter(pattern) {
+    return typeof getMorseTable === 'function' && /\p{L}/u.test(getMorseTable(morseLanguage)[pattern] || '');
+}
+
+/**
+ * Decode one blinked letter with the active character table
+ * @param {string} pattern - Dots and dashes
+ * @returns {string} - Character, or '?' if unknown
+ */
+function decodeBlinkedLetter(pattern) {
+    if (typeof decodeMorseLetter === 'function') {
+        return decodeMorseLetter(pattern, morseLanguage);
+    }
+    return decodeMorse(pattern);
+}
+
+/**
+ * Run a prosign (AR, SK, BT, KN) instead of decoding it as punctuation
+ * @param {string} pattern - Completed Morse pattern
+ * @returns {boolean} - True if the pattern was a prosign
+ */
+function handleProsign(pattern) {
+    const settings = getSettings() || {};
+    if (settings.prosigns === false || typeof getProsign !== 'function') return false;
+
+    // Alphabets such as Wabun use some prosign patterns for letters
+    if (isAlphabetLetter(pattern)) return false;
+
+    switch (getProsign(pattern)) {
+        case 'AR':
+            endMessage(false);
+            return true;
+        case 'SK':
+            endMessage(true);
+            return true;
+        case 'BT':
+            insertParagraphBreak();
+            return true;
+        case 'KN':
+            handOver();
+            return true;
+        case 'DO':
+            switchAlphabet(morseLanguage === (settings.morseAlternate || 'bn')
+                ? settings.morseLanguage || 'en'
+                : settings.morseAlternate || 'bn');
+            return true;
+        case 'SN':
+            switchAlphabet(settings.morseLanguage || 'en');
+            return true;
+    }
+    return false;
+}
+
+/**
+ * Change the active alphabet for the following letters
+ * @param {string} language - MORSE_LANGUAGE_TABLES key
+ */
+function switchAlphabet(language) {
+    if (typeof MORSE_LANGUAGE_TABLES === 'undefined' || !MORSE_LANGUAGE_TABLES[language]) return;
+
+    morseLanguage = language;
+    lastPredictedText = null;
+    updateCommandPatterns();
+    renderAlphabetReference();
+    updateSuggestions();
+    playTones([440, 660]);
+    showToast(`Alphabet: ${MORSE_LANGUAGE_TABLES[language].name}`, 'info', 2000);
+}
+
+/**
+ * Whether the active alphabet uses Latin letters (word prediction only knows English)
+ * @returns {boolean}
+ */
+function isLatinAlphabet() {
+    return typeof MORSE_LANGUAGE_TABLES === 'undefined' || !MORSE_LANGUAGE_TABLES[morseLanguage]?.replacesLatin;
+}
+
+/**
+ * Language of the active alphabet, stored with the messages blinked in it
+ * @returns {string} - MORSE_LANGUAGE_TABLES key, e.g. 'en', 'ru' or 'bn'
+ */
+function getAlphabetLanguage() {
+    return typeof MORSE_LANGUAGE_TABLES !== 'undefined' && MORSE_LANGUAGE_TABLES[morseLanguage] ? morseLanguage : 'en';
+}
+
+/**
+ * Language of blinked text: its script, or the active alphabet for Latin text
+ * @param {string} text - Text from the decoder
+ * @returns {string} - Language code for speech and translation
+ */
+function getBlinkedTextLanguage(text) {
+    const language = Translation.detectTextLanguage(text);
+    return language === 'en' && isLatinAlphabet() ? getAlphabetLanguage() : language;
+}
+
+/**
+ * Show the active alphabet's letters in the quick reference and the alphabet badge
+ */
+function renderAlphabetReference() {
+    if (typeof MORSE_LANGUAGE_TABLES === 'undefined') return;
+
+    const table = MORSE_LANGUAGE_TABLES[morseLanguage] || MORSE_LANGUAGE_TABLES.en;
+
+    const badge = document.getElementById('alphabetBadge');
+    if (badge) {
+        badge.textContent = table.name;
+        badge.title = `Blink ${PROSIGNS.DO.pattern} to switch alphabet, ${PROSIGNS.SN.pattern} to go back`;
+    }
+
+    const title = document.getElementById('alphabetRefTitle');
+    if (title) title.textContent = table.name;
+
+    const itemsEl = document.getElementById('alphabetRefItems');
+    if (!itemsEl) return;
+
+    const morseTable = getMorseTable(morseLanguage);
+    itemsEl.innerHTML = '';
+    Object.entries(morseTable)
+        .filter(([, char]) => /[\p{L}\p{M}]/u.test(char))
+        .forEach(([pattern, char]) => {
+            const item = document.createElement('div');
+            item.className = 'ref-item modern-ref-item';
+
+            const code = document.createElement('code');
+            code.className = 'morse-code';
+            code.textContent = formatMorseForDisplay(pattern);
+
+            const letter = document.createElement('span');
+            letter.className = 'letter';
+            letter.textContent = /^\p{M}$/u.test(char) ? `◌${char}` : char;
+
+            item.append(code, letter);
+            itemsEl.appendChild(item);
+        });
+}
+
+/**
+ * AR / SK: save and speak the message, and for SK start a new one
+ * @param {boolean} startOver - Clear the message afterwards
+ */
+function endMessage(startOver) {
+    const name = startOver ? 'SK' : 'AR';
+    if (!decodedText.trim()) {
+        showToast(`${name}: nothing to save`, 'info', 1500);
+        return;
+    }
+
+    settleCorrection();
+    saveCurrentMessage(true);
+    speakCurrentMessage();
+    playTones([523, 659, 784]);
+
+    if (startOver) {
+        resetCurrentMessage();
+        showToast('SK: message saved and spoken - starting a new one', 'success', 2500);
+    } else {
+        showToast('AR: message saved and spoken', 'success', 2000);
+    }
+}
+
+/**
+ * BT: start a new paragraph
+ */
+function insertParagraphBreak() {
+    settleCorrection();
+    
+    // BT ends a sentence that has no full stop of its own
+    if (!/[.?!]\s*$/.test(decodedText)) {
+        echoSentence();
+    }
+    decodedText = decodedText.replace(/[ ]+$/, '') + '\n';
+    letterHistory = [];
+    wordGapPending = false;
+    showToast('BT: new paragraph', 'info', 1500);
+}
+
+/**
+ * KN: speak what was written so far and hand over to the listener
+ */
+function handOver() {
+    if (!decodedText.trim()) {
+        showToast('KN: nothing to say yet', 'info', 1500);
+        return;
+    }
+
+    settleCorrection();
+    speakCurrentMessage();
+    playTones([784, 523]);
+    showToast('KN: over to you', 'info', 2500);
+}
+
+/**
+ * Run a reserved command pattern instead of decoding it as a letter
+ * @param {string} pattern - Completed Morse pattern
+ * @returns {boolean} - True if the pattern was a command
+ */
+function handleCommandPattern(pattern) {
+    // A letter of the active alphabet (such as Ü in German) wins over a command code it shares
+    if (isAlphabetLetter(pattern)) return false;
+
+    switch (pattern) {
+        case commandPatterns.deleteChar:
+            deleteLastCharacter();
+            return true;
+        case commandPatterns.deleteWord:
+            deleteLastWord();
+            return true;
+        case commandPatterns.acceptSuggestion:
+            if (pendingCorrection) {
+                settleCorrection();
+                return true;
+            }
+            if (!wordPredictor) return false;
+            acceptSuggestion();
+            return true;
+        case commandPatterns.nextSuggestion:
+            if (pendingCorrection) {
+                selectCorrectionCandidate(pendingCorrection.index + 1);
+                return true;
+            }
+            if (!wordPredictor) return false;
+            selectNextSuggestion();
+            return true;
+        case commandPatterns.phraseBoard:
+            startPhraseCode();
+            return true;
+    }
+
+    // Error prosign blinked at the end of a letter cancels that letter
+    const cancel = commandPatterns.cancelLetter;
+    if (cancel && pattern.length > cancel.length && pattern.endsWith(cancel)) {
+        cancelLetter(pattern.slice(0, -cancel.length));
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Delete the last character (error prosign on its own)
+ */
+function deleteLastCharacter() {
+    if (phraseCodeBuffer) {
+        phraseCodeBuffer = phraseCodeBuffer.slice(0, -1);
+        updatePhraseBoardStatus(`Phrase code: ${phraseCodeBuffer}_`);
+        showCorrectionFeedback('deleteChar', 'Deleted last code letter');
+        return;
+    }
+
+    // The guess is still the last character: deleting it rejects the correction
+    if (pendingCorrection && decodedText.length === pendingCorrection.position + 1) {
+        rejectCorrection();
+        return;
+    }
+    settleCorrection();
+
+    if (!decodedText) {
+        showCorrectionFeedback('deleteChar', 'Nothing to delete');
+        return;
+    }
+
+    const removed = decodedText.slice(-1);
+    decodedText = decodedText.slice(0, -1);
+    if (removed === ' ') {
+        wordGapPending = false;
+    } else {
+        const letter = letterHistory.pop();
+        if (letter?.logId) pendingRetypes.push(letter.logId);
+    }
+
+    showCorrectionFeedback('deleteChar', removed === ' ' ? 'Deleted space' : `Deleted "${removed}"`);
+}
+
+/**
+ * Delete the last word, including the space after it
+ */
+function deleteLastWord() {
+    settleCorrection();
+    const match = decodedText.match(/\S+\s*$/);
+    if (!match) {
+        decodedText = '';
+        showCorrectionFeedback('deleteWord', 'Nothing to delete');
+        return;
+    }
+
+    decodedText = decodedText.slice(0, match.index);
+    letterHistory = [];
+    pendingRetypes = [];
+    wordGapPending = false;
+
+    showCorrectionFeedback('deleteWord', `Deleted "${match[0].trim()}"`);
+}
+
+/**
+ * Drop the letter being built (error prosign blinked at its end)
+ * @param {string} pattern - Pattern that was cancelled
+ */
+function cancelLetter(pattern) {
+    currentBuilding = '';
+    buildingConfidences = [];
+    updateBuilding('—');
+    showCorrectionFeedback('cancelLetter', pattern ? `Cancelled ${pattern}` : 'Letter cancelled');
+}
+
+/**
+ * Flash the text, play the correction sound and say what changed
+ * @param {string} kind - 'deleteChar', 'deleteWord' or 'cancelLetter'
+ * @param {string} message - Toast text
+ */
+function showCorrectionFeedback(kind, message) {
+    const target = kind === 'cancelLetter' ? buildingEl : decodedEl;
+    if (target) {
+        target.classList.remove('correction-flash');
+        void target.offsetWidth; // Restart the animation
+        target.classList.add('correction-flash');
+    }
+
+    getSessionCounters().corrections++;
+    noteThroughput({ corrections: 1 });
+    playTones(CORRECTION_TONES[kind] || [440]);
+    showToast(`⌫ ${message}`, 'info', 1500);
+}
+
+/**
+ * Shared Web Audio context (created on first use)
+ * @returns {AudioContext|null}
+ */
+function getAudioContext() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+
+    audioContext = audioContext || new AudioContextClass();
+    audioContext.resume?.();
+    return audioContext;
+}
+
+/**
+ * Play short tones one after another
+ * @param {Array<number>} frequencies - Tone frequencies in Hz
+ * @param {Object} options - { duration (s), gap (s), volume, type }
+ */
+function playTones(frequencies, options = {}) {
+    const { duration = 0.08, gap = 0.04, volume = 0.2, type = 'sine' } = options;
+    if (replayState) return; // Replays are silent
+
+    try {
+        const context = getAudioContext();
+        if (!context) return;
+
+        const start = context.currentTime;
+        frequencies.forEach((frequency, index) => {
+            const oscillator = context.createOscillator();
+            const gain = context.createGain();
+            const at = start + index * (duration + gap);
+
+            oscillator.type = type;
+            oscillator.frequency.value = frequency;
+            gain.gain.value = volume;
+            oscillator.connect(gain);
+            gain.connect(context.destination);
+            oscillator.start(at);
+            oscillator.stop(at + duration);
+        });
+    } catch (error) {
+        console.error('Audio feedback error:', error);
+    }
+}
+
+// ==================== LIVE FEEDBACK ====================
+
+// Spoken feedback levels, least to most talkative (each includes the ones before)
+const FEEDBACK_VERBOSITY = ['off', 'sentences', 'words', 'letters'];
+
+// Earcons for each input step (playTones arguments)
+const FEEDBACK_EARCONS = {
+    dot: { frequencies: [1046], duration: 0.04, volume: 0.12 },
+    dash: { frequencies: [784], duration: 0.14, volume: 0.12 },
+    letter: { frequencies: [1318], duration: 0.05, volume: 0.1, type: 'triangle' },
+    word: { frequencies: [659, 494], duration: 0.07, gap: 0.02, volume: 0.1, type: 'triangle' }
+};
+
+// Names for characters a voice would skip or misread on their own
+const FEEDBACK_CHARACTER_NAMES = {
+    '.': 'full stop',
+    ',': 'comma',
+    '?': 'question mark',
+    '!': 'exclamation mark',
+    '\'': 'apostrophe',
+    '"': 'quote',
+    '/': 'slash',
+    '-': 'dash',
+    '(': 'open bracket',
+    ')': 'close bracket',
+    '&': 'and',
+    ':': 'colon',
+    ';': 'semicolon',
+    '=': 'equals',
+    '+': 'plus',
+    '@': 'at'
+};
+
+/**
+ * Whether spoken feedback is on at a level
+ * @param {string} level - 'sentences', 'words' or 'letters'
+ * @returns {boolean}
+ */
+function isFeedbackEnabled(level) {
+    if (replayState) return false;
+
+    const settings = getSettings() || {};
+    const current = FEEDBACK_VERBOSITY.indexOf(settings.feedbackVerbosity || 'off');
+    return current > 0 && current >= FEEDBACK_VERBOSITY.indexOf(level);
+}
+
+/**
+ * Play the earcon for an input step, if earcons are on
+ * @param {string} kind - FEEDBACK_EARCONS key
+ */
+function playEarcon(kind) {
+    const settings = getSettings() || {};
+    const earcon = FEEDBACK_EARCONS[kind];
+    if (!settings.feedbackEarcons || !earcon) return;
+
+    playTones(earcon.frequencies, earcon);
+}
+
+/**
+ * Speak feedback without getting in the way of real speech
+ * @param {string} text - Text to read back
+ * @param {boolean} replace - Drop feedback that has not finished yet
+ */
+function speakFeedback(text, replace = false) {
+    const spoken = (text || '').trim();
+    if (!spoken) return;
+
+    // Low priority: the Speak button and alarms always cut feedback off
+    getSpeechEngine().speak(spoken, {
+        language: getBlinkedTextLanguage(spoken),
+        priority: 'low',
+        interrupt: replace
+    }).catch(error => console.warn('Feedback speech failed:', error.message));
+}
+
+/**
+ * Feedback for a dot or dash added to the building letter
+ * @param {string} symbol - '.' or '-'
+ */
+function echoSymbol(symbol) {
+    playEarcon(symbol === '.' ? 'dot' : 'dash');
+}
+
+/**
+ * Feedback for a letter added to the message
+ * @param {string} char - Decoded character
+ */
+function echoLetter(char) {
+    playEarcon('letter');
+
+    if (isFeedbackEnabled('letters')) {
+        speakFeedback(FEEDBACK_CHARACTER_NAMES[char] || char.toLowerCase(), true);
+    }
+    if (/[.?!]/.test(char)) {
+        echoSentence();
+    }
+}
+
+/**
+ * Read back a finished word
+ * @param {string} word - Word just completed
+ */
+function echoWord(word) {
+    playEarcon('word');
+
+    // A word ending a sentence was just read back with the sentence
+    if (isFeedbackEnabled('words') && !/[.?!]$/.test(word)) {
+        speakFeedback(word);
+    }
+}
+
+/**
+ * Read back the sentence the message ends with
+ */
+function echoSentence() {
+    if (!isFeedbackEnabled('sentences')) return;
+
+    const match = decodedText.replace(/\s+$/, '').match(/[^.?!\n]+[.?!]*$/);
+    if (match) {
+        speakFeedback(match[0]);
+    }
+}
+
+// ==================== FUZZY DECODING ====================
+
+/**
+ * Rank the letters an unknown pattern was probably meant to be
+ * @param {string} pattern - Pattern that is not in the Morse table
+ * @returns {Array<Object>} - [{ char, pattern, distance, ... }] best first; empty if fuzzy decoding is off
+ */
+function findCorrectionCandidates(pattern) {
+    const settings = getSettings() || {};
+    if (settings.fuzzyDecoding === false || typeof getMorseCandidates !== 'function') return [];
+
+    // Confidences only line up when every symbol came from the adaptive classifier
+    const confidences = buildingConfidences.length === pattern.length ? buildingConfidences : [];
+    const candidates = getMorseCandidates(pattern, confidences, { language: morseLanguage });
+
+    // Inside a word, prefer the letter that continues a real word
+    if (wordPredictor && phraseCodeBuffer === null) {
+        return wordPredictor.rankCandidates(decodedText, candidates);
+    }
+    return candidates;
+}
+
+/**
+ * Show the guessed letter so it can be kept, swapped or removed
+ * @param {string} pattern - Pattern that was blinked
+ * @param {Array<Object>} candidates - Ranked candidates (the first is already in the text)
+ * @param {number} confidence - Confidence of the guess
+ * @param {string|null} logId - Letter log id of the guess
+ */
+function offerCorrection(pattern, candidates, confidence, logId = null) {
+    pendingCorrection = {
+        pattern,
+        candidates,
+        index: 0,
+        position: decodedText.length - 1,
+        confidence,
+        logId
+    };
+    renderCorrectionBar();
+}
+
+/**
+ * Keep the guessed letter (also happens when the next letter is blinked)
+ */
+function settleCorrection() {
+    if (!pendingCorrection) return;
+
+    pendingCorrection = null;
+    renderCorrectionBar();
+}
+
+/**
+ * Swap the guessed letter for another candidate
+ * @param {number} index - Candidate index (wraps around)
+ */
+function selectCorrectionCandidate(index) {
+    if (!pendingCorrection || pendingCorrection.position >= decodedText.length) {
+        settleCorrection();
+        return;
+    }
+
+    const { candidates, position } = pendingCorrection;
+    const char = candidates[index % candidates.length].char;
+    pendingCorrection.index = index % candidates.length;
+
+    // Only a word gap can follow the guess, so the rest of the text is kept as is
+    decodedText = decodedText.slice(0, position) + char + decodedText.slice(position + 1);
+    if (decodedText.length === position + 1 && letterHistory.length > 0) {
+        letterHistory[letterHistory.length - 1].text = char;
+    }
+    syncDecodedConfidences();
+    decodedConfidences[position] = pendingCorrection.confidence;
+    if (pendingCorrection.logId) correctLetterEvent(pendingCorrection.logId, char);
+
+    renderCorrectionBar();
+    updateDecoded();
+}
+
+/**
+ * Remove the guessed letter
+ */
+function rejectCorrection() {
+    if (!pendingCorrection) return;
+
+    const { position, pattern, logId } = pendingCorrection;
+    if (position < decodedText.length) {
+        if (decodedText.length === position + 1) letterHistory.pop();
+        decodedText = decodedText.slice(0, position) + decodedText.slice(position + 1);
+    }
+
+    // None of the guesses was meant; the letter blinked next is
+    if (logId) {
+        correctLetterEvent(logId, null);
+        pendingRetypes.push(logId);
+    }
+
+    pendingCorrection = null;
+    renderCorrectionBar();
+    updateDecoded();
+    showCorrectionFeedback('deleteChar', `Removed guess for ${pattern}`);
+}
+
+/**
+ * Keep, swap or remove the guessed letter from the correction bar (recorded, so a replay repeats it)
+ * @param {string} action - 'keep', 'swap' or 'remove'
+ * @param {number} index - Candidate index for 'swap'
+ */
+function applyCorrectionAction(action, index = 0) {
+    if (!pendingCorrection) return;
+
+    recordSessionEntry('event', { name: 'correction', action, index });
+    if (action === 'swap') {
+        selectCorrectionCandidate(index);
+    } else if (action === 'remove') {
+        rejectCorrection();
+    } else {
+        settleCorrection();
+    }
+}
+
+/**
+ * Show the pending correction with its alternatives under the decoded text
+ */
+function renderCorrectionBar() {
+    const correctionBar = document.getElementById('correctionBar');
+    if (!correctionBar) return;
+
+    correctionBar.innerHTML = '';
+    if (!pendingCorrection) return;
+
+    const { pattern, candidates, index } = pendingCorrection;
+
+    const label = document.createElement('span');
+    label.className = 'correction-label';
+    label.textContent = `${formatMorseForDisplay(pattern)} → ${candidates[index].char}?`;
+    correctionBar.appendChild(label);
+
+    candidates.forEach((candidate, candidateIndex) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `suggestion-chip${candidateIndex === index ? ' selected' : ''}`;
+        chip.textContent = candidate.char;
+        chip.title = `${candidate.pattern}${candidate.inWord ? ' - continues a word' : ''}`;
+        chip.addEventListener('click', () => applyCorrectionAction('swap', candidateIndex));
+        correctionBar.appendChild(chip);
+    });
+
+    const acceptBtn = document.createElement('button');
+    acceptBtn.type = 'button';
+    acceptBtn.className = 'btn btn-success btn-sm';
+    acceptBtn.textContent = '✓ Keep';
+    acceptBtn.addEventListener('click', () => applyCorrectionAction('keep'));
+
+    const rejectBtn = document.createElement('button');
+    rejectBtn.type = 'button';
+    rejectBtn.className = 'btn btn-outline btn-sm';
+    rejectBtn.textContent = '✗ Remove';
+    rejectBtn.addEventListener('click', () => applyCorrectionAction('remove'));
+
+    const hint = document.createElement('span');
+    hint.className = 'suggestion-hint';
+    hint.textContent = `${commandPatterns.acceptSuggestion} = keep · ${commandPatterns.nextSuggestion} = next · ${commandPatterns.deleteChar} = remove`;
+
+    correctionBar.append(acceptBtn, rejectBtn, hint);
+}
+
+// ==================== LETTER LOG ====================
+
+/**
+ * Log a blinked letter for the confusion matrix (Messages → Analytics)
+ * @param {string} pattern - Pattern that was blinked
+ * @param {string|null} guess - Fuzzy-decoding guess, if the pattern was not a letter
+ * @returns {string|null} - Log id, so a later correction can be attached
+ */
+function logBlinkedLetter(pattern, guess = null) {
+    if (replayState) return null;
+
+    try {
+        return recordLetterEvent({
+            pattern,
+            char: decodeBlinkedLetter(pattern),
+            intended: guess,
+            source: 'blink',
+            language: morseLanguage
+        }).id;
+    } catch (error) {
+        console.error('Error logging letter:', error);
+        return null;
+    }
+}
+
+/**
+ * A letter blinked after a deletion is what the deleted letter should have been
+ * @param {string} char - Letter just blinked
+ */
+function resolveRetype(char) {
+    const logId = pendingRetypes.pop();
+    if (logId) correctLetterEvent(logId, char);
+}
+
+// ==================== THROUGHPUT ====================
+
+/**
+ * Count input for the current session (started by the first input, ended by a long pause or leaving the page)
+ * @param {Object} counts - Any of { letters, characters, words, corrections }
+ */
+function noteThroughput(counts) {
+    if (replayState) return;
+
+    const now = Date.now();
+
+    if (throughputSession && now - throughputSession.endedAt > THROUGHPUT_SESSION_TIMEOUT) {
+        saveThroughput();
+        throughputSession = null;
+    }
+    if (!throughputSession) {
+        throughputSession = {
+            id: `session_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            startedAt: now,
+            endedAt: now,
+            letters: 0,
+            characters: 0,
+            words: 0,
+            corrections: 0,
+            idleTime: 0
+        };
+    }
+
+    const pause = now - throughputSession.endedAt;
+    if (pause > THROUGHPUT_IDLE_GAP) {
+        throughputSession.idleTime += pause;
+    }
+    throughputSession.endedAt = now;
+
+    Object.entries(counts).forEach(([key, value]) => {
+        throughputSession[key] += value;
+    });
+
+    if (now - throughputSavedAt >= THROUGHPUT_SAVE_INTERVAL) {
+        saveThroughput();
+    }
+}
+
+/**
+ * Store the current session's metrics (it keeps running)
+ */
+function saveThroughput() {
+    if (!throughputSession || typeof saveSessionMetrics !== 'function') return;
+
+    throughputSavedAt = Date.now();
+    saveSessionMetrics(throughputSession);
+}
+
+// ==================== DECODING CONFIDENCE ====================
+
+/**
+ * Confidence that a letter was decoded as the user meant it
+ * @param {string} pattern - Pattern that was blinked
+ * @param {Object} candidate - Fuzzy-decoding guess, if the pattern was not a letter
+ * @returns {number} - 0-1; the least certain symbol decides, a guess divides by (1 + edit distance)
+ */
+function getLetterConfidence(pattern, candidate = null) {
+    const symbols = buildingConfidences.length === pattern.length
+        ? buildingConfidences.filter(Number.isFinite)
+        : [];
+    const timing = symbols.length > 0 ? Math.min(...symbols) : 1;
+
+    return candidate ? timing / (1 + candidate.distance) : timing;
+}
+
+/**
+ * Session counters (created on first use)
+ * @returns {Object} - { letters, clean, guessed, unknown, corrections, startedAt }
+ */
+function getSessionCounters() {
+    if (!sessionAccuracy) {
+        sessionAccuracy = { letters: 0, clean: 0, guessed: 0, unknown: 0, corrections: 0, startedAt: Date.now() };
+    }
+    return sessionAccuracy;
+}
+
+/**
+ * Append a decoded letter with its confidence and count it for the session
+ * @param {string} char - Decoded character ('' for a pattern that could not be decoded)
+ * @param {number} confidence - Letter confidence (0-1)
+ * @param {boolean} guessed - Whether fuzzy decoding picked the letter
+ */
+function recordDecodedLetter(char, confidence, guessed) {
+    const counters = getSessionCounters();
+    counters.letters++;
+    noteThroughput({ letters: 1, characters: char ? 1 : 0 });
+
+    if (!char) {
+        counters.unknown++;
+        return;
+    }
+
+    if (guessed) {
+        counters.guessed++;
+    } else if (confidence >= LOW_CONFIDENCE) {
+        counters.clean++;
+    }
+
+    syncDecodedConfidences();
+    decodedText = typeof composeMorseText === 'function'
+        ? composeMorseText(decodedText, char, morseLanguage)
+        : decodedText + char;
+    syncDecodedConfidences();
+    decodedConfidences[decodedText.length - 1] = confidence;
+}
+
+/**
+ * Keep the confidences lined up with decodedText after edits, deletions and suggestions
+ */
+function syncDecodedConfidences() {
+    if (confidenceText === decodedText) return;
+
+    let common = 0;
+    while (common < confidenceText.length && confidenceText[common] === decodedText[common]) {
+        common++;
+    }
+
+    decodedConfidences = decodedConfidences.slice(0, common);
+    while (decodedConfidences.length < decodedText.length) {
+        decodedConfidences.push(null);
+    }
+    confidenceText = decodedText;
+}
+
+/**
+ * Reliability of the current session
+ * @returns {Object|null} - { accuracy, avgConfidence, letters, lowConfidence, guessed, unknown, corrections, duration }
+ */
+function getSessionAccuracy() {
+    if (!sessionAccuracy || sessionAccuracy.letters === 0) return null;
+
+    syncDecodedConfidences();
+    const scored = decodedConfidences.filter(Number.isFinite);
+    const average = scored.length > 0 ? scored.reduce((sum, value) => sum + value, 0) / scored.length : null;
+
+    return {
+        accuracy: Math.round((sessionAccuracy.clean / sessionAccuracy.letters) * 1000) / 1000,
+        avgConfidence: average === null ? null : Math.round(average * 1000) / 1000,
+        letters: sessionAccuracy.letters,
+        lowConfidence: scored.filter(value => value < LOW_CONFIDENCE).length,
+        guessed: sessionAccuracy.guessed,
+        unknown: sessionAccuracy.unknown,
+        corrections: sessionAccuracy.corrections,
+        duration: Date.now() - sessionAccuracy.startedAt
+    };
+}
+
+/**
+ * Show the decoded text, highlighting letters below LOW_CONFIDENCE
+ */
+function renderDecodedText() {
+    if (!decodedEl) return;
+
+    const settings = getSettings() || {};
+    syncDecodedConfidences();
+
+    const hasLowConfidence = decodedConfidences.some(value => Number.isFinite(value) && value < LOW_CONFIDENCE);
+    if (settings.showConfidence === false || !hasLowConfidence) {
+        decodedEl.textContent = decodedText;
+        return;
+    }
+
+    decodedEl.textContent = '';
+    [...decodedText].forEach((char, index) => {
+        const confidence = decodedConfidences[index];
+        if (Number.isFinite(confidence) && confidence < LOW_CONFIDENCE) {
+            const span = document.createElement('span');
+            span.className = 'low-confidence';
+            span.title = `Confidence ${Math.round(confidence * 100)}%`;
+            span.textContent = char;
+            decodedEl.appendChild(span);
+        } else {
+            decodedEl.appendChild(document.createTextNode(char));
+        }
+    });
+}
+
+/**
+ * Show the running session accuracy next to the word count
+ */
+function updateAccuracyDisplay() {
+    const accuracyEl = document.getElementById('sessionAccuracy');
+    if (!accuracyEl) return;
+
+    const session = getSessionAccuracy();
+    accuracyEl.textContent = session ? `${Math.round(session.accuracy * 100)}%` : '-';
+    accuracyEl.title = session
+        ? `${session.letters} letters, ${session.lowConfidence} low confidence, ${session.guessed} guessed, ${session.unknown} unknown, ${session.corrections} corrections`
+        : '';
+}
+
+// ==================== WORD PREDICTION ====================
+
+/**
+ * Create the word predictor and teach it the user's saved messages
+ */
+function initializeWordPrediction() {
+    const settings = getSettings() || {};
+    if (typeof WordPredictor === 'undefined' || settings.wordPrediction === false) return;
+
+    wordPredictor = new WordPredictor({ maxSuggestions: settings.suggestionCount || 5 });
+
+    try {
+        if (typeof getAllMessages === 'function') {
+            wordPredictor.learnFromMessages(getAllMessages());
+        }
+    } catch (error) {
+        console.error('Error loading prediction history:', error);
+    }
+
+    updateSuggestions();
+}
+
+/**
+ * Recompute suggestions when the message changed
+ */
+function updateSuggestions() {
+    if (!wordPredictor || decodedText === lastPredictedText) return;
+
+    lastPredictedText = decodedText;
+    suggestions = isLatinAlphabet() ? wordPredictor.predict(decodedText) : [];
+    selectedSuggestion = 0;
+    renderSuggestions();
+}
+
+/**
+ * Show the suggestion chips under the decoded text
+ */
+function renderSuggestions() {
+    const suggestionBar = document.getElementById('suggestionBar');
+    if (!suggestionBar) return;
+
+    suggestionBar.innerHTML = '';
+
+    suggestions.forEach((suggestion, index) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `suggestion-chip${index === selectedSuggestion ? ' selected' : ''}`;
+        chip.textContent = suggestion.word;
+        chip.title = suggestion.type === 'completion' ? 'Complete word' : 'Next word';
+        chip.addEventListener('click', () => {
+            recordSessionEntry('event', { name: 'suggestion', word: suggestion.word });
+            acceptSuggestion(index);
+        });
+        suggestionBar.appendChild(chip);
+    });
+
+    if (suggestions.length > 0) {
+        const hint = document.createElement('span');
+        hint.className = 'suggestion-hint';
+        hint.textContent = `${commandPatterns.acceptSuggestion} or long blink = accept · ${commandPatterns.nextSuggestion} = next`;
+        suggestionBar.appendChild(hint);
+    }
+}
+
+/**
+ * Highlight the next suggestion (wraps around)
+ */
+function selectNextSuggestion() {
+    if (suggestions.length === 0) return;
+
+    selectedSuggestion = (selectedSuggestion + 1) % suggestions.length;
+    renderSuggestions();
+}
+
+/**
+ * Insert a suggestion into the message
+ * @param {number} index - Suggestion index (defaults to the highlighted one)
+ */
+function acceptSuggestion(index = selectedSuggestion) {
+    const suggestion = suggestions[index];
+    if (!suggestion || !wordPredictor) {
+        showToast('No suggestion to accept', 'info', 1500);
+        return;
+    }
+
+    insertSuggestion(suggestion.word);
+}
+
+/**
+ * Complete the current word with a suggested one
+ * @param {string} word - Suggested word
+ */
+function insertSuggestion(word) {
+    settleCorrection();
+    const before = decodedText.length;
+    decodedText = wordPredictor.applySuggestion(decodedText, word);
+    noteThroughput({ characters: Math.max(0, decodedText.length - before), words: 1 });
+    echoWord(word);
+
+    // The accepted word already ends with a space
+    wordGapPending = false;
+    lastBlinkEndTime = 0;
+
+    updateDecoded();
+}
+
+// ==================== PHRASE BOARD ====================
+
+/**
+ * Start collecting a phrase shortcut code (after the phrase prosign)
+ */
+function startPhraseCode() {
+    stopPhraseScan();
+    phraseCodeBuffer = '';
+    updatePhraseBoardStatus('Phrase code: _  (pause to scan the board)');
+}
+
+/**
+ * Add a decoded character to the shortcut code and use the phrase once it is unambiguous
+ * @param {string} char - Decoded character
+ */
+function addPhraseCodeChar(char) {
+    phraseCodeBuffer += char;
+
+    const board = getPhraseBoard();
+    const codes = board.flatMap(category => category.phrases.map(phrase => phrase.code).filter(Boolean));
+    const exact = codes.includes(phraseCodeBuffer);
+    const longer = codes.some(code => code !== phraseCodeBuffer && code.startsWith(phraseCodeBuffer));
+
+    if (exact && !longer) {
+        finishPhraseCode();
+    } else if (!exact && !longer) {
+        showToast(`No phrase for code ${phraseCodeBuffer}`, 'warning', 2000);
+        phraseCodeBuffer = null;
+        updatePhraseBoardStatus();
+    } else {
+        updatePhraseBoardStatus(`Phrase code: ${phraseCodeBuffer}_`);
+    }
+}
+
+/**
+ * Use the phrase for the collected code, or start scanning if no code was blinked
+ */
+function finishPhraseCode() {
+    const code = phraseCodeBuffer;
+    phraseCodeBuffer = null;
+    updatePhraseBoardStatus();
+
+    if (!code) {
+        startPhraseScan();
+        return;
+    }
+
+    const phrase = findPhraseByCode(code);
+    if (phrase) {
+        usePhrase(phrase);
+    } else {
+        showToast(`No phrase for code ${code}`, 'warning', 2000);
+    }
+}
+
+/**
+ * Speak a phrase and save it as a message
+ * @param {Object} phrase - Phrase from the board
+ */
+function usePhrase(phrase) {
+    if (replayState) {
+        showToast(`Replay: phrase "${phrase.text}"`, 'info', 2000);
+        return;
+    }
+
+    const language = Translation.detectTextLanguage(phrase.text);
+    speakText(phrase.text, language);
+
+    try {
+        if (typeof saveMessage === 'function') {
+            saveMessage(phrase.text, false, language);
+        }
+        wordPredictor?.learnText(phrase.text);
+    } catch (error) {
+        console.error('Error saving phrase:', error);
+    }
+
+    showToast(`"${phrase.text}"`, 'success', 3000);
+    renderPhraseBoard(phrase.id);
+}
+
+/**
+ * Start the auto-scanning board (categories first, then phrases)
+ */
+function startPhraseScan() {
+    stopPhraseScan();
+
+    const board = getPhraseBoard().filter(category => category.phrases.length > 0);
+    if (board.length === 0) {
+        showToast('The phrase board is empty - add phrases in Settings', 'warning', 3000);
+        return;
+    }
+
+    // Drop any half-blinked letter so it does not appear after scanning
+    currentBuilding = '';
+    updateBuilding('—');
+
+    const settings = getSettings() || {};
+    phraseScan = {
+        board,
+        level: 'category',
+        category: null,
+        index: -1,
+        cycles: 0,
+        interval: settings.phraseScanInterval || 1500,
+        nextAt: 0 // Decoder time of the next highlight step
+    };
+
+    restartPhraseScanTimer();
+    updatePhraseScanButton();
+}
+
+/**
+ * Stop scanning
+ */
+function stopPhraseScan() {
+    if (!phraseScan) return;
+
+    phraseScan = null;
+    renderPhraseBoard();
+    updatePhraseScanButton();
+}
+
+/**
+ * Restart the highlight from the first item of the current level
+ */
+function restartPhraseScanTimer() {
+    phraseScan.index = -1;
+    phraseScan.cycles = 0;
+    advancePhraseScan();
+}
+
+/**
+ * Move the highlight on once the scan interval has passed on the decoder clock,
+ * so a replayed session selects the same phrases at any speed
+ */
+function checkPhraseScan() {
+    if (phraseScan && getDecoderTime() >= phraseScan.nextAt) {
+        advancePhraseScan();
+    }
+}
+
+/**
+ * Items scanned at the current level
+ * @returns {Array<Object>} - Categories, or the category's phrases plus a back item
+ */
+function getPhraseScanItems() {
+    if (phraseScan.level === 'category') {
+        return phraseScan.board;
+    }
+    return [...phraseScan.category.phrases, { id: 'back', back: true, text: '↩ Back' }];
+}
+
+/**
+ * Move the highlight to the next item
+ */
+function advancePhraseScan() {
+    if (!phraseScan) return;
+
+    const items = getPhraseScanItems();
+    phraseScan.index = (phraseScan.index + 1) % items.length;
+    phraseScan.nextAt = getDecoderTime() + phraseScan.interval;
+
+    if (phraseScan.index === 0 && ++phraseScan.cycles > PHRASE_SCAN_MAX_CYCLES) {
+        stopPhraseScan();
+        updatePhraseBoardStatus('Scanning stopped - nothing selected');
+        return;
+    }
+
+    renderPhraseBoard();
+}
+
+/**
+ * Select the highlighted item
+ */
+function selectPhraseScanItem() {
+    if (!phraseScan) return;
+
+    const item = getPhraseScanItems()[phraseScan.index];
+    scanSuppressUntil = getDecoderTime() + PHRASE_SCAN_SETTLE;
+
+    // The firmware built a letter from the selecting blink - drop it
+    if (isConnected) {
+        sendToDevice('RESET');
+    }
+
+    if (phraseScan.level === 'category') {
+        phraseScan.level = 'phrase';
+        phraseScan.category = item;
+        restartPhraseScanTimer();
+    } else if (item.back) {
+        phraseScan.level = 'category';
+        phraseScan.category = null;
+        restartPhraseScanTimer();
+    } else {
+        stopPhraseScan();
+        usePhrase(item);
+    }
+}
+
+/**
+ * While scanning, blinks select the highlighted item instead of typing
+ * @param {Object} message - Protocol message
+ * @returns {boolean} - True if the message was consumed
+ */
+function handleScanBlink(message) {
+    const isBlinkMessage = ['EVT', 'SYM', 'CHAR', 'GAP', 'KEY', 'BUILDING'].includes(message.type);
+    if (!isBlinkMessage || (!phraseScan && getDecoderTime() >= scanSuppressUntil)) {
+        return false;
+    }
+
+    // Legacy firmware without raw timing only reports whole letters
+    const selects = (message.type === 'EVT' && message.value === 'UP') ||
+        (message.type === 'CHAR' && message.legacy) ||
+        (message.type === 'KEY' && !message.value.endsWith('_UP'));
+
+    if (phraseScan && selects && getDecoderTime() >= scanSuppressUntil) {
+        selectPhraseScanItem();
+    }
+    return true;
+}
+
+/**
+ * Draw the phrase board
+ * @param {string|null} usedPhraseId - Phrase to flash as just used
+ */
+function renderPhraseBoard(usedPhraseId = null) {
+    const boardEl = document.getElementById('phraseBoard');
+    if (!boardEl || typeof getPhraseBoard !== 'function') return;
+
+    const board = phraseScan ? phraseScan.board : getPhraseBoard();
+    const scanItems = phraseScan ? getPhraseScanItems() : [];
+    const highlighted = phraseScan ? scanItems[phraseScan.index] : null;
+
+    boardEl.innerHTML = '';
+
+    board.forEach(category => {
+        const categoryEl = document.createElement('div');
+        categoryEl.className = 'phrase-category';
+        if (phraseScan?.level === 'category' && highlighted?.id === category.id) {
+            categoryEl.classList.add('scan-active');
+        }
+        if (phraseScan?.category?.id === category.id) {
+            categoryEl.classList.add('scan-open');
+        }
+
+        const titleEl = document.createElement('div');
+        titleEl.className = 'phrase-category-title';
+        titleEl.textContent = `${category.icon || ''} ${category.name}`.trim();
+        categoryEl.appendChild(titleEl);
+
+        const phrases = phraseScan?.category?.id === category.id ? scanItems : category.phrases;
+        phrases.forEach(phrase => {
+            const phraseBtn = document.createElement('button');
+            phraseBtn.type = 'button';
+            phraseBtn.className = 'phrase-btn';
+            if (phraseScan?.level === 'phrase' && highlighted === phrase) {
+                phraseBtn.classList.add('scan-active');
+            }
+            if (phrase.id === usedPhraseId) {
+                phraseBtn.classList.add('used');
+            }
+
+            phraseBtn.textContent = phrase.text;
+            if (phrase.code) {
+                const codeEl = document.createElement('span');
+                codeEl.className = 'phrase-code';
+                codeEl.textContent = phrase.code;
+                phraseBtn.appendChild(codeEl);
+            }
+
+            phraseBtn.addEventListener('click', () => {
+                if (phrase.back) {
+                    phraseScan.level = 'category';
+                    phraseScan.category = null;
+                    restartPhraseScanTimer();
+                    return;
+                }
+                stopPhraseScan();
+                usePhrase(phrase);
+            });
+            categoryEl.appendChild(phraseBtn);
+        });
+
+        boardEl.appendChild(categoryEl);
+    });
+}
+
+/**
+ * Show the phrase board status line
+ * @param {string} text - Status text (defaults to the usage hint)
+ */
+function updatePhraseBoardStatus(text = null) {
+    const statusLine = document.getElementById('phraseBoardStatus');
+    if (!statusLine) return;
+
+    statusLine.textContent = text ||
+        `Blink ${commandPatterns.phraseBoard} then a code (e.g. W) for a phrase, or ${commandPatterns.phraseBoard} and pause to scan`;
+}
+
+/**
+ * Keep the scan button label in sync
+ */
+function updatePhraseScanButton() {
+    const scanBtn = document.getElementById('phraseScanBtn');
+    if (scanBtn) {
+        scanBtn.innerHTML = phraseScan ? '<span>⏹️</span> <span>Stop Scanning</span>' : '<span>▶️</span> <span>Start Scanning</span>';
+    }
+    updatePhraseBoardStatus(phraseScan ? 'Scanning - blink once to select the highlighted item' : null);
+}
+
+// ==================== SESSION RECORDER ====================
+
+/**
+ * Clock for decoding: the recording's clock during a replay, otherwise now
+ * @returns {number} - Timestamp in ms
+ */
+function getDecoderTime() {
+    return replayState?.replay ? replayState.replay.getClock() : Date.now();
+}
+
+/**
+ * Create the recorder and list the saved recordings
+ */
+function initializeSessionRecorder() {
+    if (typeof SessionRecorder === 'undefined') return;
+
+    sessionRecorder = new SessionRecorder({
+        save: saveSessionLog,
+        getResult: () => decodedText
+    });
+    refreshSessionLogs();
+}
+
+/**
+ * Add to the current recording; data from the device (or a connect) starts a new one
+ * @param {string} type - 'line', 'raw', 'sent' or 'event'
+ * @param {*} data - Line, raw chunk, command or { name, ... } event
+ */
+function recordSessionEntry(type, data) {
+    if (!sessionRecorder || replayState) return;
+
+    const settings = getSettings() || {};
+    if (settings.recordSessions === false) return;
+
+    if (!sessionRecorder.isRecording()) {
+        const startsRecording = type === 'line' || type === 'raw' || data?.name === 'connect';
+        if (!startsRecording) return;
+
+        sessionRecorder.start({ connection: connectionType || '', snapshot: getDecoderSnapshot() });
+        updateRecorderStatus();
+    }
+    sessionRecorder.record(type, data);
+}
+
+/**
+ * Decoder state a replay starts from
+ * @returns {Object} - { settings, timingProfile, text }
+ */
+function getDecoderSnapshot() {
+    const settings = getSettings() || {};
+    return {
+        settings: Object.fromEntries(REPLAY_SETTINGS.filter(key => key in settings).map(key => [key, settings[key]])),
+        // Copied: the classifier keeps learning into the arrays toJSON() returns
+        timingProfile: timingClassifier ? JSON.parse(JSON.stringify(timingClassifier.toJSON())) : null,
+        text: decodedText
+    };
+}
+
+/**
+ * Save and close the current recording
+ */
+async function finishSessionRecording() {
+    if (!sessionRecorder?.isRecording()) return;
+
+    const log = await sessionRecorder.stop();
+    updateRecorderStatus();
+    refreshSessionLogs(log?.id);
+}
+
+/**
+ * Show whether a session is being recorded or replayed
+ */
+function updateRecorderStatus() {
+    const statusEl = document.getElementById('recorderStatus');
+    if (statusEl) {
+        const recording = Boolean(sessionRecorder?.isRecording());
+        statusEl.textContent = replayState ? 'Replaying' : recording ? '● Recording' : 'Idle';
+        statusEl.classList.toggle('danger', recording && !replayState);
+    }
+
+    const replayBtn = document.getElementById('replayBtn');
+    if (replayBtn) {
+        replayBtn.innerHTML = replayState ? '<span>⏹️ Stop</span>' : '<span>▶️ Replay</span>';
+    }
+}
+
+/**
+ * Fill the recording list
+ * @param {string} selectId - Recording to select
+ */
+async function refreshSessionLogs(selectId = null) {
+    const select = document.getElementById('sessionLogSelect');
+    if (!select || typeof getSessionLogList !== 'function') return;
+
+    const previous = selectId || select.value;
+    try {
+        const logs = await getSessionLogList();
+        select.innerHTML = '';
+        logs.forEach(log => {
+            const option = document.createElement('option');
+            option.value = log.id;
+            const result = log.result.trim();
+            option.textContent = `${new Date(log.startedAt).toLocaleString()} · ${log.lines} lines`
+                + (result ? ` · "${result.length > 24 ? `${result.slice(0, 24)}…` : result}"` : '');
+            select.appendChild(option);
+        });
+        if (logs.length === 0) {
+            select.innerHTML = '<option value="">No recordings yet</option>';
+        } else if (logs.some(log => log.id === previous)) {
+            select.value = previous;
+        }
+    } catch (error) {
+        console.error('Error listing session recordings:', error);
+        select.innerHTML = '<option value="">Recordings unavailable</option>';
+    }
+}
+
+/**
+ * Replay the selected recording through the decoder
+ */
+async function startReplay() {
+    const id = document.getElementById('sessionLogSelect')?.value;
+    if (!id || typeof SessionReplay === 'undefined') {
+        showToast('No recording selected', 'warning', 2000);
+        return;
+    }
+    if (isConnected) {
+        showToast('Disconnect the device before replaying', 'warning', 3000);
+        return;
+    }
+    if (emergencyState) {
+        showToast('Acknowledge the emergency before replaying', 'warning', 3000);
+        return;
+    }
+
+    let log;
+    try {
+        await finishSessionRecording();
+        log = await getSessionLog(id);
+    } catch (error) {
+        console.error('Error loading session recording:', error);
+    }
+    if (!log) {
+        showToast('Recording could not be loaded', 'error', 3000);
+        return;
+    }
+
+    if (trainingActive) stopTraining();
+    stopPhraseScan();
+    scanSuppressUntil = 0;
+
+    // Decode from the recorded starting point, keeping the user's message aside
+    replayState = {
+        log,
+        replay: null,
+        settings: log.snapshot?.settings || {},
+        saved: { text: decodedText, timingClassifier, deviceProtocol, morseLanguage },
+        emergencies: []
+    };
+    if (typeof BlinkTimingClassifier !== 'undefined') {
+        timingClassifier = BlinkTimingClassifier.fromJSON(log.snapshot?.timingProfile || null);
+    }
+    deviceProtocol = typeof DeviceProtocol !== 'undefined' ? new DeviceProtocol() : null;
+    resetCurrentMessage();
+    loadCommandPatterns();
+    decodedText = log.snapshot?.text || '';
+    updateDecoded();
+
+    const speed = parseFloat(document.getElementById('replaySpeedSelect')?.value) || 0;
+    const progressEl = document.getElementById('replayProgress');
+    const resultEl = document.getElementById('replayResult');
+    if (resultEl) {
+        resultEl.textContent = `Replaying ${log.entries.filter(entry => entry.type === 'line').length} lines${speed ? ` at ${speed}×` : ''}...`;
+        resultEl.classList.remove('is-match', 'is-different');
+    }
+
+    // Run on past the last line until a word gap has passed, so the last word commits
+    const wordGap = timingClassifier ? timingClassifier.getThresholds().wordGap : 0;
+    const dualTiming = getDualTiming();
+    replayState.replay = new SessionReplay(log, {
+        speed,
+        tick: SILENCE_CHECK_INTERVAL,
+        tail: Math.max(REPLAY_DEFAULTS.tail, wordGap + 1000, dualTiming.letterGap + dualTiming.wordGap + 1000),
+        onEntry: replaySessionEntry,
+        onTick: checkSilenceGap,
+        onProgress: fraction => {
+            if (progressEl) progressEl.value = fraction;
+        },
+        onEnd: finishReplay
+    });
+    updateRecorderStatus();
+    replayState.replay.start();
+}
+
+/**
+ * Feed one recorded entry back: device lines and the user's own changes to the message
+ * @param {Object} entry - { t, type, data }
+ */
+function replaySessionEntry(entry) {
+    if (entry.type === 'line') {
+        handleDataLine(entry.data);
+        return;
+    }
+    if (entry.type !== 'event') return;
+
+    switch (entry.data?.name) {
+        case 'clear':
+            resetCurrentMessage();
+            break;
+        case 'manual':
+            decodedText += entry.data.text || '';
+            updateDecoded();
+            break;
+        case 'suggestion':
+            if (wordPredictor) insertSuggestion(entry.data.word);
+            break;
+        case 'correction':
+            applyCorrectionAction(entry.data.action, entry.data.index);
+            break;
+        case 'edit':
+            settleCorrection();
+            decodedText = entry.data.text || '';
+            updateDecoded();
+            break;
+        case 'scan':
+            entry.data.start ? startPhraseScan() : stopPhraseScan();
+            break;
+    }
+}
+
+/**
+ * Compare the replayed text with the recording and give the user their message back
+ * @param {boolean} completed - Whether the replay reached the end
+ */
+function finishReplay(completed) {
+    const state = replayState;
+    if (!state) return;
+    stopPhraseScan();
+    scanSuppressUntil = 0;
+
+    const replayed = decodedText.trim();
+    const recorded = (state.log.result || '').trim();
+    const resultEl = document.getElementById('replayResult');
+    if (resultEl) {
+        const emergencies = state.emergencies.length > 0 ? `\nEmergency detected: ${state.emergencies.join(', ')}` : '';
+        if (!completed) {
+            resultEl.textContent = `Replay stopped. Decoded so far: "${replayed}"${emergencies}`;
+        } else if (replayed === recorded) {
+            resultEl.textContent = `✓ Same as recorded: "${replayed}"${emergencies}`;
+        } else {
+            resultEl.textContent = `✗ Different from the recording\nRecorded: "${recorded}"\nReplayed: "${replayed}"${emergencies}`;
+        }
+        resultEl.classList.toggle('is-match', completed && replayed === recorded);
+        resultEl.classList.toggle('is-different', completed && replayed !== recorded);
+    }
+
+    replayState = null;
+    timingClassifier = state.saved.timingClassifier;
+    deviceProtocol = state.saved.deviceProtocol;
+    resetCurrentMessage();
+    loadCommandPatterns();
+    morseLanguage = state.saved.morseLanguage;
+    updateCommandPatterns();
+    decodedText = state.saved.text;
+    updateDecoded();
+    updateTimingProfile();
+    updateRecorderStatus();
+}
+
+/**
+ * Download the selected recording as a JSON file
+ */
+async function exportSelectedSessionLog() {
+    const id = document.getElementById('sessionLogSelect')?.value;
+    if (!id) {
+        showToast('No recording selected', 'warning', 2000);
+        return;
+    }
+
+    try {
+        const log = await getSessionLog(id);
+        const blob = createDownloadBlob(JSON.stringify(log, null, 2), 'application/json');
+        const date = new Date(log.startedAt).toISOString().replace(/[:.]/g, '-').slice(0, 19);
+        triggerDownload(blob, `eyeblink-session-${date}.json`);
+    } catch (error) {
+        console.error('Error exporting session recording:', error);
+        showToast('Recording could not be exported', 'error', 3000);
+    }
+}
+
+/**
+ * Add a recording from an exported file
+ * @param {File} file - JSON file
+ */
+async function importSessionLogFile(file) {
+    try {
+        const log = normalizeSessionLog(JSON.parse(await file.text()));
+        await saveSessionLog(log);
+        await refreshSessionLogs(log.id);
+        showToast(`Imported recording with ${log.entries.length} entries`, 'success', 2500);
+    } catch (error) {
+        console.error('Error importing session recording:', error);
+        showToast(`Import failed: ${error.message}`, 'error', 3000);
+    }
+}
+
+/**
+ * Delete the selected recording
+ */
+async function deleteSelectedSessionLog() {
+    const id = document.getElementById('sessionLogSelect')?.value;
+    if (!id || !confirm('Delete this recording?')) return;
+
+    try {
+        await deleteSessionLog(id);
+        await refreshSessionLogs();
+        showToast('Recording deleted', 'info', 2000);
+    } catch (error) {
+        console.error('Error deleting session recording:', error);
+        showToast('Recording could not be deleted', 'error', 3000);
+    }
+}
+
+// ==================== DEVICE SIMULATOR ====================
+
+/**
+ * Show the simulator controls while the virtual device is connected, or the switch pad in switch mode
+ */
+function updateSimulatorPanel() {
+    const card = document.getElementById('simulatorCard');
+    if (card) card.style.display = connectionType === 'virtual' ? '' : 'none';
+    
+    const switchCard = document.getElementById('switchCard');
+    if (switchCard) switchCard.style.display = connectionType === 'switch' ? '' : 'none';
+    
+    const cameraCard = document.getElementById('cameraCard');
+    if (cameraCard) cameraCard.style.display = connectionType === 'camera' ? '' : 'none';
+    
+    const timing = getSwitchTiming();
+    const switchHint = document.getElementById('switchHint');
+    if (switchHint) {
+        switchHint.textContent = `Dot under ${timing.DOT_TH} ms, letter after ${timing.CHAR_GAP / 1000}s, word after ${timing.WORD_GAP / 1000}s more. ` +
+            `Press the pad, a mouse button or ${getSwitchKeyName()}.`;
+    }
+    updateSimulatorStatus();
+}
+
+/**
+ * Show the virtual eye, alarm and script progress
+ */
+function updateSimulatorStatus() {
+    const simStatusEl = document.getElementById('simStatus');
+    if (!simStatusEl) return;
+    
+    if (!virtualDevice) {
+        simStatusEl.textContent = 'Not connected';
+        return;
+    }
+    
+    const parts = [virtualDevice.eyeClosed ? '🙈 Eye closed' : '👁️ Eye open'];
+    if (virtualDevice.dualMode) {
+        parts[0] = `Two-switch: dot ${virtualDevice.eyeClosed ? 'closed' : 'open'}, dash ${virtualDevice.dashClosed ? 'closed' : 'open'}`;
+    }
+    const progress = virtualDevice.getScriptProgress();
+    if (progress) parts.push(`script step ${progress.step} of ${progress.total}`);
+    if (virtualDevice.alarmActive) parts.push('🚨 buzzer alarm on');
+    simStatusEl.textContent = parts.join(' · ');
+    
+    document.getElementById('simBlinkBtn')?.classList.toggle('active', virtualDevice.eyeClosed);
+    updateSwitchRing();
+}
+
+/**
+ * Spacebar (or the switch key in switch mode) closes the virtual eye while held, except while typing
+ * @param {KeyboardEvent} event - keydown or keyup
+ */
+function handleSimulatorKey(event) {
+    if (!virtualDevice || connectionType === 'camera' || !isSwitchKey(event)) return;
+    
+    const target = event.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+    
+    event.preventDefault();
+    if (event.type === 'keyup') {
+        virtualDevice.eyeUp();
+    } else if (!event.repeat) {
+        pressVirtualSwitch();
+    }
+}
+
+/**
+ * Whether a key works as the switch: the spacebar for the simulator, the chosen key in switch mode
+ * @param {KeyboardEvent} event - Key event
+ * @returns {boolean}
+ */
+function isSwitchKey(event) {
+    const key = connectionType === 'switch' ? (getSettings() || {}).switchKey || 'Space' : 'Space';
+    if (key === 'any') {
+        return !['Tab', 'Escape', 'Shift', 'Control', 'Alt', 'Meta'].includes(event.key);
+    }
+    return event.code === key || event.key === key;
+}
+
+/**
+ * Name of the switch key for hints
+ * @returns {string}
+ */
+function getSwitchKeyName() {
+    const key = (getSettings() || {}).switchKey || 'Space';
+    return { Space: 'the spacebar', Enter: 'Enter', any: 'any key' }[key] || key;
+}
+
+/**
+ * Firmware timing for switch presses, from Settings
+ * @returns {Object} - { DOT_TH, CHAR_GAP, WORD_GAP } in ms
+ */
+function getSwitchTiming() {
+    const settings = getSettings() || {};
+    return {
+        DOT_TH: settings.switchDotThreshold || VIRTUAL_DEVICE_FIRMWARE.DOT_TH,
+        CHAR_GAP: settings.switchLetterGap || VIRTUAL_DEVICE_FIRMWARE.CHAR_GAP,
+        WORD_GAP: settings.switchWordGap || VIRTUAL_DEVICE_FIRMWARE.WORD_GAP
+    };
+}
+
+/**
+ * Start a press (switch mode picks up timing changes made in Settings since connecting)
+ */
+function pressVirtualSwitch() {
+    if (!virtualDevice) return;
+    
+    if (connectionType === 'switch') {
+        virtualDevice.firmware = { ...virtualDevice.firmware, ...getSwitchTiming() };
+    }
+    virtualDevice.eyeDown();
+}
+
+/**
+ * Fill the ring around the switch pad while it is held: it completes at the
+ * dot length, so a full (dash-coloured) ring means the press will be a dash
+ */
+function updateSwitchRing() {
+    if (switchRingFrame) cancelAnimationFrame(switchRingFrame);
+    switchRingFrame = null;
+    
+    const pad = document.getElementById('switchPad');
+    const progressEl = document.getElementById('switchRingProgress');
+    if (!pad || !progressEl) return;
+    
+    const pressed = connectionType === 'switch' && Boolean(virtualDevice?.inBlink);
+    const dotThreshold = virtualDevice?.firmware.DOT_TH || VIRTUAL_DEVICE_FIRMWARE.DOT_TH;
+    const held = pressed ? virtualDevice.millis() - virtualDevice.blinkStart : 0;
+    const isDash = pressed && held >= dotThreshold;
+    
+    progressEl.style.strokeDashoffset = 100 - Math.min(held / dotThreshold, 1) * 100;
+    pad.classList.toggle('is-pressed', pressed);
+    pad.classList.toggle('is-dash', isDash);
+    
+    const labelEl = document.getElementById('switchPadLabel');
+    if (labelEl) labelEl.textContent = !pressed ? 'Press' : isDash ? 'Dash' : 'Dot';
+    
+    if (pressed && typeof requestAnimationFrame === 'function') {
+        switchRingFrame = requestAnimationFrame(updateSwitchRing);
+    }
+}
+
+/**
+ * Timing script for the text in the simulator box
+ * @returns {Array<Object>|null} - Steps, or null when there is nothing to blink
+ */
+function getSimulatorTextScript() {
+    const text = document.getElementById('simTextInput')?.value || '';
+    const speed = document.getElementById('simSpeedSelect')?.value || 'normal';
+    const steps = createTextBlinkScript(text, { speed, language: morseLanguage });
+    
+    if (steps.length === 0) {
+        showToast('Type something to blink first', 'warning', 2000);
+        return null;
+    }
+    return steps;
+}
+
+/**
+ * Blink the typed text on the virtual device
+ */
+function blinkSimulatorText() {
+    if (!virtualDevice) {
+        showToast('Connect the virtual device first', 'warning', 2000);
+        return;
+    }
+    
+    const steps = getSimulatorTextScript();
+    if (steps) runSimulatorScript(steps);
+}
+
+/**
+ * Download the typed text as a timing file, to edit or to share as a test case
+ */
+function saveSimulatorScript() {
+    const steps = getSimulatorTextScript();
+    if (!steps) return;
+    
+    const text = document.getElementById('simTextInput')?.value.trim() || 'text';
+    const header = `# Blink timing for "${text}" - blink <ms> closes the eye, pause <ms> opens it\n`;
+    const blob = createDownloadBlob(header + formatBlinkScript(steps), 'text/plain');
+    triggerDownload(blob, `eyeblink-timing-${text.replace(/[^\w-]+/g, '_').slice(0, 30)}.txt`);
+}
+
+/**
+ * Blink a timing file on the virtual device
+ * @param {File} file - Text file with blink / pause lines
+ */
+async function runSimulatorScriptFile(file) {
+    if (!virtualDevice) {
+        showToast('Connect the virtual device first', 'warning', 2000);
+        return;
+    }
+    
+    try {
+        runSimulatorScript(parseBlinkScript(await file.text()));
+    } catch (error) {
+        console.error('Error reading timing file:', error);
+        showToast(`Timing file not loaded: ${error.message}`, 'error', 4000);
+    }
+}
+
+/**
+ * Run a timing script and report when it ends
+ * @param {Array<Object>} steps - Steps to blink
+ */
+async function runSimulatorScript(steps) {
+    const seconds = Math.round(steps.reduce((total, step) => total + step.ms, 0) / 1000);
+    showToast(`Blinking ${steps.filter(step => step.type === 'blink').length} blinks (about ${seconds}s)`, 'info', 2000);
+    
+    const completed = await virtualDevice.runScript(steps);
+    if (completed) {
+        showToast('Timing script finished', 'success', 2000);
+    }
+}
+
+// ==================== CAMERA INPUT ====================
+
+/**
+ * Load the bundled face model and start watching the camera
+ */
+async function startCameraInput() {
+    if (typeof CameraBlinkSource === 'undefined') {
+        showToast('Camera input not available (camera.js not loaded)', 'error', 3000);
+        disconnectDevice();
+        return;
+    }
+    
+    const source = new CameraBlinkSource({
+        video: document.getElementById('cameraPreview'),
+        calibration: typeof storage !== 'undefined' ? storage.get(STORAGE_KEYS.CAMERA, null) : null,
+        onEye: handleCameraEye,
+        onFrame: updateCameraPreview,
+        onEnd: () => {
+            releaseCameraEye();
+            setCameraStatus(`Video finished: ${cameraBlinkCount} blink(s) detected`);
+        }
+    });
+    cameraSource = source;
+    
+    document.querySelector('.camera-meter-mark.is-close')?.style.setProperty('left', `${CAMERA_BLINK_DEFAULTS.closeLevel * 100}%`);
+    document.querySelector('.camera-meter-mark.is-open')?.style.setProperty('left', `${CAMERA_BLINK_DEFAULTS.openLevel * 100}%`);
+    setCameraStatus('Loading the face model...');
+    
+    try {
+        await source.load();
+    } catch (error) {
+        console.error('Face model could not be loaded:', error);
+        if (cameraSource === source) {
+            showToast('The face model is missing - run tools/fetch-mediapipe.js (see "Camera input" in the README)', 'error', 5000);
+            disconnectDevice();
+        }
+        return;
+    }
+    
+    if (cameraSource === source) {
+        await startCameraStream();
+    }
+}
+
+/**
+ * Watch the camera (again, after testing with a video file)
+ */
+async function startCameraStream() {
+    if (!cameraSource) return;
+    
+    try {
+        releaseCameraEye();
+        await cameraSource.startCamera();
+        cameraBlinkCount = 0;
+        const calibrated = typeof storage !== 'undefined' && storage.get(STORAGE_KEYS.CAMERA, null);
+        setCameraStatus(calibrated ? 'Watching the camera' : 'Watching the camera - press Calibrate for the best results');
+    } catch (error) {
+        console.error('Camera error:', error);
+        setCameraStatus('No camera available - allow camera access, or test with a video file');
+    }
+}
+
+/**
+ * Stop the camera and release the face model
+ */
+function stopCameraInput() {
+    cameraCalibrating = false;
+    cameraSource?.close();
+    cameraSource = null;
+}
+
+/**
+ * The camera saw the eye close or open
+ * @param {boolean} closed - Whether the eye is now closed
+ */
+function handleCameraEye(closed) {
+    if (cameraCalibrating || !virtualDevice) return;
+    
+    if (closed) {
+        virtualDevice.eyeDown();
+    } else {
+        virtualDevice.eyeUp();
+        cameraBlinkCount++;
+    }
+}
+
+/**
+ * Open the virtual eye when the camera or video stops with it closed (the detector forgets it, so it is not a detected blink)
+ */
+function releaseCameraEye() {
+    if (virtualDevice?.eyeClosed) {
+        virtualDevice.eyeUp();
+    }
+}
+
+/**
+ * Show what the camera sees: openness against the closed / open marks, and the eye state
+ * @param {Object} frame - { openness, level, closed, face }
+ */
+function updateCameraPreview(frame) {
+    const fill = document.getElementById('cameraMeterFill');
+    if (fill) {
+        fill.style.width = `${Math.round(Math.min(Math.max(frame.level ?? 0, 0), 1) * 100)}%`;
+    }
+    
+    const stateEl = document.getElementById('cameraEyeState');
+    if (stateEl) {
+        stateEl.textContent = !frame.face ? '🙂 No face found' : frame.closed ? '🙈 Eyes closed' : '👁️ Eyes open';
+    }
+    document.getElementById('cameraCard')?.classList.toggle('is-closed', frame.closed);
+}
+
+/**
+ * Show a camera status line
+ * @param {string} text - Status
+ */
+function setCameraStatus(text) {
+    const cameraStatusEl = document.getElementById('cameraStatus');
+    if (cameraStatusEl) cameraStatusEl.textContent = text;
+}
+
+/**
+ * Measure the user's eyes open and then closed, so blinks are judged against their own range
+ */
+async function calibrateCamera() {
+    if (!cameraSource?.isRunning()) {
+        showToast('Start the camera first', 'warning', 2000);
+        return;
+    }
+    if (cameraCalibrating) return;
+    
+    // Calibration blinks are not letters
+    cameraCalibrating = true;
+    virtualDevice?.eyeUp();
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+    
+    try {
+        setCameraStatus('Calibrating: keep your eyes open and look at the screen...');
+        await wait(CAMERA_CALIBRATION_SETTLE);
+        const openSamples = await cameraSource.sample(CAMERA_CALIBRATION_TIME);
+        
+        // Beeps, because the user cannot read the screen with their eyes closed
+        playTones([660]);
+        setCameraStatus('Now close your eyes until the second beep...');
+        await wait(CAMERA_CALIBRATION_SETTLE);
+        const closedSamples = await cameraSource.sample(CAMERA_CALIBRATION_TIME);
+        playTones([660, 880]);
+        
+        const calibration = createEyeCalibration(openSamples, closedSamples);
+        storage.set(STORAGE_KEYS.CAMERA, calibration);
+        cameraSource?.setCalibration(calibration);
+        setCameraStatus(`Calibrated: eyes open ${calibration.open.toFixed(2)}, closed ${calibration.closed.toFixed(2)}`);
+        showToast('Camera calibrated', 'success', 2000);
+    } catch (error) {
+        console.error('Camera calibration failed:', error);
+        setCameraStatus(`Calibration failed: ${error.message}`);
+        showToast('Calibration failed - try again', 'error', 3000);
+    } finally {
+        cameraCalibrating = false;
+    }
+}
+
+/**
+ * Run a recorded video through the blink detector instead of the camera (for testing)
+ * @param {File} file - Video file
+ */
+async function runCameraVideoFile(file) {
+    if (!cameraSource) {
+        showToast('Start the camera input first', 'warning', 2000);
+        return;
+    }
+    
+    try {
+        cameraBlinkCount = 0;
+        releaseCameraEye();
+        await cameraSource.startFile(file);
+        setCameraStatus(`Testing with ${file.name}...`);
+    } catch (error) {
+        console.error('Video file error:', error);
+        setCameraStatus(`${file.name} could not be played`);
+    }
+}
+
+// ==================== MORSE TRAINER ====================
+
+/**
+ * Load trainer progress and open the trainer when linked to (communication.html#trainer)
+ */
+function initializeTrainer() {
+    if (typeof MorseTrainer === 'undefined' || !document.getElementById('trainerCard')) return;
+
+    trainer = new MorseTrainer(getTrainerProgress() || {});
+    renderTrainerProgress();
+
+    if (location.hash === '#trainer') {
+        document.getElementById('trainerCard').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+}
+
+/**
+ * Start grading blinked letters instead of writing the message
+ */
+function startTraining() {
+    if (!trainer) return;
+
+    stopPhraseScan();
+    trainingActive = true;
+    currentBuilding = '';
+    updateBuilding('—');
+    nextTrainerPrompt();
+
+    const button = document.getElementById('trainerToggleBtn');
+    if (button) button.innerHTML = '<span>⏹️</span><span>Stop Training</span>';
+    showToast('Training started - blinks are graded and not added to the message', 'info', 3000);
+}
+
+/**
+ * Return blinks to the message
+ */
+function stopTraining() {
+    clearTimeout(trainerNextTimer);
+    trainer?.skip();
+    trainerPlayer?.stop();
+    trainingActive = false;
+
+    const button = document.getElementById('trainerToggleBtn');
+    if (button) button.innerHTML = '<span>▶️</span><span>Start Training</span>';
+    setTrainerText('trainerPrompt', 'Press Start Training, then blink what is shown');
+    setTrainerText('trainerPattern', '');
+    setTrainerText('trainerAttempt', '');
+    renderTrainerProgress();
+}
+
+/**
+ * Show the next prompt
+ */
+function nextTrainerPrompt() {
+    clearTimeout(trainerNextTimer);
+    const mode = document.getElementById('trainerModeSelect')?.value || 'letters';
+    const prompt = trainer.start(mode);
+
+    setTrainerText('trainerPrompt', prompt.text);
+    setTrainerText('trainerPattern', formatMorseForDisplay(encodeToMorse(prompt.text)));
+    setTrainerText('trainerAttempt', '');
+    setTrainerText('trainerResult', prompt.tip);
+    document.getElementById('trainerResult')?.classList.remove('is-correct', 'is-wrong');
+}
+
+/**
+ * Grade one blinked pattern
+ * @param {string} pattern - Dots and dashes
+ */
+function handleTrainerLetter(pattern) {
+    if (!trainer?.current) return;
+
+    // The course teaches the international code whatever alphabet the message uses
+    const decoded = typeof decodeMorseLetter === 'function' ? decodeMorseLetter(pattern, 'en') : decodeMorse(pattern);
+    // '?' also means "unknown pattern" unless the question mark itself was blinked
+    const isCharacter = decoded && (decoded !== '?' || pattern === encodeToMorse('?'));
+    const char = isCharacter ? decoded : TRAINER_UNKNOWN;
+
+    const result = trainer.addLetter(char, pattern);
+    if (result) {
+        showTrainerResult(result);
+    } else {
+        setTrainerText('trainerAttempt', trainer.current.entered);
+    }
+}
+
+/**
+ * A word gap during training
+ */
+function handleTrainerWordGap() {
+    if (!trainer?.current) return;
+
+    const result = trainer.addWordGap();
+    if (result) {
+        showTrainerResult(result);
+    } else {
+        setTrainerText('trainerAttempt', trainer.current.entered);
+    }
+}
+
+/**
+ * Show how an attempt went, save progress and move on
+ * @param {Object} result - Grade from MorseTrainer
+ */
+function showTrainerResult(result) {
+    setTrainerText('trainerAttempt', result.entered);
+
+    const resultEl = document.getElementById('trainerResult');
+    if (resultEl) {
+        const mistakes = result.chars
+            .filter(entry => !entry.correct)
+            .map(entry => `${entry.char} is ${formatMorseForDisplay(entry.expected)}${entry.pattern ? `, you blinked ${formatMorseForDisplay(entry.pattern)}` : ''}`);
+        resultEl.textContent = result.correct
+            ? `✓ Correct (${(result.duration / 1000).toFixed(1)}s)`
+            : `✗ ${Math.round(result.accuracy * 100)}% - ${mistakes.join('; ')}`;
+        resultEl.classList.toggle('is-correct', result.correct);
+        resultEl.classList.toggle('is-wrong', !result.correct);
+    }
+    playTones(result.correct ? [660, 880] : [330, 247]);
+
+    // Graded letters feed the confusion matrix too (missed letters have no pattern)
+    result.chars
+        .filter(entry => entry.pattern)
+        .forEach(entry => recordLetterEvent({
+            pattern: entry.pattern,
+            char: entry.actual === TRAINER_UNKNOWN ? '?' : entry.actual,
+            intended: entry.char,
+            source: 'trainer',
+            language: 'en'
+        }));
+
+    saveTrainerProgress(trainer.toJSON());
+    renderTrainerProgress();
+
+    if (result.unlocked) {
+        showToast(`New character unlocked: ${result.unlocked} (${formatMorseForDisplay(encodeToMorse(result.unlocked))})`, 'success', 4000);
+    }
+
+    // Mistakes stay on screen a little longer
+    trainerNextTimer = setTimeout(() => {
+        if (trainingActive) nextTrainerPrompt();
+    }, result.correct ? TRAINER_NEXT_DELAY : TRAINER_NEXT_DELAY * 2);
+}
+
+/**
+ * Play the current prompt as Morse (player.js)
+ */
+function playTrainerPrompt() {
+    const text = trainer?.current?.text;
+    if (!text || typeof MorsePlayer === 'undefined') {
+        showToast('Start training to hear the prompt', 'info', 2000);
+        return;
+    }
+
+    trainerPlayer = trainerPlayer || new MorsePlayer({
+        getOptions: () => getMorsePlaybackOptions(getSettings() || {})
+    });
+    trainerPlayer.play(text, { language: 'en' }).catch(error => {
+        showToast(`Cannot play Morse: ${error.message}`, 'error', 3000);
+    });
+}
+
+/**
+ * Forget all trainer progress after confirmation
+ */
+function resetTrainer() {
+    if (!trainer || !confirm('Reset the Morse course? Unlocked characters and practice statistics will be lost.')) return;
+
+    stopTraining();
+    clearTrainerProgress();
+    trainer = new MorseTrainer();
+    renderTrainerProgress();
+    showToast('Trainer progress reset', 'success', 2000);
+}
+
+/**
+ * Set the text of a trainer element
+ * @param {string} id - Element id
+ * @param {string} text - Text
+ */
+function setTrainerText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+}
+
+/**
+ * Course progress, per-character statistics and daily history
+ */
+function renderTrainerProgress() {
+    if (!trainer) return;
+
+    const progress = trainer.getProgress();
+    const progressEl = document.getElementById('trainerProgress');
+    if (progressEl) {
+        const next = progress.next
+            ? `Next: ${progress.next} at ${Math.round(trainer.options.unlockAccuracy * 100)}% recent accuracy` +
+              (progress.needsPractice.length ? ` (practise ${progress.needsPractice.join(' ')} more first)` : '')
+            : 'Course complete';
+        progressEl.textContent = `Level ${progress.level}/${progress.total} · ${progress.unlocked.join(' ')} · ${Math.round(progress.recentAccuracy * 100)}% recent · ${next}`;
+    }
+
+    const statsEl = document.getElementById('trainerStats');
+    if (statsEl) {
+        statsEl.innerHTML = progress.unlocked.map(char => {
+            const stats = trainer.getCharacterStats(char);
+            const weak = stats.recentAttempts > 0 && stats.recentAccuracy < trainer.options.unlockAccuracy;
+            return `
+                <div class="trainer-stat${weak ? ' is-weak' : ''}" title="${stats.attempts} attempts${stats.bestTime ? `, best ${stats.bestTime} ms` : ''}">
+                    <span class="trainer-stat-char">${char}</span>
+                    <code>${formatMorseForDisplay(stats.pattern)}</code>
+                    <span>${stats.recentAttempts ? `${Math.round(stats.recentAccuracy * 100)}%` : '-'}</span>
+                    <span>${stats.avgTime ? `${(stats.avgTime / 1000).toFixed(1)}s` : ''}</span>
+                </div>`;
+        }).join('');
+    }
+
+    const historyEl = document.getElementById('trainerHistory');
+    if (historyEl) {
+        historyEl.innerHTML = trainer.history.slice(-7).reverse().map(day => `
+            <div class="trainer-history-day">
+                <span>${day.date}</span>
+                <span>${day.attempts ? Math.round(day.correct / day.attempts * 100) : 0}% of ${day.attempts}</span>
+                <span>${day.timed ? `${(day.totalTime / day.timed / 1000).toFixed(1)}s per character` : ''}</span>
+                <span>level ${day.level}</span>
+            </div>`).join('');
+    }
+}
+
+// ==================== EMERGENCY ====================
+
+/**
+ * Distress patterns from settings (symbol level, letter gaps ignored)
+ * @returns {Array<string>} - Morse patterns
+ */
+function getDistressPatterns() {
+    const settings = getSettings() || {};
+    if (settings.emergencyEnabled === false) return [];
+
+    const patterns = Array.isArray(settings.distressPatterns) ? settings.distressPatterns : ['...---...'];
+    return patterns.filter(pattern => /^[.\-]{3,}$/.test(pattern));
+}
+
+/**
+ * Check a completed letter against the distress patterns, together with the
+ * letters before it in the same word (so S O S blinked with gaps also counts)
+ * @param {string} pattern - Completed letter pattern
+ * @returns {boolean} - True if an emergency was triggered
+ */
+function detectDistressPattern(pattern) {
+    const symbols = letterHistory.map(letter => letter.pattern).join('') + pattern;
+    const match = getDistressPatterns().find(distress => symbols.endsWith(distress));
+    if (!match) return false;
+
+    // Take back the letters that spelled the distress signal
+    let remaining = match.length - pattern.length;
+    while (remaining > 0 && letterHistory.length > 0) {
+        const letter = letterHistory.pop();
+        remaining -= letter.pattern.length;
+        if (letter.text && decodedText.endsWith(letter.text)) {
+            decodedText = decodedText.slice(0, -letter.text.length);
+        }
+    }
+
+    triggerEmergency('pattern', match);
+    return true;
+}
+
+/**
+ * Trigger as soon as the last symbol completes a distress pattern,
+ * without waiting for the letter gap
+ */
+function checkDistressInProgress() {
+    const symbols = letterHistory.map(letter => letter.pattern).join('') + currentBuilding;
+    if (getDistressPatterns().some(distress => symbols.endsWith(distress))) {
+        commitCurrentLetter();
+    }
+}
+
+/**
+ * Start timing a blink so a held blink raises the alarm while the eye is still closed
+ */
+function startEmergencyHoldTimer() {
+    clearTimeout(emergencyHoldTimer);
+    if (replayState) return;
+
+    const settings = getSettings() || {};
+    const holdTime = settings.emergencyHoldTime ?? 5000;
+    if (settings.emergencyEnabled === false || !holdTime) return;
+
+    emergencyHoldTimer = setTimeout(() => {
+        triggerEmergency('long-blink', `eyes closed > ${holdTime} ms`);
+    }, holdTime);
+}
+
+/**
+ * Check a finished blink for the emergency hold (legacy DUR lines have no EVT:DOWN)
+ * @param {number|null} duration - Blink duration in ms
+ * @returns {boolean} - True if the blink was an emergency hold
+ */
+function checkEmergencyHold(duration) {
+    clearTimeout(emergencyHoldTimer);
+
+    const settings = getSettings() || {};
+    const holdTime = settings.emergencyHoldTime ?? 5000;
+    if (settings.emergencyEnabled === false || !holdTime || !duration || duration < holdTime) {
+        return false;
+    }
+
+    triggerEmergency('long-blink', `${duration} ms blink`);
+    return true;
+}
+
+/**
+ * Watch blinks for the emergency hold; while the alarm is active, blinks are
+ * ignored (the letter they would build is dropped)
+ * @param {Object} message - Protocol message
+ * @returns {boolean} - True if the message was consumed
+ */
+function handleEmergencyBlink(message) {
+    if (message.type === 'EVT' && !emergencyState) {
+        if (message.value === 'DOWN') {
+            startEmergencyHoldTimer();
+        } else if (message.value === 'UP' && checkEmergencyHold(message.dur)) {
+            setBlinkActive(false);
+            return true;
+        }
+    }
+
+    if (!emergencyState) return false;
+
+    if (message.type === 'EVT') {
+        setBlinkActive(message.value === 'DOWN');
+    }
+    return ['EVT', 'SYM', 'CHAR', 'GAP', 'KEY', 'BUILDING'].includes(message.type);
+}
+
+/**
+ * Raise the emergency alarm
+ * @param {string} trigger - 'pattern', 'long-blink' or 'manual'
+ * @param {string} detail - What triggered it
+ */
+function triggerEmergency(trigger, detail) {
+    if (emergencyState) return;
+
+    // A replayed distress signal is reported, never raised
+    if (replayState) {
+        replayState.emergencies.push(detail);
+        currentBuilding = '';
+        letterHistory = [];
+        showToast(`Replay: emergency (${detail}) - no alarm raised`, 'warning', 3000);
+        return;
+    }
+
+    stopPhraseScan();
+    phraseCodeBuffer = null;
+    currentBuilding = '';
+    letterHistory = [];
+    updateBuilding('—');
+    updateDecoded();
+
+    emergencyState = {
+        incidentId: `incident_${Date.now()}`,
+        trigger,
+        detail,
+        level: 1,
+        startedAt: Date.now(),
+        escalationTimer: setInterval(escalateEmergency, EMERGENCY_ESCALATION_INTERVAL),
+        clockTimer: setInterval(updateEmergencyOverlay, 1000),
+        alarmTimer: null
+    };
+
+    logEmergency('triggered');
+    showEmergencyOverlay();
+    startAlarmSound();
+    speakText(EMERGENCY_SPEECH, 'en', { priority: 'urgent' });
+    if (isConnected) {
+        sendToDevice('ALARM');
+    }
+}
+
+/**
+ * Raise the escalation level until somebody responds
+ */
+function escalateEmergency() {
+    if (!emergencyState) return;
+
+    emergencyState.level = Math.min(emergencyState.level + 1, EMERGENCY_MAX_LEVEL);
+    logEmergency('escalated');
+
+    // Louder, and repeat the spoken alert and the device buzzer in case they were missed
+    startAlarmSound();
+    speakText(EMERGENCY_SPEECH, 'en', { priority: 'urgent' });
+    if (isConnected) {
+        sendToDevice('ALARM');
+    }
+    updateEmergencyOverlay();
+}
+
+/**
+ * Caregiver acknowledges the alarm
+ */
+function acknowledgeEmergency() {
+    if (!emergencyState) return;
+
+    const responseTime = Math.round((Date.now() - emergencyState.startedAt) / 1000);
+    logEmergency('acknowledged', `response time ${responseTime}s`);
+
+    clearInterval(emergencyState.escalationTimer);
+    clearInterval(emergencyState.clockTimer);
+    stopAlarmSound();
+    getSpeechEngine().stop();
+    if (isConnected) {
+        sendToDevice('ALARM OFF');
+    }
+
+    emergencyState = null;
+    hideEmergencyOverlay();
+    showToast('Emergency acknowledged', 'success', 3000);
+}
+
+/**
+ * Write the current emergency state to the audit log
+ * @param {string} event - 'triggered', 'escalated' or 'acknowledged'
+ * @param {string} detail - Extra detail (defaults to the trigger detail)
+ */
+function logEmergency(event, detail = null) {
+    try {
+        if (typeof logEmergencyEvent === 'function') {
+            logEmergencyEvent({
+                incidentId: emergencyState.incidentId,
+                event,
+                trigger: emergencyState.trigger,
+                level: emergencyState.level,
+                detail: detail || emergencyState.detail
+            });
+        }
+    } catch (error) {
+        console.error('Error logging emergency:', error);
+    }
+}
+
+/**
+ * Repeating two-tone siren; volume rises with the escalation level
+ */
+function startAlarmSound() {
+    stopAlarmSound();
+
+    if (!emergencyState || !getAudioContext()) return;
+
+    const playSiren = () => playTones([880, 660], {
+        duration: 0.35,
+        gap: 0.05,
+        volume: 0.3 * emergencyState.level,
+        type: 'square'
+    });
+
+    playSiren();
+    emergencyState.alarmTimer = setInterval(playSiren, 1000);
+}
+
+/**
+ * Stop the siren
  */
-async function readSerialData() {
-    if (!serialPort) return;
-    
-    try {
-        const textDecoder = new TextDecoderStream();
-        const readableStreamClosed = serialPort.readable.pipeTo(textDecoder.writable);
-        reader = textDecoder.readable
-            .pipeThrough(new TransformStream(new LineBreakTransformer()))
-            .getReader();
-        
-        // Listen to data coming from the serial device
-        while (keepReading) {
-            const { value, done } = await reader.read();
-            
-            if (done) {
-                reader.releaseLock();
-                break;
-            }
-            
-            if (value) {
-                handleDataLine(value.trim());
-            }
-        }
-        
-    } catch (error) {
-        console.error('Read error:', error);
-        showToast('Communication error with device', 'error', 3000);
-        
-        if (isConnected) {
-            disconnectDevice();
-        }
+function stopAlarmSound() {
+    if (emergencyState?.alarmTimer) {
+        clearInterval(emergencyState.alarmTimer);
+        emergencyState.alarmTimer = null;
     }
 }
 
 /**
- * Handle incoming data line (unified for both serial and bluetooth)
- * @param {string} line - Data line from device
+ * Show the full-screen alert
  */
-function handleDataLine(line) {
-    if (!line) return;
-    
-    console.log('Received:', line);
-    
-    // Update live morse display
-    if (liveMorseEl) {
-        liveMorseEl.textContent = line;
-    }
-    
-    // Handle different line types
-    if (line === '/' || line === 'SPACE' || line === 'WORD_END') {
-        // Word separator
-        if (currentBuilding) {
-            const decoded = decodeMorse(currentBuilding);
-            if (decoded && decoded !== '?') {
-                decodedText += decoded;
-            }
-        }
-        decodedText += ' ';
-        currentBuilding = '';
-        updateBuilding('—');
-    } else if (line === '|' || line === 'LETTER' || line === 'LETTER_END') {
-        // Letter separator - decode current building and start new
-        if (currentBuilding) {
-            const decoded = decodeMorse(currentBuilding);
-            if (decoded && decoded !== '?') {
-                decodedText += decoded;
-            }
-        }
-        currentBuilding = '';
-        updateBuilding('—');
-    } else if (isValidMorse(line)) {
-        // Complete Morse code sequence
-        const decoded = decodeMorse(line);
-        if (decoded && decoded !== '?') {
-            decodedText += decoded;
-        }
-        currentBuilding = line;
-        updateBuilding(line);
-    } else if (line.match(/^[.\-]+$/)) {
-        // Building morse pattern
-        currentBuilding = line;
-        updateBuilding(line);
-    } else if (line.startsWith('BLINK:') || line.startsWith('MORSE:')) {
-        // Handle formatted messages from device
-        const morseData = line.split(':')[1]?.trim();
-        if (morseData) {
-            currentBuilding = morseData;
-            updateBuilding(morseData);
-        }
-    } else {
-        // Raw data - try to extract morse if present
-        console.log('Raw data:', line);
-        
-        if (line.includes('.') || line.includes('-')) {
-            const morseMatch = line.match(/([.\-\s/]+)/);
-            if (morseMatch) {
-                currentBuilding = morseMatch[1].trim();
-                updateBuilding(currentBuilding);
-            }
-        }
+function showEmergencyOverlay() {
+    const overlay = document.getElementById('emergencyOverlay');
+    if (!overlay) return;
+
+    const reason = document.getElementById('emergencyReason');
+    if (reason) {
+        reason.textContent = emergencyState.trigger === 'long-blink'
+            ? 'The patient held a very long blink'
+            : `The patient blinked the distress signal ${emergencyState.detail}`;
     }
-    
-    updateDecoded();
-    
-    // Auto-save if enabled
-    const settings = getSettings() || {};
-    if (settings.autoSave && decodedText.length > 0) {
-        if (decodedText.length % 10 === 0) {
-            saveCurrentMessage(true);
-        }
+
+    overlay.hidden = false;
+    updateEmergencyOverlay();
+    document.getElementById('emergencyAckBtn')?.focus();
+}
+
+/**
+ * Refresh the elapsed time and escalation level
+ */
+function updateEmergencyOverlay() {
+    const overlay = document.getElementById('emergencyOverlay');
+    if (!overlay || !emergencyState) return;
+
+    const elapsed = Math.round((Date.now() - emergencyState.startedAt) / 1000);
+    const timeEl = document.getElementById('emergencyTime');
+    const levelEl = document.getElementById('emergencyLevel');
+
+    if (timeEl) timeEl.textContent = `Started ${new Date(emergencyState.startedAt).toLocaleTimeString()} · ${elapsed}s ago`;
+    if (levelEl) levelEl.textContent = `Escalation level ${emergencyState.level} of ${EMERGENCY_MAX_LEVEL}`;
+
+    overlay.dataset.level = emergencyState.level;
+}
+
+/**
+ * Hide the full-screen alert
+ */
+function hideEmergencyOverlay() {
+    const overlay = document.getElementById('emergencyOverlay');
+    if (overlay) {
+        overlay.hidden = true;
     }
 }
 
@@ -571,10 +4101,29 @@ function updateBuilding(pattern) {
  * Update decoded text display
  */
 function updateDecoded() {
-    if (decodedEl) {
-        decodedEl.textContent = decodedText;
-    }
+    renderDecodedText();
+    updateAccuracyDisplay();
     updateWordCount();
+    updateSuggestions();
+}
+
+/**
+ * Take over text typed into the decoded text box, so it is kept, saved and recorded
+ */
+function handleDecodedEdit() {
+    // A replay shows the recording's text; typing into it is discarded
+    if (replayState) {
+        renderDecodedText();
+        return;
+    }
+
+    const text = decodedEl.textContent;
+    if (text === decodedText) return;
+
+    settleCorrection();
+    decodedText = text;
+    recordSessionEntry('event', { name: 'edit', text });
+    updateSuggestions();
 }
 
 /**
@@ -593,6 +4142,10 @@ function updateWordCount() {
  */
 function updateConnectionStatus() {
     const indicator = document.querySelector('.status-indicator');
+    const testBtn = document.getElementById('testBtn');
+    const methodSelect = document.getElementById('connectionMethodSelect');
+    if (testBtn) testBtn.disabled = !isConnected;
+    if (methodSelect) methodSelect.disabled = isConnected;
     
     if (isConnected) {
         statusEl.textContent = `Connected (${connectionType})`;
@@ -607,7 +4160,8 @@ function updateConnectionStatus() {
             deviceInfo.style.display = 'block';
             const portName = document.getElementById('portName');
             if (portName) {
-                const deviceName = bluetoothDevice?.name || 'Serial Device';
+                const deviceName = bluetoothDevice?.name ||
+                    { virtual: 'Virtual ESP32', switch: 'Switch / key / mouse', camera: 'Camera' }[connectionType] || 'Serial Device';
                 portName.textContent = `${deviceName} (${connectionType})`;
             }
         }
@@ -615,7 +4169,10 @@ function updateConnectionStatus() {
         // Update connection status text
         const deviceStatusText = document.getElementById('deviceStatusText');
         if (deviceStatusText) {
-            deviceStatusText.textContent = 'Ready and listening';
+            const firmware = deviceProtocol?.firmware ? `, firmware ${deviceProtocol.firmware}` : '';
+            deviceStatusText.textContent = deviceProtocol?.isVersioned()
+                ? `Ready and listening (protocol v${deviceProtocol.version}${firmware})`
+                : 'Ready and listening';
         }
         
     } else {
@@ -624,6 +4181,8 @@ function updateConnectionStatus() {
         indicator?.classList.add('offline');
         connectBtn.disabled = false;
         disconnectBtn.disabled = true;
+        deviceParameters = null;
+        deviceProfilePending = false;
         
         // Hide device info
         const deviceInfo = document.getElementById('deviceInfo');
@@ -631,6 +4190,8 @@ function updateConnectionStatus() {
             deviceInfo.style.display = 'none';
         }
     }
+    
+    postDeviceStatus();
 }
 
 /**
@@ -638,6 +4199,7 @@ function updateConnectionStatus() {
  */
 function saveCurrentMessage(silent = false) {
     const text = decodedText.trim();
+    if (replayState) return; // Replayed text is never saved
     
     if (!text) {
         if (!silent) showToast('No text to save', 'warning', 2000);
@@ -646,7 +4208,8 @@ function saveCurrentMessage(silent = false) {
     
     try {
         if (typeof saveMessage === 'function') {
-            const messageId = saveMessage(text, false, 'en');
+            const messageId = saveMessage(text, false, getAlphabetLanguage(), getSessionAccuracy());
+            wordPredictor?.learnText(text);
             if (!silent) {
                 showToast('Message saved successfully!', 'success', 2000);
             }
@@ -661,10 +4224,11 @@ function saveCurrentMessage(silent = false) {
                 text: text,
                 originalText: text,
                 translated: false,
-                language: 'en',
+                language: getAlphabetLanguage(),
                 timestamp: Date.now(),
                 date: new Date().toLocaleString(),
-                stats: stats
+                stats: stats,
+                session: getSessionAccuracy()
             });
             
             if (messages.length > 100) {
@@ -689,11 +4253,8 @@ function saveCurrentMessage(silent = false) {
 }
 
 /**
- * Translate current message
+ * Translate current message with the configured providers (offline phrasebook first)
  */
-// Enhanced Translation Function with Multiple Online APIs
-// Replace the translateCurrentMessage function in communication.js
-
 async function translateCurrentMessage() {
     const text = decodedText.trim();
     
@@ -703,249 +4264,68 @@ async function translateCurrentMessage() {
     }
     
     const settings = getSettings() || {};
-    const targetLang = settings.targetLanguage || 'bn'; // Bengali
+    const source = Translation.detectTextLanguage(text);
+    let target = settings.targetLanguage || 'bn';
+    if (target === source) {
+        target = source === 'en' ? 'bn' : 'en';
+    }
     
     try {
-        showToast('Translating to Bengali...', 'info', 2000);
+        showToast(`Translating to ${getLanguageName(target)}...`, 'info', 2000);
         
-        // Try multiple translation services in order of preference
-        let translatedText = null;
-        let usedService = '';
+        const service = Translation.createTranslationService(settings, getTranslationServiceOptions());
+        const result = await service.translate(text, { source, target });
         
-        // Method 1: Try MyMemory API (most reliable, free)
-        try {
-            translatedText = await translateWithMyMemory(text, 'en', targetLang);
-            usedService = 'MyMemory API';
-        } catch (error) {
-            console.log('MyMemory translation failed:', error.message);
-        }
-        
-        // Method 2: Try LibreTranslate as fallback
-        if (!translatedText) {
-            try {
-                translatedText = await translateWithLibreTranslate(text, 'en', targetLang);
-                usedService = 'LibreTranslate API';
-            } catch (error) {
-                console.log('LibreTranslate failed:', error.message);
-            }
-        }
-        
-        // Method 3: Try Google Translate API (using CORS proxy)
-        if (!translatedText) {
-            try {
-                translatedText = await translateWithGoogleFallback(text, 'en', targetLang);
-                usedService = 'Google Translate API';
-            } catch (error) {
-                console.log('Google Translate fallback failed:', error.message);
-            }
-        }
-        
-        // Method 4: Try Microsoft Translator as final fallback
-        if (!translatedText) {
-            try {
-                translatedText = await translateWithMicrosoftFallback(text, 'en', targetLang);
-                usedService = 'Microsoft Translator';
-            } catch (error) {
-                console.log('Microsoft Translator failed:', error.message);
-            }
-        }
+        result.attempts.forEach(attempt => {
+            console.log(`${attempt.providerName} could not translate:`, attempt.error);
+        });
         
-        if (translatedText && translatedText.trim() !== text.trim()) {
-            // Show translation result in a modal
-            showTranslationModal(text, translatedText, usedService);
-            
-        } else {
-            throw new Error('All translation services failed or returned identical text');
-        }
+        showTranslationModal(text, result.text, result);
         
     } catch (error) {
         console.error('Translation error:', error);
-        showTranslationError(text, error.message);
+        showTranslationError(text, error.message, !settings.translationServerUrl);
     }
 }
 
-// MyMemory Translation API (Free, reliable, supports Bengali)
-async function translateWithMyMemory(text, sourceLang, targetLang) {
-    const url = `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`;
-    
-    const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-            'User-Agent': 'Eye-Blink-Morse-App/1.0',
-            'Accept': 'application/json'
-        }
-    });
-    
-    if (!response.ok) {
-        throw new Error(`MyMemory API error: ${response.status} - ${response.statusText}`);
-    }
-    
-    const data = await response.json();
+/**
+ * Cache and provider health hooks from storage.js
+ * @returns {Object} - { cache, stats, onAttempt } (empty when storage.js is missing)
+ */
+function getTranslationServiceOptions() {
+    if (typeof getCachedTranslation !== 'function') return {};
     
-    if (data.responseStatus === 200 && data.responseData && data.responseData.translatedText) {
-        const translated = data.responseData.translatedText.trim();
-        if (translated && translated.toLowerCase() !== text.toLowerCase()) {
-            return translated;
-        } else {
-            throw new Error('MyMemory returned identical or empty translation');
-        }
-    } else {
-        throw new Error('MyMemory translation failed: ' + (data.responseDetails || 'Unknown error'));
-    }
+    return {
+        cache: { get: getCachedTranslation, set: cacheTranslation },
+        stats: getTranslationStats(),
+        onAttempt: recordTranslationAttempt
+    };
 }
 
-// LibreTranslate API with multiple instances
-async function translateWithLibreTranslate(text, sourceLang, targetLang) {
-    const instances = [
-        'https://libretranslate.de',
-        'https://translate.argosopentech.com',
-        'https://libretranslate.com'
-    ];
-    
-    for (let i = 0; i < instances.length; i++) {
-        const instance = instances[i];
-        try {
-            console.log(`Trying LibreTranslate instance: ${instance}`);
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
-            
-            const response = await fetch(`${instance}/translate`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify({
-                    q: text,
-                    source: sourceLang,
-                    target: targetLang,
-                    format: 'text'
-                }),
-                signal: controller.signal
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const result = await response.json();
-            
-            if (result.translatedText && result.translatedText.trim()) {
-                const translated = result.translatedText.trim();
-                if (translated.toLowerCase() !== text.toLowerCase()) {
-                    return translated;
-                } else {
-                    throw new Error('LibreTranslate returned identical text');
-                }
-            } else {
-                throw new Error('No translation text in response');
-            }
-            
-        } catch (error) {
-            console.log(`LibreTranslate instance ${instance} failed:`, error.message);
-            
-            // If this is the last instance, throw the error
-            if (i === instances.length - 1) {
-                throw new Error(`All LibreTranslate instances failed. Last error: ${error.message}`);
-            }
-            
-            continue;
-        }
-    }
+/**
+ * Display name of a translation language
+ * @param {string} code - Language code
+ * @returns {string} - e.g. 'Bengali'
+ */
+function getLanguageName(code) {
+    return Translation.TRANSLATION_LANGUAGES[code] || code.toUpperCase();
 }
 
-// Google Translate fallback using CORS proxy
-async function translateWithGoogleFallback(text, sourceLang, targetLang) {
-    const proxies = [
-        'https://api.allorigins.win/raw?url=',
-        'https://cors-anywhere.herokuapp.com/',
-        'https://api.codetabs.com/v1/proxy?quest='
-    ];
-    
-    for (const proxyUrl of proxies) {
-        try {
-            const googleUrl = `https://translate.googleapis.com/translate_a/single?client=gtx&sl=${sourceLang}&tl=${targetLang}&dt=t&q=${encodeURIComponent(text)}`;
-            
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 8000); // 8 second timeout
-            
-            const response = await fetch(proxyUrl + encodeURIComponent(googleUrl), {
-                signal: controller.signal,
-                headers: {
-                    'Accept': 'application/json'
-                }
-            });
-            
-            clearTimeout(timeoutId);
-            
-            if (!response.ok) {
-                throw new Error(`Proxy error: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data && data[0] && data[0][0] && data[0][0][0]) {
-                const translated = data[0][0][0].trim();
-                if (translated && translated.toLowerCase() !== text.toLowerCase()) {
-                    return translated;
-                } else {
-                    throw new Error('Google Translate returned identical text');
-                }
-            } else {
-                throw new Error('Invalid response format from Google Translate');
-            }
-            
-        } catch (error) {
-            console.log(`Google Translate proxy failed:`, error.message);
-            continue;
-        }
-    }
+/**
+ * Show a translation and the provider that produced it
+ * @param {string} originalText - Message that was translated
+ * @param {string} translatedText - Translation
+ * @param {Object} result - Result from TranslationService.translate
+ */
+function showTranslationModal(originalText, translatedText, result) {
+    const sourceName = getLanguageName(result.source);
+    const targetName = getLanguageName(result.target);
+    const providerLabel = result.cached
+        ? `${result.providerName} (saved translation, offline)`
+        : result.offline
+            ? `${result.providerName} (offline - nothing left this device)`
+            : result.providerName;
     
-    throw new Error('All Google Translate proxies failed');
-}
-
-// Microsoft Translator fallback
-async function translateWithMicrosoftFallback(text, sourceLang, targetLang) {
-    try {
-        // Using a public Microsoft Translator endpoint
-        const response = await fetch('https://api.cognitive.microsofttranslator.com/translate?api-version=3.0&to=' + targetLang, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify([{
-                'text': text
-            }])
-        });
-        
-        if (!response.ok) {
-            throw new Error(`Microsoft Translator error: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data && data[0] && data[0].translations && data[0].translations[0] && data[0].translations[0].text) {
-            const translated = data[0].translations[0].text.trim();
-            if (translated && translated.toLowerCase() !== text.toLowerCase()) {
-                return translated;
-            } else {
-                throw new Error('Microsoft Translator returned identical text');
-            }
-        } else {
-            throw new Error('Invalid response from Microsoft Translator');
-        }
-        
-    } catch (error) {
-        throw new Error('Microsoft Translator failed: ' + error.message);
-    }
-}
-
-// Enhanced translation modal
-function showTranslationModal(originalText, translatedText, service) {
     // Remove existing modal if any
     const existingModal = document.getElementById('translationModal');
     if (existingModal) {
@@ -1004,7 +4384,7 @@ function showTranslationModal(originalText, translatedText, service) {
         </div>
         
         <div style="margin-bottom: 20px;">
-            <label style="display: block; font-weight: 600; color: #374151; margin-bottom: 8px;">Original (English):</label>
+            <label style="display: block; font-weight: 600; color: #374151; margin-bottom: 8px;">Original (${sourceName}):</label>
             <div style="
                 padding: 12px;
                 background: #f9fafb;
@@ -1017,7 +4397,7 @@ function showTranslationModal(originalText, translatedText, service) {
         </div>
         
         <div style="margin-bottom: 20px;">
-            <label style="display: block; font-weight: 600; color: #374151; margin-bottom: 8px;">Translated (Bengali):</label>
+            <label style="display: block; font-weight: 600; color: #374151; margin-bottom: 8px;">Translated (${targetName}):</label>
             <div style="
                 padding: 12px;
                 background: #ecfdf5;
@@ -1031,7 +4411,7 @@ function showTranslationModal(originalText, translatedText, service) {
         </div>
         
         <div style="margin-bottom: 25px;">
-            <small style="color: #6b7280;">Translated using: <strong>${service}</strong></small>
+            <small style="color: #6b7280;" id="translationProvider">Translated using: <strong>${providerLabel}</strong></small>
         </div>
         
         <div style="display: flex; gap: 12px; flex-wrap: wrap;">
@@ -1055,7 +4435,7 @@ function showTranslationModal(originalText, translatedText, service) {
                 cursor: pointer;
                 font-weight: 500;
                 font-size: 14px;
-            ">📋 Copy Bengali Text</button>
+            ">📋 Copy ${targetName} Text</button>
             
             <button id="speakTranslationBtn" style="
                 background: #8b5cf6;
@@ -1066,7 +4446,7 @@ function showTranslationModal(originalText, translatedText, service) {
                 cursor: pointer;
                 font-weight: 500;
                 font-size: 14px;
-            ">🔊 Speak Bengali</button>
+            ">🔊 Speak ${targetName}</button>
         </div>
     `;
     
@@ -1079,7 +4459,7 @@ function showTranslationModal(originalText, translatedText, service) {
     });
     
     document.getElementById('saveTranslationBtn').addEventListener('click', () => {
-        saveTranslatedMessage(originalText, translatedText, 'bn');
+        saveTranslatedMessage(originalText, translatedText, result.target);
         modalOverlay.remove();
     });
     
@@ -1088,7 +4468,7 @@ function showTranslationModal(originalText, translatedText, service) {
     });
     
     document.getElementById('speakTranslationBtn').addEventListener('click', () => {
-        speakText(translatedText, 'bn');
+        speakText(translatedText, result.target);
     });
     
     // Close on overlay click
@@ -1108,8 +4488,13 @@ function showTranslationModal(originalText, translatedText, service) {
     document.addEventListener('keydown', escapeHandler);
 }
 
-// Show translation error
-function showTranslationError(originalText, errorMessage) {
+/**
+ * Show why no provider could translate the message
+ * @param {string} originalText - Message that was not translated
+ * @param {string} errorMessage - Reasons from each provider
+ * @param {boolean} phrasebookOnly - No translation server is configured
+ */
+function showTranslationError(originalText, errorMessage, phrasebookOnly) {
     const modal = document.createElement('div');
     modal.style.cssText = `
         position: fixed;
@@ -1137,7 +4522,9 @@ function showTranslationError(originalText, errorMessage) {
         ">
             <div style="font-size: 48px; margin-bottom: 15px;">⚠️</div>
             <h3 style="margin: 0 0 15px 0; color: #dc2626;">Translation Failed</h3>
-            <p style="color: #6b7280; margin-bottom: 20px;">All translation services are currently unavailable.</p>
+            <p style="color: #6b7280; margin-bottom: 20px;">${phrasebookOnly
+                ? 'This message is not in the offline phrasebook. Add a translation server in Settings to translate any text.'
+                : 'Neither the offline phrasebook nor the translation server could translate this message.'}</p>
             <p style="font-size: 14px; color: #9ca3af; margin-bottom: 25px;">Error: ${errorMessage}</p>
             
             <div style="display: flex; gap: 10px; justify-content: center; flex-wrap: wrap;">
@@ -1173,7 +4560,7 @@ function showTranslationError(originalText, errorMessage) {
         }
     }, 10000);
     
-    showToast('Translation failed. Please check your internet connection and try again.', 'error', 4000);
+    showToast('Translation failed', 'error', 3000);
 }
 
 // Helper functions
@@ -1181,7 +4568,7 @@ function saveTranslatedMessage(originalText, translatedText, language) {
     try {
         if (typeof saveMessage === 'function') {
             const messageId = saveMessage(translatedText, true, language);
-            showToast('Bengali translation saved successfully!', 'success', 3000);
+            showToast(`${getLanguageName(language)} translation saved successfully!`, 'success', 3000);
         } else {
             const messages = JSON.parse(localStorage.getItem('eyeblink_messages_v2') || '[]');
             const messageId = 'msg_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
@@ -1203,7 +4590,7 @@ function saveTranslatedMessage(originalText, translatedText, language) {
             }
             
             localStorage.setItem('eyeblink_messages_v2', JSON.stringify(messages));
-            showToast('Bengali translation saved successfully!', 'success', 3000);
+            showToast(`${getLanguageName(language)} translation saved successfully!`, 'success', 3000);
         }
     } catch (error) {
         console.error('Save translation error:', error);
@@ -1249,45 +4636,92 @@ function fallbackCopyToClipboard(text) {
     }
 }
 
-function speakText(text, language = 'bn') {
-    if (!('speechSynthesis' in window)) {
-        showToast('Speech synthesis not supported on this browser', 'error', 3000);
-        return;
-    }
+/**
+ * Shared speech engine, created on first use
+ * @returns {SpeechEngine} - Engine using the voice profiles from settings
+ */
+function getSpeechEngine() {
+    if (speechEngine) return speechEngine;
     
-    try {
-        speechSynthesis.cancel(); // Cancel any ongoing speech
-        
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.lang = language === 'bn' ? 'bn-BD' : 'en-US'; // Bengali Bangladesh
-        utterance.rate = 0.8;
-        utterance.pitch = 1.0;
-        utterance.volume = 1.0;
-        
-        const voices = speechSynthesis.getVoices();
-        const bengaliVoice = voices.find(voice => 
-            voice.lang.startsWith('bn') || 
-            voice.name.toLowerCase().includes('bengali') ||
-            voice.name.toLowerCase().includes('bangla')
-        );
-        
-        if (bengaliVoice && language === 'bn') {
-            utterance.voice = bengaliVoice;
+    speechEngine = new Speech.SpeechEngine({
+        getProfile: language => Speech.getSpeechProfile(getSettings() || {}, language)
+    });
+    
+    speechEngine.on('start', event => {
+        // Live feedback is not the message being spoken
+        if (event.priority > Speech.SPEECH_PRIORITY.low) {
+            speakBtn?.classList.add('is-speaking');
         }
+    });
+    speechEngine.on('idle', () => speakBtn?.classList.remove('is-speaking'));
+    speechEngine.on('error', event => {
+        if (event.error === 'clip-failed') {
+            showToast('Recorded clip could not play - using the voice instead', 'warning', 3000);
+            return;
+        }
+        console.error('Speech error:', event.error);
+        showToast(`Speech failed: ${event.error}`, 'error', 3000);
+    });
+    speechEngine.on('fallback', event => {
+        showToast(`No ${getLanguageName(event.language)} voice on this device - the browser's default voice is used and may not pronounce it. See Settings -> Audio & Voice.`, 'warning', 6000);
+    });
+    
+    return speechEngine;
+}
+
+/**
+ * Split text into parts, attaching banked voice clips where a phrase has one
+ * @param {string} text - Text to speak
+ * @returns {Promise<Array<Object>|null>} - [{ text, clip }], or null when nothing is banked
+ */
+async function getBankedSpeechParts(text) {
+    if (typeof getVoiceClip !== 'function') return null;
+    
+    try {
+        const whole = await getVoiceClip(text);
+        if (whole) return [{ text, clip: whole.blob }];
         
-        utterance.onstart = () => showToast('Speaking Bengali text...', 'info', 1000);
-        utterance.onend = () => showToast('Speech completed', 'success', 2000);
-        utterance.onerror = (event) => {
-            console.error('Speech error:', event.error);
-            showToast('Speech failed: ' + event.error, 'error', 3000);
-        };
-        
-        speechSynthesis.speak(utterance);
+        // A banked sentence inside a longer message still uses its clip
+        const sentences = text.split(/(?<=[.!?।\n])\s*/).map(sentence => sentence.trim()).filter(Boolean);
+        if (sentences.length < 2) return null;
         
+        const clips = await Promise.all(sentences.map(getVoiceClip));
+        if (!clips.some(Boolean)) return null;
+        return sentences.map((sentence, index) => ({ text: sentence, clip: clips[index]?.blob || null }));
     } catch (error) {
-        console.error('Speech error:', error);
-        showToast('Speech failed: ' + error.message, 'error', 3000);
+        console.warn('Voice bank unavailable:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Speak text with the voice profile of its language, or the patient's
+ * recorded clip when the phrase is in the voice bank
+ * @param {string} text - Text to speak
+ * @param {string} language - Language code
+ * @param {Object} options - Speech engine options (priority, interrupt...)
+ * @returns {Promise<Object>} - Resolves when spoken or cancelled
+ */
+async function speakText(text, language = 'en', options = {}) {
+    const engine = getSpeechEngine();
+    if (!engine.isSupported()) {
+        showToast('Speech synthesis not supported on this browser', 'error', 3000);
+        return { id: null, completed: false };
     }
+    
+    const parts = await getBankedSpeechParts(text);
+    if (!parts) {
+        return engine.speak(text, { language, interrupt: true, ...options });
+    }
+    
+    const spoken = parts.map((part, index) => engine.speak(part.text, {
+        language,
+        ...options,
+        interrupt: index === 0 ? options.interrupt !== false : false,
+        clip: part.clip
+    }));
+    const results = await Promise.all(spoken);
+    return { id: results[0].id, completed: results.every(result => result.completed) };
 }
 
 /**
@@ -1295,57 +4729,14 @@ function speakText(text, language = 'bn') {
  */
 function speakCurrentMessage() {
     const text = decodedText.trim();
+    if (replayState) return;
     
     if (!text) {
         showToast('No text to speak', 'warning', 2000);
         return;
     }
     
-    if (!('speechSynthesis' in window)) {
-        showToast('Speech synthesis not supported', 'error', 3000);
-        return;
-    }
-    
-    try {
-        speechSynthesis.cancel();
-        
-        const utterance = new SpeechSynthesisUtterance(text);
-        const settings = getSettings() || {};
-        
-        utterance.rate = settings.speechSpeed || 1.0;
-        utterance.pitch = settings.voicePitch || 1.0;
-        utterance.volume = 1.0;
-        
-        const voices = speechSynthesis.getVoices();
-        const genderPref = settings.voiceGender || 'female';
-        
-        let selectedVoice = voices.find(voice => 
-            voice.name.toLowerCase().includes(genderPref) ||
-            voice.name.toLowerCase().includes('female') && genderPref === 'female' ||
-            voice.name.toLowerCase().includes('male') && genderPref === 'male'
-        );
-        
-        if (!selectedVoice) {
-            selectedVoice = voices.find(voice => voice.default) || voices[0];
-        }
-        
-        if (selectedVoice) {
-            utterance.voice = selectedVoice;
-        }
-        
-        utterance.onstart = () => showToast('Speaking...', 'info', 1000);
-        utterance.onend = () => showToast('Speech completed', 'success', 2000);
-        utterance.onerror = (event) => {
-            console.error('Speech error:', event.error);
-            showToast('Speech failed', 'error', 2000);
-        };
-        
-        speechSynthesis.speak(utterance);
-        
-    } catch (error) {
-        console.error('Speech error:', error);
-        showToast('Speech failed', 'error', 3000);
-    }
+    speakText(text, getBlinkedTextLanguage(text));
 }
 
 /**
@@ -1356,14 +4747,31 @@ function clearCurrentMessage() {
         return;
     }
     
+    recordSessionEntry('event', { name: 'clear' });
+    resetCurrentMessage();
+    showToast('Message cleared', 'info', 1500);
+}
+
+/**
+ * Start a new message without asking (after SK or a confirmed clear)
+ */
+function resetCurrentMessage() {
     decodedText = '';
     currentBuilding = '';
+    lastBlinkEndTime = 0;
+    wordGapPending = false;
+    dualKeyer?.reset();
+    dualWordGapPending = false;
+    phraseCodeBuffer = null;
+    letterHistory = [];
+    pendingRetypes = [];
+    sessionAccuracy = null;
+    settleCorrection();
+    updatePhraseBoardStatus();
     updateDecoded();
     updateBuilding('—');
     
     if (liveMorseEl) liveMorseEl.textContent = '(waiting for input)';
-    
-    showToast('Message cleared', 'info', 1500);
 }
 
 /**
@@ -1409,19 +4817,42 @@ function addManualInput() {
     if (!manualText) return;
     
     const tokens = manualText.split(/\s+/);
-    let addedText = '';
+    
+    // Manual patterns answer the trainer too, for practising without the device
+    if (trainingActive) {
+        tokens.forEach(token => {
+            if (token === '/' || token === 'SPACE') {
+                handleTrainerWordGap();
+            } else if (isValidMorse(token)) {
+                handleTrainerLetter(token);
+            }
+        });
+        clearManualInput();
+        return;
+    }
+    
+    let text = decodedText;
     
     for (const token of tokens) {
         if (token === '/' || token === 'SPACE') {
-            addedText += ' ';
+            text += ' ';
         } else if (isValidMorse(token)) {
-            const decoded = decodeMorse(token);
-            addedText += decoded;
+            // Manual input follows the active alphabet and can switch it too
+            const prosign = typeof getProsign === 'function' ? getProsign(token) : null;
+            if ((prosign === 'DO' || prosign === 'SN') && handleProsign(token)) continue;
+            
+            const decoded = decodeBlinkedLetter(token);
+            if (decoded === '?') continue;
+            text = typeof composeMorseText === 'function'
+                ? composeMorseText(text, decoded, morseLanguage)
+                : text + decoded;
         }
     }
     
-    if (addedText) {
-        decodedText += addedText;
+    const addedText = text.startsWith(decodedText) ? text.slice(decodedText.length) : text;
+    if (text !== decodedText) {
+        recordSessionEntry('event', { name: 'manual', text: addedText });
+        decodedText = text;
         updateDecoded();
         clearManualInput();
         showToast(`Added: ${addedText}`, 'success', 2000);
@@ -1481,17 +4912,20 @@ function applySettings() {
  * Send data to device (for testing or commands)
  */
 async function sendToDevice(data) {
+    if (replayState) return false;
     if (!isConnected) {
         showToast('Device not connected', 'error', 2000);
         return false;
     }
     
     try {
-        if (connectionType === 'bluetooth' && bluetoothCharacteristic) {
+        const bluetoothTarget = bluetoothWriteCharacteristic || bluetoothCharacteristic;
+        if (connectionType === 'bluetooth' && bluetoothTarget) {
             const encoder = new TextEncoder();
             const dataWithNewline = data + '\n';
-            await bluetoothCharacteristic.writeValue(encoder.encode(dataWithNewline));
+            await bluetoothTarget.writeValue(encoder.encode(dataWithNewline));
             console.log('Sent via Bluetooth:', data);
+            recordSessionEntry('sent', data);
             return true;
             
         } else if (connectionType === 'serial' && serialPort) {
@@ -1500,6 +4934,13 @@ async function sendToDevice(data) {
             await writer.write(encoder.encode(data + '\n'));
             writer.releaseLock();
             console.log('Sent via Serial:', data);
+            recordSessionEntry('sent', data);
+            return true;
+            
+        } else if (virtualDevice) {
+            virtualDevice.write(data + '\n');
+            console.log('Sent to virtual device:', data);
+            recordSessionEntry('sent', data);
             return true;
         }
         
@@ -1537,6 +4978,7 @@ class LineBreakTransformer {
     }
     
     transform(chunk, controller) {
+        recordSessionEntry('raw', chunk);
         this.chunks += chunk;
         const lines = this.chunks.split('\n');
         this.chunks = lines.pop() || '';
@@ -1559,11 +5001,14 @@ class LineBreakTransformer {
 
 // Helper functions (fallbacks if not defined elsewhere)
 function getSettings() {
+    let settings;
     try {
-        return JSON.parse(localStorage.getItem('eyeblink_settings_v2') || '{}');
+        settings = JSON.parse(localStorage.getItem('eyeblink_settings_v2') || '{}');
     } catch {
-        return {};
+        settings = {};
     }
+    // A replay decodes with the settings the session was recorded with
+    return replayState ? { ...settings, ...replayState.settings } : settings;
 }
 
 function getTextStatistics(text) {
@@ -1705,6 +5150,12 @@ function monitorConnection() {
     }, 2000);
 }
 
+// Keep the throughput and recording of the session in progress
+window.addEventListener('pagehide', () => {
+    saveThroughput();
+    finishSessionRecording();
+});
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', async () => {
     if (isConnected) {
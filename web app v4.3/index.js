@@ -3,6 +3,7 @@
 let sessionTimer = null;
 let sessionStartTime = Date.now();
 let deviceConnected = false;
+let morsePlayer = null;
 
 document.addEventListener('DOMContentLoaded', () => {
     initializePage();
@@ -156,8 +157,9 @@ function updateRecentMessages(messages) {
  */
 function renderMorseReference() {
     try {
-        // Use the morse code map from the global scope or define it locally
-        const morseCodeMap = window.MORSE_CODE || {
+        // Use the active alphabet from morse.js or define it locally
+        const settings = typeof getSettings === 'function' ? getSettings() : {};
+        const morseCodeMap = typeof getMorseTable === 'function' ? getMorseTable(settings.morseLanguage) : {
             ".-": "A", "-...": "B", "-.-.": "C", "-..": "D", ".": "E",
             "..-.": "F", "--.": "G", "....": "H", "..": "I", ".---": "J",
             "-.-": "K", ".-..": "L", "--": "M", "-.": "N", "---": "O",
@@ -172,9 +174,9 @@ function renderMorseReference() {
         
         // Separate letters and numbers
         Object.entries(morseCodeMap).forEach(([morse, char]) => {
-            if (char >= 'A' && char <= 'Z') {
+            if (/[\p{L}\p{M}]/u.test(char)) {
                 letters[char] = morse;
-            } else if (char >= '0' && char <= '9') {
+            } else if (/\p{N}/u.test(char)) {
                 numbers[char] = morse;
             }
         });
@@ -185,7 +187,7 @@ function renderMorseReference() {
             const lettersHtml = Object.entries(letters)
                 .sort(([a], [b]) => a.localeCompare(b))
                 .map(([char, morse]) => `
-                    <div class="morse-item">
+                    <div class="morse-item" data-char="${char}" role="button" tabindex="0" title="Play ${char}">
                         <span class="morse-char">${char}</span> — 
                         <code class="morse-code">${formatMorseForDisplay(morse)}</code>
                     </div>
@@ -199,7 +201,7 @@ function renderMorseReference() {
             const numbersHtml = Object.entries(numbers)
                 .sort(([a], [b]) => a.localeCompare(b))
                 .map(([char, morse]) => `
-                    <div class="morse-item">
+                    <div class="morse-item" data-char="${char}" role="button" tabindex="0" title="Play ${char}">
                         <span class="morse-char">${char}</span> — 
                         <code class="morse-code">${formatMorseForDisplay(morse)}</code>
                     </div>
@@ -238,6 +240,7 @@ function setupEventListeners() {
             const isVisible = chartContent.style.display !== 'none';
             
             if (isVisible) {
+                morsePlayer?.stop();
                 chartContent.style.display = 'none';
                 toggleChartBtn.textContent = 'Show Chart';
             } else {
@@ -252,10 +255,90 @@ function setupEventListeners() {
         });
     }
     
+    // Morse playback from the reference chart
+    if (chartContent) {
+        chartContent.addEventListener('click', event => {
+            const item = event.target.closest('.morse-item');
+            if (item) playReferenceMorse(item.dataset.char);
+        });
+        chartContent.addEventListener('keydown', event => {
+            const item = event.target.closest('.morse-item');
+            if (item && (event.key === 'Enter' || event.key === ' ')) {
+                event.preventDefault();
+                playReferenceMorse(item.dataset.char);
+            }
+        });
+    }
+    
+    const playReferenceBtn = document.getElementById('playReferenceBtn');
+    if (playReferenceBtn) {
+        playReferenceBtn.addEventListener('click', () => {
+            if (morsePlayer?.isPlaying()) {
+                morsePlayer.stop();
+                return;
+            }
+            const chars = [...document.querySelectorAll('#morseChartContent .morse-item')].map(item => item.dataset.char);
+            playReferenceMorse(chars.join(' '));
+        });
+    }
+    
     // Refresh dashboard periodically
     setInterval(updateDashboard, 10000); // Every 10 seconds
 }
 
+// ==================== MORSE PLAYBACK ====================
+
+/**
+ * Morse player for the reference chart (created on first use)
+ * @returns {MorsePlayer}
+ */
+function getMorsePlayer() {
+    if (morsePlayer) return morsePlayer;
+    
+    morsePlayer = new MorsePlayer({
+        getOptions: () => getMorsePlaybackOptions(getSettings() || {})
+    });
+    
+    morsePlayer.on('start', event => {
+        const playBtn = document.getElementById('playReferenceBtn');
+        if (playBtn && event.letters > 1) playBtn.innerHTML = '<span>⏹️ Stop</span>';
+        
+        const status = document.getElementById('morsePlayerStatus');
+        if (status) status.textContent = `${event.options.wpm} WPM, ${event.options.frequency} Hz - change in Settings`;
+    });
+    morsePlayer.on('letter', event => {
+        document.querySelectorAll('#morseChartContent .morse-item.is-playing').forEach(item => item.classList.remove('is-playing'));
+        const item = [...document.querySelectorAll('#morseChartContent .morse-item')].find(el => el.dataset.char === event.char);
+        if (item) {
+            item.classList.add('is-playing');
+            item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+        
+        const status = document.getElementById('morsePlayerStatus');
+        if (status) status.textContent = `${event.char}  ${formatMorseForDisplay(event.morse)}`;
+    });
+    morsePlayer.on('end', () => {
+        document.querySelectorAll('#morseChartContent .morse-item.is-playing').forEach(item => item.classList.remove('is-playing'));
+        const playBtn = document.getElementById('playReferenceBtn');
+        if (playBtn) playBtn.innerHTML = '<span>▶️ Play All</span>';
+    });
+    
+    return morsePlayer;
+}
+
+/**
+ * Play reference characters as Morse
+ * @param {string} text - Characters to play
+ */
+function playReferenceMorse(text) {
+    const player = getMorsePlayer();
+    if (!player.isSupported()) {
+        showToast('Audio playback not supported in this browser', 'error', 3000);
+        return;
+    }
+    player.play(text);
+}
+
 /**
  * Handle connect device button click
  */
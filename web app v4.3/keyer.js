@@ -0,0 +1,136 @@
+// ==================== TWO-SWITCH KEYER ====================
+// Turns presses of a dot input and a dash input (two IR sensors or two keys)
+// into Morse symbols. Each press is one symbol; with iambic squeeze, holding
+// both inputs sends alternating dots and dashes like a paddle keyer.
+// Letter and word gaps are timed by the caller from getIdleTime().
+
+const DUAL_KEYER_DEFAULTS = {
+    squeeze: false,  // Holding both inputs alternates dot and dash
+    element: 200     // ms of a dot while squeezing; a dash is 3 and the space after each symbol 1
+};
+
+const DUAL_KEYER_SYMBOLS = { DOT: '.', DASH: '-' };
+
+/**
+ * Dot / dash inputs to symbols, timed on the caller's clock
+ */
+class DualKeyer {
+    /**
+     * @param {Object} options - { squeeze, element, onSymbol(symbol, time) }
+     */
+    constructor(options = {}) {
+        this.options = { ...DUAL_KEYER_DEFAULTS, ...options };
+        this.onSymbol = options.onSymbol || (() => {});
+        this.reset();
+    }
+
+    /**
+     * Forget held inputs and the symbol in progress
+     */
+    reset() {
+        this.held = { DOT: false, DASH: false };
+        this.lastKey = null;      // Input of the last symbol sent
+        this.nextAt = null;       // While squeezing: when the current symbol and its space end
+        this.memory = null;       // While squeezing: input pressed during the current symbol
+        this.lastActivity = null; // Time of the last symbol or release
+    }
+
+    /**
+     * An input closed
+     * @param {string} key - 'DOT' or 'DASH'
+     * @param {number} time - Time in ms
+     */
+    press(key, time) {
+        if (!(key in this.held) || this.held[key]) return;
+
+        this.update(time);
+        this.held[key] = true;
+
+        // While a squeezed symbol is still sounding the press waits its turn
+        if (this.nextAt !== null) {
+            this.memory = key;
+            return;
+        }
+        this.send(key, time);
+    }
+
+    /**
+     * An input opened
+     * @param {string} key - 'DOT' or 'DASH'
+     * @param {number} time - Time in ms
+     */
+    release(key, time) {
+        if (!this.held[key]) return;
+
+        this.update(time);
+        this.held[key] = false;
+        this.lastActivity = Math.max(this.lastActivity ?? time, time);
+    }
+
+    /**
+     * Send the squeezed symbols that are due (call regularly while squeezing)
+     * @param {number} time - Time in ms
+     */
+    update(time) {
+        while (this.nextAt !== null && time >= this.nextAt) {
+            const at = this.nextAt;
+            const key = this.held.DOT && this.held.DASH
+                ? (this.lastKey === 'DOT' ? 'DASH' : 'DOT')
+                : this.memory;
+
+            this.nextAt = null;
+            this.memory = null;
+            if (key) {
+                this.send(key, at);
+            } else {
+                this.lastActivity = Math.max(this.lastActivity ?? at, at);
+            }
+        }
+    }
+
+    /**
+     * Emit a symbol
+     * @param {string} key - 'DOT' or 'DASH'
+     * @param {number} time - Time in ms
+     */
+    send(key, time) {
+        this.lastKey = key;
+        this.lastActivity = time;
+        if (this.options.squeeze) {
+            this.nextAt = time + this.options.element * (key === 'DASH' ? 4 : 2);
+        }
+        this.onSymbol(DUAL_KEYER_SYMBOLS[key], time);
+    }
+
+    /**
+     * Pause since the last symbol or release
+     * @param {number} time - Time in ms
+     * @returns {number|null} - ms, or null while an input is held, a symbol is sounding or nothing was sent
+     */
+    getIdleTime(time) {
+        if (this.held.DOT || this.held.DASH || this.nextAt !== null || this.lastActivity === null) {
+            return null;
+        }
+        return time - this.lastActivity;
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DUAL_KEYER_DEFAULTS,
+        DUAL_KEYER_SYMBOLS,
+        DualKeyer
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.MorseKeyer = {
+        DUAL_KEYER_DEFAULTS,
+        DUAL_KEYER_SYMBOLS,
+        DualKeyer
+    };
+}
@@ -8,6 +8,10 @@ const messagesPerPage = 10;
 // Selection tracking for bulk operations
 let selectedMessages = new Set();
 
+// Morse playback (player.js)
+let morsePlayer = null;
+let playingMessageId = null;
+
 // UI elements
 let messagesList, emptyState, pagination;
 let searchInput, filterSelect, sortSelect;
@@ -135,6 +139,31 @@ function setupEventListeners() {
             clearAllBtn.addEventListener('click', clearAllMessages);
         }
         
+        const toggleAnalyticsBtn = document.getElementById('toggleAnalytics');
+        if (toggleAnalyticsBtn) {
+            toggleAnalyticsBtn.addEventListener('click', toggleAnalytics);
+        }
+        
+        const letterSourceSelect = document.getElementById('letterSourceSelect');
+        if (letterSourceSelect) {
+            letterSourceSelect.addEventListener('change', updateLetterAccuracy);
+        }
+        
+        const exportConfusionBtn = document.getElementById('exportConfusionBtn');
+        if (exportConfusionBtn) {
+            exportConfusionBtn.addEventListener('click', exportConfusionMatrix);
+        }
+        
+        const throughputMetricSelect = document.getElementById('throughputMetricSelect');
+        if (throughputMetricSelect) {
+            throughputMetricSelect.addEventListener('change', updateThroughput);
+        }
+        
+        const exportSessionsBtn = document.getElementById('exportSessionsBtn');
+        if (exportSessionsBtn) {
+            exportSessionsBtn.addEventListener('click', exportSessionMetrics);
+        }
+        
         console.log('Event listeners setup complete');
     } catch (error) {
         console.error('Error setting up event listeners:', error);
@@ -346,9 +375,16 @@ function createMessageElement(message) {
                 </label>
                 <span class="message-date">📅 ${date}</span>
                 <span class="message-stats">📊 ${stats.words || 0} words, ${stats.characters || 0} chars</span>
-                ${isTranslated ? `<span class="message-language">🌐 ${language.toUpperCase()}</span>` : ''}
+                ${message.session ? `<span class="message-stats" title="${message.session.letters} letters blinked, ${message.session.lowConfidence || 0} low confidence, ${message.session.corrections || 0} corrections">🎯 ${Math.round(message.session.accuracy * 100)}%</span>` : ''}
+                ${isTranslated || language !== 'en' ? `<span class="message-language">🌐 ${language.toUpperCase()}</span>` : ''}
             </div>
             <div class="message-actions">
+                <button class="message-btn message-btn-play" onclick="playMessageMorse('${message.id}')" title="Play as Morse">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polygon points="6,4 20,12 6,20"></polygon>
+                    </svg>
+                    <span class="message-btn-label">${message.id === playingMessageId ? 'Stop' : 'Morse'}</span>
+                </button>
                 <button class="message-btn message-btn-copy" onclick="copyMessage('${message.id}')" title="Copy Message">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -453,11 +489,359 @@ function updateStats() {
         if (translatedCountEl) translatedCountEl.textContent = translated;
         if (totalWordsEl) totalWordsEl.textContent = totalWords;
         
+        updateAnalytics();
     } catch (error) {
         console.error('Error updating stats:', error);
     }
 }
 
+// ==================== ANALYTICS ====================
+
+/**
+ * Show or hide the analytics details
+ */
+function toggleAnalytics() {
+    const content = document.getElementById('analyticsContent');
+    const toggleBtn = document.getElementById('toggleAnalytics');
+    if (!content) return;
+    
+    const show = content.style.display === 'none';
+    content.style.display = show ? 'block' : 'none';
+    
+    if (toggleBtn) {
+        toggleBtn.querySelector('span').textContent = show ? 'Hide Analytics' : 'Show Analytics';
+        toggleBtn.querySelector('.toggle-icon').textContent = show ? '▲' : '▼';
+    }
+}
+
+/**
+ * Fill the analytics card from the saved messages
+ */
+function updateAnalytics() {
+    const analyticsCard = document.getElementById('analyticsCard');
+    if (!analyticsCard) return;
+    
+    // Sessions and trainer letters are worth showing before the first message is saved
+    const hasActivity = getLetterLog().length > 0 || getSessionMetrics().length > 0;
+    analyticsCard.style.display = currentMessages.length > 0 || hasActivity ? 'block' : 'none';
+    updateThroughput();
+    updateLetterAccuracy();
+    if (currentMessages.length === 0) return;
+    
+    const setValue = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.textContent = value;
+    };
+    
+    // Usage patterns
+    const dayCounts = {};
+    const hourCounts = {};
+    currentMessages.forEach(message => {
+        if (!message.timestamp) return;
+        const date = new Date(message.timestamp);
+        const day = date.toLocaleDateString(undefined, { weekday: 'long' });
+        dayCounts[day] = (dayCounts[day] || 0) + 1;
+        hourCounts[date.getHours()] = (hourCounts[date.getHours()] || 0) + 1;
+    });
+    
+    const mostCommon = counts => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0];
+    const peakHour = mostCommon(hourCounts);
+    const longest = Math.max(...currentMessages.map(message => (message.text || '').length));
+    
+    setValue('mostActiveDay', mostCommon(dayCounts) || '-');
+    setValue('peakHour', peakHour !== undefined ? `${String(peakHour).padStart(2, '0')}:00` : '-');
+    setValue('longestMessage', `${longest} chars`);
+    
+    // Language distribution
+    const languageStats = document.getElementById('languageStats');
+    if (languageStats) {
+        const languages = {};
+        currentMessages.forEach(message => {
+            const language = message.language || (message.translated ? 'bn' : 'en');
+            languages[language] = (languages[language] || 0) + 1;
+        });
+        
+        languageStats.innerHTML = Object.entries(languages)
+            .sort((a, b) => b[1] - a[1])
+            .map(([language, count]) => `
+                <div class="analytics-item">
+                    <span class="analytics-label">${escapeHtml(language.toUpperCase())}</span>
+                    <span class="analytics-value">${Math.round((count / currentMessages.length) * 100)}%</span>
+                </div>`)
+            .join('');
+    }
+    
+    // Decoding reliability, weighted by the letters blinked in each session
+    const sessions = currentMessages.map(message => message.session).filter(session => session && session.letters > 0);
+    const letters = sessions.reduce((sum, session) => sum + session.letters, 0);
+    const successRateEl = document.getElementById('successRate');
+    if (successRateEl) {
+        if (letters > 0) {
+            const accuracy = sessions.reduce((sum, session) => sum + session.accuracy * session.letters, 0) / letters;
+            successRateEl.textContent = `${Math.round(accuracy * 100)}%`;
+            successRateEl.title = `${sessions.length} sessions, ${letters} letters blinked`;
+        } else {
+            successRateEl.textContent = '-';
+            successRateEl.title = 'No blinking sessions recorded yet';
+        }
+    }
+    
+    const durations = sessions.map(session => session.duration).filter(Number.isFinite);
+    if (durations.length > 0) {
+        const seconds = Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length / 1000);
+        setValue('avgProcessingTime', seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`);
+    } else {
+        setValue('avgProcessingTime', '-');
+    }
+    
+    updateTranslationProviderStats();
+}
+
+/**
+ * Show reliability and speed of each translation provider, plus cache reuse
+ */
+function updateTranslationProviderStats() {
+    const container = document.getElementById('translationProviderStats');
+    if (!container) return;
+    
+    const providers = Object.values(getTranslationStats())
+        .filter(entry => entry.attempts > 0)
+        .sort((a, b) => b.attempts - a.attempts);
+    const cache = getTranslationCacheInfo();
+    
+    const rows = providers.map(entry => {
+        const answered = entry.successes + entry.failures;
+        const reliability = answered > 0 ? `${Math.round((entry.successes / answered) * 100)}%` : '-';
+        const latency = entry.avgLatency !== null ? ` · ${entry.avgLatency} ms` : '';
+        const detail = `${entry.successes} translated, ${entry.failures} failed, ${entry.misses} not covered`
+            + (entry.lastError ? ` - last error: ${entry.lastError}` : '');
+        
+        return `
+                <div class="analytics-item" title="${escapeHtml(detail)}">
+                    <span class="analytics-label">${escapeHtml(entry.name)}</span>
+                    <span class="analytics-value">${reliability}${latency}</span>
+                </div>`;
+    });
+    
+    if (cache.entries > 0) {
+        rows.push(`
+                <div class="analytics-item" title="Translations reused without asking a provider">
+                    <span class="analytics-label">Saved Translations</span>
+                    <span class="analytics-value">${cache.entries} (${cache.hits} reused)</span>
+                </div>`);
+    }
+    
+    container.innerHTML = rows.length > 0 ? rows.join('') : `
+                <div class="analytics-item">
+                    <span class="analytics-label">No translations yet</span>
+                    <span class="analytics-value">-</span>
+                </div>`;
+}
+
+// ==================== THROUGHPUT ====================
+
+const THROUGHPUT_TREND_DAYS = 30;
+const THROUGHPUT_METRICS = {
+    wpm: { label: 'WPM', format: value => value.toFixed(1) },
+    cpm: { label: 'CPM', format: value => value.toFixed(0) },
+    correctionRate: { label: 'Corrections', format: value => `${Math.round(value * 100)}%` },
+    idleShare: { label: 'Idle', format: value => `${Math.round(value * 100)}%` }
+};
+
+/**
+ * Show the latest session, the last 7 days and the daily trend of the chosen metric
+ */
+function updateThroughput() {
+    const chart = document.getElementById('throughputChart');
+    if (!chart) return;
+    
+    const setValue = (id, value, title = '') => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = value;
+            element.title = title;
+        }
+    };
+    
+    const sessions = getSessionMetrics();
+    const last = sessions[sessions.length - 1];
+    setValue('lastSessionWpm', last ? `${last.wpm} WPM` : '-',
+        last ? `${last.cpm} characters per minute over ${Math.round(last.activeTime / 60000)} active minutes` : '');
+    
+    const weekStart = Date.now() - 7 * 24 * 60 * 60 * 1000;
+    const recent = sessions.filter(session => session.startedAt >= weekStart);
+    const week = recent.length > 0 ? summarizeSessionMetrics(recent) : null;
+    setValue('weekWpm', week ? `${week.wpm} WPM` : '-', week ? `${week.sessions} sessions, ${week.cpm} characters per minute` : '');
+    setValue('weekCorrectionRate', week ? `${Math.round(week.correctionRate * 100)}%` : '-',
+        week ? `${week.corrections} corrections for ${week.letters} letters` : '');
+    setValue('weekIdleShare', week ? `${Math.round(week.idleShare * 100)}%` : '-', 'Share of session time spent in pauses');
+    
+    const select = document.getElementById('throughputMetricSelect');
+    const metric = THROUGHPUT_METRICS[select?.value] ? select.value : 'wpm';
+    const days = getDailySessionMetrics(sessions).slice(-THROUGHPUT_TREND_DAYS);
+    
+    const summary = document.getElementById('throughputSummary');
+    if (summary) {
+        summary.textContent = sessions.length > 0
+            ? `${sessions.length} sessions over ${days.length} days`
+            : 'No sessions recorded yet';
+    }
+    
+    renderTrendChart(chart, days.map(day => ({ label: day.date, value: day[metric] })), THROUGHPUT_METRICS[metric]);
+}
+
+/**
+ * Draw a line chart of daily values as SVG
+ * @param {HTMLElement} container - Chart container
+ * @param {Array<Object>} points - [{ label, value }] oldest first
+ * @param {Object} metric - { label, format }
+ */
+function renderTrendChart(container, points, metric) {
+    if (points.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const width = 600;
+    const height = 160;
+    const padding = 24;
+    const max = Math.max(...points.map(point => point.value)) || 1;
+    const x = index => points.length === 1 ? width / 2 : padding + (index / (points.length - 1)) * (width - padding * 2);
+    const y = value => height - padding - (value / max) * (height - padding * 2);
+    
+    const line = points.map((point, index) => `${x(index).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+    const dots = points.map((point, index) => `
+            <circle cx="${x(index).toFixed(1)}" cy="${y(point.value).toFixed(1)}" r="4">
+                <title>${escapeHtml(point.label)}: ${escapeHtml(metric.format(point.value))} ${escapeHtml(metric.label)}</title>
+            </circle>`).join('');
+    
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(metric.label)} per day">
+            <line class="trend-axis" x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}"></line>
+            <text class="trend-label" x="${padding}" y="${padding - 8}">${escapeHtml(metric.format(max))} ${escapeHtml(metric.label)}</text>
+            <text class="trend-label" x="${padding}" y="${height - 6}">${escapeHtml(points[0].label)}</text>
+            <text class="trend-label" x="${width - padding}" y="${height - 6}" text-anchor="end">${escapeHtml(points[points.length - 1].label)}</text>
+            <polyline class="trend-line" points="${line}"></polyline>${dots}
+        </svg>`;
+}
+
+/**
+ * Download every session's metrics as CSV
+ */
+function exportSessionMetrics() {
+    const sessions = getSessionMetrics();
+    if (sessions.length === 0) {
+        showToast('No sessions recorded yet', 'warning', 2000);
+        return;
+    }
+    
+    const blob = createDownloadBlob(convertSessionMetricsToCSV(sessions), 'text/csv');
+    triggerDownload(blob, `session-metrics-${new Date().toISOString().split('T')[0]}.csv`);
+    showToast('Session metrics exported', 'success', 2000);
+}
+
+// ==================== LETTER ACCURACY ====================
+
+const LETTER_CONFUSIONS_SHOWN = 5;
+
+/**
+ * Letters source chosen above the heatmap
+ * @returns {Object} - getConfusionMatrix() options
+ */
+function getLetterAccuracyFilter() {
+    const select = document.getElementById('letterSourceSelect');
+    return select && select.value ? { source: select.value } : {};
+}
+
+/**
+ * Colour each Morse reference character by how often it comes out wrong,
+ * and list the letters most often entered as something else
+ */
+function updateLetterAccuracy() {
+    const heatmap = document.getElementById('letterHeatmap');
+    if (!heatmap) return;
+    
+    const matrix = getConfusionMatrix(getLetterAccuracyFilter());
+    const { characters } = matrix;
+    
+    // The reference chart (A-Z, 0-9), then anything else that was blinked
+    const reference = Object.entries(MORSE_CODE)
+        .filter(([, char]) => /^[A-Z0-9]$/.test(char))
+        .sort((a, b) => /\d/.test(a[1]) - /\d/.test(b[1]) || a[1].localeCompare(b[1]))
+        .map(([, char]) => char);
+    const extra = Object.keys(characters).filter(char => !reference.includes(char)).sort();
+    
+    heatmap.innerHTML = [...reference, ...extra].map(char => {
+        const entry = characters[char];
+        const pattern = encodeToMorse(char) || Object.keys(entry?.patterns || {})[0] || '';
+        if (!entry) {
+            return `
+                <div class="letter-heat-cell is-empty" role="listitem" title="${escapeHtml(char)}: not blinked yet">
+                    <span class="letter-heat-char">${escapeHtml(char)}</span>
+                    <code>${escapeHtml(pattern)}</code>
+                </div>`;
+        }
+        
+        const rate = entry.errors / entry.attempts;
+        const enteredAs = Object.entries(entry.entered)
+            .filter(([entered]) => entered !== char)
+            .sort((a, b) => b[1] - a[1])
+            .map(([entered, count]) => `${entered === '?' ? 'unknown pattern' : entered} ×${count}`);
+        const detail = `${char}: ${entry.errors} of ${entry.attempts} wrong`
+            + (enteredAs.length > 0 ? ` - entered as ${enteredAs.join(', ')}` : '');
+        
+        return `
+                <div class="letter-heat-cell" role="listitem" style="--heat: ${rate.toFixed(2)}" title="${escapeHtml(detail)}">
+                    <span class="letter-heat-char">${escapeHtml(char)}</span>
+                    <code>${escapeHtml(pattern)}</code>
+                    <span class="letter-heat-rate">${Math.round(rate * 100)}%</span>
+                </div>`;
+    }).join('');
+    
+    const attempted = Object.values(characters).reduce((sum, entry) => sum + entry.attempts, 0);
+    const errors = Object.values(characters).reduce((sum, entry) => sum + entry.errors, 0);
+    const summary = document.getElementById('letterHeatmapSummary');
+    if (summary) {
+        summary.textContent = attempted > 0
+            ? `${attempted} letters, ${Math.round((errors / attempted) * 100)}% wrong`
+                + (matrix.unresolved > 0 ? ` · ${matrix.unresolved} unknown patterns` : '')
+            : 'No letters recorded yet';
+    }
+    
+    // Most frequent intended → entered pairs
+    const confusions = [];
+    Object.entries(characters).forEach(([char, entry]) => {
+        Object.entries(entry.entered)
+            .filter(([entered]) => entered !== char)
+            .forEach(([entered, count]) => confusions.push({ char, entered, count, attempts: entry.attempts }));
+    });
+    confusions.sort((a, b) => b.count - a.count);
+    
+    const confusionList = document.getElementById('letterConfusions');
+    if (confusionList) {
+        confusionList.innerHTML = confusions.slice(0, LETTER_CONFUSIONS_SHOWN).map(confusion => `
+                <div class="analytics-item">
+                    <span class="analytics-label">"${escapeHtml(confusion.char)}" entered as ${confusion.entered === '?' ? 'an unknown pattern' : `"${escapeHtml(confusion.entered)}"`}</span>
+                    <span class="analytics-value">${confusion.count} of ${confusion.attempts}</span>
+                </div>`).join('');
+    }
+}
+
+/**
+ * Download the confusion matrix as CSV for progress reviews
+ */
+function exportConfusionMatrix() {
+    const matrix = getConfusionMatrix(getLetterAccuracyFilter());
+    if (Object.keys(matrix.characters).length === 0) {
+        showToast('No letters recorded yet', 'warning', 2000);
+        return;
+    }
+    
+    const blob = createDownloadBlob(convertConfusionMatrixToCSV(matrix), 'text/csv');
+    triggerDownload(blob, `letter-accuracy-${new Date().toISOString().split('T')[0]}.csv`);
+    showToast('Letter accuracy exported', 'success', 2000);
+}
+
 // ==================== QUICK ACTIONS IMPLEMENTATION ====================
 
 /**
@@ -602,6 +986,8 @@ function exportMessagesToCSV() {
             'Language',
             'Word Count',
             'Character Count',
+            'Accuracy',
+            'Low Confidence Letters',
             'Timestamp'
         ];
         
@@ -618,6 +1004,8 @@ function exportMessagesToCSV() {
                 `"${message.language || 'en'}"`,
                 message.stats?.words || 0,
                 message.stats?.characters || 0,
+                message.session ? `${Math.round(message.session.accuracy * 100)}%` : '',
+                message.session ? message.session.lowConfidence || 0 : '',
                 message.timestamp || ''
             ];
             csvRows.push(row.join(','));
@@ -949,6 +1337,107 @@ function refreshMessages() {
     }
 }
 
+// ==================== MORSE PLAYBACK ====================
+
+/**
+ * Morse player for saved messages (created on first use)
+ * @returns {MorsePlayer}
+ */
+function getMorsePlayer() {
+    if (morsePlayer) return morsePlayer;
+    
+    morsePlayer = new MorsePlayer({
+        getOptions: () => getMorsePlaybackOptions(getSettings() || {})
+    });
+    
+    morsePlayer.on('letter', event => {
+        const textEl = getPlayingMessageText();
+        if (!textEl) return;
+        
+        textEl.querySelectorAll('.is-playing').forEach(el => el.classList.remove('is-playing'));
+        textEl.querySelector(`[data-index="${event.index}"]`)?.classList.add('is-playing');
+    });
+    morsePlayer.on('end', () => {
+        const message = currentMessages.find(msg => msg.id === playingMessageId);
+        const textEl = getPlayingMessageText();
+        if (textEl && message) {
+            textEl.textContent = message.text || '';
+        }
+        setPlayButtonLabel(playingMessageId, 'Morse');
+        playingMessageId = null;
+    });
+    
+    return morsePlayer;
+}
+
+/**
+ * Text element of the message being played, if it is on this page
+ * @returns {HTMLElement|null}
+ */
+function getPlayingMessageText() {
+    if (!playingMessageId) return null;
+    return document.querySelector(`.message-item[data-message-id="${playingMessageId}"] .message-text`);
+}
+
+/**
+ * Change a message's play button label
+ * @param {string} messageId - Message ID
+ * @param {string} label - New label
+ */
+function setPlayButtonLabel(messageId, label) {
+    const labelEl = document.querySelector(`.message-item[data-message-id="${messageId}"] .message-btn-play .message-btn-label`);
+    if (labelEl) labelEl.textContent = label;
+}
+
+/**
+ * Play a message as Morse, highlighting each character as it sounds (or stop it)
+ * @param {string} messageId - Message ID
+ */
+function playMessageMorse(messageId) {
+    try {
+        const player = getMorsePlayer();
+        if (playingMessageId === messageId) {
+            player.stop();
+            return;
+        }
+        
+        const message = currentMessages.find(msg => msg.id === messageId);
+        if (!message) {
+            showToast('Message not found', 'error', 2000);
+            return;
+        }
+        if (!player.isSupported()) {
+            showToast('Audio playback not supported in this browser', 'error', 3000);
+            return;
+        }
+        
+        // Translated messages use their own alphabet
+        const settings = getSettings() || {};
+        const language = MORSE_LANGUAGE_TABLES[message.language] ? message.language : settings.morseLanguage;
+        if (getTextMorseTimings(message.text, { language }).letters.length === 0) {
+            showToast('Nothing in this message can be played as Morse', 'info', 2000);
+            return;
+        }
+        
+        player.stop();
+        playingMessageId = messageId;
+        
+        // One span per character so playback can highlight it
+        const textEl = getPlayingMessageText();
+        if (textEl) {
+            textEl.innerHTML = Array.from(message.text || '')
+                .map((char, index) => `<span data-index="${index}">${escapeHtml(char)}</span>`)
+                .join('');
+        }
+        setPlayButtonLabel(messageId, 'Stop');
+        
+        player.play(message.text, { language });
+    } catch (error) {
+        console.error('Error playing message:', error);
+        showToast('Error playing message', 'error', 2000);
+    }
+}
+
 // ==================== EXISTING FUNCTIONS REMAIN UNCHANGED ====================
 
 /**
@@ -1398,6 +1887,16 @@ function addMessageButtonStyles() {
             flex-shrink: 0;
         }
 
+        .message-btn-play {
+            border-color: #93c5fd;
+            color: #2563eb;
+        }
+
+        .message-btn-play:hover {
+            background: #dbeafe;
+            border-color: #3b82f6;
+        }
+
         .message-btn-copy {
             border-color: #d1d5db;
             color: #374151;
@@ -1498,6 +1997,10 @@ function addMessageButtonStyles() {
             color: #f9fafb;
         }
 
+        [data-theme="dark"] .message-btn-play:hover {
+            background: #1e3a8a;
+        }
+
         [data-theme="dark"] .message-btn-copy:hover {
             background: #4b5563;
         }
@@ -26,12 +26,206 @@ Object.keys(MORSE_CODE).forEach(morse => {
     CHAR_TO_MORSE[MORSE_CODE[morse]] = morse;
 });
 
+// Procedural signals, sent as one run of elements without letter gaps.
+// Written as <AR>, <SK>... in text so they survive encoding and decoding.
+const PROSIGNS = {
+    AR: { pattern: '.-.-.', meaning: 'End of message (save and speak)' },
+    SK: { pattern: '...-.-', meaning: 'End of conversation (save, speak and start over)' },
+    BT: { pattern: '-...-', meaning: 'New paragraph' },
+    KN: { pattern: '-.--.', meaning: 'Over to you (speak and wait for a reply)' },
+    HH: { pattern: '........', meaning: 'Error (delete)' },
+    DO: { pattern: '-..---', meaning: 'Switch to the second alphabet' },
+    SN: { pattern: '...-.', meaning: 'Back to the main alphabet' }
+};
+
+const PROSIGN_BY_PATTERN = {};
+Object.keys(PROSIGNS).forEach(name => {
+    PROSIGN_BY_PATTERN[PROSIGNS[name].pattern] = name;
+});
+
+// Bangla vowel signs (kar) used when a vowel follows a consonant
+const BANGLA_VOWEL_SIGNS = {
+    'আ': 'া', 'ই': 'ি', 'ঈ': 'ী', 'উ': 'ু', 'ঊ': 'ূ', 'ঋ': 'ৃ',
+    'এ': 'ে', 'ঐ': 'ৈ', 'ও': 'ো', 'ঔ': 'ৌ'
+};
+
+/**
+ * Bangla: a vowel right after a consonant becomes its vowel sign (ক + আ = কা)
+ * @param {string} text - Text so far
+ * @param {string} char - Decoded character
+ * @returns {string} - Text with the character added
+ */
+function composeBangla(text, char) {
+    const previous = text.slice(-1);
+    if (BANGLA_VOWEL_SIGNS[char] && /[\u0995-\u09B9\u09CE\u09DC-\u09DF]/.test(previous)) {
+        return text + BANGLA_VOWEL_SIGNS[char];
+    }
+    return text + char;
+}
+
+/**
+ * Wabun: dakuten/handakuten combine with the kana before them (カ + ゛ = ガ)
+ * @param {string} text - Text so far
+ * @param {string} char - Decoded character
+ * @returns {string} - Text with the character added
+ */
+function composeWabun(text, char) {
+    return (text + char).normalize('NFC');
+}
+
+// Character tables per language. Latin tables add letters to MORSE_CODE (ITU
+// non-English extensions); tables with replacesLatin swap A-Z for their own
+// alphabet and keep digits and punctuation. Patterns are shared between
+// tables, so only one is active at a time. lang is the BCP 47 speech language.
+const MORSE_LANGUAGE_TABLES = {
+    en: { name: 'English', lang: 'en-US', letters: {} },
+    de: { name: 'Deutsch', lang: 'de-DE', letters: { '.-.-': 'Ä', '---.': 'Ö', '..--': 'Ü', '...--..': 'ß' } },
+    fr: { name: 'Français', lang: 'fr-FR', letters: { '.--.-': 'À', '-.-..': 'Ç', '..-..': 'É', '.-..-': 'È' } },
+    es: { name: 'Español', lang: 'es-ES', letters: { '--.--': 'Ñ', '.--.-': 'Á', '..-..': 'É', '---.': 'Ó', '..--': 'Ü' } },
+    it: { name: 'Italiano', lang: 'it-IT', letters: { '.--.-': 'À', '..-..': 'É', '.-..-': 'È', '---.': 'Ò' } },
+    sv: { name: 'Svenska / Suomi', lang: 'sv-SE', letters: { '.--.-': 'Å', '.-.-': 'Ä', '---.': 'Ö', '..-..': 'É' } },
+    da: { name: 'Dansk / Norsk', lang: 'da-DK', letters: { '.-.-': 'Æ', '---.': 'Ø', '.--.-': 'Å', '..-..': 'É' } },
+    pl: { name: 'Polski', lang: 'pl-PL', letters: { '.-.-': 'Ą', '-.-..': 'Ć', '..-..': 'Ę', '.-..-': 'Ł', '--.--': 'Ń', '---.': 'Ó', '...-...': 'Ś', '--..-.': 'Ź', '--..-': 'Ż' } },
+    ru: {
+        name: 'Русский (Cyrillic)',
+        lang: 'ru-RU',
+        replacesLatin: true,
+        letters: {
+            '.-': 'А', '-...': 'Б', '.--': 'В', '--.': 'Г', '-..': 'Д', '.': 'Е',
+            '...-': 'Ж', '--..': 'З', '..': 'И', '.---': 'Й', '-.-': 'К', '.-..': 'Л',
+            '--': 'М', '-.': 'Н', '---': 'О', '.--.': 'П', '.-.': 'Р', '...': 'С',
+            '-': 'Т', '..-': 'У', '..-.': 'Ф', '....': 'Х', '-.-.': 'Ц', '---.': 'Ч',
+            '----': 'Ш', '--.-': 'Щ', '--.--': 'Ъ', '-.--': 'Ы', '-..-': 'Ь', '..-..': 'Э',
+            '..--': 'Ю', '.-.-': 'Я'
+        }
+    },
+    el: {
+        name: 'Ελληνικά (Greek)',
+        lang: 'el-GR',
+        replacesLatin: true,
+        letters: {
+            '.-': 'Α', '-...': 'Β', '--.': 'Γ', '-..': 'Δ', '.': 'Ε', '--..': 'Ζ',
+            '....': 'Η', '-.-.': 'Θ', '..': 'Ι', '-.-': 'Κ', '.-..': 'Λ', '--': 'Μ',
+            '-.': 'Ν', '-..-': 'Ξ', '---': 'Ο', '.--.': 'Π', '.-.': 'Ρ', '...': 'Σ',
+            '-': 'Τ', '-.--': 'Υ', '..-.': 'Φ', '----': 'Χ', '--.-': 'Ψ', '.--': 'Ω'
+        }
+    },
+    ja: {
+        name: '和文 (Wabun kana)',
+        lang: 'ja-JP',
+        replacesLatin: true,
+        compose: composeWabun,
+        letters: {
+            '--.--': 'ア', '.-': 'イ', '..-': 'ウ', '-.---': 'エ', '.-...': 'オ',
+            '.-..': 'カ', '-.-..': 'キ', '...-': 'ク', '-.--': 'ケ', '----': 'コ',
+            '-.-.-': 'サ', '--.-.': 'シ', '---.-': 'ス', '.---.': 'セ', '---.': 'ソ',
+            '-.': 'タ', '..-.': 'チ', '.--.': 'ツ', '.-.--': 'テ', '..-..': 'ト',
+            '.-.': 'ナ', '-.-.': 'ニ', '....': 'ヌ', '--.-': 'ネ', '..--': 'ノ',
+            '-...': 'ハ', '--..-': 'ヒ', '--..': 'フ', '.': 'ヘ', '-..': 'ホ',
+            '-..-': 'マ', '..-.-': 'ミ', '-': 'ム', '-...-': 'メ', '-..-.': 'モ',
+            '.--': 'ヤ', '-..--': 'ユ', '--': 'ヨ',
+            '...': 'ラ', '--.': 'リ', '-.--.': 'ル', '---': 'レ', '.-.-': 'ロ',
+            '-.-': 'ワ', '.-..-': 'ヰ', '.--..': 'ヱ', '.---': 'ヲ', '.-.-.': 'ン',
+            '..': '\u3099', '..--.': '\u309A', '.--.-': 'ー', '.-.-.-': '、', '.-.-..': '。'
+        }
+    },
+    // There is no ITU Bangla code: letters reuse the Latin pattern with the
+    // closest sound, the rest use free 5-6 element patterns. Digits become ০-৯.
+    bn: {
+        name: 'বাংলা (Bangla)',
+        lang: 'bn-BD',
+        replacesLatin: true,
+        compose: composeBangla,
+        letters: {
+            '.-': 'অ', '.--': 'আ', '..': 'ই', '..-..': 'ঈ', '..-': 'উ', '..-.-': 'ঊ',
+            '.-.--': 'ঋ', '.': 'এ', '.-.-': 'ঐ', '---': 'ও', '---.-': 'ঔ',
+            '-.-': 'ক', '--.-': 'খ', '--.': 'গ', '---.': 'ঘ', '.--..': 'ঙ',
+            '-.-.': 'চ', '----': 'ছ', '.---': 'জ', '.---.': 'ঝ', '.---.-': 'ঞ',
+            '-.---': 'ট', '--.--': 'ঠ', '-..--': 'ড', '--..-': 'ঢ', '--.-.': 'ণ',
+            '-': 'ত', '-.-..': 'থ', '-..': 'দ', '.-..-': 'ধ', '-.': 'ন',
+            '.--.': 'প', '..-.': 'ফ', '-...': 'ব', '...-': 'ভ', '--': 'ম',
+            '--..': 'য', '.-.': 'র', '.-..': 'ল', '-..-': 'শ', '.--.-': 'ষ', '...': 'স', '....': 'হ',
+            '-..-.-': 'ড়', '--..-.': 'ঢ়', '-.--': 'য়', '-...-.': 'ৎ',
+            '-.-..-': 'ং', '---..-': 'ঃ', '.--..-': 'ঁ', '......': '্', '.-.-..': '।',
+            '-----': '০', '.----': '১', '..---': '২', '...--': '৩', '....-': '৪',
+            '.....': '৫', '-....': '৬', '--...': '৭', '---..': '৮', '----.': '৯'
+        }
+    }
+};
+
+const morseTableCache = {};
+
+/**
+ * Add or replace a character table (e.g. a local alphabet)
+ * @param {string} key - Table key, e.g. 'uk'
+ * @param {Object} table - { name, lang, letters, replacesLatin, compose }
+ */
+function registerMorseTable(key, table) {
+    if (!key || !table || typeof table.letters !== 'object') {
+        throw new Error('Invalid Morse table');
+    }
+    MORSE_LANGUAGE_TABLES[key] = table;
+    delete morseTableCache[key];
+}
+
+/**
+ * Full pattern -> character table for a language
+ * @param {string} language - Key of MORSE_LANGUAGE_TABLES (unknown keys fall back to English)
+ * @returns {Object} - MORSE_CODE (without A-Z for replacesLatin tables) plus the table's letters
+ */
+function getMorseTable(language = 'en') {
+    const key = MORSE_LANGUAGE_TABLES[language] ? language : 'en';
+    if (!morseTableCache[key]) {
+        const table = MORSE_LANGUAGE_TABLES[key];
+        const base = {};
+        Object.keys(MORSE_CODE).forEach(morse => {
+            if (!table.replacesLatin || !/^[A-Z]$/.test(MORSE_CODE[morse])) {
+                base[morse] = MORSE_CODE[morse];
+            }
+        });
+        morseTableCache[key] = { ...base, ...table.letters };
+    }
+    return morseTableCache[key];
+}
+
+/**
+ * Add a decoded character to text, applying the table's composition rules
+ * @param {string} text - Text so far
+ * @param {string} char - Decoded character
+ * @param {string} language - Active table
+ * @returns {string} - New text
+ */
+function composeMorseText(text, char, language = 'en') {
+    const compose = MORSE_LANGUAGE_TABLES[language]?.compose;
+    return compose ? compose(text, char) : text + char;
+}
+
+/**
+ * Decode a single letter pattern
+ * @param {string} pattern - Dots and dashes of one letter
+ * @param {string} language - Character table to use
+ * @returns {string} - Character, or '?' if the pattern is unknown
+ */
+function decodeMorseLetter(pattern, language = 'en') {
+    return getMorseTable(language)[pattern] || '?';
+}
+
+/**
+ * Prosign sent with a pattern
+ * @param {string} pattern - Dots and dashes
+ * @returns {string|null} - Prosign name (e.g. 'AR') or null
+ */
+function getProsign(pattern) {
+    return PROSIGN_BY_PATTERN[pattern] || null;
+}
+
 /**
  * Decode a Morse code sequence to text
  * @param {string} morse - Morse code sequence (dots, dashes, spaces, slashes)
+ * @param {Object} options - { language, prosigns } - prosigns decode as <AR>, <BT>...
  * @returns {string} - Decoded text
  */
-function decodeMorse(morse) {
+function decodeMorse(morse, options = {}) {
     if (!morse || typeof morse !== 'string') return '';
     
     // Handle word separator
@@ -45,23 +239,89 @@ function decodeMorse(morse) {
     // Split by spaces to get individual letters
     const letters = cleanMorse.split(' ').filter(letter => letter.length > 0);
     
+    const table = getMorseTable(options.language);
+    
     return letters.map(letter => {
         if (letter === '/') return ' ';
-        return MORSE_CODE[letter] || '?';
+        if (options.prosigns && PROSIGN_BY_PATTERN[letter]) return `<${PROSIGN_BY_PATTERN[letter]}>`;
+        return table[letter] || '?';
     }).join('');
 }
 
+/**
+ * Find the characters closest to a Morse pattern (for dropped or extra elements)
+ * @param {string} pattern - Pattern of dots and dashes for one letter
+ * @param {Array<number>} confidences - Timing confidence (0.5-1) of each symbol; missing = 1
+ * @param {Object} options - { maxDistance, limit, includeSpecial }
+ * @returns {Array<Object>} - [{ char, pattern, distance }] closest first
+ */
+function getMorseCandidates(pattern, confidences = [], options = {}) {
+    const { maxDistance = 1.5, limit = 5, includeSpecial = false, language = 'en' } = options;
+    if (!pattern || !/^[.\-]+$/.test(pattern)) return [];
+    
+    // A symbol the timing barely separated from the other kind is cheap to flip
+    const flipCost = index => {
+        const confidence = confidences[index];
+        return Number.isFinite(confidence) ? Math.min(1, Math.max(0.5, confidence)) : 1;
+    };
+    
+    const distanceTo = target => {
+        let previous = Array.from({ length: target.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= pattern.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= target.length; j++) {
+                const substitution = pattern[i - 1] === target[j - 1] ? 0 : flipCost(i - 1);
+                row[j] = Math.min(
+                    previous[j] + 1,              // Extra element blinked
+                    row[j - 1] + 1,               // Element missed
+                    previous[j - 1] + substitution
+                );
+            }
+            previous = row;
+        }
+        
+        return previous[target.length];
+    };
+    
+    const table = getMorseTable(language);
+    
+    return Object.keys(table)
+        .filter(morse => morse !== '/' && (includeSpecial || /^[\p{L}\p{N}]$/u.test(table[morse])))
+        .map(morse => ({
+            char: table[morse],
+            pattern: morse,
+            distance: Math.round(distanceTo(morse) * 100) / 100
+        }))
+        .filter(candidate => candidate.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance ||
+            /\d/.test(a.char) - /\d/.test(b.char) ||   // Letters before digits on a tie
+            a.pattern.length - b.pattern.length)
+        .slice(0, limit);
+}
+
 /**
  * Encode text to Morse code
- * @param {string} text - Text to encode
+ * @param {string} text - Text to encode; <AR>, <BT>... become prosigns and line breaks become BT
+ * @param {Object} options - { language } - character table for accented letters
  * @returns {string} - Morse code sequence
  */
-function encodeToMorse(text) {
+function encodeToMorse(text, options = {}) {
     if (!text || typeof text !== 'string') return '';
     
-    return text.toUpperCase().split('').map(char => {
-        if (char === ' ') return '/';
-        return CHAR_TO_MORSE[char] || '';
+    const table = getMorseTable(options.language);
+    const charToMorse = {};
+    Object.keys(table).forEach(morse => {
+        if (!charToMorse[table[morse]]) charToMorse[table[morse]] = morse;
+    });
+    
+    const tokens = text.toUpperCase().match(/<[A-Z]{2}>|\n|./gs) || [];
+    
+    return tokens.map(token => {
+        if (token === ' ') return '/';
+        if (token === '\n') return PROSIGNS.BT.pattern;
+        if (token.length > 1) return PROSIGNS[token.slice(1, -1)]?.pattern || '';
+        return charToMorse[token] || '';
     }).filter(morse => morse.length > 0).join(' ');
 }
 
@@ -132,37 +392,65 @@ function cleanMorseInput(morse) {
         .trim();
 }
 
+/**
+ * Length of one spacing unit with Farnsworth timing
+ * @param {number} wpm - Character speed in words per minute
+ * @param {number} farnsworthWpm - Slower overall speed (0 or >= wpm for standard timing)
+ * @returns {number} - Unit in ms used for the gaps between letters and words
+ */
+function getFarnsworthUnit(wpm, farnsworthWpm = 0) {
+    const unitTime = 1200 / wpm;
+    if (!farnsworthWpm || farnsworthWpm >= wpm) return unitTime;
+
+    // ARRL formula: the 19 spacing units of PARIS absorb all the extra time
+    const totalDelay = (60 * wpm - 37.2 * farnsworthWpm) / (wpm * farnsworthWpm);
+    return totalDelay * 1000 / 19;
+}
+
 /**
  * Calculate timing for Morse playback
- * @param {string} morse - Morse code sequence
- * @param {number} wpm - Words per minutes (default 20)
- * @returns {Array} - Array of timing objects
+ * @param {string} morse - Morse code sequence (letters separated by spaces, words by /)
+ * @param {number} wpm - Character speed in words per minute (default 20)
+ * @param {Object} options - { farnsworthWpm } - slower overall speed; only the gaps are stretched
+ * @returns {Array} - Array of timing objects { type, start, duration, letter } in ms
  */
-function getMorseTimings(morse, wpm = 20) {
+function getMorseTimings(morse, wpm = 20, options = {}) {
     if (!morse) return [];
     
     // Standard timing: 1 unit = 60ms at 20 WPM
-    const unitTime = 60000 / (50 * wpm); // 50 units = 1 word at standard timing
+    const unitTime = 1200 / wpm; // 50 units = 1 word ("PARIS ")
+    const spaceUnit = getFarnsworthUnit(wpm, options.farnsworthWpm);
     
     const timings = [];
     let currentTime = 0;
+    let gap = null; // Space owed before the next element: 'element', 'letter' or 'word'
+    let letter = -1;
     
     for (const char of morse) {
         switch (char) {
             case '.':
-                timings.push({ type: 'dot', start: currentTime, duration: unitTime });
-                currentTime += unitTime * 2; // dot + inter-element space
-                break;
-            case '-':
-                timings.push({ type: 'dash', start: currentTime, duration: unitTime * 3 });
-                currentTime += unitTime * 4; // dash + inter-element space
+            case '-': {
+                if (gap === 'element') {
+                    currentTime += unitTime;
+                } else if (gap === 'letter') {
+                    currentTime += spaceUnit * 3;
+                } else if (gap === 'word') {
+                    currentTime += spaceUnit * 7;
+                    timings.push({ type: 'word-break', start: currentTime, duration: 0, letter: letter + 1 });
+                }
+                if (gap !== 'element') letter++;
+                
+                const duration = char === '.' ? unitTime : unitTime * 3;
+                timings.push({ type: char === '.' ? 'dot' : 'dash', start: currentTime, duration, letter });
+                currentTime += duration;
+                gap = 'element';
                 break;
+            }
             case ' ':
-                currentTime += unitTime * 3; // inter-letter space (total 7 units)
+                if (gap === 'element') gap = 'letter';
                 break;
             case '/':
-                currentTime += unitTime * 7; // inter-word space
-                timings.push({ type: 'word-break', start: currentTime, duration: 0 });
+                if (gap) gap = 'word';
                 break;
         }
     }
@@ -170,6 +458,48 @@ function getMorseTimings(morse, wpm = 20) {
     return timings;
 }
 
+/**
+ * Morse playback timings for text, with the character each tone belongs to
+ * @param {string} text - Text to play
+ * @param {Object} options - { wpm, farnsworthWpm, language } - language picks the character table
+ * @returns {Object} - { elements, letters: [{ index, char, morse, start, end }], duration } - index counts code points of text
+ */
+function getTextMorseTimings(text, options = {}) {
+    const chars = Array.from(text || '');
+    const parts = [];
+    const sources = [];
+    
+    chars.forEach((char, index) => {
+        if (/\s/.test(char) && char !== '\n') {
+            parts.push('/');
+            return;
+        }
+        
+        // Characters the table lacks (e.g. Latin letters in a Bangla message) use English
+        const morse = encodeToMorse(char, { language: options.language }) || encodeToMorse(char);
+        if (morse) {
+            parts.push(morse);
+            sources.push({ index, char, morse });
+        }
+    });
+    
+    const elements = getMorseTimings(parts.join(' '), options.wpm || 20, options);
+    const letters = sources.map(source => ({ ...source, start: null, end: 0 }));
+    
+    elements.forEach(element => {
+        const letter = letters[element.letter];
+        if (!letter || element.type === 'word-break') return;
+        if (letter.start === null) letter.start = element.start;
+        letter.end = element.start + element.duration;
+    });
+    
+    return {
+        elements,
+        letters,
+        duration: letters.length > 0 ? letters[letters.length - 1].end : 0
+    };
+}
+
 /**
  * Convert text statistics
  * @param {string} text - Text to analyze
@@ -397,13 +727,23 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         MORSE_CODE,
         CHAR_TO_MORSE,
+        PROSIGNS,
+        MORSE_LANGUAGE_TABLES,
+        registerMorseTable,
+        getMorseTable,
+        composeMorseText,
+        decodeMorseLetter,
+        getProsign,
         decodeMorse,
+        getMorseCandidates,
         encodeToMorse,
         isValidMorse,
         getMorseCodeReference,
         formatMorseForDisplay,
         cleanMorseInput,
+        getFarnsworthUnit,
         getMorseTimings,
+        getTextMorseTimings,
         getTextStatistics,
         generatePracticeSequences,
         generateRandomPractice,
@@ -417,13 +757,23 @@ if (typeof window !== 'undefined') {
     window.MorseUtils = {
         MORSE_CODE,
         CHAR_TO_MORSE,
+        PROSIGNS,
+        MORSE_LANGUAGE_TABLES,
+        registerMorseTable,
+        getMorseTable,
+        composeMorseText,
+        decodeMorseLetter,
+        getProsign,
         decodeMorse,
+        getMorseCandidates,
         encodeToMorse,
         isValidMorse,
         getMorseCodeReference,
         formatMorseForDisplay,
         cleanMorseInput,
+        getFarnsworthUnit,
         getMorseTimings,
+        getTextMorseTimings,
         getTextStatistics,
         generatePracticeSequences,
         generateRandomPractice,
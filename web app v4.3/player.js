@@ -0,0 +1,230 @@
+// ==================== MORSE AUDIO PLAYER ====================
+// Plays text as CW tones with Web Audio and reports each character as it sounds,
+// so pages can highlight along. Timings come from getTextMorseTimings (morse.js).
+
+const MORSE_PLAYER_DEFAULTS = {
+    wpm: 20,
+    farnsworthWpm: 0, // 0 = standard spacing
+    frequency: 600,
+    volume: 0.3,
+    language: 'en'
+};
+
+const MORSE_PLAYER_RAMP = 0.005; // s - soft tone edges avoid clicks
+const MORSE_PLAYER_LEAD = 0.1;   // s of silence before the first tone
+
+/**
+ * Playback options from the saved settings
+ * @param {Object} settings - Settings object
+ * @returns {Object} - { wpm, farnsworthWpm, frequency, language }
+ */
+function getMorsePlaybackOptions(settings = {}) {
+    return {
+        wpm: settings.morseWpm || MORSE_PLAYER_DEFAULTS.wpm,
+        farnsworthWpm: settings.morseFarnsworthWpm || 0,
+        frequency: settings.morseToneFrequency || MORSE_PLAYER_DEFAULTS.frequency,
+        language: settings.morseLanguage || MORSE_PLAYER_DEFAULTS.language
+    };
+}
+
+/**
+ * Morse player - one text at a time; playing again replaces what is playing
+ */
+class MorsePlayer {
+    /**
+     * @param {Object} options - { getOptions, AudioContext } - getOptions() returns saved playback options
+     */
+    constructor(options = {}) {
+        this.getOptions = options.getOptions || (() => ({}));
+        this.AudioContextClass = options.AudioContext ||
+            (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+        this.context = null;
+        this.current = null;
+        this.pending = null; // play() waiting for the audio context to resume
+        this.listeners = {};
+    }
+
+    /**
+     * Subscribe to player events: start, letter, end
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event details
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    /**
+     * Unsubscribe from player events
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+    }
+
+    /**
+     * Notify subscribers
+     * @param {string} event - Event name
+     * @param {Object} details - Event details
+     */
+    emit(event, details) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(details);
+            } catch (error) {
+                console.error(`Morse player ${event} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Whether Web Audio is available
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.AudioContextClass);
+    }
+
+    /**
+     * Shared audio context (created on first use, after a user gesture)
+     * @returns {Promise<AudioContext>} - Resolves once the context is running, so its clock moves
+     */
+    async getContext() {
+        this.context = this.context || new this.AudioContextClass();
+        if (this.context.state === 'suspended' && this.context.resume) {
+            await this.context.resume();
+        }
+        return this.context;
+    }
+
+    /**
+     * Play text as Morse
+     * @param {string} text - Text to play
+     * @param {Object} overrides - Options for this playback only (wpm, farnsworthWpm, frequency, volume, language)
+     * @returns {Promise<boolean>} - Resolves true when it played to the end, false when stopped or empty
+     */
+    async play(text, overrides = {}) {
+        this.stop();
+        if (!this.isSupported()) {
+            throw new Error('Web Audio not supported');
+        }
+
+        const options = { ...MORSE_PLAYER_DEFAULTS, ...this.getOptions(), ...overrides };
+        const timing = getTextMorseTimings(text, options);
+        if (timing.letters.length === 0) {
+            return false;
+        }
+
+        // Tones are scheduled on the audio clock and highlights on timers, so both start
+        // only once a suspended context runs again
+        const request = {};
+        this.pending = request;
+        const context = await this.getContext();
+        if (this.pending !== request) {
+            return false; // Stopped or replaced while waiting
+        }
+        this.pending = null;
+
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const startAt = context.currentTime + MORSE_PLAYER_LEAD;
+
+        oscillator.type = 'sine';
+        oscillator.frequency.value = options.frequency;
+        gain.gain.setValueAtTime(0, context.currentTime);
+
+        timing.elements
+            .filter(element => element.duration > 0)
+            .forEach(element => {
+                const on = startAt + element.start / 1000;
+                const off = on + element.duration / 1000;
+                gain.gain.setValueAtTime(0, on);
+                gain.gain.linearRampToValueAtTime(options.volume, on + MORSE_PLAYER_RAMP);
+                gain.gain.setValueAtTime(options.volume, off - MORSE_PLAYER_RAMP);
+                gain.gain.linearRampToValueAtTime(0, off);
+            });
+
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + timing.duration / 1000 + MORSE_PLAYER_RAMP);
+
+        const playback = { text, options, oscillator, gain, timers: [], resolve: null };
+        const done = new Promise(resolve => {
+            playback.resolve = resolve;
+        });
+
+        // Timers follow the audio clock closely enough to highlight along
+        const offset = MORSE_PLAYER_LEAD * 1000;
+        timing.letters.forEach((letter, position) => {
+            playback.timers.push(setTimeout(() => {
+                this.emit('letter', { ...letter, position, text });
+            }, offset + letter.start));
+        });
+        playback.timers.push(setTimeout(() => this.finish(playback, true), offset + timing.duration));
+
+        this.current = playback;
+        this.emit('start', { text, duration: timing.duration, letters: timing.letters.length, options });
+        return done;
+    }
+
+    /**
+     * Stop what is playing
+     */
+    stop() {
+        this.pending = null;
+        if (!this.current) return;
+
+        try {
+            this.current.oscillator.stop();
+        } catch (error) {
+            // Already stopped
+        }
+        this.finish(this.current, false);
+    }
+
+    /**
+     * Release a playback and report how it ended
+     * @param {Object} playback - Playback record
+     * @param {boolean} completed - Whether it played to the end
+     */
+    finish(playback, completed) {
+        playback.timers.forEach(timer => clearTimeout(timer));
+        playback.oscillator.disconnect();
+        playback.gain.disconnect();
+        if (this.current === playback) {
+            this.current = null;
+        }
+
+        this.emit('end', { text: playback.text, completed });
+        playback.resolve(completed);
+    }
+
+    /**
+     * Whether something is playing
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return Boolean(this.current);
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MORSE_PLAYER_DEFAULTS,
+        getMorsePlaybackOptions,
+        MorsePlayer
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.MorsePlayback = {
+        MORSE_PLAYER_DEFAULTS,
+        getMorsePlaybackOptions,
+        MorsePlayer
+    };
+}
@@ -0,0 +1,247 @@
+// ==================== WORD PREDICTION ====================
+// Suggests completions for the word being blinked and likely next words,
+// from a built-in frequency list plus the user's own saved messages.
+
+// Most frequent words first (everyday English + care/needs vocabulary)
+const PREDICTION_DICTIONARY = [
+    'I', 'THE', 'YOU', 'TO', 'A', 'IS', 'IT', 'AND', 'ME', 'MY',
+    'NO', 'YES', 'PLEASE', 'NEED', 'WANT', 'HELP', 'NOT', 'OF', 'IN', 'THAT',
+    'WATER', 'THANK', 'THANKS', 'OK', 'AM', 'ARE', 'DO', 'CAN', 'WHAT', 'THIS',
+    'PAIN', 'TOILET', 'HOT', 'COLD', 'TIRED', 'HUNGRY', 'THIRSTY', 'SLEEP', 'BED', 'DOCTOR',
+    'NURSE', 'MEDICINE', 'FOOD', 'EAT', 'DRINK', 'TURN', 'MOVE', 'PILLOW', 'BLANKET', 'LIGHT',
+    'OFF', 'ON', 'UP', 'DOWN', 'LEFT', 'RIGHT', 'HERE', 'NOW', 'LATER', 'STOP',
+    'GOOD', 'BAD', 'MORE', 'LESS', 'FEEL', 'SICK', 'BETTER', 'WORSE', 'HURTS', 'HEAD',
+    'BACK', 'LEG', 'ARM', 'CHEST', 'STOMACH', 'BREATHE', 'AIR', 'WINDOW', 'DOOR', 'TV',
+    'PHONE', 'CALL', 'FAMILY', 'MOTHER', 'FATHER', 'WIFE', 'HUSBAND', 'SON', 'DAUGHTER', 'FRIEND',
+    'LOVE', 'HOME', 'TODAY', 'TOMORROW', 'MORNING', 'NIGHT', 'TIME', 'WHEN', 'WHERE', 'WHY',
+    'HOW', 'WHO', 'FOR', 'WITH', 'HAVE', 'HAS', 'BE', 'WILL', 'WAS', 'GO',
+    'COME', 'SEE', 'KNOW', 'THINK', 'LIKE', 'GET', 'GIVE', 'TELL', 'SAY', 'READ',
+    'MUSIC', 'QUIET', 'SORRY', 'WAIT', 'HELLO', 'BYE', 'FINE', 'HAPPY', 'SAD', 'SCARED',
+    'ALL', 'SOME', 'JUST', 'VERY', 'TOO', 'AGAIN', 'ALSO', 'BUT', 'OR', 'SO',
+    'HE', 'SHE', 'WE', 'THEY', 'HIM', 'HER', 'US', 'THEM', 'YOUR', 'OUR',
+    'AT', 'FROM', 'ABOUT', 'OUT', 'IF', 'THERE', 'ONE', 'TWO', 'LITTLE', 'BIG'
+];
+
+// Common two-word sequences so next-word prediction works before any history exists
+const PREDICTION_BIGRAMS = {
+    'I': ['NEED', 'WANT', 'AM', 'FEEL', 'LOVE', 'CAN', 'DO'],
+    'NEED': ['WATER', 'HELP', 'TO', 'THE', 'A', 'MEDICINE'],
+    'WANT': ['TO', 'WATER', 'THE', 'MORE', 'FOOD'],
+    'AM': ['TIRED', 'HUNGRY', 'THIRSTY', 'COLD', 'HOT', 'FINE', 'OK'],
+    'FEEL': ['SICK', 'BETTER', 'WORSE', 'COLD', 'HOT', 'TIRED'],
+    'THANK': ['YOU'],
+    'LOVE': ['YOU'],
+    'PLEASE': ['HELP', 'CALL', 'TURN', 'WAIT', 'STOP', 'COME'],
+    'CALL': ['THE', 'DOCTOR', 'NURSE', 'MY'],
+    'TURN': ['OFF', 'ON', 'ME', 'THE'],
+    'MY': ['HEAD', 'BACK', 'LEG', 'ARM', 'CHEST', 'STOMACH', 'FAMILY'],
+    'THE': ['DOCTOR', 'NURSE', 'LIGHT', 'TV', 'WINDOW', 'DOOR'],
+    'TO': ['SLEEP', 'EAT', 'DRINK', 'GO', 'THE', 'MOVE'],
+    'IN': ['PAIN', 'BED', 'THE'],
+    'I\'M': ['TIRED', 'HUNGRY', 'THIRSTY', 'FINE', 'COLD', 'HOT']
+};
+
+const PREDICTION_DEFAULTS = {
+    maxSuggestions: 5,
+    historyWeight: 0.3, // Per log-count of a word in the user's own messages
+    bigramWeight: 4,    // Boost for words that followed the previous word before
+    minPrefix: 1,       // Letters needed before completions are offered
+    contextWeight: 0.75 // Edit distance a real-word prefix is worth when correcting a letter
+};
+
+/**
+ * Split text into upper-case words
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Words
+ */
+function tokenizeWords(text) {
+    if (!text || typeof text !== 'string') return [];
+    return text.toUpperCase().match(/[A-Z0-9']+/g) || [];
+}
+
+/**
+ * Word predictor combining a frequency dictionary with the user's history
+ */
+class WordPredictor {
+    /**
+     * @param {Object} options - Overrides for PREDICTION_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...PREDICTION_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget the learned history (the built-in dictionary stays)
+     */
+    reset() {
+        this.unigrams = new Map();
+        this.bigrams = new Map();
+
+        // Zipf-like weight from dictionary rank, normalised to 1 for the top word
+        this.dictionary = new Map();
+        PREDICTION_DICTIONARY.forEach((word, rank) => {
+            this.dictionary.set(word, 1 / (rank + 1));
+        });
+    }
+
+    /**
+     * Learn word and word-pair counts from a piece of text
+     * @param {string} text - Text the user wrote
+     */
+    learnText(text) {
+        const words = tokenizeWords(text);
+
+        words.forEach((word, index) => {
+            this.unigrams.set(word, (this.unigrams.get(word) || 0) + 1);
+
+            if (index > 0) {
+                const previous = words[index - 1];
+                if (!this.bigrams.has(previous)) {
+                    this.bigrams.set(previous, new Map());
+                }
+                const followers = this.bigrams.get(previous);
+                followers.set(word, (followers.get(word) || 0) + 1);
+            }
+        });
+    }
+
+    /**
+     * Learn from saved messages (e.g. getAllMessages())
+     * @param {Array<Object>} messages - Messages with a text property
+     */
+    learnFromMessages(messages) {
+        if (!Array.isArray(messages)) return;
+
+        messages
+            .filter(message => message && !message.translated)
+            .forEach(message => this.learnText(message.originalText || message.text));
+    }
+
+    /**
+     * Score a candidate word
+     * @param {string} word - Candidate
+     * @param {string|null} previous - Previous word in the message
+     * @returns {number} - Higher is better
+     */
+    scoreWord(word, previous) {
+        const dictionaryScore = this.dictionary.get(word) || 0;
+        const historyScore = Math.log1p(this.unigrams.get(word) || 0) * this.options.historyWeight;
+
+        let bigramScore = 0;
+        if (previous) {
+            const learned = this.bigrams.get(previous)?.get(word) || 0;
+            const builtIn = (PREDICTION_BIGRAMS[previous] || []).indexOf(word);
+            bigramScore = Math.log1p(learned) + (builtIn >= 0 ? 1 / (builtIn + 1) : 0);
+        }
+
+        return dictionaryScore + historyScore + bigramScore * this.options.bigramWeight;
+    }
+
+    /**
+     * Suggest completions for the current word, or next words after a space
+     * @param {string} text - Message typed so far
+     * @returns {Array<Object>} - [{ word, type: 'completion'|'next', score }]
+     */
+    predict(text) {
+        const value = (text || '').toUpperCase();
+        const words = tokenizeWords(value);
+        const endsWord = value.length === 0 || /[^A-Z0-9']$/.test(value);
+
+        const prefix = endsWord ? '' : (words[words.length - 1] || '');
+        const previous = endsWord ? (words[words.length - 1] || null) : (words[words.length - 2] || null);
+
+        if (!endsWord && prefix.length < this.options.minPrefix) return [];
+
+        const candidates = new Set([...this.dictionary.keys(), ...this.unigrams.keys()]);
+        if (previous) {
+            (PREDICTION_BIGRAMS[previous] || []).forEach(word => candidates.add(word));
+            this.bigrams.get(previous)?.forEach((_, word) => candidates.add(word));
+        }
+
+        return [...candidates]
+            .filter(word => endsWord || (word.startsWith(prefix) && word !== prefix))
+            .map(word => ({
+                word,
+                type: endsWord ? 'next' : 'completion',
+                score: this.scoreWord(word, previous)
+            }))
+            .sort((a, b) => b.score - a.score || a.word.localeCompare(b.word))
+            .slice(0, this.options.maxSuggestions);
+    }
+
+    /**
+     * Strength of the best known word starting with a prefix
+     * @param {string} prefix - Word prefix (upper-case)
+     * @returns {number} - 0 when no dictionary or learned word starts with it
+     */
+    scorePrefix(prefix) {
+        if (!prefix) return 0;
+
+        let best = 0;
+        [...this.dictionary.keys(), ...this.unigrams.keys()].forEach(word => {
+            if (word.startsWith(prefix)) {
+                best = Math.max(best, this.scoreWord(word, null));
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Re-rank letter candidates for an unclear pattern by whether they continue a real word
+     * @param {string} text - Message typed so far
+     * @param {Array<Object>} candidates - [{ char, distance }] from getMorseCandidates
+     * @returns {Array<Object>} - Candidates with word and rank added, best first
+     */
+    rankCandidates(text, candidates) {
+        const partial = (text || '').toUpperCase().match(/[A-Z0-9']*$/)[0];
+
+        return candidates
+            .map(candidate => {
+                const word = partial + candidate.char;
+                const score = this.scorePrefix(word);
+                return {
+                    ...candidate,
+                    word,
+                    inWord: score > 0,
+                    rank: candidate.distance - (score > 0 ? this.options.contextWeight * (1 + Math.min(score, 1)) / 2 : 0)
+                };
+            })
+            .sort((a, b) => a.rank - b.rank);
+    }
+
+    /**
+     * Insert a suggestion into the message
+     * @param {string} text - Message typed so far
+     * @param {string} word - Accepted suggestion
+     * @returns {string} - Message with the partial word replaced and a trailing space
+     */
+    applySuggestion(text, word) {
+        const value = text || '';
+        const partial = value.match(/[A-Za-z0-9']+$/);
+        const base = partial ? value.slice(0, partial.index) : value;
+        const separator = base.length > 0 && !/\s$/.test(base) ? ' ' : '';
+
+        return `${base}${separator}${word} `;
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PREDICTION_DICTIONARY,
+        WordPredictor,
+        tokenizeWords
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.WordPrediction = {
+        PREDICTION_DICTIONARY,
+        WordPredictor,
+        tokenizeWords
+    };
+}
@@ -0,0 +1,297 @@
+// ==================== DEVICE LINE PROTOCOL ====================
+// Versioned, timestamped line protocol between the ESP32 and the website.
+//
+// Protocol v2 lines look like TYPE:VALUE,key=value,... for example:
+//   HELLO:EYEBLINK,proto=2,fw=4.1,seq=0,t=1520
+//   EVT:DOWN,seq=12,t=48210
+//   EVT:UP,seq=13,t=48530,dur=320
+//   SYM:-,seq=14,t=48530
+//   CHAR:.-,seq=15,t=50540
+//   GAP:WORD,seq=16,t=53550
+// In two-switch mode (DUAL ON) the two inputs are reported instead, and the
+// website times letters and words:
+//   KEY:DOT,seq=17,t=54010      KEY:DOT_UP,seq=18,t=54180
+//   KEY:DASH,seq=19,t=54400     KEY:DASH_UP,seq=20,t=54530
+// Firmware parameters are changed with SET DOT_TH 350, read with GET ALL (or
+// GET DOT_TH) and kept over a power cycle with SAVE. The device answers with
+//   PARAM:ALL,DOT_TH=300,CHAR_GAP=2000,...   PARAM:SET,DOT_TH=350
+//   PARAM:SAVED                              PARAM:ERROR,name=DOT_TH
+// Anything else is parsed as the legacy v1 format (".-", "/", "DUR:320", "DOT", "PONG"...).
+
+const PROTOCOL_VERSION = 2;
+
+// Message types understood in protocol v2
+const PROTOCOL_TYPES = ['HELLO', 'EVT', 'SYM', 'CHAR', 'GAP', 'KEY', 'PARAM'];
+
+// Two-switch input edges (KEY:<value>, or the bare value from legacy firmware)
+const KEY_EVENTS = ['DOT', 'DASH', 'DOT_UP', 'DASH_UP'];
+
+// Firmware parameters that SET can change, with their firmware defaults and allowed ranges
+const DEVICE_PARAMETERS = {
+    DOT_TH: { label: 'Dot / Dash Threshold', description: 'Blinks shorter than this are dots', unit: 'ms', min: 100, max: 2000, step: 10, defaultValue: 300 },
+    CHAR_GAP: { label: 'Letter Gap', description: 'Pause after the last blink that ends a letter', unit: 'ms', min: 300, max: 10000, step: 100, defaultValue: 2000 },
+    WORD_GAP: { label: 'Word Gap', description: 'Further pause after a letter that ends the word', unit: 'ms', min: 500, max: 20000, step: 100, defaultValue: 5000 },
+    DOT_BEEP: { label: 'Dot Beep', description: 'Length of the beep after a dot (0 = silent)', unit: 'ms', min: 0, max: 1000, step: 10, defaultValue: 100 },
+    DASH_BEEP: { label: 'Dash Beep', description: 'Length of the beep after a dash (0 = silent)', unit: 'ms', min: 0, max: 1000, step: 10, defaultValue: 300 },
+    BEEP_FREQ: { label: 'Buzzer Frequency', description: 'Pitch of the device beeps', unit: 'Hz', min: 200, max: 5000, step: 50, defaultValue: 2000 }
+};
+
+// BroadcastChannel between the settings page and the communication page that holds the connection
+const DEVICE_CHANNEL_NAME = 'eyeblink-device';
+
+// Command replies sent by every firmware version
+const LEGACY_REPLIES = ['TEST_OK', 'RESET_OK', 'STATUS_READY', 'PONG', 'DEVICE_READY', 'RAW_OK', 'RAW_OFF_OK', 'ALARM_OK', 'ALARM_OFF_OK', 'DUAL_OK', 'DUAL_OFF_OK'];
+
+/**
+ * Create an empty protocol message
+ * @param {string} type - Message type
+ * @param {string} value - Message value
+ * @param {string} raw - Original line
+ * @returns {Object} - Message object
+ */
+function createProtocolMessage(type, value, raw) {
+    return {
+        type,
+        value,
+        fields: {},
+        seq: null,
+        t: null,
+        dur: null,
+        legacy: false,
+        raw,
+        receivedAt: Date.now()
+    };
+}
+
+/**
+ * Parse one line received from the device
+ * @param {string} line - Line without the trailing newline
+ * @returns {Object} - { type, value, fields, seq, t, dur, legacy, raw, receivedAt }
+ */
+function parseProtocolLine(line) {
+    const trimmed = (line || '').trim();
+    const match = trimmed.match(/^([A-Z]+):([^,]*)(?:,(.*))?$/);
+
+    if (!match || !PROTOCOL_TYPES.includes(match[1])) {
+        return parseLegacyLine(trimmed);
+    }
+
+    const message = createProtocolMessage(match[1], match[2], trimmed);
+
+    (match[3] || '').split(',').forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator > 0) {
+            message.fields[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+        }
+    });
+
+    ['seq', 't', 'dur'].forEach(key => {
+        if (message.fields[key] !== undefined) {
+            const number = parseInt(message.fields[key], 10);
+            message[key] = Number.isFinite(number) ? number : null;
+        }
+    });
+
+    return message;
+}
+
+/**
+ * Parse a line in the original (v1) format
+ * @param {string} line - Trimmed line
+ * @returns {Object} - Message object with legacy = true
+ */
+function parseLegacyLine(line) {
+    let message;
+
+    if (line === '/' || line === 'SPACE' || line === 'WORD_END') {
+        message = createProtocolMessage('GAP', 'WORD', line);
+    } else if (line === '|' || line === 'LETTER' || line === 'LETTER_END') {
+        message = createProtocolMessage('GAP', 'LETTER', line);
+    } else if (/^[.\-]+$/.test(line)) {
+        message = createProtocolMessage('CHAR', line, line);
+    } else if (KEY_EVENTS.includes(line)) {
+        message = createProtocolMessage('KEY', line, line);
+    } else if (/^DUR:\d+$/.test(line)) {
+        // Raw duration stream (RAW ON)
+        message = createProtocolMessage('EVT', 'UP', line);
+        message.dur = parseInt(line.slice(4), 10);
+    } else if (line.startsWith('BLINK:') || line.startsWith('MORSE:')) {
+        message = createProtocolMessage('BUILDING', line.split(':')[1]?.trim() || '', line);
+    } else if (LEGACY_REPLIES.includes(line)) {
+        message = createProtocolMessage('REPLY', line, line);
+    } else {
+        // Raw data - try to extract morse if present
+        const morseMatch = line.match(/([.\-\s/]+)/);
+        message = morseMatch && /[.\-]/.test(morseMatch[1])
+            ? createProtocolMessage('BUILDING', morseMatch[1].trim(), line)
+            : createProtocolMessage('UNKNOWN', line, line);
+    }
+
+    message.legacy = true;
+    return message;
+}
+
+/**
+ * Format a protocol v2 line (used for replay and testing)
+ * @param {string} type - Message type
+ * @param {string} value - Message value
+ * @param {Object} fields - Extra key/value fields
+ * @returns {string} - Protocol line
+ */
+function formatProtocolLine(type, value, fields = {}) {
+    const pairs = Object.entries(fields)
+        .filter(([, fieldValue]) => fieldValue !== undefined && fieldValue !== null)
+        .map(([key, fieldValue]) => `${key}=${fieldValue}`);
+
+    return [`${type}:${value}`, ...pairs].join(',');
+}
+
+/**
+ * Check a firmware parameter value
+ * @param {string} name - Parameter name (DEVICE_PARAMETERS key)
+ * @param {*} value - Value to check
+ * @returns {number|null} - Whole number within the allowed range, or null when it is not valid
+ */
+function validateDeviceParameter(name, value) {
+    const parameter = DEVICE_PARAMETERS[name];
+    const number = Number(value);
+    if (!parameter || !Number.isInteger(number) || number < parameter.min || number > parameter.max) {
+        return null;
+    }
+    return number;
+}
+
+/**
+ * Known firmware parameters from the fields of a PARAM line
+ * @param {Object} fields - Message fields
+ * @returns {Object} - { DOT_TH: 300, ... } with valid values only
+ */
+function parseDeviceParameters(fields = {}) {
+    const values = {};
+    Object.keys(DEVICE_PARAMETERS).forEach(name => {
+        const value = validateDeviceParameter(name, fields[name]);
+        if (value !== null) values[name] = value;
+    });
+    return values;
+}
+
+/**
+ * Firmware defaults for every parameter
+ * @returns {Object} - { DOT_TH: 300, ... }
+ */
+function getDefaultDeviceParameters() {
+    return Object.fromEntries(Object.entries(DEVICE_PARAMETERS).map(([name, parameter]) => [name, parameter.defaultValue]));
+}
+
+/**
+ * Stateful protocol session: handshake and sequence tracking for one connection
+ */
+class DeviceProtocol {
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Start a new session (call on every connect)
+     */
+    reset() {
+        this.version = 1;
+        this.firmware = null;
+        this.deviceName = null;
+        this.lastSeq = null;
+        this.received = 0;
+        this.dropped = 0;
+        this.duplicates = 0;
+    }
+
+    /**
+     * Whether the device completed the v2 handshake
+     * @returns {boolean}
+     */
+    isVersioned() {
+        return this.version >= 2;
+    }
+
+    /**
+     * Parse a line and update the session state
+     * @param {string} line - Line from the device
+     * @returns {Object} - Parsed message, plus gap (lost lines before it) and duplicate flag
+     */
+    parse(line) {
+        const message = parseProtocolLine(line);
+        message.gap = 0;
+        message.duplicate = false;
+        this.received++;
+
+        if (message.type === 'HELLO') {
+            this.version = parseInt(message.fields.proto, 10) || 1;
+            this.firmware = message.fields.fw || null;
+            this.deviceName = message.value || null;
+            this.lastSeq = message.seq;
+            return message;
+        }
+
+        if (message.seq !== null) {
+            if (this.lastSeq !== null) {
+                if (message.seq <= this.lastSeq) {
+                    message.duplicate = true;
+                    this.duplicates++;
+                    return message;
+                }
+                message.gap = message.seq - this.lastSeq - 1;
+                this.dropped += message.gap;
+            }
+            this.lastSeq = message.seq;
+        }
+
+        return message;
+    }
+
+    /**
+     * Session counters for diagnostics
+     * @returns {Object} - { version, firmware, received, dropped, duplicates }
+     */
+    getStats() {
+        return {
+            version: this.version,
+            firmware: this.firmware,
+            received: this.received,
+            dropped: this.dropped,
+            duplicates: this.duplicates
+        };
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PROTOCOL_VERSION,
+        parseProtocolLine,
+        parseLegacyLine,
+        formatProtocolLine,
+        DEVICE_PARAMETERS,
+        DEVICE_CHANNEL_NAME,
+        validateDeviceParameter,
+        parseDeviceParameters,
+        getDefaultDeviceParameters,
+        DeviceProtocol
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.BlinkProtocol = {
+        PROTOCOL_VERSION,
+        parseProtocolLine,
+        parseLegacyLine,
+        formatProtocolLine,
+        DEVICE_PARAMETERS,
+        DEVICE_CHANNEL_NAME,
+        validateDeviceParameter,
+        parseDeviceParameters,
+        getDefaultDeviceParameters,
+        DeviceProtocol
+    };
+}
@@ -0,0 +1,294 @@
+// ==================== SESSION RECORDER ====================
+// Records what the device sent (each line, the raw data it arrived in and
+// connection events) with timestamps, and replays a recording through the
+// decoder on a virtual clock so "it decoded wrong" reports can be reproduced.
+
+const SESSION_LOG_VERSION = 1;
+
+const SESSION_RECORDER_DEFAULTS = {
+    saveInterval: 5000,  // ms between saves while recording
+    maxEntries: 50000    // A recording stops growing after this many entries
+};
+
+const REPLAY_DEFAULTS = {
+    speed: 1,      // 1 = real time; 0 = as fast as possible
+    tick: 100,     // ms of virtual time between silence checks
+    tail: 5000,    // ms replayed after the last entry so the final letter and word gap commit
+    batch: 500     // Virtual steps per timer when replaying as fast as possible
+};
+
+/**
+ * Session log structure
+ * @typedef {Object} SessionLog
+ * @property {string} id - Unique id
+ * @property {number} version - SESSION_LOG_VERSION
+ * @property {number} startedAt - Time of the first entry
+ * @property {number} endedAt - Time of the last entry
+ * @property {string} connection - 'serial', 'bluetooth' or '' when unknown
+ * @property {Object} snapshot - Decoder state at the start: { settings, timingProfile, text }
+ * @property {string} result - Message text when the recording stopped
+ * @property {Array<Object>} entries - [{ t: ms since startedAt, type: 'line'|'raw'|'sent'|'event', data }]
+ */
+
+/**
+ * Check an imported file and fill in missing fields
+ * @param {Object} data - Parsed JSON
+ * @returns {SessionLog} - Usable log
+ */
+function normalizeSessionLog(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.entries)) {
+        throw new Error('Not a session recording');
+    }
+
+    const entries = data.entries
+        .filter(entry => entry && Number.isFinite(entry.t) && typeof entry.type === 'string')
+        .sort((a, b) => a.t - b.t);
+    const startedAt = Number.isFinite(data.startedAt) ? data.startedAt : Date.now();
+
+    return {
+        id: typeof data.id === 'string' && data.id ? data.id : `log_${startedAt}_${Math.random().toString(36).substr(2, 9)}`,
+        version: data.version || SESSION_LOG_VERSION,
+        startedAt,
+        endedAt: Number.isFinite(data.endedAt) ? data.endedAt : startedAt + (entries[entries.length - 1]?.t || 0),
+        connection: data.connection || '',
+        snapshot: data.snapshot && typeof data.snapshot === 'object' ? data.snapshot : {},
+        result: typeof data.result === 'string' ? data.result : '',
+        entries
+    };
+}
+
+/**
+ * Records one session at a time and saves it as it grows
+ */
+class SessionRecorder {
+    /**
+     * @param {Object} options - { save(log), getResult(), now(), saveInterval, maxEntries } - save may return a Promise
+     */
+    constructor(options = {}) {
+        this.options = { ...SESSION_RECORDER_DEFAULTS, ...options };
+        this.save = options.save || (() => {});
+        this.getResult = options.getResult || (() => '');
+        this.now = options.now || (() => Date.now());
+        this.log = null;
+        this.saveTimer = null;
+    }
+
+    /**
+     * Whether a session is being recorded
+     * @returns {boolean}
+     */
+    isRecording() {
+        return Boolean(this.log);
+    }
+
+    /**
+     * Start a new recording (finishing any current one)
+     * @param {Object} details - { connection, snapshot }
+     * @returns {SessionLog} - New log
+     */
+    start(details = {}) {
+        if (this.log) this.stop();
+
+        const startedAt = this.now();
+        this.log = {
+            id: `log_${startedAt}_${Math.random().toString(36).substr(2, 9)}`,
+            version: SESSION_LOG_VERSION,
+            startedAt,
+            endedAt: startedAt,
+            connection: details.connection || '',
+            snapshot: details.snapshot || {},
+            result: '',
+            entries: []
+        };
+        return this.log;
+    }
+
+    /**
+     * Add an entry to the current recording
+     * @param {string} type - 'line', 'raw', 'sent' or 'event'
+     * @param {*} data - Line text, raw chunk, command or event details
+     * @returns {boolean} - False when nothing is being recorded or the log is full
+     */
+    record(type, data) {
+        const log = this.log;
+        if (!log || log.entries.length >= this.options.maxEntries) return false;
+
+        const now = this.now();
+        log.entries.push({ t: now - log.startedAt, type, data });
+        log.endedAt = now;
+
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.flush(), this.options.saveInterval);
+        }
+        return true;
+    }
+
+    /**
+     * Save the current recording now, with the message text so far as its result
+     * @returns {Promise<void>} - Resolves once saved (errors are logged, not thrown)
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.log) return Promise.resolve();
+
+        this.log.result = this.getResult();
+        const copy = { ...this.log, entries: this.log.entries.slice() };
+        return Promise.resolve()
+            .then(() => this.save(copy))
+            .catch(error => console.error('Error saving session recording:', error));
+    }
+
+    /**
+     * Finish the current recording
+     * @returns {Promise<SessionLog|null>} - Finished log, once saved
+     */
+    async stop() {
+        const log = this.log;
+        if (!log) return null;
+
+        const saved = this.flush();
+        this.log = null;
+        await saved;
+        return log;
+    }
+}
+
+/**
+ * Feeds a recording back on a virtual clock. Silence checks run every tick
+ * of virtual time, so a replay gives the same result at any speed.
+ */
+class SessionReplay {
+    /**
+     * @param {SessionLog} log - Recording to replay
+     * @param {Object} options - { speed, tick, tail, onEntry(entry, clock), onTick(clock), onProgress(fraction), onEnd(completed) }
+     */
+    constructor(log, options = {}) {
+        this.log = log;
+        this.options = { ...REPLAY_DEFAULTS, ...options };
+        this.entries = log.entries.slice().sort((a, b) => a.t - b.t);
+        this.duration = (this.entries[this.entries.length - 1]?.t || 0) + this.options.tail;
+        this.position = 0;     // ms of virtual time replayed
+        this.nextEntry = 0;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Current virtual time
+     * @returns {number} - Timestamp on the recording's clock
+     */
+    getClock() {
+        return this.log.startedAt + this.position;
+    }
+
+    /**
+     * Start (or continue) replaying
+     */
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.schedule();
+    }
+
+    /**
+     * Stop replaying
+     */
+    stop() {
+        if (!this.running) return;
+        this.finish(false);
+    }
+
+    /**
+     * Plan the next step: at speed 0 in batches, otherwise after the scaled wait
+     */
+    schedule() {
+        const { speed, tick } = this.options;
+        if (!speed) {
+            this.timer = setTimeout(() => {
+                for (let step = 0; step < this.options.batch && this.running; step++) {
+                    this.step();
+                }
+                if (this.running) this.schedule();
+            }, 0);
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.step();
+            if (this.running) this.schedule();
+        }, tick / speed);
+    }
+
+    /**
+     * Replay the entries up to the next tick, then run the silence check
+     */
+    step() {
+        const { tick } = this.options;
+        const until = Math.min(this.position + tick, this.duration);
+
+        while (this.nextEntry < this.entries.length && this.entries[this.nextEntry].t <= until) {
+            const entry = this.entries[this.nextEntry++];
+            this.position = entry.t;
+            this.callback('onEntry', entry, this.getClock());
+        }
+
+        this.position = until;
+        this.callback('onTick', this.getClock());
+        this.callback('onProgress', this.duration > 0 ? this.position / this.duration : 1);
+
+        if (this.position >= this.duration) {
+            this.finish(true);
+        }
+    }
+
+    /**
+     * Call an option callback without letting it break the replay
+     * @param {string} name - Option name
+     * @param {...*} args - Arguments
+     */
+    callback(name, ...args) {
+        try {
+            this.options[name]?.(...args);
+        } catch (error) {
+            console.error(`Replay ${name} failed:`, error);
+        }
+    }
+
+    /**
+     * End the replay
+     * @param {boolean} completed - Whether it reached the end
+     */
+    finish(completed) {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.running = false;
+        this.callback('onEnd', completed);
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SESSION_LOG_VERSION,
+        SESSION_RECORDER_DEFAULTS,
+        REPLAY_DEFAULTS,
+        normalizeSessionLog,
+        SessionRecorder,
+        SessionReplay
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.SessionRecording = {
+        SESSION_LOG_VERSION,
+        SESSION_RECORDER_DEFAULTS,
+        REPLAY_DEFAULTS,
+        normalizeSessionLog,
+        SessionRecorder,
+        SessionReplay
+    };
+}
@@ -1,5 +1,39 @@
 // ==================== SETTINGS PAGE LOGIC ====================
 
+// Command codes shown in Input & Shortcuts, in display order
+const COMMAND_LABELS = {
+    deleteChar: 'Delete last character',
+    deleteWord: 'Delete last word',
+    cancelLetter: 'Cancel current letter (blinked at its end)',
+    acceptSuggestion: 'Accept suggestion',
+    nextSuggestion: 'Next suggestion',
+    phraseBoard: 'Phrase board'
+};
+
+// Sentence spoken by Test Voice, per voice profile
+const VOICE_TEST_TEXT = {
+    en: 'Hello! This is a test of your voice settings in Eye-Blink Morse Communicator.',
+    bn: 'নমস্কার! এটি আপনার ভয়েস সেটিংসের একটি পরীক্ষা।'
+};
+
+// Speech engine for Test Voice (speech.js)
+let speechEngine = null;
+
+// Morse player for Test Morse (player.js)
+let morsePlayer = null;
+
+// Voice bank: phrases with a clip, and the recording in progress
+const VOICE_CLIP_MAX_MS = 30000;
+let voiceClipKeys = new Set();
+let clipRecording = null;
+
+// Device parameters: changed through the communication page, which holds the connection
+const DEVICE_PREVIEW_DELAY = 250; // ms a slider must rest before Live Preview sends it
+let deviceChannel = null;
+let deviceConnection = { connected: false, device: null, values: null };
+let deviceReadPending = false;
+const devicePreviewTimers = {};
+
 // Wait for DOM and storage to be ready
 document.addEventListener('DOMContentLoaded', () => {
     initializePage();
@@ -17,6 +51,8 @@ function initializePage() {
     applyTheme(settings.theme === 'dark');
     applyFontSize(settings.fontSize);
     
+    initializeDeviceChannel();
+    
     showToast('Settings page loaded', 'info', 1500);
 }
 
@@ -44,18 +80,36 @@ function loadCurrentSettings() {
         voiceGenderSelect.value = settings.voiceGender || 'female';
     }
     
-    const speechSpeedSlider = document.getElementById('speechSpeedSlider');
-    const speedValue = document.getElementById('speedValue');
-    if (speechSpeedSlider && speedValue) {
-        speechSpeedSlider.value = settings.speechSpeed || 1.0;
-        speedValue.textContent = `${settings.speechSpeed || 1.0}x`;
+    loadVoiceProfile();
+    
+    const feedbackVerbositySelect = document.getElementById('feedbackVerbositySelect');
+    if (feedbackVerbositySelect) {
+        feedbackVerbositySelect.value = settings.feedbackVerbosity || 'off';
     }
     
-    const voicePitchSlider = document.getElementById('voicePitchSlider');
-    const pitchValue = document.getElementById('pitchValue');
-    if (voicePitchSlider && pitchValue) {
-        voicePitchSlider.value = settings.voicePitch || 1.0;
-        pitchValue.textContent = (settings.voicePitch || 1.0).toFixed(1);
+    const feedbackEarconsCheckbox = document.getElementById('feedbackEarconsCheckbox');
+    if (feedbackEarconsCheckbox) {
+        feedbackEarconsCheckbox.checked = settings.feedbackEarcons || false;
+    }
+    
+    // Morse playback
+    const morseWpmSlider = document.getElementById('morseWpmSlider');
+    const morseWpmValue = document.getElementById('morseWpmValue');
+    if (morseWpmSlider && morseWpmValue) {
+        morseWpmSlider.value = settings.morseWpm || 20;
+        morseWpmValue.textContent = `${morseWpmSlider.value} WPM`;
+    }
+    
+    const morseFarnsworthSelect = document.getElementById('morseFarnsworthSelect');
+    if (morseFarnsworthSelect) {
+        morseFarnsworthSelect.value = settings.morseFarnsworthWpm || 0;
+    }
+    
+    const morseToneSlider = document.getElementById('morseToneSlider');
+    const morseToneValue = document.getElementById('morseToneValue');
+    if (morseToneSlider && morseToneValue) {
+        morseToneSlider.value = settings.morseToneFrequency || 600;
+        morseToneValue.textContent = `${morseToneSlider.value} Hz`;
     }
     
     // Device settings
@@ -69,6 +123,144 @@ function loadCurrentSettings() {
         baudRateSelect.value = settings.baudRate || 115200;
     }
     
+    const adaptiveTimingCheckbox = document.getElementById('adaptiveTimingCheckbox');
+    if (adaptiveTimingCheckbox) {
+        adaptiveTimingCheckbox.checked = settings.adaptiveTiming !== false; // Default to true
+    }
+    
+    updateTimingProfileDisplay();
+    
+    const deviceLivePreviewCheckbox = document.getElementById('deviceLivePreviewCheckbox');
+    if (deviceLivePreviewCheckbox) {
+        deviceLivePreviewCheckbox.checked = settings.deviceLivePreview !== false; // Default to true
+    }
+    
+    renderDeviceProfiles();
+    const lastRead = getLastDeviceParameters();
+    renderDeviceParameters(getActiveDeviceProfile() || lastRead?.values || getDefaultDeviceParameters());
+    updateDeviceStatus();
+    
+    // Input settings
+    const wordPredictionCheckbox = document.getElementById('wordPredictionCheckbox');
+    if (wordPredictionCheckbox) {
+        wordPredictionCheckbox.checked = settings.wordPrediction !== false; // Default to true
+    }
+    
+    const suggestionCountSelect = document.getElementById('suggestionCountSelect');
+    if (suggestionCountSelect) {
+        suggestionCountSelect.value = settings.suggestionCount || 5;
+    }
+    
+    const showConfidenceCheckbox = document.getElementById('showConfidenceCheckbox');
+    if (showConfidenceCheckbox) {
+        showConfidenceCheckbox.checked = settings.showConfidence !== false; // Default to true
+    }
+    
+    const fuzzyDecodingCheckbox = document.getElementById('fuzzyDecodingCheckbox');
+    if (fuzzyDecodingCheckbox) {
+        fuzzyDecodingCheckbox.checked = settings.fuzzyDecoding !== false; // Default to true
+    }
+    
+    const alphabetOptions = typeof MORSE_LANGUAGE_TABLES !== 'undefined'
+        ? Object.entries(MORSE_LANGUAGE_TABLES).map(([key, table]) => `<option value="${key}">${table.name}</option>`).join('')
+        : '';
+    
+    const morseLanguageSelect = document.getElementById('morseLanguageSelect');
+    if (morseLanguageSelect && alphabetOptions) {
+        morseLanguageSelect.innerHTML = alphabetOptions;
+        morseLanguageSelect.value = settings.morseLanguage || 'en';
+    }
+    
+    const morseAlternateSelect = document.getElementById('morseAlternateSelect');
+    if (morseAlternateSelect && alphabetOptions) {
+        morseAlternateSelect.innerHTML = alphabetOptions;
+        morseAlternateSelect.value = settings.morseAlternate || 'bn';
+    }
+    
+    const prosignsCheckbox = document.getElementById('prosignsCheckbox');
+    if (prosignsCheckbox) {
+        prosignsCheckbox.checked = settings.prosigns !== false; // Default to true
+    }
+    
+    const switchKeySelect = document.getElementById('switchKeySelect');
+    if (switchKeySelect) {
+        switchKeySelect.value = settings.switchKey || 'Space';
+    }
+    
+    const switchDotThresholdSelect = document.getElementById('switchDotThresholdSelect');
+    if (switchDotThresholdSelect) {
+        switchDotThresholdSelect.value = settings.switchDotThreshold || 300;
+    }
+    
+    const switchLetterGapSelect = document.getElementById('switchLetterGapSelect');
+    if (switchLetterGapSelect) {
+        switchLetterGapSelect.value = settings.switchLetterGap || 2000;
+    }
+    
+    const switchWordGapSelect = document.getElementById('switchWordGapSelect');
+    if (switchWordGapSelect) {
+        switchWordGapSelect.value = settings.switchWordGap || 5000;
+    }
+    
+    const dualInputCheckbox = document.getElementById('dualInputCheckbox');
+    if (dualInputCheckbox) {
+        dualInputCheckbox.checked = settings.dualInput === true;
+    }
+    
+    const dualKeysSelect = document.getElementById('dualKeysSelect');
+    if (dualKeysSelect) {
+        dualKeysSelect.value = settings.dualKeys || 'Period,Minus';
+    }
+    
+    const dualSqueezeCheckbox = document.getElementById('dualSqueezeCheckbox');
+    if (dualSqueezeCheckbox) {
+        dualSqueezeCheckbox.checked = settings.dualSqueeze === true;
+    }
+    
+    const dualElementTimeSelect = document.getElementById('dualElementTimeSelect');
+    if (dualElementTimeSelect) {
+        dualElementTimeSelect.value = settings.dualElementTime || 200;
+    }
+    
+    const dualLetterGapSelect = document.getElementById('dualLetterGapSelect');
+    if (dualLetterGapSelect) {
+        dualLetterGapSelect.value = settings.dualLetterGap || 1000;
+    }
+    
+    const dualWordGapSelect = document.getElementById('dualWordGapSelect');
+    if (dualWordGapSelect) {
+        dualWordGapSelect.value = settings.dualWordGap || 2000;
+    }
+    
+    renderCommandPatterns(settings.commandPatterns);
+    
+    // Emergency settings
+    const emergencyEnabledCheckbox = document.getElementById('emergencyEnabledCheckbox');
+    if (emergencyEnabledCheckbox) {
+        emergencyEnabledCheckbox.checked = settings.emergencyEnabled !== false; // Default to true
+    }
+    
+    const distressPatternsInput = document.getElementById('distressPatternsInput');
+    if (distressPatternsInput) {
+        distressPatternsInput.value = (settings.distressPatterns || ['...---...']).join(', ');
+    }
+    
+    const emergencyHoldSelect = document.getElementById('emergencyHoldSelect');
+    if (emergencyHoldSelect) {
+        emergencyHoldSelect.value = settings.emergencyHoldTime ?? 5000;
+    }
+    
+    updateEmergencyLogCount();
+    
+    // Phrase board
+    const phraseScanSpeedSelect = document.getElementById('phraseScanSpeedSelect');
+    if (phraseScanSpeedSelect) {
+        phraseScanSpeedSelect.value = settings.phraseScanInterval || 1500;
+    }
+    
+    renderPhraseCategories();
+    refreshVoiceClips();
+    
     // Translation settings
     const targetLanguageSelect = document.getElementById('targetLanguageSelect');
     if (targetLanguageSelect) {
@@ -80,12 +272,24 @@ function loadCurrentSettings() {
         autoTranslateCheckbox.checked = settings.autoTranslate || false;
     }
     
+    const translationServerUrlInput = document.getElementById('translationServerUrlInput');
+    if (translationServerUrlInput) {
+        translationServerUrlInput.value = settings.translationServerUrl || '';
+    }
+    
+    updateTranslationCacheInfo();
+    
     // Data management settings
     const autoSaveCheckbox = document.getElementById('autoSaveCheckbox');
     if (autoSaveCheckbox) {
         autoSaveCheckbox.checked = settings.autoSave !== false; // Default to true
     }
     
+    const recordSessionsCheckbox = document.getElementById('recordSessionsCheckbox');
+    if (recordSessionsCheckbox) {
+        recordSessionsCheckbox.checked = settings.recordSessions !== false; // Default to true
+    }
+    
     const messageLimitSelect = document.getElementById('messageLimitSelect');
     if (messageLimitSelect) {
         messageLimitSelect.value = settings.messageLimit || 100;
@@ -114,6 +318,21 @@ function setupEventListeners() {
         voiceGenderSelect.addEventListener('change', handleVoiceGenderChange);
     }
     
+    const voiceProfileSelect = document.getElementById('voiceProfileSelect');
+    if (voiceProfileSelect) {
+        voiceProfileSelect.addEventListener('change', loadVoiceProfile);
+    }
+    
+    const voiceSelect = document.getElementById('voiceSelect');
+    if (voiceSelect) {
+        voiceSelect.addEventListener('change', handleVoiceChange);
+    }
+    
+    const voiceVolumeSlider = document.getElementById('voiceVolumeSlider');
+    if (voiceVolumeSlider) {
+        voiceVolumeSlider.addEventListener('input', handleVoiceVolumeChange);
+    }
+    
     const speechSpeedSlider = document.getElementById('speechSpeedSlider');
     if (speechSpeedSlider) {
         speechSpeedSlider.addEventListener('input', handleSpeechSpeedChange);
@@ -124,6 +343,36 @@ function setupEventListeners() {
         voicePitchSlider.addEventListener('input', handleVoicePitchChange);
     }
     
+    const feedbackVerbositySelect = document.getElementById('feedbackVerbositySelect');
+    if (feedbackVerbositySelect) {
+        feedbackVerbositySelect.addEventListener('change', handleFeedbackVerbosityChange);
+    }
+    
+    const feedbackEarconsCheckbox = document.getElementById('feedbackEarconsCheckbox');
+    if (feedbackEarconsCheckbox) {
+        feedbackEarconsCheckbox.addEventListener('change', handleFeedbackEarconsChange);
+    }
+    
+    const morseWpmSlider = document.getElementById('morseWpmSlider');
+    if (morseWpmSlider) {
+        morseWpmSlider.addEventListener('input', handleMorseWpmChange);
+    }
+    
+    const morseFarnsworthSelect = document.getElementById('morseFarnsworthSelect');
+    if (morseFarnsworthSelect) {
+        morseFarnsworthSelect.addEventListener('change', handleMorseFarnsworthChange);
+    }
+    
+    const morseToneSlider = document.getElementById('morseToneSlider');
+    if (morseToneSlider) {
+        morseToneSlider.addEventListener('input', handleMorseToneChange);
+    }
+    
+    const testMorseBtn = document.getElementById('testMorseBtn');
+    if (testMorseBtn) {
+        testMorseBtn.addEventListener('click', testMorsePlayback);
+    }
+    
     const testVoiceBtn = document.getElementById('testVoiceBtn');
     if (testVoiceBtn) {
         testVoiceBtn.addEventListener('click', testVoiceSettings);
@@ -140,6 +389,155 @@ function setupEventListeners() {
         baudRateSelect.addEventListener('change', handleBaudRateChange);
     }
     
+    const adaptiveTimingCheckbox = document.getElementById('adaptiveTimingCheckbox');
+    if (adaptiveTimingCheckbox) {
+        adaptiveTimingCheckbox.addEventListener('change', handleAdaptiveTimingChange);
+    }
+    
+    document.getElementById('readDeviceParamsBtn')?.addEventListener('click', handleReadDeviceParams);
+    document.getElementById('deviceProfileSelect')?.addEventListener('change', handleDeviceProfileChange);
+    document.getElementById('deleteDeviceProfileBtn')?.addEventListener('click', handleDeleteDeviceProfile);
+    document.getElementById('deviceLivePreviewCheckbox')?.addEventListener('change', handleDeviceLivePreviewChange);
+    document.getElementById('deviceParamList')?.addEventListener('input', handleDeviceParameterInput);
+    document.getElementById('saveDeviceProfileBtn')?.addEventListener('click', handleSaveDeviceProfile);
+    document.getElementById('sendDeviceParamsBtn')?.addEventListener('click', handleSendDeviceParams);
+    document.getElementById('saveOnDeviceBtn')?.addEventListener('click', handleSaveOnDevice);
+    document.getElementById('resetDeviceParamsBtn')?.addEventListener('click', handleResetDeviceParams);
+    
+    const resetTimingBtn = document.getElementById('resetTimingBtn');
+    if (resetTimingBtn) {
+        resetTimingBtn.addEventListener('click', handleResetTiming);
+    }
+    
+    // Input settings
+    const wordPredictionCheckbox = document.getElementById('wordPredictionCheckbox');
+    if (wordPredictionCheckbox) {
+        wordPredictionCheckbox.addEventListener('change', handleWordPredictionChange);
+    }
+    
+    const suggestionCountSelect = document.getElementById('suggestionCountSelect');
+    if (suggestionCountSelect) {
+        suggestionCountSelect.addEventListener('change', handleSuggestionCountChange);
+    }
+    
+    const showConfidenceCheckbox = document.getElementById('showConfidenceCheckbox');
+    if (showConfidenceCheckbox) {
+        showConfidenceCheckbox.addEventListener('change', handleShowConfidenceChange);
+    }
+    
+    const fuzzyDecodingCheckbox = document.getElementById('fuzzyDecodingCheckbox');
+    if (fuzzyDecodingCheckbox) {
+        fuzzyDecodingCheckbox.addEventListener('change', handleFuzzyDecodingChange);
+    }
+    
+    const morseLanguageSelect = document.getElementById('morseLanguageSelect');
+    if (morseLanguageSelect) {
+        morseLanguageSelect.addEventListener('change', handleMorseLanguageChange);
+    }
+    
+    const morseAlternateSelect = document.getElementById('morseAlternateSelect');
+    if (morseAlternateSelect) {
+        morseAlternateSelect.addEventListener('change', handleMorseLanguageChange);
+    }
+    
+    const prosignsCheckbox = document.getElementById('prosignsCheckbox');
+    if (prosignsCheckbox) {
+        prosignsCheckbox.addEventListener('change', handleProsignsChange);
+    }
+    
+    const saveCommandPatternsBtn = document.getElementById('saveCommandPatternsBtn');
+    if (saveCommandPatternsBtn) {
+        saveCommandPatternsBtn.addEventListener('click', handleSaveCommandPatterns);
+    }
+    
+    const switchKeySelect = document.getElementById('switchKeySelect');
+    if (switchKeySelect) {
+        switchKeySelect.addEventListener('change', handleSwitchKeyChange);
+    }
+    
+    ['switchDotThreshold', 'switchLetterGap', 'switchWordGap'].forEach(key => {
+        document.getElementById(`${key}Select`)?.addEventListener('change', handleSwitchTimingChange);
+    });
+    
+    document.getElementById('dualInputCheckbox')?.addEventListener('change', handleDualInputChange);
+    document.getElementById('dualKeysSelect')?.addEventListener('change', handleDualKeysChange);
+    document.getElementById('dualSqueezeCheckbox')?.addEventListener('change', handleDualSqueezeChange);
+    ['dualElementTime', 'dualLetterGap', 'dualWordGap'].forEach(key => {
+        document.getElementById(`${key}Select`)?.addEventListener('change', handleDualTimingChange);
+    });
+    
+    const resetCommandPatternsBtn = document.getElementById('resetCommandPatternsBtn');
+    if (resetCommandPatternsBtn) {
+        resetCommandPatternsBtn.addEventListener('click', handleResetCommandPatterns);
+    }
+    
+    // Emergency settings
+    const emergencyEnabledCheckbox = document.getElementById('emergencyEnabledCheckbox');
+    if (emergencyEnabledCheckbox) {
+        emergencyEnabledCheckbox.addEventListener('change', handleEmergencyEnabledChange);
+    }
+    
+    const saveDistressPatternsBtn = document.getElementById('saveDistressPatternsBtn');
+    if (saveDistressPatternsBtn) {
+        saveDistressPatternsBtn.addEventListener('click', handleSaveDistressPatterns);
+    }
+    
+    const emergencyHoldSelect = document.getElementById('emergencyHoldSelect');
+    if (emergencyHoldSelect) {
+        emergencyHoldSelect.addEventListener('change', handleEmergencyHoldChange);
+    }
+    
+    const exportEmergencyLogBtn = document.getElementById('exportEmergencyLogBtn');
+    if (exportEmergencyLogBtn) {
+        exportEmergencyLogBtn.addEventListener('click', exportEmergencyLog);
+    }
+    
+    // Phrase board
+    const phraseScanSpeedSelect = document.getElementById('phraseScanSpeedSelect');
+    if (phraseScanSpeedSelect) {
+        phraseScanSpeedSelect.addEventListener('change', handlePhraseScanSpeedChange);
+    }
+    
+    const phraseCategorySelect = document.getElementById('phraseCategorySelect');
+    if (phraseCategorySelect) {
+        phraseCategorySelect.addEventListener('change', renderPhraseEditorList);
+    }
+    
+    const deleteCategoryBtn = document.getElementById('deleteCategoryBtn');
+    if (deleteCategoryBtn) {
+        deleteCategoryBtn.addEventListener('click', handleDeleteCategory);
+    }
+    
+    const addPhraseBtn = document.getElementById('addPhraseBtn');
+    if (addPhraseBtn) {
+        addPhraseBtn.addEventListener('click', handleAddPhrase);
+    }
+    
+    const addCategoryBtn = document.getElementById('addCategoryBtn');
+    if (addCategoryBtn) {
+        addCategoryBtn.addEventListener('click', handleAddCategory);
+    }
+    
+    const resetPhrasesBtn = document.getElementById('resetPhrasesBtn');
+    if (resetPhrasesBtn) {
+        resetPhrasesBtn.addEventListener('click', handleResetPhrases);
+    }
+    
+    // Voice bank
+    const recordVoiceClipBtn = document.getElementById('recordVoiceClipBtn');
+    if (recordVoiceClipBtn) {
+        recordVoiceClipBtn.addEventListener('click', () => {
+            toggleClipRecording(document.getElementById('voiceClipText')?.value || '');
+        });
+    }
+    
+    const importVoiceClipBtn = document.getElementById('importVoiceClipBtn');
+    if (importVoiceClipBtn) {
+        importVoiceClipBtn.addEventListener('click', () => {
+            importVoiceClip(document.getElementById('voiceClipText')?.value || '');
+        });
+    }
+    
     // Translation settings
     const targetLanguageSelect = document.getElementById('targetLanguageSelect');
     if (targetLanguageSelect) {
@@ -151,12 +549,32 @@ function setupEventListeners() {
         autoTranslateCheckbox.addEventListener('change', handleAutoTranslateChange);
     }
     
+    const saveTranslationServerBtn = document.getElementById('saveTranslationServerBtn');
+    if (saveTranslationServerBtn) {
+        saveTranslationServerBtn.addEventListener('click', handleSaveTranslationServer);
+    }
+    
+    const testTranslationServerBtn = document.getElementById('testTranslationServerBtn');
+    if (testTranslationServerBtn) {
+        testTranslationServerBtn.addEventListener('click', handleTestTranslationServer);
+    }
+    
+    const clearTranslationCacheBtn = document.getElementById('clearTranslationCacheBtn');
+    if (clearTranslationCacheBtn) {
+        clearTranslationCacheBtn.addEventListener('click', handleClearTranslationCache);
+    }
+    
     // Data management settings
     const autoSaveCheckbox = document.getElementById('autoSaveCheckbox');
     if (autoSaveCheckbox) {
         autoSaveCheckbox.addEventListener('change', handleAutoSaveChange);
     }
     
+    const recordSessionsCheckbox = document.getElementById('recordSessionsCheckbox');
+    if (recordSessionsCheckbox) {
+        recordSessionsCheckbox.addEventListener('change', handleRecordSessionsChange);
+    }
+    
     const messageLimitSelect = document.getElementById('messageLimitSelect');
     if (messageLimitSelect) {
         messageLimitSelect.addEventListener('change', handleMessageLimitChange);
@@ -213,15 +631,107 @@ function handleFontSizeChange(event) {
 function handleVoiceGenderChange(event) {
     const gender = event.target.value;
     setSetting('voiceGender', gender);
+    renderVoiceOptions();
     showToast(`Voice preference set to ${gender}`, 'success', 2000);
 }
 
+/**
+ * Language of the voice profile being edited
+ * @returns {string} - Language code
+ */
+function getEditedVoiceLanguage() {
+    return document.getElementById('voiceProfileSelect')?.value || 'en';
+}
+
+/**
+ * Change one value of the voice profile being edited
+ * @param {string} key - 'voice', 'rate', 'pitch' or 'volume'
+ * @param {*} value - New value
+ */
+function setVoiceProfileValue(key, value) {
+    const language = getEditedVoiceLanguage();
+    const profiles = { ...(getSettings().voiceProfiles || {}) };
+    profiles[language] = { ...(profiles[language] || {}), [key]: value };
+    setSetting('voiceProfiles', profiles);
+}
+
+/**
+ * Show the edited voice profile in the voice, speed, pitch and volume controls
+ */
+function loadVoiceProfile() {
+    const profile = Speech.getSpeechProfile(getSettings(), getEditedVoiceLanguage());
+    
+    const speechSpeedSlider = document.getElementById('speechSpeedSlider');
+    const speedValue = document.getElementById('speedValue');
+    if (speechSpeedSlider && speedValue) {
+        speechSpeedSlider.value = profile.rate;
+        speedValue.textContent = `${profile.rate}x`;
+    }
+    
+    const voicePitchSlider = document.getElementById('voicePitchSlider');
+    const pitchValue = document.getElementById('pitchValue');
+    if (voicePitchSlider && pitchValue) {
+        voicePitchSlider.value = profile.pitch;
+        pitchValue.textContent = profile.pitch.toFixed(1);
+    }
+    
+    const voiceVolumeSlider = document.getElementById('voiceVolumeSlider');
+    const volumeValue = document.getElementById('volumeValue');
+    if (voiceVolumeSlider && volumeValue) {
+        voiceVolumeSlider.value = profile.volume;
+        volumeValue.textContent = `${Math.round(profile.volume * 100)}%`;
+    }
+    
+    renderVoiceOptions();
+}
+
+/**
+ * Fill the voice list for the edited language and explain when none is installed
+ */
+function renderVoiceOptions() {
+    const voiceSelect = document.getElementById('voiceSelect');
+    const voiceStatus = document.getElementById('voiceStatus');
+    if (!voiceSelect || !('speechSynthesis' in window)) return;
+    
+    const language = getEditedVoiceLanguage();
+    const languageName = Translation.TRANSLATION_LANGUAGES[language] || language;
+    const allVoices = speechSynthesis.getVoices();
+    const voices = Speech.getVoicesForLanguage(allVoices, language);
+    const profile = Speech.getSpeechProfile(getSettings(), language);
+    const automatic = Speech.findVoice(allVoices, language, { ...profile, voice: '' });
+    
+    voiceSelect.innerHTML = '';
+    voiceSelect.appendChild(new Option(automatic ? `Automatic (${automatic.name})` : 'Automatic', ''));
+    voices.forEach(voice => {
+        voiceSelect.appendChild(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+    });
+    voiceSelect.value = voices.some(voice => voice.voiceURI === profile.voice) ? profile.voice : '';
+    
+    if (voiceStatus) {
+        if (allVoices.length === 0) {
+            voiceStatus.textContent = 'Loading the voices installed on this device...';
+        } else if (voices.length === 0) {
+            voiceStatus.textContent = `No ${languageName} voice on this device. ${languageName} text is read by the default voice, which may not pronounce it. Install one in your system's speech settings (Windows: Time & language -> Speech; Android: Text-to-speech -> Install voice data) and reload this page.`;
+        } else {
+            voiceStatus.textContent = `${voices.length} ${languageName} voice${voices.length === 1 ? '' : 's'} installed. Automatic picks the best match`;
+        }
+    }
+}
+
+/**
+ * Handle voice choice for the edited profile
+ */
+function handleVoiceChange(event) {
+    setVoiceProfileValue('voice', event.target.value);
+    showToast(event.target.value ? `Voice set to ${event.target.selectedOptions[0].textContent}` : 'Voice picked automatically', 'success', 2000);
+}
+
 /**
  * Handle speech speed change
  */
 function handleSpeechSpeedChange(event) {
     const speed = parseFloat(event.target.value);
-    setSetting('speechSpeed', speed);
+    setVoiceProfileValue('rate', speed);
     
     const speedValue = document.getElementById('speedValue');
     if (speedValue) {
@@ -234,7 +744,7 @@ function handleSpeechSpeedChange(event) {
  */
 function handleVoicePitchChange(event) {
     const pitch = parseFloat(event.target.value);
-    setSetting('voicePitch', pitch);
+    setVoiceProfileValue('pitch', pitch);
     
     const pitchValue = document.getElementById('pitchValue');
     if (pitchValue) {
@@ -243,116 +753,820 @@ function handleVoicePitchChange(event) {
 }
 
 /**
- * Test voice settings
+ * Handle speech volume change
+ */
+function handleVoiceVolumeChange(event) {
+    const volume = parseFloat(event.target.value);
+    setVoiceProfileValue('volume', volume);
+    
+    const volumeValue = document.getElementById('volumeValue');
+    if (volumeValue) {
+        volumeValue.textContent = `${Math.round(volume * 100)}%`;
+    }
+}
+
+/**
+ * Speak a sample sentence with the edited voice profile
  */
 function testVoiceSettings() {
-    if (!('speechSynthesis' in window)) {
+    if (!speechEngine) {
+        speechEngine = new Speech.SpeechEngine({
+            getProfile: language => Speech.getSpeechProfile(getSettings(), language)
+        });
+        speechEngine.on('end', () => showToast('Voice test completed', 'success', 2000));
+        speechEngine.on('error', () => showToast('Voice test failed', 'error', 2000));
+    }
+    
+    if (!speechEngine.isSupported()) {
         showToast('Speech synthesis not supported in this browser', 'error', 3000);
         return;
     }
     
-    const settings = getSettings();
-    const testText = 'Hello! This is a test of your voice settings in Eye-Blink Morse Communicator.';
+    const language = getEditedVoiceLanguage();
+    const { voice } = speechEngine.resolveVoice(language);
+    showToast(voice ? `Testing ${voice.name}...` : 'No voice for this language - testing the default voice', voice ? 'info' : 'warning', 2000);
     
-    try {
-        speechSynthesis.cancel();
-        
-        const utterance = new SpeechSynthesisUtterance(testText);
-        utterance.rate = settings.speechSpeed || 1.0;
-        utterance.pitch = settings.voicePitch || 1.0;
-        utterance.volume = 1.0;
-        
-        // Select voice based on gender preference
-        const voices = speechSynthesis.getVoices();
-        const genderPref = settings.voiceGender || 'female';
-        
-        let selectedVoice = null;
-        
-        if (genderPref !== 'auto') {
-            selectedVoice = voices.find(voice => {
-                const name = voice.name.toLowerCase();
-                return name.includes(genderPref) || 
-                       (genderPref === 'female' && (name.includes('female') || name.includes('woman'))) ||
-                       (genderPref === 'male' && (name.includes('male') || name.includes('man')));
-            });
-        }
-        
-        if (!selectedVoice) {
-            selectedVoice = voices.find(voice => voice.default) || voices[0];
-        }
-        
-        if (selectedVoice) {
-            utterance.voice = selectedVoice;
-        }
-        
-        utterance.onstart = () => showToast('Testing voice...', 'info', 1000);
-        utterance.onend = () => showToast('Voice test completed', 'success', 2000);
-        utterance.onerror = () => showToast('Voice test failed', 'error', 2000);
-        
-        speechSynthesis.speak(utterance);
-        
-    } catch (error) {
-        console.error('Voice test error:', error);
-        showToast('Voice test failed', 'error', 2000);
-    }
+    speechEngine.speak(VOICE_TEST_TEXT[language] || VOICE_TEST_TEXT.en, { language, interrupt: true });
 }
 
 /**
- * Handle auto-connect change
+ * Handle spoken feedback level change
  */
-function handleAutoConnectChange(event) {
-    const autoConnect = event.target.checked;
-    setSetting('autoConnect', autoConnect);
-    showToast(`Auto-connect ${autoConnect ? 'enabled' : 'disabled'}`, 'success', 2000);
+function handleFeedbackVerbosityChange(event) {
+    const feedbackVerbosity = event.target.value;
+    setSetting('feedbackVerbosity', feedbackVerbosity);
+    const label = event.target.options[event.target.selectedIndex]?.textContent || feedbackVerbosity;
+    showToast(`Spoken feedback: ${label}`, 'success', 2000);
 }
 
 /**
- * Handle baud rate change
+ * Handle input sounds change
  */
-function handleBaudRateChange(event) {
-    const baudRate = parseInt(event.target.value);
-    setSetting('baudRate', baudRate);
-    showToast(`Baud rate set to ${baudRate}`, 'success', 2000);
+function handleFeedbackEarconsChange(event) {
+    const feedbackEarcons = event.target.checked;
+    setSetting('feedbackEarcons', feedbackEarcons);
+    showToast(`Input sounds ${feedbackEarcons ? 'enabled' : 'disabled'}`, 'success', 2000);
 }
 
 /**
- * Handle target language change
+ * Handle Morse playback speed change
  */
-function handleTargetLanguageChange(event) {
-    const language = event.target.value;
-    setSetting('targetLanguage', language);
+function handleMorseWpmChange(event) {
+    const morseWpm = parseInt(event.target.value);
+    setSetting('morseWpm', morseWpm);
     
-    const languageName = event.target.selectedOptions[0].textContent.split(' (')[0];
-    showToast(`Default translation language set to ${languageName}`, 'success', 2000);
+    const morseWpmValue = document.getElementById('morseWpmValue');
+    if (morseWpmValue) {
+        morseWpmValue.textContent = `${morseWpm} WPM`;
+    }
 }
 
 /**
- * Handle auto-translate change
+ * Handle Farnsworth spacing change
  */
-function handleAutoTranslateChange(event) {
-    const autoTranslate = event.target.checked;
-    setSetting('autoTranslate', autoTranslate);
-    showToast(`Auto-translate ${autoTranslate ? 'enabled' : 'disabled'}`, 'success', 2000);
+function handleMorseFarnsworthChange(event) {
+    const morseFarnsworthWpm = parseInt(event.target.value);
+    setSetting('morseFarnsworthWpm', morseFarnsworthWpm);
+    
+    const morseWpm = getSettings().morseWpm || 20;
+    if (morseFarnsworthWpm && morseFarnsworthWpm >= morseWpm) {
+        showToast(`Farnsworth spacing only applies below the letter speed (${morseWpm} WPM)`, 'warning', 3000);
+    } else {
+        showToast(`Farnsworth spacing ${morseFarnsworthWpm ? `${morseFarnsworthWpm} WPM overall` : 'off'}`, 'success', 2000);
+    }
 }
 
 /**
- * Handle auto-save change
+ * Handle Morse tone change
  */
-function handleAutoSaveChange(event) {
-    const autoSave = event.target.checked;
-    setSetting('autoSave', autoSave);
-    showToast(`Auto-save ${autoSave ? 'enabled' : 'disabled'}`, 'success', 2000);
+function handleMorseToneChange(event) {
+    const morseToneFrequency = parseInt(event.target.value);
+    setSetting('morseToneFrequency', morseToneFrequency);
+    
+    const morseToneValue = document.getElementById('morseToneValue');
+    if (morseToneValue) {
+        morseToneValue.textContent = `${morseToneFrequency} Hz`;
+    }
 }
 
 /**
- * Handle message limit change
+ * Play a sample word with the Morse playback settings
  */
-function handleMessageLimitChange(event) {
-    const limit = parseInt(event.target.value);
-    setSetting('messageLimit', limit);
+function testMorsePlayback() {
+    if (!morsePlayer) {
+        morsePlayer = new MorsePlayer({
+            getOptions: () => getMorsePlaybackOptions(getSettings())
+        });
+    }
     
-    const limitText = limit === -1 ? 'unlimited' : `${limit} messages`;
-    showToast(`Message limit set to ${limitText}`, 'success', 2000);
+    if (!morsePlayer.isSupported()) {
+        showToast('Audio playback not supported in this browser', 'error', 3000);
+        return;
+    }
+    
+    // The sample word is English whatever alphabet is active
+    morsePlayer.play('PARIS', { language: 'en' });
+}
+
+/**
+ * Handle auto-connect change
+ */
+function handleAutoConnectChange(event) {
+    const autoConnect = event.target.checked;
+    setSetting('autoConnect', autoConnect);
+    showToast(`Auto-connect ${autoConnect ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle baud rate change
+ */
+function handleBaudRateChange(event) {
+    const baudRate = parseInt(event.target.value);
+    setSetting('baudRate', baudRate);
+    showToast(`Baud rate set to ${baudRate}`, 'success', 2000);
+}
+
+/**
+ * Handle adaptive timing change
+ */
+function handleAdaptiveTimingChange(event) {
+    const adaptiveTiming = event.target.checked;
+    setSetting('adaptiveTiming', adaptiveTiming);
+    // A connected device switches between raw durations and its own symbols right away
+    deviceChannel?.postMessage({ type: 'timing' });
+    showToast(`Adaptive timing ${adaptiveTiming ? 'enabled' : 'disabled'}`, 'success', 3000);
+}
+
+/**
+ * Handle timing calibration reset
+ */
+function handleResetTiming() {
+    if (!confirm('Forget the learned blink timing and start again from the device defaults?')) {
+        return;
+    }
+    
+    storage.remove(STORAGE_KEYS.TIMING);
+    updateTimingProfileDisplay();
+    showToast('Timing calibration reset', 'success', 2000);
+}
+
+/**
+ * Show the learned timing profile
+ */
+function updateTimingProfileDisplay() {
+    const timingProfileValue = document.getElementById('timingProfileValue');
+    if (!timingProfileValue) return;
+    
+    const profile = storage.get(STORAGE_KEYS.TIMING, null);
+    if (!profile || !profile.dotThreshold) {
+        timingProfileValue.textContent = 'Not calibrated';
+        return;
+    }
+    
+    timingProfileValue.textContent = `dot < ${Math.round(profile.dotThreshold)} ms, letter gap ${Math.round(profile.letterGap)} ms, word gap ${Math.round(profile.wordGap)} ms`;
+}
+
+/**
+ * Handle word prediction change
+ */
+function handleWordPredictionChange(event) {
+    const wordPrediction = event.target.checked;
+    setSetting('wordPrediction', wordPrediction);
+    showToast(`Word prediction ${wordPrediction ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle suggestion count change
+ */
+function handleSuggestionCountChange(event) {
+    const suggestionCount = parseInt(event.target.value);
+    setSetting('suggestionCount', suggestionCount);
+    showToast(`Showing ${suggestionCount} suggestions`, 'success', 2000);
+}
+
+/**
+ * Handle decoding confidence display change
+ */
+function handleShowConfidenceChange(event) {
+    const showConfidence = event.target.checked;
+    setSetting('showConfidence', showConfidence);
+    showToast(`Confidence highlighting ${showConfidence ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle fuzzy decoding change
+ */
+function handleFuzzyDecodingChange(event) {
+    const fuzzyDecoding = event.target.checked;
+    setSetting('fuzzyDecoding', fuzzyDecoding);
+    showToast(`Fuzzy decoding ${fuzzyDecoding ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle alphabet or second alphabet change
+ */
+function handleMorseLanguageChange(event) {
+    const morseLanguage = event.target.value;
+    const key = event.target.id === 'morseAlternateSelect' ? 'morseAlternate' : 'morseLanguage';
+    setSetting(key, morseLanguage);
+    
+    // A letter sharing a command code wins, so that command cannot be blinked in this alphabet
+    const table = getMorseTable(morseLanguage);
+    const patterns = getAlphabetCommandPatterns(getSettings().commandPatterns, table);
+    const clash = Object.entries(patterns).find(([, pattern]) => /\p{L}/u.test(table[pattern] || ''));
+    if (clash) {
+        showToast(`"${table[clash[1]]}" uses ${clash[1]}, so the ${COMMAND_LABELS[clash[0]]} code is off in this alphabet - change it under Command Codes`, 'warning', 5000);
+        return;
+    }
+    
+    showToast(`${key === 'morseAlternate' ? 'Second alphabet' : 'Alphabet'}: ${MORSE_LANGUAGE_TABLES[morseLanguage].name}`, 'success', 2000);
+}
+
+/**
+ * Handle prosigns change
+ */
+function handleProsignsChange(event) {
+    const prosigns = event.target.checked;
+    setSetting('prosigns', prosigns);
+    showToast(`Prosigns ${prosigns ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle switch key change
+ */
+function handleSwitchKeyChange(event) {
+    setSetting('switchKey', event.target.value);
+    showToast(`Switch key: ${event.target.selectedOptions[0]?.textContent || event.target.value}`, 'success', 2000);
+}
+
+/**
+ * Handle switch dot length, letter gap or word gap change
+ */
+function handleSwitchTimingChange(event) {
+    const key = event.target.id.replace(/Select$/, '');
+    const value = parseInt(event.target.value);
+    setSetting(key, value);
+    showToast(`Switch timing saved (${value / 1000}s)`, 'success', 2000);
+}
+
+/**
+ * Handle two-switch mode toggle
+ */
+function handleDualInputChange(event) {
+    const dualInput = event.target.checked;
+    setSetting('dualInput', dualInput);
+    showToast(`Two-switch mode ${dualInput ? 'enabled' : 'disabled'} - reconnect the device to apply`, 'success', 3000);
+}
+
+/**
+ * Handle dot / dash key change
+ */
+function handleDualKeysChange(event) {
+    setSetting('dualKeys', event.target.value);
+    showToast(`Dot / dash keys: ${event.target.selectedOptions[0]?.textContent || event.target.value}`, 'success', 2000);
+}
+
+/**
+ * Handle iambic squeeze toggle
+ */
+function handleDualSqueezeChange(event) {
+    const dualSqueeze = event.target.checked;
+    setSetting('dualSqueeze', dualSqueeze);
+    showToast(`Iambic squeeze ${dualSqueeze ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle squeeze speed, two-switch letter gap or word gap change
+ */
+function handleDualTimingChange(event) {
+    const key = event.target.id.replace(/Select$/, '');
+    const value = parseInt(event.target.value);
+    setSetting(key, value);
+    showToast(`Two-switch timing saved (${value / 1000}s)`, 'success', 2000);
+}
+
+/**
+ * Show an input for every command code
+ * @param {Object} patterns - Saved command patterns
+ */
+function renderCommandPatterns(patterns = {}) {
+    const listEl = document.getElementById('commandPatternList');
+    if (!listEl) return;
+    
+    const current = { ...DEFAULT_COMMAND_PATTERNS, ...patterns };
+    listEl.innerHTML = '';
+    
+    Object.entries(COMMAND_LABELS).forEach(([command, label]) => {
+        const row = document.createElement('div');
+        row.className = 'phrase-editor-row';
+        
+        const labelEl = document.createElement('label');
+        labelEl.className = 'phrase-editor-text';
+        labelEl.htmlFor = `command-${command}`;
+        labelEl.textContent = label;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.id = `command-${command}`;
+        input.className = 'modern-input pattern-input';
+        input.dataset.command = command;
+        input.value = current[command] || '';
+        
+        row.append(labelEl, input);
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Validate and save the command codes
+ */
+function handleSaveCommandPatterns() {
+    const patterns = {};
+    document.querySelectorAll('#commandPatternList input[data-command]').forEach(input => {
+        patterns[input.dataset.command] = input.value.trim().replace(/[•·]/g, '.').replace(/[—–_]/g, '-');
+    });
+    
+    const settings = getSettings();
+    const distress = settings.distressPatterns || [];
+    const table = getMorseTable(settings.morseLanguage);
+    for (const [command, pattern] of Object.entries(patterns)) {
+        const label = COMMAND_LABELS[command];
+        
+        if (!/^[.\-]{2,}$/.test(pattern)) {
+            showToast(`${label}: use at least 2 dots/dashes`, 'error', 3000);
+            return;
+        }
+        // A default code the alphabet needs falls back to its long code, so it can stay
+        const fallsBack = pattern === DEFAULT_COMMAND_PATTERNS[command] && FALLBACK_COMMAND_PATTERNS[command];
+        if (table[pattern] && !fallsBack) {
+            showToast(`${label}: ${pattern} is the letter "${table[pattern]}"`, 'error', 3000);
+            return;
+        }
+        const prosign = getProsign(pattern);
+        if (prosign && prosign !== 'HH' && settings.prosigns !== false) {
+            showToast(`${label}: ${pattern} is the ${prosign} prosign`, 'error', 3000);
+            return;
+        }
+        if (distress.includes(pattern)) {
+            showToast(`${label}: ${pattern} is a distress pattern`, 'error', 3000);
+            return;
+        }
+        
+        // Delete-character and cancel-letter may share the error prosign; everything else must be unique
+        const clash = Object.entries(patterns).find(([other, value]) =>
+            other !== command && value === pattern &&
+            !['deleteChar', 'cancelLetter'].every(name => [command, other].includes(name)));
+        if (clash) {
+            showToast(`${label} and ${COMMAND_LABELS[clash[0]]} use the same code`, 'error', 3000);
+            return;
+        }
+    }
+    
+    setSetting('commandPatterns', patterns);
+    showToast('Command codes saved', 'success', 2000);
+}
+
+/**
+ * Restore the default command codes
+ */
+function handleResetCommandPatterns() {
+    setSetting('commandPatterns', { ...DEFAULT_COMMAND_PATTERNS });
+    renderCommandPatterns(DEFAULT_COMMAND_PATTERNS);
+    showToast('Command codes restored', 'success', 2000);
+}
+
+/**
+ * Handle target language change
+ */
+function handleTargetLanguageChange(event) {
+    const language = event.target.value;
+    setSetting('targetLanguage', language);
+    
+    const languageName = event.target.selectedOptions[0].textContent.split(' (')[0];
+    showToast(`Default translation language set to ${languageName}`, 'success', 2000);
+}
+
+/**
+ * Handle auto-translate change
+ */
+function handleAutoTranslateChange(event) {
+    const autoTranslate = event.target.checked;
+    setSetting('autoTranslate', autoTranslate);
+    showToast(`Auto-translate ${autoTranslate ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Read the translation server addresses from the input
+ * @returns {Array<string>|null} - Addresses (empty when none), null when one is invalid
+ */
+function readTranslationServerUrls() {
+    const urls = Translation.parseServerUrls(document.getElementById('translationServerUrlInput')?.value);
+    
+    const valid = urls.every(value => {
+        try {
+            return /^https?:$/.test(new URL(value).protocol);
+        } catch {
+            return false;
+        }
+    });
+    return valid ? urls : null;
+}
+
+/**
+ * Save the self-hosted translation server addresses
+ */
+function handleSaveTranslationServer() {
+    const urls = readTranslationServerUrls();
+    if (urls === null) {
+        showToast('Enter full addresses such as http://192.168.1.20:5000, separated by commas', 'error', 3000);
+        return;
+    }
+    
+    setSetting('translationServerUrl', urls.join(', '));
+    showToast(urls.length > 0
+        ? `${urls.length === 1 ? 'Translation server' : `${urls.length} translation servers`} saved`
+        : 'Translation server removed - phrasebook only', 'success', 2000);
+}
+
+/**
+ * Check each translation server answers and can translate a sample phrase
+ */
+async function handleTestTranslationServer() {
+    const urls = readTranslationServerUrls();
+    if (!urls || urls.length === 0) {
+        showToast('Enter the translation server address first', 'warning', 2000);
+        return;
+    }
+    
+    const target = getSettings().targetLanguage || 'bn';
+    
+    for (const url of urls) {
+        const provider = new Translation.LibreTranslateProvider(url, { timeout: 5000 });
+        try {
+            const languages = await provider.getLanguages();
+            if (!languages.includes(target)) {
+                showToast(`${provider.name} answered but does not offer ${Translation.TRANSLATION_LANGUAGES[target] || target}`, 'warning', 4000);
+                continue;
+            }
+            
+            const sample = await provider.translate('I need water', 'en', target);
+            showToast(`${provider.name} answered: "${sample}"`, 'success', 4000);
+        } catch (error) {
+            showToast(`${provider.name} failed: ${error.message}`, 'error', 4000);
+        }
+    }
+}
+
+/**
+ * Show how many translations are saved
+ */
+function updateTranslationCacheInfo() {
+    const element = document.getElementById('translationCacheInfo');
+    if (!element) return;
+    
+    const info = getTranslationCacheInfo();
+    element.textContent = info.entries > 0
+        ? `${info.entries} saved, reused ${info.hits} time${info.hits === 1 ? '' : 's'}`
+        : 'None saved yet';
+}
+
+/**
+ * Forget saved translations
+ */
+function handleClearTranslationCache() {
+    if (!confirm('Forget all saved translations? Messages translated by a server will need the server again.')) return;
+    
+    clearTranslationCache();
+    updateTranslationCacheInfo();
+    showToast('Saved translations cleared', 'success', 2000);
+}
+
+/**
+ * Handle auto-save change
+ */
+function handleAutoSaveChange(event) {
+    const autoSave = event.target.checked;
+    setSetting('autoSave', autoSave);
+    showToast(`Auto-save ${autoSave ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle session recording change
+ */
+function handleRecordSessionsChange(event) {
+    const recordSessions = event.target.checked;
+    setSetting('recordSessions', recordSessions);
+    showToast(`Session recording ${recordSessions ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Handle message limit change
+ */
+function handleMessageLimitChange(event) {
+    const limit = parseInt(event.target.value);
+    setSetting('messageLimit', limit);
+    
+    const limitText = limit === -1 ? 'unlimited' : `${limit} messages`;
+    showToast(`Message limit set to ${limitText}`, 'success', 2000);
+}
+
+// ==================== DEVICE PARAMETERS ====================
+
+/**
+ * Talk to the communication page, which sends SET / GET ALL / SAVE to the device
+ */
+function initializeDeviceChannel() {
+    if (typeof BroadcastChannel === 'undefined') return;
+
+    deviceChannel = new BroadcastChannel(DEVICE_CHANNEL_NAME);
+    deviceChannel.onmessage = event => handleDeviceChannelMessage(event.data || {});
+    deviceChannel.postMessage({ type: 'status' });
+}
+
+/**
+ * Handle news from the communication page
+ * @param {Object} message - { type: 'status' | 'saved' | 'error', connected, device, values, name }
+ */
+function handleDeviceChannelMessage(message) {
+    switch (message.type) {
+        case 'status':
+            deviceConnection = {
+                connected: Boolean(message.connected),
+                device: message.device || null,
+                values: message.values || null
+            };
+            if (deviceReadPending && deviceConnection.values) {
+                deviceReadPending = false;
+                renderDeviceParameters(deviceConnection.values);
+                showToast('Values read from the device', 'success', 2000);
+            }
+            updateDeviceStatus();
+            updateDeviceParameterLabels();
+            break;
+        case 'saved':
+            showToast('Settings saved on the device', 'success', 2000);
+            break;
+        case 'error':
+            showToast(`Device rejected the ${DEVICE_PARAMETERS[message.name]?.label || 'setting'} value`, 'warning', 3000);
+            break;
+    }
+}
+
+/**
+ * Send a request to the communication page, or explain why it cannot be sent
+ * @param {Object} request - { type: 'get' | 'set' | 'save', name, value }
+ * @returns {boolean} - Whether a device is connected to receive it
+ */
+function sendDeviceRequest(request) {
+    if (!deviceChannel || !deviceConnection.connected) {
+        showToast('Connect the device on the communication page (in another tab) first', 'warning', 3000);
+        return false;
+    }
+    deviceChannel.postMessage(request);
+    return true;
+}
+
+/**
+ * Show whether a device can be reached and when its values were last read
+ */
+function updateDeviceStatus() {
+    const statusEl = document.getElementById('deviceParamStatus');
+    if (!statusEl) return;
+
+    if (deviceConnection.connected) {
+        statusEl.textContent = `Connected: ${deviceConnection.device || 'device'} (through the communication page)`;
+        return;
+    }
+
+    const lastRead = getLastDeviceParameters();
+    const readAt = lastRead?.readAt ? ` Values last read ${new Date(lastRead.readAt).toLocaleString()}.` : '';
+    statusEl.textContent = typeof BroadcastChannel === 'undefined'
+        ? `This browser cannot reach the communication page. The selected profile is still sent when the device connects.${readAt}`
+        : `Not connected - connect the device on the communication page, keeping this page open in another tab.${readAt}`;
+}
+
+/**
+ * Fill the user profile list
+ */
+function renderDeviceProfiles() {
+    const select = document.getElementById('deviceProfileSelect');
+    if (!select) return;
+
+    const { active, profiles } = getDeviceProfiles();
+    select.innerHTML = '<option value="">None (leave the device as it is)</option>';
+    Object.keys(profiles).sort().forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = active || '';
+}
+
+/**
+ * Show a slider for every firmware parameter
+ * @param {Object} values - { DOT_TH: 300, ... }
+ */
+function renderDeviceParameters(values = {}) {
+    const listEl = document.getElementById('deviceParamList');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+    Object.entries(DEVICE_PARAMETERS).forEach(([name, parameter]) => {
+        const item = document.createElement('div');
+        item.className = 'setting-item';
+
+        const info = document.createElement('div');
+        info.className = 'setting-info';
+        const title = document.createElement('div');
+        title.className = 'setting-title';
+        title.textContent = parameter.label;
+        const description = document.createElement('div');
+        description.className = 'setting-description';
+        description.append(`${parameter.description}: `);
+        const valueEl = document.createElement('span');
+        valueEl.className = 'setting-value';
+        valueEl.id = `deviceParamValue-${name}`;
+        const deviceValueEl = document.createElement('span');
+        deviceValueEl.id = `deviceParamDevice-${name}`;
+        description.append(valueEl, ' ', deviceValueEl);
+        info.append(title, description);
+
+        const control = document.createElement('div');
+        control.className = 'setting-control';
+        const wrapper = document.createElement('div');
+        wrapper.className = 'modern-slider-wrapper';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.className = 'modern-slider';
+        slider.id = `deviceParam-${name}`;
+        slider.dataset.parameter = name;
+        slider.min = parameter.min;
+        slider.max = parameter.max;
+        slider.step = parameter.step;
+        slider.value = validateDeviceParameter(name, values[name]) ?? parameter.defaultValue;
+        slider.setAttribute('aria-label', parameter.label);
+        const track = document.createElement('div');
+        track.className = 'slider-track';
+        wrapper.append(slider, track);
+        control.appendChild(wrapper);
+
+        item.append(info, control);
+        listEl.appendChild(item);
+    });
+    updateDeviceParameterLabels();
+}
+
+/**
+ * Show each slider's value, and the device's where it differs
+ */
+function updateDeviceParameterLabels() {
+    const deviceValues = deviceConnection.connected ? deviceConnection.values || {} : {};
+
+    Object.entries(getDeviceEditorValues()).forEach(([name, value]) => {
+        const unit = DEVICE_PARAMETERS[name].unit;
+        const valueEl = document.getElementById(`deviceParamValue-${name}`);
+        if (valueEl) valueEl.textContent = `${value} ${unit}`;
+
+        const deviceValueEl = document.getElementById(`deviceParamDevice-${name}`);
+        if (deviceValueEl) {
+            const deviceValue = deviceValues[name];
+            deviceValueEl.textContent = deviceValue !== undefined && deviceValue !== value
+                ? `(device: ${deviceValue} ${unit})`
+                : '';
+        }
+    });
+}
+
+/**
+ * Values currently on the sliders
+ * @returns {Object} - { DOT_TH: 300, ... }
+ */
+function getDeviceEditorValues() {
+    const values = {};
+    document.querySelectorAll('#deviceParamList input[data-parameter]').forEach(slider => {
+        values[slider.dataset.parameter] = parseInt(slider.value, 10);
+    });
+    return values;
+}
+
+/**
+ * A slider moved: show it, and send it to the device after a short rest when Live Preview is on
+ */
+function handleDeviceParameterInput(event) {
+    const name = event.target.dataset.parameter;
+    if (!name) return;
+
+    updateDeviceParameterLabels();
+
+    const livePreview = document.getElementById('deviceLivePreviewCheckbox')?.checked;
+    if (!livePreview || !deviceConnection.connected) return;
+
+    clearTimeout(devicePreviewTimers[name]);
+    devicePreviewTimers[name] = setTimeout(() => {
+        sendDeviceRequest({ type: 'set', name, value: parseInt(event.target.value, 10) });
+    }, DEVICE_PREVIEW_DELAY);
+}
+
+/**
+ * Handle Live Preview toggle
+ */
+function handleDeviceLivePreviewChange(event) {
+    const deviceLivePreview = event.target.checked;
+    setSetting('deviceLivePreview', deviceLivePreview);
+    showToast(`Live preview ${deviceLivePreview ? 'enabled' : 'disabled'}`, 'success', 2000);
+}
+
+/**
+ * Ask the device for its current values
+ */
+function handleReadDeviceParams() {
+    if (sendDeviceRequest({ type: 'get' })) {
+        deviceReadPending = true;
+    }
+}
+
+/**
+ * Send every slider value to the device
+ * @returns {boolean} - Whether a device is connected
+ */
+function handleSendDeviceParams() {
+    if (!deviceConnection.connected) {
+        return sendDeviceRequest({ type: 'get' });
+    }
+
+    Object.entries(getDeviceEditorValues()).forEach(([name, value]) => {
+        sendDeviceRequest({ type: 'set', name, value });
+    });
+    return true;
+}
+
+/**
+ * Send every value and keep them on the device after a restart
+ */
+function handleSaveOnDevice() {
+    if (handleSendDeviceParams()) {
+        sendDeviceRequest({ type: 'save' });
+    }
+}
+
+/**
+ * Put the firmware defaults on the sliders
+ */
+function handleResetDeviceParams() {
+    renderDeviceParameters(getDefaultDeviceParameters());
+    if (document.getElementById('deviceLivePreviewCheckbox')?.checked && deviceConnection.connected) {
+        handleSendDeviceParams();
+    }
+    showToast('Firmware defaults restored - save them to keep them', 'success', 2000);
+}
+
+/**
+ * Switch to another user's profile (it is sent to the device on connect, and now if Live Preview is on)
+ */
+function handleDeviceProfileChange(event) {
+    const name = event.target.value;
+    setActiveDeviceProfile(name || null);
+
+    const profile = getActiveDeviceProfile();
+    if (profile) {
+        renderDeviceParameters(profile);
+        document.getElementById('deviceProfileNameInput').value = name;
+        if (document.getElementById('deviceLivePreviewCheckbox')?.checked && deviceConnection.connected) {
+            handleSendDeviceParams();
+        }
+    }
+    showToast(name ? `Device profile: ${name}` : 'No device profile - the device keeps its own settings', 'success', 2000);
+}
+
+/**
+ * Save the slider values as a user's profile
+ */
+function handleSaveDeviceProfile() {
+    const nameInput = document.getElementById('deviceProfileNameInput');
+    const name = (nameInput?.value || document.getElementById('deviceProfileSelect')?.value || '').trim();
+    if (!name) {
+        showToast('Enter a name for the profile', 'error', 2000);
+        return;
+    }
+
+    saveDeviceProfile(name, getDeviceEditorValues());
+    renderDeviceProfiles();
+    if (nameInput) nameInput.value = name;
+    showToast(`Profile "${name}" saved - it is sent to the device on connect`, 'success', 3000);
+}
+
+/**
+ * Delete the selected profile
+ */
+function handleDeleteDeviceProfile() {
+    const name = document.getElementById('deviceProfileSelect')?.value;
+    if (!name) return;
+
+    if (!confirm(`Delete the device profile "${name}"?`)) return;
+    deleteDeviceProfile(name);
+    renderDeviceProfiles();
+    showToast(`Profile "${name}" deleted`, 'success', 2000);
 }
 
 // ==================== IMPORT/EXPORT ====================
@@ -445,7 +1659,7 @@ function handleResetSettings() {
  * Handle reset all data
  */
 function handleResetAll() {
-    const confirmText = 'Clear ALL application data?\n\nThis will delete:\n• All messages\n• All settings\n• All statistics\n\nThis action cannot be undone!';
+    const confirmText = 'Clear ALL application data?\n\nThis will delete:\n• All messages\n• All settings\n• All statistics\n\nRecorded voice clips are kept (delete them under Phrase Board -> Voice Bank).\n\nThis action cannot be undone!';
     
     if (confirm(confirmText)) {
         const finalConfirm = confirm('Are you absolutely sure? This will permanently delete everything!');
@@ -464,6 +1678,449 @@ function handleResetAll() {
     }
 }
 
+// ==================== EMERGENCY ====================
+
+/**
+ * Handle emergency alarm toggle
+ */
+function handleEmergencyEnabledChange(event) {
+    const emergencyEnabled = event.target.checked;
+    setSetting('emergencyEnabled', emergencyEnabled);
+    showToast(`Emergency alarm ${emergencyEnabled ? 'enabled' : 'disabled'}`, emergencyEnabled ? 'success' : 'warning', 2000);
+}
+
+/**
+ * Handle distress pattern save
+ */
+function handleSaveDistressPatterns() {
+    const input = document.getElementById('distressPatternsInput');
+    const patterns = (input?.value || '')
+        .split(',')
+        .map(pattern => pattern.trim().replace(/[•·]/g, '.').replace(/[—–_]/g, '-'))
+        .filter(Boolean);
+    
+    const invalid = patterns.filter(pattern => !/^[.\-]{3,}$/.test(pattern));
+    if (patterns.length === 0 || invalid.length > 0) {
+        showToast(`Invalid pattern: ${invalid[0] || '(empty)'} - use at least 3 dots/dashes`, 'error', 3000);
+        return;
+    }
+    
+    setSetting('distressPatterns', patterns);
+    if (input) input.value = patterns.join(', ');
+    showToast(`Distress patterns saved (${patterns.length})`, 'success', 2000);
+}
+
+/**
+ * Handle long blink alarm change
+ */
+function handleEmergencyHoldChange(event) {
+    const holdTime = parseInt(event.target.value);
+    setSetting('emergencyHoldTime', holdTime);
+    showToast(holdTime ? `Long blink alarm after ${holdTime / 1000}s` : 'Long blink alarm off', 'success', 2000);
+}
+
+/**
+ * Show how many alarm events are logged
+ */
+function updateEmergencyLogCount() {
+    const countEl = document.getElementById('emergencyLogCount');
+    if (!countEl) return;
+    
+    const log = getEmergencyLog();
+    const incidents = new Set(log.map(item => item.incidentId)).size;
+    countEl.textContent = `${log.length} events in ${incidents} alarm(s)`;
+}
+
+/**
+ * Download the alarm audit log as CSV
+ */
+function exportEmergencyLog() {
+    const log = getEmergencyLog();
+    if (log.length === 0) {
+        showToast('No alarms have been logged', 'info', 2000);
+        return;
+    }
+    
+    const blob = createDownloadBlob(convertEmergencyLogToCSV(log), 'text/csv');
+    triggerDownload(blob, `emergency-log-${new Date().toISOString().split('T')[0]}.csv`);
+    showToast('Alarm log exported', 'success', 2000);
+}
+
+// ==================== PHRASE BOARD EDITOR ====================
+
+/**
+ * Handle phrase scan speed change
+ */
+function handlePhraseScanSpeedChange(event) {
+    const interval = parseInt(event.target.value);
+    setSetting('phraseScanInterval', interval);
+    showToast(`Scan speed set to ${interval / 1000}s per item`, 'success', 2000);
+}
+
+/**
+ * Fill the category selector
+ * @param {string|null} selectedId - Category to select
+ */
+function renderPhraseCategories(selectedId = null) {
+    const phraseCategorySelect = document.getElementById('phraseCategorySelect');
+    if (!phraseCategorySelect) return;
+    
+    const board = getPhraseBoard();
+    const current = selectedId || phraseCategorySelect.value;
+    
+    phraseCategorySelect.innerHTML = '';
+    board.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category.id;
+        option.textContent = `${category.icon || ''} ${category.name} (${category.phrases.length})`.trim();
+        phraseCategorySelect.appendChild(option);
+    });
+    
+    if (board.some(category => category.id === current)) {
+        phraseCategorySelect.value = current;
+    }
+    
+    renderPhraseEditorList();
+}
+
+/**
+ * List the phrases of the selected category
+ */
+function renderPhraseEditorList() {
+    const listEl = document.getElementById('phraseEditorList');
+    const categoryId = document.getElementById('phraseCategorySelect')?.value;
+    if (!listEl) return;
+    
+    const category = getPhraseBoard().find(item => item.id === categoryId);
+    listEl.innerHTML = '';
+    
+    if (!category || category.phrases.length === 0) {
+        listEl.innerHTML = '<div class="phrase-editor-empty">No phrases in this category yet</div>';
+        return;
+    }
+    
+    category.phrases.forEach(phrase => {
+        const row = document.createElement('div');
+        row.className = 'phrase-editor-row';
+        
+        const codeEl = document.createElement('span');
+        codeEl.className = 'phrase-editor-code';
+        codeEl.textContent = phrase.code || '—';
+        
+        const textEl = document.createElement('span');
+        textEl.className = 'phrase-editor-text';
+        textEl.textContent = phrase.text;
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'btn btn-outline btn-sm';
+        deleteBtn.textContent = '🗑️';
+        deleteBtn.title = 'Delete phrase';
+        deleteBtn.addEventListener('click', () => {
+            deletePhrase(category.id, phrase.id);
+            renderPhraseCategories(category.id);
+            showToast('Phrase deleted', 'success', 1500);
+        });
+        
+        row.append(codeEl, textEl, ...createVoiceClipButtons(phrase.text), deleteBtn);
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Handle add phrase
+ */
+function handleAddPhrase() {
+    const textInput = document.getElementById('newPhraseText');
+    const codeInput = document.getElementById('newPhraseCode');
+    const categoryId = document.getElementById('phraseCategorySelect')?.value;
+    
+    try {
+        addPhrase(categoryId, textInput?.value || '', codeInput?.value || '');
+        if (textInput) textInput.value = '';
+        if (codeInput) codeInput.value = '';
+        renderPhraseCategories(categoryId);
+        showToast('Phrase added', 'success', 1500);
+    } catch (error) {
+        showToast(error.message, 'error', 3000);
+    }
+}
+
+/**
+ * Handle add category
+ */
+function handleAddCategory() {
+    const nameInput = document.getElementById('newCategoryName');
+    
+    try {
+        const categoryId = addPhraseCategory(nameInput?.value || '');
+        if (nameInput) nameInput.value = '';
+        renderPhraseCategories(categoryId);
+        showToast('Category added', 'success', 1500);
+    } catch (error) {
+        showToast(error.message, 'error', 3000);
+    }
+}
+
+/**
+ * Handle delete category
+ */
+function handleDeleteCategory() {
+    const phraseCategorySelect = document.getElementById('phraseCategorySelect');
+    const category = getPhraseBoard().find(item => item.id === phraseCategorySelect?.value);
+    if (!category) return;
+    
+    if (!confirm(`Delete the "${category.name}" category and its ${category.phrases.length} phrase(s)?`)) {
+        return;
+    }
+    
+    deletePhraseCategory(category.id);
+    renderPhraseCategories();
+    showToast('Category deleted', 'success', 1500);
+}
+
+/**
+ * Handle restore default phrases
+ */
+function handleResetPhrases() {
+    if (!confirm('Replace the phrase board with the built-in phrases? Your own phrases will be lost.')) {
+        return;
+    }
+    
+    resetPhraseBoard();
+    renderPhraseCategories();
+    showToast('Default phrases restored', 'success', 2000);
+}
+
+// ==================== VOICE BANK ====================
+
+/**
+ * Reload which phrases have a clip and redraw the lists
+ */
+async function refreshVoiceClips() {
+    let clips = [];
+    try {
+        clips = await getAllVoiceClips();
+    } catch (error) {
+        console.warn('Voice bank unavailable:', error.message);
+    }
+    
+    voiceClipKeys = new Set(clips.map(clip => clip.key));
+    renderPhraseEditorList();
+    renderVoiceClipList(clips);
+}
+
+/**
+ * Small icon button for the phrase and clip lists
+ * @param {string} icon - Button text
+ * @param {string} title - Tooltip
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement}
+ */
+function createIconButton(icon, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'btn btn-outline btn-sm';
+    button.textContent = icon;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Record / import / play / remove buttons for one phrase
+ * @param {string} text - Phrase
+ * @returns {Array<HTMLButtonElement>}
+ */
+function createVoiceClipButtons(text) {
+    const recording = clipRecording && clipRecording.key === getVoiceClipKey(text);
+    const buttons = [
+        createIconButton(recording ? '⏹️' : '🎙️', recording ? 'Stop recording' : 'Record the patient saying this', () => toggleClipRecording(text)),
+        createIconButton('📁', 'Import an audio file for this phrase', () => importVoiceClip(text))
+    ];
+    
+    if (voiceClipKeys.has(getVoiceClipKey(text))) {
+        buttons.push(
+            createIconButton('▶️', 'Play the recorded clip', () => playVoiceClip(text)),
+            createIconButton('🔇', 'Remove the recorded clip', () => removeVoiceClip(text))
+        );
+    }
+    return buttons;
+}
+
+/**
+ * List every banked clip
+ * @param {Array<VoiceClip>} clips - Clips from getAllVoiceClips()
+ */
+function renderVoiceClipList(clips) {
+    const listEl = document.getElementById('voiceClipList');
+    const recordBtn = document.getElementById('recordVoiceClipBtn');
+    if (recordBtn) {
+        recordBtn.innerHTML = clipRecording ? '<span>⏹️ Stop</span>' : '<span>🎙️ Record</span>';
+    }
+    if (!listEl) return;
+    
+    listEl.innerHTML = '';
+    if (clips.length === 0) {
+        listEl.innerHTML = '<div class="phrase-editor-empty">No recorded phrases yet</div>';
+        return;
+    }
+    
+    clips.forEach(clip => {
+        const row = document.createElement('div');
+        row.className = 'phrase-editor-row';
+        
+        const sourceEl = document.createElement('span');
+        sourceEl.className = 'phrase-editor-code';
+        sourceEl.textContent = clip.source === 'imported' ? '📁' : '🎙️';
+        sourceEl.title = clip.fileName || 'Recorded here';
+        
+        const textEl = document.createElement('span');
+        textEl.className = 'phrase-editor-text';
+        const length = clip.duration ? `${(clip.duration / 1000).toFixed(1)}s, ` : '';
+        textEl.textContent = `${clip.text} (${length}${Math.ceil(clip.size / 1024)} KB)`;
+        
+        row.append(
+            sourceEl,
+            textEl,
+            createIconButton('▶️', 'Play', () => playVoiceClip(clip.text)),
+            createIconButton('🗑️', 'Delete clip', () => removeVoiceClip(clip.text))
+        );
+        listEl.appendChild(row);
+    });
+}
+
+/**
+ * Save a clip and report the result
+ * @param {string} text - Phrase
+ * @param {Blob} blob - Audio
+ * @param {Object} details - { source, duration, fileName }
+ */
+async function storeVoiceClip(text, blob, details) {
+    try {
+        await saveVoiceClip(text, blob, details);
+        showToast(`Voice clip saved for "${text.trim()}"`, 'success', 2000);
+    } catch (error) {
+        showToast(`Could not save the clip: ${error.message}`, 'error', 3000);
+    }
+    refreshVoiceClips();
+}
+
+/**
+ * Start recording a phrase, or stop the recording in progress
+ * @param {string} text - Phrase being recorded
+ */
+async function toggleClipRecording(text) {
+    if (clipRecording) {
+        if (clipRecording.recorder.state !== 'inactive') {
+            clipRecording.recorder.stop();
+        }
+        return;
+    }
+    
+    if (!getVoiceClipKey(text)) {
+        showToast('Enter the phrase first', 'warning', 2000);
+        return;
+    }
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === 'undefined') {
+        showToast('Recording is not supported in this browser - use Import instead', 'error', 3000);
+        return;
+    }
+    
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (error) {
+        showToast(`Microphone not available: ${error.message}`, 'error', 3000);
+        return;
+    }
+    
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const recording = { recorder, key: getVoiceClipKey(text), startedAt: Date.now(), timer: null };
+    
+    recorder.ondataavailable = event => {
+        if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+        clearTimeout(recording.timer);
+        stream.getTracks().forEach(track => track.stop());
+        clipRecording = null;
+        
+        const blob = new Blob(chunks, { type: recorder.mimeType || 'audio/webm' });
+        storeVoiceClip(text, blob, { source: 'recorded', duration: Date.now() - recording.startedAt });
+    };
+    
+    // Never leave the microphone open by accident
+    recording.timer = setTimeout(() => {
+        if (recorder.state !== 'inactive') recorder.stop();
+    }, VOICE_CLIP_MAX_MS);
+    
+    clipRecording = recording;
+    recorder.start();
+    refreshVoiceClips();
+    showToast(`Recording "${text.trim()}" - press ⏹️ to stop`, 'info', 3000);
+}
+
+/**
+ * Pick an audio file for a phrase
+ * @param {string} text - Phrase
+ */
+function importVoiceClip(text) {
+    if (!getVoiceClipKey(text)) {
+        showToast('Enter the phrase first', 'warning', 2000);
+        return;
+    }
+    
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'audio/*';
+    input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (file) {
+            storeVoiceClip(text, file, { source: 'imported', fileName: file.name });
+        }
+    });
+    input.click();
+}
+
+/**
+ * Play a phrase's clip
+ * @param {string} text - Phrase
+ */
+async function playVoiceClip(text) {
+    try {
+        const clip = await getVoiceClip(text);
+        if (!clip) {
+            showToast('No clip for this phrase', 'warning', 2000);
+            return;
+        }
+        
+        const url = URL.createObjectURL(clip.blob);
+        const audio = new Audio(url);
+        audio.onended = () => URL.revokeObjectURL(url);
+        await audio.play();
+    } catch (error) {
+        showToast(`Could not play the clip: ${error.message}`, 'error', 3000);
+    }
+}
+
+/**
+ * Delete a phrase's clip after confirmation
+ * @param {string} text - Phrase
+ */
+async function removeVoiceClip(text) {
+    if (!confirm(`Delete the recorded clip for "${text}"? If the patient can no longer speak it cannot be recorded again.`)) {
+        return;
+    }
+    
+    try {
+        await deleteVoiceClip(text);
+        showToast('Voice clip deleted', 'success', 1500);
+    } catch (error) {
+        showToast(`Could not delete the clip: ${error.message}`, 'error', 3000);
+    }
+    refreshVoiceClips();
+}
+
 // ==================== STORAGE INFO ====================
 
 /**
@@ -510,6 +2167,7 @@ if ('speechSynthesis' in window) {
         speechSynthesis.onvoiceschanged = () => {
             // Voices are now loaded and available
             console.log('Speech synthesis voices loaded:', speechSynthesis.getVoices().length);
+            renderVoiceOptions();
         };
     }
 }
@@ -524,7 +2182,8 @@ window.getDeviceSettings = function() {
     const settings = getSettings();
     return {
         autoConnect: settings.autoConnect || false,
-        baudRate: settings.baudRate || 115200
+        baudRate: settings.baudRate || 115200,
+        adaptiveTiming: settings.adaptiveTiming !== false
     };
 };
 
@@ -537,7 +2196,11 @@ window.getVoiceSettings = function() {
     return {
         gender: settings.voiceGender || 'female',
         speed: settings.speechSpeed || 1.0,
-        pitch: settings.voicePitch || 1.0
+        pitch: settings.voicePitch || 1.0,
+        profiles: {
+            en: Speech.getSpeechProfile(settings, 'en'),
+            bn: Speech.getSpeechProfile(settings, 'bn')
+        }
     };
 };
 
@@ -549,7 +2212,8 @@ window.getTranslationSettings = function() {
     const settings = getSettings();
     return {
         targetLanguage: settings.targetLanguage || 'bn',
-        autoTranslate: settings.autoTranslate || false
+        autoTranslate: settings.autoTranslate || false,
+        translationServerUrl: settings.translationServerUrl || ''
     };
 };
 
@@ -0,0 +1,509 @@
+// ==================== VIRTUAL EYE-BLINK DEVICE ====================
+// A stand-in for v4_eyeblink_system_ESP32.ino: the same timing constants, the
+// same lines (legacy, RAW ON and protocol v2) and the same command replies, so
+// communication.js runs its whole transport path without the sensor rig.
+// The eye is closed and opened by a key or button, by text or by a timing file;
+// in two-switch mode (DUAL ON) a second sensor is the dash input. SET / GET /
+// SAVE change its parameters like the firmware's; saved values survive stop().
+
+// Constants from the firmware
+const VIRTUAL_DEVICE_FIRMWARE = {
+    DOT_TH: 300,
+    CHAR_GAP: 2000,
+    WORD_GAP: 5000,
+    DOT_BEEP: 100,
+    DASH_BEEP: 300,
+    BEEP_FREQ: 2000,
+    protocolVersion: 2,
+    firmwareVersion: '4.1',
+    name: 'EYEBLINK'
+};
+
+const VIRTUAL_DEVICE_LOOP = 10;     // ms between loop() runs, like the firmware's delay(10)
+const VIRTUAL_DEVICE_LATENCY = 20;  // ms before a command is processed
+
+// Blink lengths used to turn text into a timing script. The gaps clear the
+// firmware's CHAR_GAP and CHAR_GAP + WORD_GAP (the word gap counts from the letter).
+const BLINK_SCRIPT_SPEEDS = {
+    slow: { dot: 200, dash: 800, symbolGap: 600, letterGap: 2600, wordGap: 7600 },
+    normal: { dot: 150, dash: 600, symbolGap: 400, letterGap: 2400, wordGap: 7400 },
+    fast: { dot: 100, dash: 450, symbolGap: 250, letterGap: 2200, wordGap: 7200 }
+};
+
+/**
+ * Read a timing file: one step per line, "blink <ms>" (eye closed) or
+ * "pause <ms>" (eye open). Blank lines and lines starting with # are skipped.
+ * @param {string} text - File contents
+ * @returns {Array<Object>} - Steps: [{ type: 'blink'|'pause', ms }]
+ */
+function parseBlinkScript(text) {
+    const steps = [];
+
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.startsWith('#')) return;
+
+        const match = trimmed.match(/^(blink|pause)[\s,:=]+(\d+)\s*(?:ms)?$/i);
+        if (!match) {
+            throw new Error(`Line ${index + 1}: expected "blink <ms>" or "pause <ms>"`);
+        }
+        steps.push({ type: match[1].toLowerCase(), ms: parseInt(match[2], 10) });
+    });
+
+    if (steps.length === 0) {
+        throw new Error('The timing file has no blink or pause lines');
+    }
+    return steps;
+}
+
+/**
+ * Write steps in the timing file format
+ * @param {Array<Object>} steps - Steps from parseBlinkScript / createTextBlinkScript
+ * @returns {string} - File contents
+ */
+function formatBlinkScript(steps) {
+    return steps.map(step => `${step.type} ${step.ms}`).join('\n') + '\n';
+}
+
+/**
+ * Timing script that blinks a text in Morse
+ * @param {string} text - Text to blink
+ * @param {Object} options - { speed: 'slow'|'normal'|'fast', language } plus any of dot, dash, symbolGap, letterGap, wordGap
+ * @returns {Array<Object>} - Steps, ending with a word gap so the last word is sent
+ */
+function createTextBlinkScript(text, options = {}) {
+    const timing = { ...BLINK_SCRIPT_SPEEDS[options.speed || 'normal'], ...options };
+    const tokens = encodeToMorse(text, { language: options.language }).split(' ').filter(Boolean);
+    const steps = [];
+
+    tokens.forEach(token => {
+        const last = steps[steps.length - 1];
+        if (token === '/') {
+            if (last) last.ms = timing.wordGap;
+            return;
+        }
+
+        Array.from(token).forEach(symbol => {
+            steps.push({ type: 'blink', ms: symbol === '.' ? timing.dot : timing.dash });
+            steps.push({ type: 'pause', ms: timing.symbolGap });
+        });
+        steps[steps.length - 1].ms = timing.letterGap;
+    });
+
+    if (steps.length > 0) {
+        steps[steps.length - 1].ms = timing.wordGap;
+    }
+    return steps;
+}
+
+/**
+ * Simulated ESP32 running the v4 firmware
+ */
+class VirtualEyeBlinkDevice {
+    /**
+     * @param {Object} options - { onData(chunk), onChange(device), now(), firmware, savedParameters } - onData receives
+     *   newline-terminated text as a serial port would; onChange is called when the eye, alarm or script changes
+     */
+    constructor(options = {}) {
+        this.onData = options.onData || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.now = options.now || (() => Date.now());
+        this.firmware = { ...VIRTUAL_DEVICE_FIRMWARE, ...options.firmware };
+        this.savedParameters = options.savedParameters || {};  // SAVE writes here, like the firmware's flash
+        this.bootTime = this.now();
+        this.loopTimer = null;
+        this.commandBuffer = '';
+        this.script = null;
+        this.eyeClosed = false;
+        this.dashClosed = false;  // Second sensor (DASH_PIN)
+        this.resetState();
+    }
+
+    /**
+     * Power-on state of the firmware's globals
+     */
+    resetState() {
+        this.blinkStart = 0;
+        this.lastEdge = 0;
+        this.inBlink = false;
+        this.inDash = false;
+        this.morseBuffer = '';
+        this.wordTokenSent = false;
+        this.rawMode = false;
+        this.dualMode = false;
+        this.protoV2 = false;
+        this.seqNo = 0;
+        this.alarmActive = false;
+    }
+
+    /**
+     * Switch the device on and announce it, as the firmware does when a client connects
+     */
+    start() {
+        if (this.loopTimer) return;
+
+        this.bootTime = this.now();
+        this.resetState();
+        Object.assign(this.firmware, this.savedParameters);
+        this.loopTimer = setInterval(() => this.loop(), VIRTUAL_DEVICE_LOOP);
+        this.sendData('DEVICE_READY');
+    }
+
+    /**
+     * Switch the device off
+     */
+    stop() {
+        this.stopScript();
+        clearInterval(this.loopTimer);
+        this.loopTimer = null;
+        this.eyeClosed = false;
+        this.dashClosed = false;
+        this.resetState();
+    }
+
+    /**
+     * Milliseconds since the device started
+     * @returns {number}
+     */
+    millis() {
+        return this.now() - this.bootTime;
+    }
+
+    /**
+     * Send one line to the website
+     * @param {string} data - Line without newline
+     */
+    sendData(data) {
+        this.onData(data + '\n');
+    }
+
+    /**
+     * Protocol v2 line: TYPE:VALUE,seq=N,t=millis[,extra]
+     * @param {string} type - Message type
+     * @param {string} value - Message value
+     * @param {string} extra - Extra fields
+     */
+    sendEvent(type, value, extra = '') {
+        let line = `${type}:${value},seq=${this.seqNo++},t=${this.millis()}`;
+        if (extra) {
+            line += `,${extra}`;
+        }
+        this.sendData(line);
+    }
+
+    /**
+     * Receive data from the website; each full line is a command
+     * @param {string} data - Text written to the device
+     */
+    write(data) {
+        this.commandBuffer += data;
+        const lines = this.commandBuffer.split('\n');
+        this.commandBuffer = lines.pop() || '';
+
+        lines.forEach(command => {
+            setTimeout(() => {
+                if (this.loopTimer) this.processCommand(command);
+            }, VIRTUAL_DEVICE_LATENCY);
+        });
+    }
+
+    /**
+     * Answer a command exactly like processCommand in the firmware
+     * @param {string} command - Command line
+     */
+    processCommand(command) {
+        command = command.trim();
+
+        if (command === 'TEST') {
+            this.sendData('TEST_OK');
+        } else if (command === 'RESET') {
+            this.morseBuffer = '';
+            this.lastEdge = 0;
+            this.wordTokenSent = false;
+            this.sendData('RESET_OK');
+        } else if (command === 'STATUS') {
+            this.sendData('STATUS_READY');
+        } else if (command === 'PING') {
+            this.sendData('PONG');
+        } else if (command === 'HELLO') {
+            this.protoV2 = true;
+            this.rawMode = false;
+            this.dualMode = false;
+            this.seqNo = 0;
+            this.morseBuffer = '';
+            this.wordTokenSent = true;
+            this.sendEvent('HELLO', this.firmware.name, `proto=${this.firmware.protocolVersion},fw=${this.firmware.firmwareVersion}`);
+        } else if (command === 'ALARM') {
+            this.alarmActive = true;
+            this.morseBuffer = '';
+            this.wordTokenSent = true;
+            this.sendData('ALARM_OK');
+            this.onChange(this);
+        } else if (command === 'ALARM OFF') {
+            this.alarmActive = false;
+            this.sendData('ALARM_OFF_OK');
+            this.onChange(this);
+        } else if (command === 'RAW ON') {
+            this.rawMode = true;
+            this.morseBuffer = '';
+            this.wordTokenSent = true;
+            this.sendData('RAW_OK');
+        } else if (command === 'RAW OFF') {
+            this.rawMode = false;
+            this.sendData('RAW_OFF_OK');
+        } else if (command === 'DUAL ON') {
+            this.dualMode = true;
+            this.inBlink = false;
+            this.inDash = false;
+            this.morseBuffer = '';
+            this.wordTokenSent = true;
+            this.sendData('DUAL_OK');
+            this.onChange(this);
+        } else if (command === 'DUAL OFF') {
+            this.dualMode = false;
+            this.inBlink = false;
+            this.inDash = false;
+            this.sendData('DUAL_OFF_OK');
+            this.onChange(this);
+        } else if (command.startsWith('SET ')) {
+            const [name = '', valueText = ''] = command.slice(4).trim().split(/\s+/);
+            const value = /^\d+$/.test(valueText) ? validateDeviceParameter(name, parseInt(valueText, 10)) : null;
+            if (value === null) {
+                this.sendData(`PARAM:ERROR,name=${name}`);
+            } else {
+                this.firmware[name] = value;
+                this.sendData(`PARAM:SET,${name}=${value}`);
+            }
+        } else if (command === 'GET ALL') {
+            const values = Object.keys(DEVICE_PARAMETERS).map(name => `${name}=${this.firmware[name]}`);
+            this.sendData(['PARAM:ALL', ...values].join(','));
+        } else if (command.startsWith('GET ')) {
+            const name = command.slice(4).trim();
+            this.sendData(name in DEVICE_PARAMETERS ? `PARAM:GET,${name}=${this.firmware[name]}` : `PARAM:ERROR,name=${name}`);
+        } else if (command === 'SAVE') {
+            Object.keys(DEVICE_PARAMETERS).forEach(name => {
+                this.savedParameters[name] = this.firmware[name];
+            });
+            this.sendData('PARAM:SAVED');
+        }
+    }
+
+    /**
+     * Close the eye (the sensor output goes LOW)
+     */
+    eyeDown() {
+        if (this.eyeClosed) return;
+        this.eyeClosed = true;
+        this.loop();
+        this.onChange(this);
+    }
+
+    /**
+     * Open the eye
+     */
+    eyeUp() {
+        if (!this.eyeClosed) return;
+        this.eyeClosed = false;
+        this.loop();
+        this.onChange(this);
+    }
+
+    /**
+     * Close the dash sensor (two-switch mode)
+     */
+    dashDown() {
+        if (this.dashClosed) return;
+        this.dashClosed = true;
+        this.loop();
+        this.onChange(this);
+    }
+
+    /**
+     * Open the dash sensor
+     */
+    dashUp() {
+        if (!this.dashClosed) return;
+        this.dashClosed = false;
+        this.loop();
+        this.onChange(this);
+    }
+
+    /**
+     * Report a two-switch input edge
+     * @param {string} value - 'DOT', 'DASH', 'DOT_UP' or 'DASH_UP'
+     */
+    sendKey(value) {
+        if (this.protoV2) {
+            this.sendEvent('KEY', value);
+        } else {
+            this.sendData(value);
+        }
+    }
+
+    /**
+     * One pass of the firmware's loop(): blink edges, letter and word gaps
+     */
+    loop() {
+        if (!this.loopTimer) return;
+
+        // Two-switch mode: report both sensors, the website times letters and words
+        if (this.dualMode) {
+            if (this.inBlink !== this.eyeClosed) {
+                this.inBlink = this.eyeClosed;
+                this.sendKey(this.inBlink ? 'DOT' : 'DOT_UP');
+            }
+            if (this.inDash !== this.dashClosed) {
+                this.inDash = this.dashClosed;
+                this.sendKey(this.inDash ? 'DASH' : 'DASH_UP');
+            }
+            return;
+        }
+
+        const now = this.millis();
+        const { DOT_TH, CHAR_GAP, WORD_GAP } = this.firmware;
+
+        // Blink starts
+        if (!this.inBlink && this.eyeClosed) {
+            this.inBlink = true;
+            this.blinkStart = now;
+            this.wordTokenSent = false;
+            if (this.protoV2) {
+                this.sendEvent('EVT', 'DOWN');
+            }
+        }
+
+        // Blink ends
+        if (this.inBlink && !this.eyeClosed) {
+            this.inBlink = false;
+            this.lastEdge = now;
+            const dur = now - this.blinkStart;
+            const symbol = dur < DOT_TH ? '.' : '-';
+
+            if (this.protoV2) {
+                this.sendEvent('EVT', 'UP', `dur=${dur}`);
+                this.morseBuffer += symbol;
+                this.sendEvent('SYM', symbol);
+            } else if (this.rawMode) {
+                this.sendData(`DUR:${dur}`);
+            } else {
+                this.morseBuffer += symbol;
+            }
+        }
+
+        // Character complete
+        if (!this.inBlink && this.morseBuffer.length > 0 && now - this.lastEdge > CHAR_GAP) {
+            if (this.protoV2) {
+                this.sendEvent('CHAR', this.morseBuffer);
+            } else {
+                this.sendData(this.morseBuffer);
+            }
+            this.morseBuffer = '';
+            this.lastEdge = now;
+            this.wordTokenSent = false;
+        }
+
+        // Word gap - in raw mode the website times gaps itself
+        if (!this.rawMode && !this.inBlink && this.morseBuffer.length === 0 &&
+            now - this.lastEdge > WORD_GAP && this.lastEdge > 0 && !this.wordTokenSent) {
+            if (this.protoV2) {
+                this.sendEvent('GAP', 'WORD');
+            } else {
+                this.sendData('/');
+            }
+            this.wordTokenSent = true;
+        }
+    }
+
+    /**
+     * Blink a timing script (replaces any script that is running)
+     * @param {Array<Object>} steps - Steps from parseBlinkScript / createTextBlinkScript
+     * @returns {Promise<boolean>} - Resolves true when it ran to the end, false when stopped
+     */
+    runScript(steps) {
+        this.stopScript();
+
+        const script = { steps, index: 0, timer: null, resolve: null };
+        const done = new Promise(resolve => {
+            script.resolve = resolve;
+        });
+
+        const next = () => {
+            if (this.script !== script) return;
+            if (script.index >= steps.length) {
+                this.finishScript(true);
+                return;
+            }
+
+            const step = steps[script.index++];
+            if (step.type === 'blink') {
+                this.eyeDown();
+                script.timer = setTimeout(() => {
+                    this.eyeUp();
+                    next();
+                }, step.ms);
+            } else {
+                this.onChange(this);
+                script.timer = setTimeout(next, step.ms);
+            }
+        };
+
+        this.script = script;
+        next();
+        return done;
+    }
+
+    /**
+     * Stop the running script (the eye is left open)
+     */
+    stopScript() {
+        if (!this.script) return;
+        this.finishScript(false);
+        this.eyeUp();
+    }
+
+    /**
+     * Release the script and report how it ended
+     * @param {boolean} completed - Whether it ran to the end
+     */
+    finishScript(completed) {
+        const script = this.script;
+        clearTimeout(script.timer);
+        this.script = null;
+        script.resolve(completed);
+        this.onChange(this);
+    }
+
+    /**
+     * Progress of the running script
+     * @returns {Object|null} - { step, total } or null when no script runs
+     */
+    getScriptProgress() {
+        return this.script ? { step: this.script.index, total: this.script.steps.length } : null;
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VIRTUAL_DEVICE_FIRMWARE,
+        BLINK_SCRIPT_SPEEDS,
+        parseBlinkScript,
+        formatBlinkScript,
+        createTextBlinkScript,
+        VirtualEyeBlinkDevice
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.DeviceSimulation = {
+        VIRTUAL_DEVICE_FIRMWARE,
+        BLINK_SCRIPT_SPEEDS,
+        parseBlinkScript,
+        formatBlinkScript,
+        createTextBlinkScript,
+        VirtualEyeBlinkDevice
+    };
+}
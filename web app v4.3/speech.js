@@ -0,0 +1,519 @@
+// ==================== SPEECH ENGINE ====================
+// One text-to-speech path for every page: per-language voice profiles, a
+// priority queue, SSML-like pauses and events the UI can subscribe to.
+//
+// Text may contain <break time="500ms"/> (or time="1s") for a pause; a line
+// break (BT paragraph) pauses too. An item can carry a recorded clip (voice
+// bank), which is played instead and falls back to the voice if it fails.
+//
+// Events: start, end, cancel, error, fallback (no voice for the language),
+// queue (something was added) and idle (nothing left to say).
+
+// Language tags passed to the browser
+const SPEECH_LANGUAGE_TAGS = {
+    en: 'en-US',
+    bn: 'bn-BD',
+    hi: 'hi-IN',
+    ur: 'ur-PK',
+    es: 'es-ES',
+    fr: 'fr-FR',
+    de: 'de-DE',
+    zh: 'zh-CN',
+    ja: 'ja-JP',
+    ar: 'ar-SA',
+    it: 'it-IT',
+    sv: 'sv-SE',
+    da: 'da-DK',
+    pl: 'pl-PL',
+    ru: 'ru-RU',
+    el: 'el-GR'
+};
+
+// Voice names that identify a language when the voice's lang tag does not
+const SPEECH_VOICE_NAMES = {
+    bn: ['bengali', 'bangla', 'বাংলা'],
+    ru: ['russian', 'русский'],
+    el: ['greek', 'ελληνικά']
+};
+
+const SPEECH_PROFILE_DEFAULTS = {
+    voice: '',       // voiceURI or name; empty picks automatically
+    rate: 1.0,
+    pitch: 1.0,
+    volume: 1.0,
+    gender: 'female' // Used only when picking automatically
+};
+
+const SPEECH_PRIORITY = {
+    low: 0,
+    normal: 1,
+    high: 2,
+    urgent: 3 // Emergency alerts: ahead of everything queued
+};
+
+const SPEECH_PAUSES = {
+    break: 500,    // <break/> without a time
+    paragraph: 600 // Line break
+};
+
+/**
+ * Split text into spoken parts and pauses
+ * @param {string} text - Text with optional <break time="..."/> tags and line breaks
+ * @returns {Array<Object>} - [{ text }] and [{ pause (ms) }] in order
+ */
+function parseSpeechText(text) {
+    const segments = [];
+    const pattern = /<break(?:\s+time="(\d+(?:\.\d+)?)(ms|s)")?\s*\/?>|\n+/g;
+    let last = 0;
+    let match;
+
+    const addText = part => {
+        const trimmed = part.replace(/\s+/g, ' ').trim();
+        if (trimmed) segments.push({ text: trimmed });
+    };
+
+    while ((match = pattern.exec(text || '')) !== null) {
+        addText(text.slice(last, match.index));
+        last = pattern.lastIndex;
+
+        let pause = SPEECH_PAUSES.paragraph;
+        if (match[0].startsWith('<')) {
+            pause = match[1] ? parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1) : SPEECH_PAUSES.break;
+        }
+        // Pauses only make sense between words
+        if (segments.length > 0) segments.push({ pause });
+    }
+    addText((text || '').slice(last));
+
+    while (segments.length > 0 && segments[segments.length - 1].pause !== undefined) {
+        segments.pop();
+    }
+    return segments;
+}
+
+/**
+ * Voice profile for a language from the settings
+ * @param {Object} settings - Settings (voiceProfiles, speechSpeed, voicePitch, voiceGender)
+ * @param {string} language - Language code
+ * @returns {Object} - { voice, rate, pitch, volume, gender }
+ */
+function getSpeechProfile(settings = {}, language = 'en') {
+    return {
+        ...SPEECH_PROFILE_DEFAULTS,
+        rate: settings.speechSpeed || SPEECH_PROFILE_DEFAULTS.rate,
+        pitch: settings.voicePitch || SPEECH_PROFILE_DEFAULTS.pitch,
+        gender: settings.voiceGender || SPEECH_PROFILE_DEFAULTS.gender,
+        ...((settings.voiceProfiles || {})[language] || {})
+    };
+}
+
+/**
+ * Whether a voice's name suggests the preferred gender
+ * @param {Object} voice - SpeechSynthesisVoice
+ * @param {string} gender - 'female', 'male' or 'auto'
+ * @returns {boolean}
+ */
+function matchesVoiceGender(voice, gender) {
+    const name = (voice.name || '').toLowerCase();
+    if (gender === 'female') return /female|woman/.test(name);
+    if (gender === 'male') return /\bmale\b|\bman\b/.test(name);
+    return false;
+}
+
+/**
+ * Voices that speak a language
+ * @param {Array<Object>} voices - speechSynthesis.getVoices()
+ * @param {string} language - Language code
+ * @returns {Array<Object>} - Matching voices
+ */
+function getVoicesForLanguage(voices, language) {
+    const base = (SPEECH_LANGUAGE_TAGS[language] || language).split('-')[0].toLowerCase();
+    const names = SPEECH_VOICE_NAMES[language] || [];
+
+    return (voices || []).filter(voice => {
+        const voiceBase = (voice.lang || '').toLowerCase().split(/[-_]/)[0];
+        const name = (voice.name || '').toLowerCase();
+        return voiceBase === base || names.some(part => name.includes(part));
+    });
+}
+
+/**
+ * Pick the voice for a language: the profile's chosen voice, else the best match
+ * @param {Array<Object>} voices - speechSynthesis.getVoices()
+ * @param {string} language - Language code
+ * @param {Object} profile - Voice profile
+ * @returns {Object|null} - SpeechSynthesisVoice, or null when none speaks the language
+ */
+function findVoice(voices, language, profile = {}) {
+    if (profile.voice) {
+        const chosen = (voices || []).find(voice => voice.voiceURI === profile.voice || voice.name === profile.voice);
+        if (chosen) return chosen;
+    }
+
+    const candidates = getVoicesForLanguage(voices, language);
+    if (candidates.length === 0) return null;
+
+    const tag = (SPEECH_LANGUAGE_TAGS[language] || language).toLowerCase();
+    const score = voice =>
+        (matchesVoiceGender(voice, profile.gender) ? 4 : 0) +
+        ((voice.lang || '').toLowerCase().replace('_', '-') === tag ? 2 : 0) +
+        (voice.localService ? 1 : 0) +
+        (voice.default ? 0.5 : 0);
+
+    return candidates.reduce((best, voice) => (score(voice) > score(best) ? voice : best));
+}
+
+/**
+ * Queued text-to-speech on top of the Web Speech API
+ */
+class SpeechEngine {
+    /**
+     * @param {Object} options - { getProfile(language), synth, Utterance, Audio }
+     */
+    constructor(options = {}) {
+        this.synth = options.synth || (typeof speechSynthesis !== 'undefined' ? speechSynthesis : null);
+        this.Utterance = options.Utterance || (typeof SpeechSynthesisUtterance !== 'undefined' ? SpeechSynthesisUtterance : null);
+        this.Audio = options.Audio || (typeof Audio !== 'undefined' ? Audio : null);
+        this.getProfile = options.getProfile || (() => ({ ...SPEECH_PROFILE_DEFAULTS }));
+        this.listeners = {};
+        this.queue = [];
+        this.current = null;
+        this.nextId = 1;
+        this.reportedMissing = new Set();
+    }
+
+    /**
+     * Whether the browser can speak at all
+     * @returns {boolean}
+     */
+    isSupported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event detail
+     * @returns {Function} - Unsubscribe function
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(listener => listener !== handler);
+    }
+
+    /**
+     * Notify subscribers; a failing handler never stops speech
+     * @param {string} event - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(event, detail) {
+        (this.listeners[event] || []).forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                console.error(`Speech ${event} handler failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Voice, language tag and profile that would be used for a language
+     * @param {string} language - Language code
+     * @returns {Object} - { profile, lang, voice, voicesLoaded }
+     */
+    resolveVoice(language) {
+        const voices = this.synth ? this.synth.getVoices() : [];
+        const profile = this.getProfile(language);
+        return {
+            profile,
+            lang: SPEECH_LANGUAGE_TAGS[language] || language,
+            voice: findVoice(voices, language, profile),
+            voicesLoaded: voices.length > 0
+        };
+    }
+
+    /**
+     * Queue text to be spoken
+     * @param {string} text - Text to speak
+     * @param {Object} options - { language, priority ('low'|'normal'|'high'|'urgent'), interrupt, rate, pitch, volume, clip (Blob or URL) }
+     * @returns {Promise<Object>} - Resolves with { id, completed } once spoken, cancelled or failed
+     */
+    speak(text, options = {}) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('Speech synthesis not supported'));
+        }
+
+        const segments = parseSpeechText(text);
+        if (segments.length === 0) {
+            return Promise.resolve({ id: null, completed: false });
+        }
+
+        const priority = SPEECH_PRIORITY[options.priority] ?? SPEECH_PRIORITY.normal;
+        const item = {
+            id: this.nextId++,
+            text,
+            language: options.language || 'en',
+            priority,
+            segments,
+            segmentIndex: 0,
+            options,
+            clip: this.Audio ? options.clip || null : null,
+            timer: null
+        };
+        const done = new Promise(resolve => {
+            item.resolve = resolve;
+        });
+
+        // Interrupting drops whatever is as important or less, including what is playing
+        if (options.interrupt) {
+            this.queue = this.queue.filter(queued => {
+                if (queued.priority > priority) return true;
+                this.finish(queued, false);
+                return false;
+            });
+            if (this.current && this.current.priority <= priority) {
+                this.cancelCurrent();
+            }
+        }
+
+        // Behind everything of the same or higher priority
+        const index = this.queue.findIndex(queued => queued.priority < priority);
+        this.queue.splice(index === -1 ? this.queue.length : index, 0, item);
+        this.emit('queue', { ...this.describe(item), length: this.queue.length });
+
+        this.playNext();
+        return done;
+    }
+
+    /**
+     * Start the next queued item if nothing is playing
+     */
+    playNext() {
+        if (this.current || this.queue.length === 0) return;
+
+        const item = this.queue.shift();
+        const { profile, lang, voice, voicesLoaded } = this.resolveVoice(item.language);
+        item.profile = profile;
+        item.lang = lang;
+        item.voice = voice;
+        this.current = item;
+
+        if (!voice && !item.clip && voicesLoaded && !this.reportedMissing.has(item.language)) {
+            this.reportedMissing.add(item.language);
+            this.emit('fallback', { ...this.describe(item), lang });
+        }
+
+        this.emit('start', this.describe(item));
+        if (item.clip) {
+            this.playClip(item);
+        } else {
+            this.playSegment(item);
+        }
+    }
+
+    /**
+     * Play the item's recorded clip; speak the text instead if it cannot play
+     * @param {Object} item - Queue item being played
+     */
+    playClip(item) {
+        const url = typeof item.clip === 'string' ? item.clip : URL.createObjectURL(item.clip);
+        item.clipUrl = url === item.clip ? null : url;
+
+        const audio = new this.Audio(url);
+        audio.volume = item.options.volume ?? item.profile.volume;
+        item.audio = audio;
+
+        const fallBack = () => {
+            if (item !== this.current || !item.audio) return;
+            this.emit('error', { ...this.describe(item), error: 'clip-failed' });
+            this.releaseClip(item);
+            item.clip = null;
+            this.playSegment(item);
+        };
+
+        audio.onended = () => {
+            if (item === this.current) this.complete(item, true);
+        };
+        audio.onerror = fallBack;
+
+        // Autoplay rules can refuse play() without firing onerror
+        const playing = audio.play();
+        if (playing && typeof playing.catch === 'function') {
+            playing.catch(fallBack);
+        }
+    }
+
+    /**
+     * Stop an item's clip and free its object URL
+     * @param {Object} item - Queue item
+     */
+    releaseClip(item) {
+        if (item.audio) {
+            item.audio.onended = null;
+            item.audio.onerror = null;
+            item.audio.pause();
+            item.audio = null;
+        }
+        if (item.clipUrl) {
+            URL.revokeObjectURL(item.clipUrl);
+            item.clipUrl = null;
+        }
+    }
+
+    /**
+     * Speak or wait out the item's next segment
+     * @param {Object} item - Queue item being played
+     */
+    playSegment(item) {
+        if (item !== this.current) return;
+
+        if (item.segmentIndex >= item.segments.length) {
+            this.complete(item, true);
+            return;
+        }
+
+        const segment = item.segments[item.segmentIndex++];
+        if (segment.pause !== undefined) {
+            item.timer = setTimeout(() => this.playSegment(item), segment.pause);
+            return;
+        }
+
+        const utterance = new this.Utterance(segment.text);
+        utterance.lang = item.voice ? item.voice.lang : item.lang;
+        if (item.voice) {
+            utterance.voice = item.voice;
+        }
+        utterance.rate = item.options.rate ?? item.profile.rate;
+        utterance.pitch = item.options.pitch ?? item.profile.pitch;
+        utterance.volume = item.options.volume ?? item.profile.volume;
+
+        utterance.onend = () => this.playSegment(item);
+        utterance.onerror = event => {
+            // Our own cancel() reports 'interrupted' / 'canceled' for the old utterance
+            if (item !== this.current) return;
+            this.emit('error', { ...this.describe(item), error: event.error || 'unknown' });
+            this.complete(item, false);
+        };
+
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Stop the item that is playing without starting the next one
+     */
+    cancelCurrent() {
+        const item = this.current;
+        if (!item) return;
+
+        clearTimeout(item.timer);
+        this.releaseClip(item);
+        this.current = null;
+        this.synth.cancel();
+        this.finish(item, false);
+    }
+
+    /**
+     * Finish the playing item and move on
+     * @param {Object} item - Queue item
+     * @param {boolean} completed - Whether everything was spoken
+     */
+    complete(item, completed) {
+        clearTimeout(item.timer);
+        this.releaseClip(item);
+        this.current = null;
+        this.finish(item, completed);
+        this.playNext();
+
+        if (!this.current) {
+            this.emit('idle', {});
+        }
+    }
+
+    /**
+     * Settle an item's promise and report it
+     * @param {Object} item - Queue item
+     * @param {boolean} completed - Whether everything was spoken
+     */
+    finish(item, completed) {
+        this.emit(completed ? 'end' : 'cancel', this.describe(item));
+        item.resolve({ id: item.id, completed });
+    }
+
+    /**
+     * Silence everything, including queued items
+     */
+    stop() {
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(item => this.finish(item, false));
+
+        const wasSpeaking = Boolean(this.current);
+        this.cancelCurrent();
+        if (wasSpeaking || queued.length > 0) {
+            this.emit('idle', {});
+        }
+    }
+
+    /**
+     * Whether something is being spoken
+     * @returns {boolean}
+     */
+    isSpeaking() {
+        return Boolean(this.current);
+    }
+
+    /**
+     * Public view of a queue item for events
+     * @param {Object} item - Queue item
+     * @returns {Object} - { id, text, language, priority, voice, clip }
+     */
+    describe(item) {
+        return {
+            id: item.id,
+            text: item.text,
+            language: item.language,
+            priority: item.priority,
+            voice: item.voice ? item.voice.name : null,
+            clip: Boolean(item.clip)
+        };
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPEECH_LANGUAGE_TAGS,
+        SPEECH_PROFILE_DEFAULTS,
+        SPEECH_PRIORITY,
+        parseSpeechText,
+        getSpeechProfile,
+        getVoicesForLanguage,
+        findVoice,
+        SpeechEngine
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.Speech = {
+        SPEECH_LANGUAGE_TAGS,
+        SPEECH_PROFILE_DEFAULTS,
+        SPEECH_PRIORITY,
+        parseSpeechText,
+        getSpeechProfile,
+        getVoicesForLanguage,
+        findVoice,
+        SpeechEngine
+    };
+}
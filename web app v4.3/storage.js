@@ -4,7 +4,44 @@ const STORAGE_KEYS = {
     MESSAGES: 'eyeblink_messages_v2',
     SETTINGS: 'eyeblink_settings_v2',
     SESSION: 'eyeblink_session_v2',
-    STATS: 'eyeblink_stats_v2'
+    STATS: 'eyeblink_stats_v2',
+    TIMING: 'eyeblink_timing_v2',
+    PHRASES: 'eyeblink_phrases_v2',
+    EMERGENCY_LOG: 'eyeblink_emergency_log_v2',
+    TRANSLATION_CACHE: 'eyeblink_translation_cache_v2',
+    TRANSLATION_STATS: 'eyeblink_translation_stats_v2',
+    TRAINER: 'eyeblink_trainer_v2',
+    LETTER_LOG: 'eyeblink_letter_log_v2',
+    SESSION_METRICS: 'eyeblink_session_metrics_v2',
+    CAMERA: 'eyeblink_camera_calibration_v2',
+    DEVICE_PROFILES: 'eyeblink_device_profiles_v2',
+    DEVICE_PARAMS: 'eyeblink_device_params_v2'
+};
+
+// Reserved Morse patterns that act as commands instead of letters. The frequent
+// ones are short codes that no Latin, Cyrillic or Greek alphabet uses.
+const DEFAULT_COMMAND_PATTERNS = {
+    deleteChar: '........',    // Error prosign (HH) on its own: delete the last character
+    deleteWord: '........-',   // Error prosign + dash: delete the last word
+    cancelLetter: '........',  // Error prosign at the end of a letter: drop that letter
+    acceptSuggestion: '..-.-',
+    nextSuggestion: '..--.',
+    phraseBoard: '-.-.-'
+};
+
+// Used instead of a default code the active alphabet needs for a letter (Wabun,
+// Bangla). Every shorter pattern is a letter in some alphabet of morse.js.
+const FALLBACK_COMMAND_PATTERNS = {
+    acceptSuggestion: '..----',
+    nextSuggestion: '..---.',
+    phraseBoard: '--.-.-'
+};
+
+// Default codes of earlier versions, replaced in saved settings (..-- is Ü in German)
+const RETIRED_COMMAND_PATTERNS = {
+    acceptSuggestion: ['..--', '..----'],
+    nextSuggestion: ['..---.'],
+    phraseBoard: ['--.-.-']
 };
 
 // Default settings
@@ -14,11 +51,43 @@ const DEFAULT_SETTINGS = {
     voiceGender: 'female',
     speechSpeed: 1.0,
     voicePitch: 1.0,
+    voiceProfiles: {},
+    feedbackVerbosity: 'off',
+    feedbackEarcons: false,
+    morseWpm: 20,
+    morseFarnsworthWpm: 0,
+    morseToneFrequency: 600,
     autoConnect: false,
     baudRate: 115200,
+    adaptiveTiming: true,
+    wordPrediction: true,
+    suggestionCount: 5,
+    showConfidence: true,
+    fuzzyDecoding: true,
+    prosigns: true,
+    morseLanguage: 'en',
+    morseAlternate: 'bn',
+    switchKey: 'Space',
+    switchDotThreshold: 300,
+    switchLetterGap: 2000,
+    switchWordGap: 5000,
+    dualInput: false,
+    dualKeys: 'Period,Minus',
+    dualSqueeze: false,
+    dualElementTime: 200,
+    dualLetterGap: 1000,
+    dualWordGap: 2000,
+    commandPatterns: { ...DEFAULT_COMMAND_PATTERNS },
+    phraseScanInterval: 1500,
+    emergencyEnabled: true,
+    distressPatterns: ['...---...'],
+    emergencyHoldTime: 5000,
     targetLanguage: 'bn',
     autoTranslate: false,
+    translationServerUrl: '',
     autoSave: true,
+    recordSessions: true,
+    deviceLivePreview: true,
     messageLimit: 100
 };
 
@@ -183,6 +252,7 @@ const storage = new StorageManager();
  * @typedef {Object} Message
  * @property {string} date - Formatted date string
  * @property {Object} stats - Text statistics
+ * @property {Object} [session] - Decoding reliability of the blinking session ({ accuracy, avgConfidence, letters, ... })
  */
 
 /**
@@ -206,10 +276,11 @@ function getTextStatistics(text) {
  * Save a new message
  * @param {string} text - Message text
  * @param {boolean} translated - Whether message is translated
- * @param {string} language - Target language (if translated)
+ * @param {string} language - Language of the text (the target language if translated)
+ * @param {Object|null} session - Decoding reliability of the session that produced the text
  * @returns {string} - Message ID
  */
-function saveMessage(text, translated = false, language = 'en') {
+function saveMessage(text, translated = false, language = 'en', session = null) {
     if (!text || typeof text !== 'string') {
         throw new Error('Invalid message text');
     }
@@ -226,11 +297,14 @@ function saveMessage(text, translated = false, language = 'en') {
         text: text.trim(),
         originalText: translated ? '' : text.trim(),
         translated,
-        language: translated ? language : 'en',
+        language: language || 'en',
         timestamp,
         date: new Date(timestamp).toLocaleString(),
         stats
     };
+    if (session) {
+        message.session = session;
+    }
 
     messages.unshift(message); // Add to beginning
 
@@ -426,6 +500,8 @@ function convertMessagesToCSV(messages = null) {
         'Word Count',
         'Character Count',
         'Sentence Count',
+        'Accuracy',
+        'Low Confidence Letters',
         'Timestamp'
     ];
     
@@ -443,6 +519,8 @@ function convertMessagesToCSV(messages = null) {
             message.stats?.words || 0,
             message.stats?.characters || 0,
             message.stats?.sentences || 0,
+            message.session ? `${Math.round(message.session.accuracy * 100)}%` : '',
+            message.session ? message.session.lowConfidence || 0 : '',
             message.timestamp || ''
         ];
         csvRows.push(row.join(','));
@@ -680,6 +758,1046 @@ function triggerDownload(blob, filename) {
     }
 }
 
+// ==================== PHRASE BOARD ====================
+
+// Starting phrase board; codes are blinked after the phrase prosign
+const DEFAULT_PHRASE_BOARD = [
+    {
+        id: 'needs', name: 'Needs', icon: '💧',
+        phrases: [
+            { id: 'needs_water', text: 'I need water', code: 'W' },
+            { id: 'needs_food', text: 'I am hungry', code: 'F' },
+            { id: 'needs_toilet', text: 'I need the toilet', code: 'T' },
+            { id: 'needs_sleep', text: 'I want to sleep', code: 'S' }
+        ]
+    },
+    {
+        id: 'comfort', name: 'Comfort', icon: '🛏️',
+        phrases: [
+            { id: 'comfort_reposition', text: 'Please reposition me', code: 'R' },
+            { id: 'comfort_pillow', text: 'Please adjust my pillow', code: 'A' },
+            { id: 'comfort_hot', text: 'I am too hot', code: 'H' },
+            { id: 'comfort_cold', text: 'I am cold', code: 'C' }
+        ]
+    },
+    {
+        id: 'pain', name: 'Pain', icon: '🩹',
+        phrases: [
+            { id: 'pain_pain', text: 'I am in pain', code: 'P' },
+            { id: 'pain_medicine', text: 'I need my medicine', code: 'M' },
+            { id: 'pain_nurse', text: 'Please call the nurse', code: 'N' },
+            { id: 'pain_doctor', text: 'Please call the doctor', code: 'D' }
+        ]
+    },
+    {
+        id: 'social', name: 'Social', icon: '💬',
+        phrases: [
+            { id: 'social_yes', text: 'Yes', code: 'Y' },
+            { id: 'social_no', text: 'No', code: 'X' },
+            { id: 'social_thanks', text: 'Thank you', code: 'K' },
+            { id: 'social_love', text: 'I love you', code: 'L' }
+        ]
+    }
+];
+
+/**
+ * Phrase object structure
+ * @typedef {Object} Phrase
+ * @property {string} id - Unique identifier
+ * @property {string} text - Phrase spoken and saved
+ * @property {string} code - Morse shortcut code (letters/digits, may be empty)
+ */
+
+/**
+ * Normalize a shortcut code
+ * @param {string} code - Raw code
+ * @returns {string} - Upper-case code ('' if none)
+ */
+function normalizePhraseCode(code) {
+    return (code || '').toString().toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 3);
+}
+
+/**
+ * Get the phrase board categories
+ * @returns {Array<Object>} - Categories ({ id, name, icon, phrases })
+ */
+function getPhraseBoard() {
+    const board = storage.get(STORAGE_KEYS.PHRASES, null);
+    return Array.isArray(board) ? board : JSON.parse(JSON.stringify(DEFAULT_PHRASE_BOARD));
+}
+
+/**
+ * Save the phrase board categories
+ * @param {Array<Object>} board - Categories
+ * @returns {boolean} - Success status
+ */
+function savePhraseBoard(board) {
+    if (!Array.isArray(board)) {
+        throw new Error('Invalid phrase board');
+    }
+    return storage.set(STORAGE_KEYS.PHRASES, board);
+}
+
+/**
+ * Add a phrase category
+ * @param {string} name - Category name
+ * @param {string} icon - Emoji icon
+ * @returns {string} - Category ID
+ */
+function addPhraseCategory(name, icon = '💬') {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Invalid category name');
+    }
+
+    const board = getPhraseBoard();
+    const categoryId = `cat_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    board.push({ id: categoryId, name: name.trim(), icon: icon || '💬', phrases: [] });
+    savePhraseBoard(board);
+
+    return categoryId;
+}
+
+/**
+ * Delete a phrase category and its phrases
+ * @param {string} categoryId - Category ID
+ * @returns {boolean} - Success status
+ */
+function deletePhraseCategory(categoryId) {
+    const board = getPhraseBoard();
+    const filtered = board.filter(category => category.id !== categoryId);
+
+    if (filtered.length === board.length) {
+        return false;
+    }
+
+    return savePhraseBoard(filtered);
+}
+
+/**
+ * Add a phrase to a category
+ * @param {string} categoryId - Category ID
+ * @param {string} text - Phrase text
+ * @param {string} code - Morse shortcut code (optional)
+ * @returns {string} - Phrase ID
+ */
+function addPhrase(categoryId, text, code = '') {
+    if (!text || typeof text !== 'string' || !text.trim()) {
+        throw new Error('Invalid phrase text');
+    }
+
+    const board = getPhraseBoard();
+    const category = board.find(item => item.id === categoryId);
+    if (!category) {
+        throw new Error('Category not found');
+    }
+
+    const shortcut = normalizePhraseCode(code);
+    if (shortcut && findPhraseByCode(shortcut, board)) {
+        throw new Error(`Shortcut code ${shortcut} is already used`);
+    }
+
+    const phraseId = `phrase_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    category.phrases.push({ id: phraseId, text: text.trim(), code: shortcut });
+    savePhraseBoard(board);
+
+    return phraseId;
+}
+
+/**
+ * Delete a phrase
+ * @param {string} categoryId - Category ID
+ * @param {string} phraseId - Phrase ID
+ * @returns {boolean} - Success status
+ */
+function deletePhrase(categoryId, phraseId) {
+    const board = getPhraseBoard();
+    const category = board.find(item => item.id === categoryId);
+    if (!category) return false;
+
+    const count = category.phrases.length;
+    category.phrases = category.phrases.filter(phrase => phrase.id !== phraseId);
+
+    return category.phrases.length < count && savePhraseBoard(board);
+}
+
+/**
+ * Find a phrase by its shortcut code
+ * @param {string} code - Shortcut code
+ * @param {Array<Object>} board - Categories (defaults to the saved board)
+ * @returns {Phrase|null} - Phrase or null
+ */
+function findPhraseByCode(code, board = getPhraseBoard()) {
+    const shortcut = normalizePhraseCode(code);
+    if (!shortcut) return null;
+
+    for (const category of board) {
+        const phrase = category.phrases.find(item => item.code === shortcut);
+        if (phrase) return phrase;
+    }
+    return null;
+}
+
+/**
+ * Restore the default phrase board
+ */
+function resetPhraseBoard() {
+    storage.remove(STORAGE_KEYS.PHRASES);
+}
+
+// ==================== EMERGENCY LOG ====================
+
+// Audit entries kept (oldest are dropped first)
+const EMERGENCY_LOG_LIMIT = 1000;
+
+/**
+ * Emergency log entry structure
+ * @typedef {Object} EmergencyEvent
+ * @property {string} id - Unique identifier
+ * @property {string} incidentId - Emergency the event belongs to
+ * @property {string} event - 'triggered', 'escalated' or 'acknowledged'
+ * @property {string} trigger - 'pattern', 'long-blink' or 'manual'
+ * @property {number} level - Escalation level at the time of the event
+ * @property {string} detail - Pattern, blink duration or response time
+ * @property {number} timestamp - Event time
+ * @property {string} date - Formatted date string
+ */
+
+/**
+ * Append an event to the emergency audit log
+ * @param {Object} entry - { incidentId, event, trigger, level, detail }
+ * @returns {EmergencyEvent} - Stored entry
+ */
+function logEmergencyEvent(entry) {
+    if (!entry || !entry.incidentId || !entry.event) {
+        throw new Error('Invalid emergency event');
+    }
+
+    const log = getEmergencyLog();
+    const timestamp = Date.now();
+    const record = {
+        id: `sos_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+        incidentId: entry.incidentId,
+        event: entry.event,
+        trigger: entry.trigger || 'pattern',
+        level: entry.level || 1,
+        detail: entry.detail || '',
+        timestamp,
+        date: new Date(timestamp).toLocaleString()
+    };
+
+    log.push(record);
+    if (log.length > EMERGENCY_LOG_LIMIT) {
+        log.splice(0, log.length - EMERGENCY_LOG_LIMIT);
+    }
+
+    storage.set(STORAGE_KEYS.EMERGENCY_LOG, log);
+    return record;
+}
+
+/**
+ * Get the emergency audit log (oldest first)
+ * @returns {Array<EmergencyEvent>} - Logged events
+ */
+function getEmergencyLog() {
+    return storage.get(STORAGE_KEYS.EMERGENCY_LOG, []);
+}
+
+/**
+ * Convert the emergency log to CSV
+ * @param {Array<EmergencyEvent>} log - Events (defaults to the stored log)
+ * @returns {string} - CSV text
+ */
+function convertEmergencyLogToCSV(log = null) {
+    const events = log || getEmergencyLog();
+    const headers = ['Date', 'Timestamp', 'Incident', 'Event', 'Trigger', 'Level', 'Detail'];
+    const rows = events.map(item => [
+        item.date,
+        new Date(item.timestamp).toISOString(),
+        item.incidentId,
+        item.event,
+        item.trigger,
+        item.level,
+        item.detail
+    ].map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','));
+
+    return [headers.join(','), ...rows].join('\n');
+}
+
+// ==================== LETTER LOG (CONFUSION MATRIX) ====================
+
+// Decoded letters kept (oldest are dropped first)
+const LETTER_LOG_LIMIT = 3000;
+
+/**
+ * Letter log entry structure
+ * @typedef {Object} LetterEvent
+ * @property {string} id - Unique id, used to attach a later correction
+ * @property {number} timestamp - When the letter was committed
+ * @property {string} pattern - Raw dots and dashes
+ * @property {string} char - What the pattern decodes to ('?' if it is not a character)
+ * @property {string|null} intended - What the user meant, when known to differ or be uncertain (null = char)
+ * @property {string} source - 'blink' or 'trainer'
+ * @property {string} language - Alphabet in use
+ */
+
+/**
+ * Record a committed letter
+ * @param {Object} entry - { pattern, char, intended, source, language }
+ * @returns {LetterEvent} - Stored event
+ */
+function recordLetterEvent(entry) {
+    if (!entry || !entry.pattern) {
+        throw new Error('Invalid letter event');
+    }
+
+    const log = getLetterLog();
+    const timestamp = Date.now();
+    const record = {
+        id: `ltr_${timestamp}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp,
+        pattern: entry.pattern,
+        char: entry.char || '?',
+        intended: entry.intended ?? null,
+        source: entry.source || 'blink',
+        language: entry.language || 'en'
+    };
+
+    log.push(record);
+    if (log.length > LETTER_LOG_LIMIT) {
+        log.splice(0, log.length - LETTER_LOG_LIMIT);
+    }
+
+    storage.set(STORAGE_KEYS.LETTER_LOG, log);
+    return record;
+}
+
+/**
+ * Attach the letter the user actually meant to an earlier event
+ * @param {string} id - LetterEvent id
+ * @param {string|null} intended - Intended character (null = not known)
+ * @returns {boolean} - True if the event was found
+ */
+function correctLetterEvent(id, intended) {
+    const log = getLetterLog();
+    const record = log.find(item => item.id === id);
+    if (!record) return false;
+
+    record.intended = intended || null;
+    return storage.set(STORAGE_KEYS.LETTER_LOG, log);
+}
+
+/**
+ * Get all recorded letters
+ * @returns {Array<LetterEvent>}
+ */
+function getLetterLog() {
+    return storage.get(STORAGE_KEYS.LETTER_LOG, []);
+}
+
+/**
+ * Forget all recorded letters
+ * @returns {boolean} - Success status
+ */
+function clearLetterLog() {
+    return storage.remove(STORAGE_KEYS.LETTER_LOG);
+}
+
+/**
+ * Confusion matrix: for each intended character, what was entered and with which patterns
+ * @param {Object} options - { source } - only 'blink' or 'trainer' events
+ * @returns {Object} - { characters: { [intended]: { attempts, errors, entered: { [char]: n }, patterns: { [pattern]: n } } }, unresolved, total }
+ */
+function getConfusionMatrix(options = {}) {
+    const characters = {};
+    let unresolved = 0;
+    let total = 0;
+
+    getLetterLog()
+        .filter(item => !options.source || item.source === options.source)
+        .forEach(item => {
+            total++;
+            const intended = item.intended ?? item.char;
+
+            // An unknown pattern nobody retyped says nothing about which letter was meant
+            if (intended === '?' && item.char === '?') {
+                unresolved++;
+                return;
+            }
+
+            const entry = characters[intended] = characters[intended] || { attempts: 0, errors: 0, entered: {}, patterns: {} };
+            entry.attempts++;
+            entry.entered[item.char] = (entry.entered[item.char] || 0) + 1;
+            entry.patterns[item.pattern] = (entry.patterns[item.pattern] || 0) + 1;
+            if (item.char !== intended) entry.errors++;
+        });
+
+    return { characters, unresolved, total };
+}
+
+/**
+ * Per-character summary of the confusion matrix as CSV
+ * @param {Object} matrix - From getConfusionMatrix()
+ * @returns {string} - CSV text
+ */
+function convertConfusionMatrixToCSV(matrix = null) {
+    const { characters } = matrix || getConfusionMatrix();
+    const headers = ['Character', 'Attempts', 'Errors', 'Error Rate', 'Entered As', 'Patterns Blinked'];
+    const describeCounts = counts => Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => `${key} (${count})`)
+        .join('; ');
+
+    const rows = Object.keys(characters).sort().map(char => {
+        const entry = characters[char];
+        const wrong = Object.fromEntries(Object.entries(entry.entered).filter(([entered]) => entered !== char));
+        return [
+            char,
+            entry.attempts,
+            entry.errors,
+            `${Math.round((entry.errors / entry.attempts) * 100)}%`,
+            describeCounts(wrong),
+            describeCounts(entry.patterns)
+        ].map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(',');
+    });
+
+    return [headers.join(','), ...rows].join('\n');
+}
+
+// ==================== SESSION METRICS (THROUGHPUT) ====================
+
+// Sessions kept (oldest are dropped first)
+const SESSION_METRICS_LIMIT = 500;
+
+// Characters in a standard word, for words per minute
+const CHARACTERS_PER_WORD = 5;
+
+/**
+ * Session metrics structure
+ * @typedef {Object} SessionMetrics
+ * @property {string} id - Unique id (the session is saved repeatedly while it runs)
+ * @property {number} startedAt - First input
+ * @property {number} endedAt - Last input
+ * @property {number} letters - Patterns blinked, including unknown ones
+ * @property {number} characters - Characters added to the message (letters and suggestions)
+ * @property {number} words - Words finished
+ * @property {number} corrections - Deletions, cancelled letters and removed guesses
+ * @property {number} idleTime - ms spent in pauses longer than the idle gap
+ * @property {number} activeTime - ms of input, idle time excluded
+ * @property {number} cpm - Characters per active minute
+ * @property {number} wpm - cpm / 5 (standard words per minute)
+ * @property {number} correctionRate - corrections / letters
+ */
+
+/**
+ * Derived rates for a session
+ * @param {Object} session - { startedAt, endedAt, letters, characters, words, corrections, idleTime }
+ * @returns {SessionMetrics} - Session with activeTime, cpm, wpm and correctionRate
+ */
+function calculateSessionRates(session) {
+    const activeTime = Math.max(0, session.endedAt - session.startedAt - session.idleTime);
+    const minutes = activeTime / 60000;
+    const cpm = minutes > 0 ? session.characters / minutes : 0;
+
+    return {
+        ...session,
+        activeTime,
+        cpm: Math.round(cpm * 10) / 10,
+        wpm: Math.round((cpm / CHARACTERS_PER_WORD) * 10) / 10,
+        correctionRate: session.letters > 0 ? Math.round((session.corrections / session.letters) * 1000) / 1000 : 0
+    };
+}
+
+/**
+ * Save a session's metrics (replaces an earlier save of the same session)
+ * @param {Object} session - Counters with an id, see SessionMetrics
+ * @returns {SessionMetrics|null} - Stored entry
+ */
+function saveSessionMetrics(session) {
+    if (!session || !session.id || !session.startedAt) {
+        console.error('Invalid session metrics');
+        return null;
+    }
+
+    const sessions = getSessionMetrics();
+    const entry = calculateSessionRates(session);
+    const index = sessions.findIndex(item => item.id === entry.id);
+    if (index >= 0) {
+        sessions[index] = entry;
+    } else {
+        sessions.push(entry);
+        if (sessions.length > SESSION_METRICS_LIMIT) {
+            sessions.splice(0, sessions.length - SESSION_METRICS_LIMIT);
+        }
+    }
+
+    storage.set(STORAGE_KEYS.SESSION_METRICS, sessions);
+    return entry;
+}
+
+/**
+ * Get all saved session metrics, oldest first
+ * @returns {Array<SessionMetrics>}
+ */
+function getSessionMetrics() {
+    return storage.get(STORAGE_KEYS.SESSION_METRICS, []);
+}
+
+/**
+ * Forget all session metrics
+ * @returns {boolean} - Success status
+ */
+function clearSessionMetrics() {
+    return storage.remove(STORAGE_KEYS.SESSION_METRICS);
+}
+
+/**
+ * Combine sessions, weighting each by its length so short sessions do not skew the rates
+ * @param {Array<SessionMetrics>} sessions - Sessions to combine
+ * @returns {Object} - { sessions, letters, characters, words, corrections, idleTime, activeTime, cpm, wpm, correctionRate, idleShare }
+ */
+function summarizeSessionMetrics(sessions) {
+    const totals = { sessions: sessions.length, letters: 0, characters: 0, words: 0, corrections: 0, idleTime: 0, activeTime: 0 };
+    sessions.forEach(session => {
+        ['letters', 'characters', 'words', 'corrections', 'idleTime', 'activeTime'].forEach(key => {
+            totals[key] += session[key] || 0;
+        });
+    });
+
+    const cpm = totals.activeTime > 0 ? totals.characters / (totals.activeTime / 60000) : 0;
+    const time = totals.activeTime + totals.idleTime;
+    return {
+        ...totals,
+        cpm: Math.round(cpm * 10) / 10,
+        wpm: Math.round((cpm / CHARACTERS_PER_WORD) * 10) / 10,
+        correctionRate: totals.letters > 0 ? Math.round((totals.corrections / totals.letters) * 1000) / 1000 : 0,
+        idleShare: time > 0 ? Math.round((totals.idleTime / time) * 1000) / 1000 : 0
+    };
+}
+
+/**
+ * Combine sessions per day (local time)
+ * @param {Array<SessionMetrics>} sessions - Defaults to all saved sessions
+ * @returns {Array<Object>} - [{ date, ...summarizeSessionMetrics() }] oldest first
+ */
+function getDailySessionMetrics(sessions = null) {
+    const pad = value => String(value).padStart(2, '0');
+    const days = {};
+
+    (sessions || getSessionMetrics()).forEach(session => {
+        const started = new Date(session.startedAt);
+        const date = `${started.getFullYear()}-${pad(started.getMonth() + 1)}-${pad(started.getDate())}`;
+        (days[date] = days[date] || []).push(session);
+    });
+
+    return Object.keys(days)
+        .sort()
+        .map(date => ({ date, ...summarizeSessionMetrics(days[date]) }));
+}
+
+/**
+ * Convert session metrics to CSV
+ * @param {Array<SessionMetrics>} sessions - Defaults to all saved sessions
+ * @returns {string} - CSV text
+ */
+function convertSessionMetricsToCSV(sessions = null) {
+    const headers = [
+        'Start', 'End', 'Active (s)', 'Idle (s)', 'Letters', 'Characters', 'Words',
+        'Corrections', 'CPM', 'WPM', 'Correction Rate'
+    ];
+    const rows = (sessions || getSessionMetrics()).map(session => [
+        new Date(session.startedAt).toISOString(),
+        new Date(session.endedAt).toISOString(),
+        Math.round(session.activeTime / 1000),
+        Math.round(session.idleTime / 1000),
+        session.letters,
+        session.characters,
+        session.words,
+        session.corrections,
+        session.cpm,
+        session.wpm,
+        `${Math.round(session.correctionRate * 100)}%`
+    ].map(value => `"${String(value ?? '').replace(/"/g, '""')}"`).join(','));
+
+    return [headers.join(','), ...rows].join('\n');
+}
+
+// ==================== TRANSLATION CACHE ====================
+
+// Translations kept (least recently used are dropped first)
+const TRANSLATION_CACHE_LIMIT = 300;
+
+/**
+ * Cache key for a text and language pair ("I am in pain" and "I AM IN PAIN" share one)
+ * @param {string} text - Original text
+ * @param {string} source - Source language code
+ * @param {string} target - Target language code
+ * @returns {string} - Cache key
+ */
+function getTranslationCacheKey(text, source, target) {
+    const normalized = (text || '').normalize('NFC').trim().replace(/\s+/g, ' ').toUpperCase();
+    return `${source}>${target}:${normalized}`;
+}
+
+/**
+ * Look up a saved translation
+ * @param {string} text - Original text
+ * @param {string} source - Source language code
+ * @param {string} target - Target language code
+ * @returns {Object|null} - { text, provider, providerName, cachedAt, hits } or null
+ */
+function getCachedTranslation(text, source, target) {
+    const cache = storage.get(STORAGE_KEYS.TRANSLATION_CACHE, {});
+    const entry = cache[getTranslationCacheKey(text, source, target)];
+    if (!entry) return null;
+
+    entry.hits = (entry.hits || 0) + 1;
+    entry.usedAt = Date.now();
+    storage.set(STORAGE_KEYS.TRANSLATION_CACHE, cache);
+    return entry;
+}
+
+/**
+ * Save a translation so the same text translates instantly (and offline) next time
+ * @param {string} text - Original text
+ * @param {string} source - Source language code
+ * @param {string} target - Target language code
+ * @param {Object} result - { text, provider, providerName }
+ */
+function cacheTranslation(text, source, target, result) {
+    if (!result || !result.text) return;
+
+    const cache = storage.get(STORAGE_KEYS.TRANSLATION_CACHE, {});
+    const now = Date.now();
+    cache[getTranslationCacheKey(text, source, target)] = {
+        text: result.text,
+        provider: result.provider,
+        providerName: result.providerName,
+        cachedAt: now,
+        usedAt: now,
+        hits: 0
+    };
+
+    const keys = Object.keys(cache);
+    if (keys.length > TRANSLATION_CACHE_LIMIT) {
+        keys.sort((a, b) => cache[a].usedAt - cache[b].usedAt)
+            .slice(0, keys.length - TRANSLATION_CACHE_LIMIT)
+            .forEach(key => delete cache[key]);
+    }
+
+    storage.set(STORAGE_KEYS.TRANSLATION_CACHE, cache);
+}
+
+/**
+ * Size of the translation cache
+ * @returns {Object} - { entries, hits }
+ */
+function getTranslationCacheInfo() {
+    const entries = Object.values(storage.get(STORAGE_KEYS.TRANSLATION_CACHE, {}));
+    return {
+        entries: entries.length,
+        hits: entries.reduce((sum, entry) => sum + (entry.hits || 0), 0)
+    };
+}
+
+/**
+ * Forget all saved translations
+ */
+function clearTranslationCache() {
+    storage.remove(STORAGE_KEYS.TRANSLATION_CACHE);
+}
+
+/**
+ * Translation provider health
+ * @typedef {Object} TranslationProviderStats
+ * @property {string} name - Provider name shown to the user
+ * @property {number} attempts - Times the provider was asked
+ * @property {number} successes - Translations returned
+ * @property {number} failures - Errors, timeouts and unreachable servers
+ * @property {number} misses - Texts the provider does not cover (not held against it)
+ * @property {number|null} avgLatency - Recent response time of successful calls in ms
+ * @property {string} lastError - Last failure reason
+ * @property {number} lastUsed - Time of the last attempt
+ */
+
+/**
+ * Record the outcome of one provider call
+ * @param {string} providerId - Provider id
+ * @param {Object} outcome - { name, success, notFound, latency, error }
+ * @returns {TranslationProviderStats} - Updated stats for the provider
+ */
+function recordTranslationAttempt(providerId, outcome = {}) {
+    const stats = storage.get(STORAGE_KEYS.TRANSLATION_STATS, {});
+    const entry = stats[providerId] || {
+        name: outcome.name || providerId,
+        attempts: 0,
+        successes: 0,
+        failures: 0,
+        misses: 0,
+        avgLatency: null,
+        lastError: '',
+        lastUsed: null
+    };
+
+    entry.name = outcome.name || entry.name;
+    entry.attempts++;
+    entry.lastUsed = Date.now();
+
+    if (outcome.success) {
+        entry.successes++;
+        // Moving average so a server that got faster or slower is noticed quickly
+        const latency = Math.max(0, outcome.latency || 0);
+        entry.avgLatency = entry.avgLatency === null ? latency : Math.round(entry.avgLatency * 0.7 + latency * 0.3);
+    } else if (outcome.notFound) {
+        entry.misses++;
+    } else {
+        entry.failures++;
+        entry.lastError = outcome.error || 'Unknown error';
+    }
+
+    stats[providerId] = entry;
+    storage.set(STORAGE_KEYS.TRANSLATION_STATS, stats);
+    return entry;
+}
+
+/**
+ * Get provider health for every provider used so far
+ * @returns {Object<string, TranslationProviderStats>} - Stats by provider id
+ */
+function getTranslationStats() {
+    return storage.get(STORAGE_KEYS.TRANSLATION_STATS, {});
+}
+
+// ==================== MORSE TRAINER PROGRESS ====================
+
+/**
+ * Saved Koch course progress (MorseTrainer.toJSON())
+ * @returns {Object|null} - { level, stats, history }, or null before the first lesson
+ */
+function getTrainerProgress() {
+    return storage.get(STORAGE_KEYS.TRAINER, null);
+}
+
+/**
+ * Save Koch course progress
+ * @param {Object} progress - MorseTrainer.toJSON()
+ * @returns {boolean} - Success status
+ */
+function saveTrainerProgress(progress) {
+    return storage.set(STORAGE_KEYS.TRAINER, progress);
+}
+
+/**
+ * Start the course again
+ * @returns {boolean} - Success status
+ */
+function clearTrainerProgress() {
+    return storage.remove(STORAGE_KEYS.TRAINER);
+}
+
+// ==================== DEVICE PROFILES ====================
+// Firmware parameters (DOT_TH, CHAR_GAP... see protocol.js) kept per user. The
+// active profile is sent to the device whenever the communication page connects.
+
+/**
+ * Saved device profiles
+ * @returns {Object} - { active: name or null, profiles: { name: { DOT_TH, CHAR_GAP, ... } } }
+ */
+function getDeviceProfiles() {
+    const saved = storage.get(STORAGE_KEYS.DEVICE_PROFILES, null);
+    return {
+        active: saved?.active || null,
+        profiles: saved?.profiles && typeof saved.profiles === 'object' ? saved.profiles : {}
+    };
+}
+
+/**
+ * Save a user's parameters and make them the active profile
+ * @param {string} name - Profile name (e.g. the user's name)
+ * @param {Object} values - { DOT_TH: 300, ... }
+ * @returns {boolean} - Success status
+ */
+function saveDeviceProfile(name, values) {
+    const data = getDeviceProfiles();
+    data.profiles[name] = { ...values };
+    data.active = name;
+    return storage.set(STORAGE_KEYS.DEVICE_PROFILES, data);
+}
+
+/**
+ * Choose the profile sent to the device on connect
+ * @param {string|null} name - Profile name, or null to leave the device as it is
+ * @returns {boolean} - Success status
+ */
+function setActiveDeviceProfile(name) {
+    const data = getDeviceProfiles();
+    data.active = name && data.profiles[name] ? name : null;
+    return storage.set(STORAGE_KEYS.DEVICE_PROFILES, data);
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ * @returns {boolean} - Success status
+ */
+function deleteDeviceProfile(name) {
+    const data = getDeviceProfiles();
+    delete data.profiles[name];
+    if (data.active === name) data.active = null;
+    return storage.set(STORAGE_KEYS.DEVICE_PROFILES, data);
+}
+
+/**
+ * Parameters of the active profile
+ * @returns {Object|null} - { DOT_TH: 300, ... } or null when no profile is active
+ */
+function getActiveDeviceProfile() {
+    const data = getDeviceProfiles();
+    return data.active ? data.profiles[data.active] || null : null;
+}
+
+/**
+ * Values the device reported last time it was connected
+ * @returns {Object|null} - { values, readAt }
+ */
+function getLastDeviceParameters() {
+    return storage.get(STORAGE_KEYS.DEVICE_PARAMS, null);
+}
+
+/**
+ * Remember the values the device reported
+ * @param {Object} values - { DOT_TH: 300, ... }
+ * @returns {boolean} - Success status
+ */
+function saveLastDeviceParameters(values) {
+    return storage.set(STORAGE_KEYS.DEVICE_PARAMS, { values, readAt: Date.now() });
+}
+
+// ==================== VOICE BANK (INDEXEDDB) ====================
+// Audio clips of the patient's own voice for phrases. Audio is too large for
+// localStorage, so clips live in IndexedDB and every call is async.
+
+const APP_DATABASE_NAME = 'eyeblink_db';
+const APP_DATABASE_VERSION = 2; // 2: session recordings
+const VOICE_CLIP_STORE = 'voiceClips';
+const SESSION_LOG_STORE = 'sessionLogs';
+const VOICE_CLIP_MAX_BYTES = 5 * 1024 * 1024;
+
+let appDatabasePromise = null;
+
+/**
+ * Voice clip structure
+ * @typedef {Object} VoiceClip
+ * @property {string} key - Normalised phrase (see getVoiceClipKey)
+ * @property {string} text - Phrase as entered
+ * @property {Blob} blob - Audio data
+ * @property {string} type - MIME type
+ * @property {number} size - Bytes
+ * @property {number|null} duration - Length in ms when known
+ * @property {string} source - 'recorded' or 'imported'
+ * @property {string} fileName - Original file name of an import
+ * @property {number} createdAt - Time saved
+ */
+
+/**
+ * Open (creating or upgrading) the app's IndexedDB database
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+function openAppDatabase() {
+    if (appDatabasePromise) return appDatabasePromise;
+
+    appDatabasePromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(APP_DATABASE_NAME, APP_DATABASE_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(VOICE_CLIP_STORE)) {
+                db.createObjectStore(VOICE_CLIP_STORE, { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains(SESSION_LOG_STORE)) {
+                db.createObjectStore(SESSION_LOG_STORE, { keyPath: 'id' });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again (e.g. after the user allows storage)
+    appDatabasePromise.catch(() => {
+        appDatabasePromise = null;
+    });
+    return appDatabasePromise;
+}
+
+/**
+ * Run one request in its own transaction
+ * @param {string} storeName - Object store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} - Request result once the transaction completes
+ */
+async function runDatabaseRequest(storeName, mode, action) {
+    const db = await openAppDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = action(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Database transaction aborted'));
+    });
+}
+
+/**
+ * Key a phrase so "I need water." and the decoded "I NEED WATER" share one clip
+ * @param {string} text - Phrase
+ * @returns {string} - Upper-case words separated by single spaces
+ */
+function getVoiceClipKey(text) {
+    return (text || '')
+        .normalize('NFC')
+        .toUpperCase()
+        .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Save (or replace) the clip for a phrase
+ * @param {string} text - Phrase the clip says
+ * @param {Blob} blob - Audio data
+ * @param {Object} details - { source, duration, fileName }
+ * @returns {Promise<VoiceClip>} - Stored clip
+ */
+async function saveVoiceClip(text, blob, details = {}) {
+    const key = getVoiceClipKey(text);
+    if (!key) {
+        throw new Error('Enter the phrase the clip says');
+    }
+    if (!blob || !(blob.type || '').startsWith('audio/')) {
+        throw new Error('Not an audio file');
+    }
+    if (blob.size > VOICE_CLIP_MAX_BYTES) {
+        throw new Error(`Clip is larger than ${VOICE_CLIP_MAX_BYTES / 1024 / 1024} MB`);
+    }
+
+    const clip = {
+        key,
+        text: text.trim(),
+        blob,
+        type: blob.type,
+        size: blob.size,
+        duration: Number.isFinite(details.duration) ? Math.round(details.duration) : null,
+        source: details.source || 'recorded',
+        fileName: details.fileName || '',
+        createdAt: Date.now()
+    };
+
+    await runDatabaseRequest(VOICE_CLIP_STORE, 'readwrite', store => store.put(clip));
+    return clip;
+}
+
+/**
+ * Find the clip for a phrase
+ * @param {string} text - Phrase or decoded message
+ * @returns {Promise<VoiceClip|null>} - Clip, or null when none is banked
+ */
+async function getVoiceClip(text) {
+    const key = getVoiceClipKey(text);
+    if (!key) return null;
+
+    const clip = await runDatabaseRequest(VOICE_CLIP_STORE, 'readonly', store => store.get(key));
+    return clip || null;
+}
+
+/**
+ * Get every banked clip
+ * @returns {Promise<Array<VoiceClip>>} - Clips sorted by phrase
+ */
+async function getAllVoiceClips() {
+    const clips = await runDatabaseRequest(VOICE_CLIP_STORE, 'readonly', store => store.getAll());
+    return (clips || []).sort((a, b) => a.text.localeCompare(b.text));
+}
+
+/**
+ * Delete the clip for a phrase
+ * @param {string} text - Phrase
+ * @returns {Promise<void>}
+ */
+async function deleteVoiceClip(text) {
+    await runDatabaseRequest(VOICE_CLIP_STORE, 'readwrite', store => store.delete(getVoiceClipKey(text)));
+}
+
+// ==================== SESSION RECORDINGS (INDEXEDDB) ====================
+// Device streams recorded on the communication page (see recorder.js).
+
+// Recordings kept (oldest are deleted first)
+const SESSION_LOG_LIMIT = 50;
+
+/**
+ * Save (or replace) a session recording, deleting the oldest beyond the limit
+ * @param {Object} log - SessionLog from recorder.js
+ * @returns {Promise<Object>} - Stored log
+ */
+async function saveSessionLog(log) {
+    if (!log || !log.id || !Array.isArray(log.entries)) {
+        throw new Error('Invalid session recording');
+    }
+
+    await runDatabaseRequest(SESSION_LOG_STORE, 'readwrite', store => store.put(log));
+
+    const keys = await runDatabaseRequest(SESSION_LOG_STORE, 'readonly', store => store.getAllKeys());
+    if (keys.length > SESSION_LOG_LIMIT) {
+        const oldest = (await getSessionLogList()).slice(SESSION_LOG_LIMIT);
+        for (const item of oldest) {
+            await deleteSessionLog(item.id);
+        }
+    }
+    return log;
+}
+
+/**
+ * Get one session recording
+ * @param {string} id - Recording id
+ * @returns {Promise<Object|null>} - Log, or null when it does not exist
+ */
+async function getSessionLog(id) {
+    const log = await runDatabaseRequest(SESSION_LOG_STORE, 'readonly', store => store.get(id));
+    return log || null;
+}
+
+/**
+ * List session recordings without their entries
+ * @returns {Promise<Array<Object>>} - [{ id, startedAt, endedAt, connection, result, entries: count, lines }] newest first
+ */
+async function getSessionLogList() {
+    const logs = await runDatabaseRequest(SESSION_LOG_STORE, 'readonly', store => store.getAll());
+    return (logs || [])
+        .map(log => ({
+            id: log.id,
+            startedAt: log.startedAt,
+            endedAt: log.endedAt,
+            connection: log.connection,
+            result: log.result,
+            entries: log.entries.length,
+            lines: log.entries.filter(entry => entry.type === 'line').length
+        }))
+        .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+/**
+ * Delete a session recording
+ * @param {string} id - Recording id
+ * @returns {Promise<void>}
+ */
+async function deleteSessionLog(id) {
+    await runDatabaseRequest(SESSION_LOG_STORE, 'readwrite', store => store.delete(id));
+}
+
 // ==================== SETTINGS MANAGEMENT ====================
 
 /**
@@ -687,7 +1805,46 @@ function triggerDownload(blob, filename) {
  * @returns {Object} - Settings object
  */
 function getSettings() {
-    return { ...DEFAULT_SETTINGS, ...storage.get(STORAGE_KEYS.SETTINGS, {}) };
+    const saved = storage.get(STORAGE_KEYS.SETTINGS, {});
+    if (migrateSettings(saved)) {
+        storage.set(STORAGE_KEYS.SETTINGS, saved);
+    }
+    return { ...DEFAULT_SETTINGS, ...saved };
+}
+
+/**
+ * Bring settings saved by an earlier version up to date
+ * @param {Object} saved - Saved settings, changed in place
+ * @returns {boolean} - Whether anything changed
+ */
+function migrateSettings(saved) {
+    let changed = false;
+    const patterns = saved.commandPatterns;
+    if (patterns) {
+        Object.entries(RETIRED_COMMAND_PATTERNS).forEach(([command, retired]) => {
+            if (retired.includes(patterns[command])) {
+                patterns[command] = DEFAULT_COMMAND_PATTERNS[command];
+                changed = true;
+            }
+        });
+    }
+    return changed;
+}
+
+/**
+ * Command codes in an alphabet: a default code it uses for a character falls back to its long code
+ * @param {Object} patterns - Saved { command: pattern }
+ * @param {Object} table - The alphabet's characters (getMorseTable)
+ * @returns {Object} - { command: pattern }
+ */
+function getAlphabetCommandPatterns(patterns, table = {}) {
+    const resolved = { ...DEFAULT_COMMAND_PATTERNS, ...(patterns || {}) };
+    Object.entries(FALLBACK_COMMAND_PATTERNS).forEach(([command, fallback]) => {
+        if (resolved[command] === DEFAULT_COMMAND_PATTERNS[command] && table[resolved[command]]) {
+            resolved[command] = fallback;
+        }
+    });
+    return resolved;
 }
 
 /**
@@ -792,6 +1949,12 @@ function exportAllData() {
         messages: getAllMessages(),
         settings: getSettings(),
         stats: getStats(),
+        phrases: getPhraseBoard(),
+        emergencyLog: getEmergencyLog(),
+        trainer: getTrainerProgress(),
+        letterLog: getLetterLog(),
+        sessionMetrics: getSessionMetrics(),
+        deviceProfiles: getDeviceProfiles(),
         exportDate: new Date().toISOString(),
         version: '2.0'
     };
@@ -822,6 +1985,26 @@ function importData(data) {
             storage.set(STORAGE_KEYS.STATS, data.stats);
         }
         
+        if (Array.isArray(data.phrases)) {
+            savePhraseBoard(data.phrases);
+        }
+        
+        if (data.trainer && typeof data.trainer === 'object') {
+            saveTrainerProgress(data.trainer);
+        }
+        
+        if (Array.isArray(data.letterLog)) {
+            storage.set(STORAGE_KEYS.LETTER_LOG, data.letterLog.slice(-LETTER_LOG_LIMIT));
+        }
+        
+        if (Array.isArray(data.sessionMetrics)) {
+            storage.set(STORAGE_KEYS.SESSION_METRICS, data.sessionMetrics.slice(-SESSION_METRICS_LIMIT));
+        }
+        
+        if (data.deviceProfiles && typeof data.deviceProfiles.profiles === 'object') {
+            storage.set(STORAGE_KEYS.DEVICE_PROFILES, data.deviceProfiles);
+        }
+        
         updateStats();
         return true;
     } catch (error) {
@@ -1000,6 +2183,7 @@ window.EyeBlinkStorage = {
     setSetting,
     updateSettings,
     resetSettings,
+    getAlphabetCommandPatterns,
     
     // Messages
     saveMessage,
@@ -1010,6 +2194,72 @@ window.EyeBlinkStorage = {
     clearAllMessages,
     searchMessages,
     
+    // Phrase board
+    getPhraseBoard,
+    savePhraseBoard,
+    addPhraseCategory,
+    deletePhraseCategory,
+    addPhrase,
+    deletePhrase,
+    findPhraseByCode,
+    resetPhraseBoard,
+    
+    // Emergency audit log
+    logEmergencyEvent,
+    getEmergencyLog,
+    convertEmergencyLogToCSV,
+    
+    // Translation cache and provider health
+    getCachedTranslation,
+    cacheTranslation,
+    getTranslationCacheInfo,
+    clearTranslationCache,
+    recordTranslationAttempt,
+    getTranslationStats,
+    
+    // Letter log and confusion matrix
+    recordLetterEvent,
+    correctLetterEvent,
+    getLetterLog,
+    clearLetterLog,
+    getConfusionMatrix,
+    convertConfusionMatrixToCSV,
+    
+    // Session metrics (throughput)
+    saveSessionMetrics,
+    getSessionMetrics,
+    clearSessionMetrics,
+    summarizeSessionMetrics,
+    getDailySessionMetrics,
+    convertSessionMetricsToCSV,
+    
+    // Morse trainer
+    getTrainerProgress,
+    saveTrainerProgress,
+    clearTrainerProgress,
+    
+    // Device profiles
+    getDeviceProfiles,
+    saveDeviceProfile,
+    setActiveDeviceProfile,
+    deleteDeviceProfile,
+    getActiveDeviceProfile,
+    getLastDeviceParameters,
+    saveLastDeviceParameters,
+    
+    // Voice bank (async, IndexedDB)
+    getVoiceClipKey,
+    saveVoiceClip,
+    getVoiceClip,
+    getAllVoiceClips,
+    deleteVoiceClip,
+    
+    // Session recordings
+    saveSessionLog,
+    getSessionLog,
+    getSessionLogList,
+    deleteSessionLog,
+    
     // Quick Actions - NEW
     exportMessagesToJSON,
     convertMessagesToCSV,
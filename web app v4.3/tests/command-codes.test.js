@@ -0,0 +1,77 @@
+// ==================== COMMAND CODE TESTS ====================
+// The default command codes (storage.js) must never take a letter away from
+// an alphabet in morse.js. From the web app folder run  node --test
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { test } = require('node:test');
+
+const { MORSE_LANGUAGE_TABLES, getMorseTable, getProsign } = require('../morse.js');
+
+/**
+ * Command code defaults and helpers from storage.js, which is written for the browser only
+ * @returns {Object} - { defaults, fallbacks, getAlphabetCommandPatterns, migrateSettings }
+ */
+function loadStorage() {
+    // Stands in for document and window: every property is callable and returns itself
+    const page = new Proxy(function () {}, {
+        get: (target, key) => key === Symbol.toPrimitive ? () => '' : page,
+        apply: () => page
+    });
+    const context = vm.createContext({ console: { log() {}, warn() {}, error() {} }, document: page, window: page });
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'storage.js'), 'utf8'), context);
+    return vm.runInContext(`({
+        defaults: DEFAULT_COMMAND_PATTERNS,
+        fallbacks: FALLBACK_COMMAND_PATTERNS,
+        getAlphabetCommandPatterns,
+        migrateSettings
+    })`, context);
+}
+
+const { defaults, fallbacks, getAlphabetCommandPatterns, migrateSettings } = loadStorage();
+
+test('no command code is a character in the alphabet it is used with', () => {
+    Object.keys(MORSE_LANGUAGE_TABLES).forEach(language => {
+        const table = getMorseTable(language);
+        Object.entries(getAlphabetCommandPatterns({ ...defaults }, table)).forEach(([command, pattern]) => {
+            assert.equal(table[pattern], undefined, `${command} (${pattern}) is "${table[pattern]}" in ${language}`);
+        });
+    });
+});
+
+test('fallback command codes are not a character in any alphabet', () => {
+    Object.keys(MORSE_LANGUAGE_TABLES).forEach(language => {
+        const table = getMorseTable(language);
+        Object.entries(fallbacks).forEach(([command, pattern]) => {
+            assert.equal(table[pattern], undefined, `${command} (${pattern}) is "${table[pattern]}" in ${language}`);
+        });
+    });
+});
+
+test('Latin, Cyrillic and Greek alphabets keep the short codes', () => {
+    ['en', 'de', 'fr', 'es', 'it', 'sv', 'da', 'pl', 'ru', 'el'].forEach(language => {
+        assert.deepEqual({ ...getAlphabetCommandPatterns({ ...defaults }, getMorseTable(language)) }, { ...defaults }, language);
+    });
+    Object.keys(fallbacks).forEach(command => {
+        assert.ok(defaults[command].length <= 5, `${command} (${defaults[command]}) is longer than 5`);
+    });
+});
+
+test('command codes are not prosigns, apart from the error prosign', () => {
+    Object.entries({ ...defaults }).concat(Object.entries(fallbacks)).forEach(([command, pattern]) => {
+        const prosign = getProsign(pattern);
+        assert.ok(!prosign || prosign === 'HH', `${command} (${pattern}) is the ${prosign} prosign`);
+    });
+});
+
+test('settings from earlier versions get the new default codes', () => {
+    const saved = { commandPatterns: { ...defaults, acceptSuggestion: '..--', nextSuggestion: '..---.', phraseBoard: '.-..-.' } };
+    assert.equal(migrateSettings(saved), true);
+    assert.equal(saved.commandPatterns.acceptSuggestion, defaults.acceptSuggestion);
+    assert.equal(saved.commandPatterns.nextSuggestion, defaults.nextSuggestion);
+    assert.equal(saved.commandPatterns.phraseBoard, '.-..-.');
+    assert.equal(migrateSettings(saved), false);
+    assert.equal(migrateSettings({}), false);
+});
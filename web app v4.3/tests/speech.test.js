@@ -0,0 +1,27 @@
+// ==================== SPEECH LANGUAGE TESTS ====================
+// Every alphabet in morse.js must have a voice profile in speech.js, or its
+// messages are read by the default voice. From the web app folder run  node --test
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { MORSE_LANGUAGE_TABLES } = require('../morse.js');
+const { SPEECH_LANGUAGE_TAGS, getVoicesForLanguage, findVoice } = require('../speech.js');
+
+test('every alphabet has the speech language of its table', () => {
+    Object.entries(MORSE_LANGUAGE_TABLES).forEach(([language, table]) => {
+        assert.equal(SPEECH_LANGUAGE_TAGS[language], table.lang, `${language} (${table.name})`);
+    });
+});
+
+test('finds Russian and Greek voices by tag or by name', () => {
+    const voices = [
+        { name: 'Google US English', lang: 'en-US', voiceURI: 'en' },
+        { name: 'Milena', lang: 'ru_RU', voiceURI: 'milena' },
+        { name: 'Microsoft Stefanos - Greek', lang: '', voiceURI: 'stefanos' }
+    ];
+
+    assert.deepEqual(getVoicesForLanguage(voices, 'ru').map(voice => voice.voiceURI), ['milena']);
+    assert.equal(findVoice(voices, 'el').voiceURI, 'stefanos');
+    assert.equal(findVoice(voices, 'ja'), null);
+});
@@ -0,0 +1,219 @@
+// ==================== TRANSLATION PROVIDER TESTS ====================
+// Runs the providers in translation.js against a local mock LibreTranslate
+// server. No packages needed: from the web app folder run  node --test
+
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { test, describe, after } = require('node:test');
+
+const {
+    PhrasebookProvider,
+    LibreTranslateProvider,
+    TranslationService,
+    createTranslationService,
+    detectTextLanguage
+} = require('../translation.js');
+
+const servers = [];
+
+/**
+ * Start a mock LibreTranslate server on a free local port
+ * @param {Function} handler - (request, body) => { status, body, delay } for each request
+ * @returns {Promise<Object>} - { url, requests }
+ */
+function startMockServer(handler) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let raw = '';
+        request.on('data', chunk => { raw += chunk; });
+        request.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            requests.push({ method: request.method, path: request.url, body });
+
+            const reply = handler(request, body) || { status: 404, body: { error: 'Not found' } };
+            setTimeout(() => {
+                if (response.destroyed) return;
+                response.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+                response.end(JSON.stringify(reply.body));
+            }, reply.delay || 0);
+        });
+    });
+    servers.push(server);
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ url: `http://127.0.0.1:${server.address().port}`, requests });
+        });
+    });
+}
+
+/**
+ * Mock answers of a LibreTranslate server offering English and Bangla
+ */
+function libreTranslate(request, body) {
+    if (request.url === '/languages') {
+        return { body: [{ code: 'en', name: 'English' }, { code: 'bn', name: 'Bengali' }] };
+    }
+    if (request.url === '/translate') {
+        const unsupported = [body.source, body.target].find(code => !['en', 'bn'].includes(code));
+        if (unsupported) {
+            return { status: 400, body: { error: `${unsupported} is not supported` } };
+        }
+        return { body: { translatedText: `[${body.target}] ${body.q}` } };
+    }
+    return null;
+}
+
+after(() => {
+    servers.forEach(server => {
+        server.closeAllConnections();
+        server.close();
+    });
+});
+
+test('detectTextLanguage tells the alphabets apart by script', () => {
+    assert.equal(detectTextLanguage('I need water'), 'en');
+    assert.equal(detectTextLanguage('আমার পানি দরকার'), 'bn');
+    assert.equal(detectTextLanguage('МНЕ НУЖНА ВОДА'), 'ru');
+    assert.equal(detectTextLanguage('ΘΕΛΩ ΝΕΡΟ'), 'el');
+    assert.equal(detectTextLanguage('ミズ'), 'ja');
+    assert.equal(detectTextLanguage(''), 'en');
+});
+
+describe('PhrasebookProvider', () => {
+    const phrasebook = new PhrasebookProvider();
+
+    test('translates care phrases both ways', async () => {
+        assert.equal(await phrasebook.translate('I need water', 'en', 'bn'), 'আমার পানি দরকার');
+        assert.equal(await phrasebook.translate('আমার পানি দরকার', 'bn', 'en'), 'I NEED WATER');
+        assert.equal(await phrasebook.translate('Thank you. Good night', 'en', 'bn'), 'ধন্যবাদ। শুভ রাত্রি।');
+    });
+
+    test('reports words it does not know as not found', async () => {
+        await assert.rejects(phrasebook.translate('I need a taxi', 'en', 'bn'), error => {
+            assert.equal(error.notFound, true);
+            assert.match(error.message, /TAXI/);
+            return true;
+        });
+    });
+
+    test('does not support other language pairs', async () => {
+        assert.equal(phrasebook.supports('en', 'bn'), true);
+        assert.equal(phrasebook.supports('en', 'fr'), false);
+        await assert.rejects(phrasebook.translate('Water', 'en', 'fr'), /no en to fr phrases/);
+    });
+});
+
+describe('LibreTranslateProvider', () => {
+    test('posts the message and returns the translation', async () => {
+        const server = await startMockServer(libreTranslate);
+        const provider = new LibreTranslateProvider(`${server.url}/`);
+
+        assert.equal(await provider.translate('Open the door', 'en', 'bn'), '[bn] Open the door');
+        assert.deepEqual(server.requests[0], {
+            method: 'POST',
+            path: '/translate',
+            body: { q: 'Open the door', source: 'en', target: 'bn', format: 'text' }
+        });
+        assert.deepEqual(await provider.getLanguages(), ['en', 'bn']);
+    });
+
+    test('passes on the server error for an unsupported language pair', async () => {
+        const server = await startMockServer(libreTranslate);
+        const provider = new LibreTranslateProvider(server.url);
+
+        await assert.rejects(provider.translate('Open the door', 'en', 'fr'), /fr is not supported/);
+    });
+
+    test('gives up on a server that does not answer in time', async () => {
+        const server = await startMockServer(() => ({ body: { translatedText: 'too late' }, delay: 1000 }));
+        const provider = new LibreTranslateProvider(server.url, { timeout: 100 });
+
+        await assert.rejects(provider.translate('Open the door', 'en', 'bn'), /No answer from/);
+    });
+
+    test('rejects empty and unchanged answers', async () => {
+        const server = await startMockServer((request, body) => ({
+            body: { translatedText: body.q === 'echo' ? 'ECHO' : '' }
+        }));
+        const provider = new LibreTranslateProvider(server.url);
+
+        await assert.rejects(provider.translate('echo', 'en', 'bn'), /unchanged/);
+        await assert.rejects(provider.translate('silence', 'en', 'bn'), /no translation/);
+    });
+});
+
+describe('TranslationService', () => {
+    test('answers from the phrasebook without asking a server', async () => {
+        const server = await startMockServer(libreTranslate);
+        const service = createTranslationService({ translationServerUrl: server.url });
+
+        const result = await service.translate('I need water', { target: 'bn' });
+        assert.equal(result.provider, 'phrasebook');
+        assert.equal(result.offline, true);
+        assert.equal(server.requests.length, 0);
+    });
+
+    test('falls back to the server when the phrasebook does not cover the text', async () => {
+        const server = await startMockServer(libreTranslate);
+        const attempts = [];
+        const service = createTranslationService({ translationServerUrl: server.url }, {
+            onAttempt: (id, outcome) => attempts.push({ id, ...outcome })
+        });
+
+        const result = await service.translate('Open the door', { target: 'bn' });
+        assert.equal(result.text, '[bn] Open the door');
+        assert.equal(result.provider, `libretranslate:${server.url}`);
+        assert.equal(result.offline, false);
+        assert.deepEqual(attempts.map(attempt => [attempt.id, attempt.success, attempt.notFound]), [
+            ['phrasebook', false, true],
+            [`libretranslate:${server.url}`, true, undefined]
+        ]);
+    });
+
+    test('moves on from a failing or slow server to the next one', async () => {
+        const broken = await startMockServer(() => ({ status: 500, body: { error: 'Model not loaded' } }));
+        const slow = await startMockServer(() => ({ body: { translatedText: 'too late' }, delay: 1000 }));
+        const working = await startMockServer(libreTranslate);
+        const service = createTranslationService({
+            translationServerUrl: [broken.url, slow.url, working.url].join(', ')
+        }, { timeout: 100 });
+
+        const result = await service.translate('Open the door', { target: 'bn' });
+        assert.equal(result.provider, `libretranslate:${working.url}`);
+        assert.deepEqual(result.attempts.map(attempt => attempt.error.replace(/ within .*/, '')), [
+            'Not in the phrasebook: OPEN, THE, DOOR',
+            'Model not loaded',
+            `No answer from ${slow.url}`
+        ]);
+    });
+
+    test('reports every failure when no provider can translate the pair', async () => {
+        const server = await startMockServer(libreTranslate);
+
+        await assert.rejects(new TranslationService([new PhrasebookProvider()]).translate('Water', { target: 'fr' }),
+            /No translation provider for en to fr/);
+
+        const service = createTranslationService({ translationServerUrl: server.url });
+        await assert.rejects(service.translate('Water', { target: 'fr' }), error => {
+            assert.match(error.message, /fr is not supported/);
+            assert.equal(error.attempts.length, 1);
+            return true;
+        });
+    });
+
+    test('serves repeated server translations from the cache', async () => {
+        const server = await startMockServer(libreTranslate);
+        const entries = new Map();
+        const cache = {
+            get: (text, source, target) => entries.get(`${source}|${target}|${text}`),
+            set: (text, source, target, result) => entries.set(`${source}|${target}|${text}`, result)
+        };
+        const service = createTranslationService({ translationServerUrl: server.url }, { cache });
+
+        await service.translate('Open the door', { target: 'bn' });
+        const result = await service.translate('Open the door', { target: 'bn' });
+        assert.equal(result.cached, true);
+        assert.equal(server.requests.length, 1);
+    });
+});
@@ -0,0 +1,341 @@
+// ==================== ADAPTIVE BLINK TIMING CLASSIFIER ====================
+// Learns the user's own dot/dash boundary and letter/word gaps from raw blink
+// durations instead of relying on the fixed DOT_TH / CHAR_GAP / WORD_GAP
+// constants compiled into the firmware.
+
+const TIMING_DEFAULTS = {
+    dotThreshold: 300,   // Same as DOT_TH in the firmware
+    letterGap: 2000,     // Same as CHAR_GAP in the firmware
+    wordGap: 5000,       // Same as WORD_GAP in the firmware
+    windowSize: 40,      // Number of recent blinks/gaps used for learning
+    minSamples: 6,       // Samples needed before the defaults are adapted
+    minClusterRatio: 1.5, // Clusters closer than this are treated as one
+    longBlink: 1500      // Deliberate long blink (command), never a dash
+};
+
+// Hard limits so a bad calibration can never lock the user out
+const TIMING_LIMITS = {
+    dotThreshold: { min: 80, max: 2000 },
+    letterGap: { min: 300, max: 10000 },
+    wordGap: { min: 800, max: 30000 }
+};
+
+/**
+ * Clamp a value into a range
+ * @param {number} value - Value to clamp
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Clamped value
+ */
+function clampValue(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * One-dimensional k-means clustering
+ * @param {Array<number>} values - Values to cluster
+ * @param {Array<number>} initialCenters - Starting centers (defines k)
+ * @param {number} iterations - Maximum iterations
+ * @returns {Array<Object>} - Non-empty clusters sorted by center ({ center, count })
+ */
+function kMeans1D(values, initialCenters, iterations = 20) {
+    let centers = [...initialCenters];
+    let assignments = [];
+
+    for (let iter = 0; iter < iterations; iter++) {
+        assignments = values.map(value => {
+            let best = 0;
+            centers.forEach((center, index) => {
+                if (Math.abs(value - center) < Math.abs(value - centers[best])) {
+                    best = index;
+                }
+            });
+            return best;
+        });
+
+        const nextCenters = centers.map((center, index) => {
+            const members = values.filter((_, i) => assignments[i] === index);
+            return members.length > 0
+                ? members.reduce((sum, value) => sum + value, 0) / members.length
+                : center;
+        });
+
+        const converged = nextCenters.every((center, index) => Math.abs(center - centers[index]) < 1e-6);
+        centers = nextCenters;
+        if (converged) break;
+    }
+
+    return centers
+        .map((center, index) => ({
+            center,
+            count: assignments.filter(a => a === index).length
+        }))
+        .filter(cluster => cluster.count > 0)
+        .sort((a, b) => a.center - b.center);
+}
+
+/**
+ * Merge clusters whose centers are too close to be different symbols
+ * @param {Array<Object>} clusters - Sorted clusters in log space
+ * @param {number} minRatio - Minimum linear ratio between neighbouring centers
+ * @returns {Array<Object>} - Merged clusters
+ */
+function mergeCloseClusters(clusters, minRatio) {
+    const minLogDistance = Math.log(minRatio);
+    const merged = [];
+
+    clusters.forEach(cluster => {
+        const last = merged[merged.length - 1];
+        if (last && cluster.center - last.center < minLogDistance) {
+            const count = last.count + cluster.count;
+            last.center = (last.center * last.count + cluster.center * cluster.count) / count;
+            last.count = count;
+        } else {
+            merged.push({ ...cluster });
+        }
+    });
+
+    return merged;
+}
+
+/**
+ * Adaptive classifier for raw blink durations and the silences between them
+ */
+class BlinkTimingClassifier {
+    /**
+     * @param {Object} options - Overrides for TIMING_DEFAULTS
+     */
+    constructor(options = {}) {
+        this.options = { ...TIMING_DEFAULTS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forget everything learned and go back to the configured defaults
+     */
+    reset() {
+        this.durations = [];
+        this.gaps = [];
+        this.lastBlinkEnd = null;
+
+        this.dotThreshold = this.options.dotThreshold;
+        this.letterGap = this.options.letterGap;
+        this.wordGap = this.options.wordGap;
+
+        // Typical Morse proportions around the starting boundary
+        this.dotCenter = this.dotThreshold / 1.7;
+        this.dashCenter = this.dotThreshold * 1.7;
+    }
+
+    /**
+     * Classify one blink and learn from it
+     * @param {number} duration - Blink (eye closed) duration in ms
+     * @param {number} endTime - Time the blink ended in ms (device or local clock)
+     * @returns {Object} - { symbol, duration, confidence, gap }
+     */
+    classifyBlink(duration, endTime = Date.now()) {
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error('Invalid blink duration');
+        }
+
+        // Silence between the previous blink and this one
+        let gap = null;
+        if (this.lastBlinkEnd !== null) {
+            gap = endTime - duration - this.lastBlinkEnd;
+            // Long idle pauses say nothing about the user's rhythm
+            if (gap > 0 && gap < this.wordGap * 3) {
+                this.pushSample(this.gaps, gap);
+                this.learnGaps();
+            }
+        }
+        this.lastBlinkEnd = endTime;
+
+        this.pushSample(this.durations, duration);
+        this.learnSymbols();
+
+        const symbol = duration < this.dotThreshold ? '.' : '-';
+
+        return {
+            symbol,
+            duration,
+            confidence: this.getConfidence(duration),
+            gap
+        };
+    }
+
+    /**
+     * Whether a blink is a deliberate long blink rather than a dash
+     * @param {number} duration - Blink duration in ms
+     * @returns {boolean}
+     */
+    isLongBlink(duration) {
+        return duration >= Math.max(this.options.longBlink, this.dashCenter * 2.5);
+    }
+
+    /**
+     * Classify a silence since the last blink ended
+     * @param {number} silence - Silence duration in ms
+     * @returns {string} - 'element', 'letter' or 'word'
+     */
+    classifyGap(silence) {
+        if (silence >= this.wordGap) return 'word';
+        if (silence >= this.letterGap) return 'letter';
+        return 'element';
+    }
+
+    /**
+     * Confidence that a duration was classified correctly
+     * @param {number} duration - Blink duration in ms
+     * @returns {number} - 0.5 at the boundary, 1.0 at or beyond the cluster center
+     */
+    getConfidence(duration) {
+        const logDuration = Math.log(duration);
+        const logBoundary = Math.log(this.dotThreshold);
+        const center = duration < this.dotThreshold ? this.dotCenter : this.dashCenter;
+        const halfSpread = Math.abs(Math.log(center) - logBoundary) || 1;
+
+        return 0.5 + 0.5 * clampValue(Math.abs(logDuration - logBoundary) / halfSpread, 0, 1);
+    }
+
+    /**
+     * Current learned thresholds
+     * @returns {Object} - { dotThreshold, letterGap, wordGap, dotCenter, dashCenter, samples }
+     */
+    getThresholds() {
+        return {
+            dotThreshold: Math.round(this.dotThreshold),
+            letterGap: Math.round(this.letterGap),
+            wordGap: Math.round(this.wordGap),
+            dotCenter: Math.round(this.dotCenter),
+            dashCenter: Math.round(this.dashCenter),
+            samples: this.durations.length
+        };
+    }
+
+    /**
+     * Add a sample to a sliding window
+     * @param {Array<number>} window - Sample window
+     * @param {number} value - New sample
+     */
+    pushSample(window, value) {
+        window.push(value);
+        if (window.length > this.options.windowSize) {
+            window.shift();
+        }
+    }
+
+    /**
+     * Re-estimate the dot/dash boundary (2-means over log durations)
+     */
+    learnSymbols() {
+        if (this.durations.length < this.options.minSamples) return;
+
+        // Seed from the extremes so a user far from the defaults still splits
+        const logDurations = this.durations.map(Math.log);
+        const clusters = mergeCloseClusters(
+            kMeans1D(logDurations, [Math.min(...logDurations), Math.max(...logDurations)]),
+            this.options.minClusterRatio
+        );
+
+        // Only dots or only dashes lately: keep the boundary we have
+        if (clusters.length < 2) return;
+
+        this.dotCenter = Math.exp(clusters[0].center);
+        this.dashCenter = Math.exp(clusters[clusters.length - 1].center);
+
+        const limits = TIMING_LIMITS.dotThreshold;
+        this.dotThreshold = clampValue(Math.sqrt(this.dotCenter * this.dashCenter), limits.min, limits.max);
+    }
+
+    /**
+     * Re-estimate the letter and word gaps (up to 3-means over log gaps)
+     */
+    learnGaps() {
+        if (this.gaps.length < this.options.minSamples) return;
+
+        const logGaps = this.gaps.map(Math.log);
+        const shortest = Math.min(...logGaps);
+        const longest = Math.max(...logGaps);
+        const clusters = mergeCloseClusters(
+            kMeans1D(logGaps, [shortest, (shortest + longest) / 2, longest]),
+            this.options.minClusterRatio
+        );
+
+        // Every pause looks the same: nothing to separate yet
+        if (clusters.length < 2) return;
+
+        const centers = clusters.map(cluster => Math.exp(cluster.center));
+        const letterLimits = TIMING_LIMITS.letterGap;
+        const wordLimits = TIMING_LIMITS.wordGap;
+
+        this.letterGap = clampValue(Math.sqrt(centers[0] * centers[1]), letterLimits.min, letterLimits.max);
+
+        const wordGap = centers.length >= 3
+            ? Math.sqrt(centers[1] * centers[2])
+            : this.letterGap * (this.options.wordGap / this.options.letterGap);
+        this.wordGap = clampValue(Math.max(wordGap, this.letterGap * this.options.minClusterRatio), wordLimits.min, wordLimits.max);
+    }
+
+    /**
+     * Serializable state for persistence
+     * @returns {Object} - Classifier state
+     */
+    toJSON() {
+        return {
+            dotThreshold: this.dotThreshold,
+            letterGap: this.letterGap,
+            wordGap: this.wordGap,
+            dotCenter: this.dotCenter,
+            dashCenter: this.dashCenter,
+            durations: this.durations,
+            gaps: this.gaps,
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Restore a classifier from saved state
+     * @param {Object} state - State from toJSON()
+     * @param {Object} options - Overrides for TIMING_DEFAULTS
+     * @returns {BlinkTimingClassifier} - Restored classifier
+     */
+    static fromJSON(state, options = {}) {
+        const classifier = new BlinkTimingClassifier(options);
+        if (!state || typeof state !== 'object') return classifier;
+
+        ['dotThreshold', 'letterGap', 'wordGap', 'dotCenter', 'dashCenter'].forEach(key => {
+            if (Number.isFinite(state[key]) && state[key] > 0) {
+                classifier[key] = state[key];
+            }
+        });
+
+        if (Array.isArray(state.durations)) {
+            classifier.durations = state.durations.filter(Number.isFinite).slice(-classifier.options.windowSize);
+        }
+        if (Array.isArray(state.gaps)) {
+            classifier.gaps = state.gaps.filter(Number.isFinite).slice(-classifier.options.windowSize);
+        }
+
+        return classifier;
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TIMING_DEFAULTS,
+        BlinkTimingClassifier,
+        kMeans1D
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.BlinkTiming = {
+        TIMING_DEFAULTS,
+        BlinkTimingClassifier,
+        kMeans1D
+    };
+}
@@ -0,0 +1,146 @@
+// ==================== FETCH MEDIAPIPE FILES ====================
+// Downloads the face landmark library and model used by camera input
+// (camera.js) into vendor/mediapipe, so they are served with the app and
+// nothing is fetched at run time. Every file is checked against a pinned hash.
+//
+// Usage (Node 18 or later, no packages needed):
+//   node tools/fetch-mediapipe.js          Download and check the files
+//   node tools/fetch-mediapipe.js --pin    Print the hashes of newly downloaded files to pin below
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const VENDOR_DIR = path.join(__dirname, '..', 'vendor', 'mediapipe');
+
+// Library and WebAssembly runtime, from the npm registry (Apache-2.0)
+const MEDIAPIPE_PACKAGE = {
+    name: '@mediapipe/tasks-vision',
+    version: '0.10.21',
+    tarball: 'https://registry.npmjs.org/@mediapipe/tasks-vision/-/tasks-vision-0.10.21.tgz',
+    integrity: 'sha512-TuhKH+credq4zLksGbYrnvJ1aLIWMc5r0UHwzxzql4BHECJwIAoBR61ZrqwGOW6ZmSBIzU1t4VtKj8hbxFaKeA==',
+    files: [
+        'vision_bundle.mjs',
+        'wasm/vision_wasm_internal.js',
+        'wasm/vision_wasm_internal.wasm',
+        'wasm/vision_wasm_nosimd_internal.js',
+        'wasm/vision_wasm_nosimd_internal.wasm'
+    ]
+};
+
+// Face Landmarker model, version 1 (Apache-2.0, see the MediaPipe model card)
+const FACE_MODEL = {
+    url: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+    file: 'face_landmarker.task',
+    sha256: null // Not pinned yet: run with --pin once and paste the printed hash here
+};
+
+/**
+ * Download a file
+ * @param {string} url - Address
+ * @returns {Promise<Buffer>}
+ */
+async function download(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`${url} answered ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Hash of a buffer
+ * @param {string} algorithm - 'sha256' or 'sha512'
+ * @param {Buffer} data - Data
+ * @param {string} encoding - 'hex' or 'base64'
+ * @returns {string}
+ */
+function getHash(algorithm, data, encoding) {
+    return crypto.createHash(algorithm).update(data).digest(encoding);
+}
+
+/**
+ * Files in a .tgz package
+ * @param {Buffer} tgz - Gzipped tar archive
+ * @returns {Map<string, Buffer>} - Path (without the leading package/) to contents
+ */
+function readTarball(tgz) {
+    const tar = zlib.gunzipSync(tgz);
+    const files = new Map();
+    const readString = (start, length) => tar.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+
+    for (let offset = 0; offset + 512 <= tar.length;) {
+        const name = readString(offset, 100);
+        if (!name) break;
+
+        const prefix = readString(offset + 345, 155);
+        const size = parseInt(readString(offset + 124, 12).trim() || '0', 8);
+        const type = readString(offset + 156, 1);
+        const fullName = prefix ? `${prefix}/${name}` : name;
+
+        if (type === '' || type === '0') {
+            files.set(fullName.replace(/^package\//, ''), tar.subarray(offset + 512, offset + 512 + size));
+        }
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+/**
+ * Write a file below vendor/mediapipe
+ * @param {string} name - Relative path
+ * @param {Buffer|string} data - Contents
+ */
+function writeVendorFile(name, data) {
+    const target = path.join(VENDOR_DIR, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+    console.log(`  ${path.relative(process.cwd(), target)}`);
+}
+
+async function main() {
+    const pin = process.argv.includes('--pin');
+
+    console.log(`Downloading ${MEDIAPIPE_PACKAGE.name}@${MEDIAPIPE_PACKAGE.version}...`);
+    const tgz = await download(MEDIAPIPE_PACKAGE.tarball);
+    const integrity = `sha512-${getHash('sha512', tgz, 'base64')}`;
+    if (integrity !== MEDIAPIPE_PACKAGE.integrity) {
+        throw new Error(`${MEDIAPIPE_PACKAGE.name} does not match its pinned integrity (got ${integrity})`);
+    }
+
+    const packageFiles = readTarball(tgz);
+    const missing = MEDIAPIPE_PACKAGE.files.filter(name => !packageFiles.has(name));
+    if (missing.length > 0) {
+        throw new Error(`${MEDIAPIPE_PACKAGE.name} has no ${missing.join(', ')}`);
+    }
+
+    console.log('Downloading the face landmarker model...');
+    const model = await download(FACE_MODEL.url);
+    const modelHash = getHash('sha256', model, 'hex');
+    if (!FACE_MODEL.sha256) {
+        if (!pin) {
+            throw new Error(`The model hash is not pinned - check the download and run again with --pin (got sha256 ${modelHash})`);
+        }
+        console.log(`Pin this in FACE_MODEL.sha256: '${modelHash}'`);
+    } else if (modelHash !== FACE_MODEL.sha256) {
+        throw new Error(`${FACE_MODEL.file} does not match its pinned sha256 (got ${modelHash})`);
+    }
+
+    console.log('Writing:');
+    MEDIAPIPE_PACKAGE.files.forEach(name => writeVendorFile(name, packageFiles.get(name)));
+    writeVendorFile(FACE_MODEL.file, model);
+    writeVendorFile('NOTICE.txt', [
+        `${MEDIAPIPE_PACKAGE.name} ${MEDIAPIPE_PACKAGE.version} (${MEDIAPIPE_PACKAGE.tarball})`,
+        `${FACE_MODEL.file} (${FACE_MODEL.url})`,
+        '',
+        'Copyright Google LLC. Licensed under the Apache License, Version 2.0:',
+        'http://www.apache.org/licenses/LICENSE-2.0',
+        ''
+    ].join('\n'));
+}
+
+main().catch(error => {
+    console.error(`fetch-mediapipe: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,419 @@
+// ==================== MORSE TRAINER ====================
+// Koch-method course for learning to blink Morse: prompts come from
+// generatePracticeSequences / generateRandomPractice (morse.js), every attempt is
+// graded, and a new character unlocks once the known ones are reliable.
+
+// Koch order: start with two characters at full speed and add one at a time
+const KOCH_ORDER = [
+    'K', 'M', 'U', 'R', 'E', 'S', 'N', 'A', 'P', 'T',
+    'L', 'W', 'I', '.', 'J', 'Z', '=', 'F', 'O', 'Y',
+    ',', 'V', 'G', '5', '/', 'Q', '9', '2', 'H', '3',
+    '8', 'B', '?', '4', '7', 'C', '1', 'D', '6', '0', 'X'
+];
+
+const TRAINER_MODES = {
+    letters: 'Letters',
+    words: 'Words',
+    sentences: 'Sentences'
+};
+
+const TRAINER_DEFAULTS = {
+    startLetters: 2,
+    unlockAccuracy: 0.9, // Recent accuracy needed over all unlocked characters
+    minAttempts: 5,      // Recent attempts needed on each unlocked character
+    recentWindow: 20,    // Attempts per character that count as "recent"
+    historyDays: 60,
+    promptChoices: 8     // Easiest candidates a word/sentence prompt is drawn from
+};
+
+/**
+ * Today's date as YYYY-MM-DD (local time)
+ * @param {number} now - Timestamp
+ * @returns {string}
+ */
+function getTrainerDay(now) {
+    const date = new Date(now);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Koch course state, prompts and grading
+ */
+class MorseTrainer {
+    /**
+     * @param {Object} progress - Saved progress from toJSON()
+     * @param {Object} options - Overrides for TRAINER_DEFAULTS, plus random() for tests
+     */
+    constructor(progress = {}, options = {}) {
+        this.options = { ...TRAINER_DEFAULTS, ...options };
+        this.random = options.random || Math.random;
+        this.level = Math.min(Math.max(progress.level || this.options.startLetters, this.options.startLetters), KOCH_ORDER.length);
+        this.stats = progress.stats || {};
+        this.history = progress.history || [];
+        this.current = null;
+    }
+
+    /**
+     * Characters learned so far
+     * @returns {Array<string>}
+     */
+    getUnlocked() {
+        return KOCH_ORDER.slice(0, this.level);
+    }
+
+    /**
+     * Whether every character of a text (ignoring spaces) is unlocked
+     * @param {string} text - Candidate prompt
+     * @returns {boolean}
+     */
+    isPracticable(text) {
+        const unlocked = new Set(this.getUnlocked());
+        return Array.from(text.replace(/\s/g, '')).every(char => unlocked.has(char));
+    }
+
+    /**
+     * Pick one item, favouring higher weights
+     * @param {Array} items - Items
+     * @param {Function} weight - item => weight
+     * @returns {*}
+     */
+    pickWeighted(items, weight) {
+        const weights = items.map(weight);
+        let roll = this.random() * weights.reduce((sum, value) => sum + value, 0);
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    /**
+     * Next character to drill: weak, new and rarely practised characters come up more
+     * @returns {string}
+     */
+    pickLetter() {
+        const unlocked = this.getUnlocked();
+        const newest = unlocked[unlocked.length - 1];
+
+        return this.pickWeighted(unlocked, char => {
+            const stats = this.getCharacterStats(char);
+            const unpractised = stats.recentAttempts < this.options.minAttempts ? 2 : 0;
+            return 1 + (1 - stats.recentAccuracy) * 3 + unpractised + (char === newest ? 2 : 0);
+        });
+    }
+
+    /**
+     * A random group of unlocked characters
+     * @param {number} length - Characters in the group
+     * @returns {string}
+     */
+    randomGroup(length) {
+        const unlocked = new Set(this.getUnlocked());
+        const drawn = Array.from(generateRandomPractice(length * 6, 'letters').replace(/\s/g, ''))
+            .filter(char => unlocked.has(char));
+
+        while (drawn.length < length) {
+            drawn.push(this.pickLetter());
+        }
+        return drawn.slice(0, length).join('');
+    }
+
+    /**
+     * Choose among the easiest candidates so prompts grow harder with the course
+     * @param {Array<string>} candidates - Practicable prompts
+     * @returns {string|null}
+     */
+    pickEasy(candidates) {
+        if (candidates.length === 0) return null;
+
+        const ranked = [...new Set(candidates)]
+            .map(text => ({ text, score: calculateComplexity(text).score }))
+            .sort((a, b) => a.score - b.score)
+            .slice(0, this.options.promptChoices);
+        return ranked[Math.floor(this.random() * ranked.length)].text;
+    }
+
+    /**
+     * Build the next prompt
+     * @param {string} mode - TRAINER_MODES key
+     * @returns {Object} - { text, mode, tip }
+     */
+    nextPrompt(mode = 'letters') {
+        const sequences = [
+            ...generatePracticeSequences('beginner'),
+            ...generatePracticeSequences('intermediate'),
+            ...generatePracticeSequences('advanced')
+        ].filter(text => this.isPracticable(text));
+        const words = sequences.filter(text => text.length > 1 && !/\s/.test(text));
+
+        let text;
+        if (mode === 'sentences') {
+            const sentences = sequences.filter(text => /\s/.test(text));
+            // Until real sentences are practicable, string known words or groups together
+            text = this.pickEasy(sentences) || Array.from({ length: 3 }, () =>
+                this.pickEasy(words) || this.randomGroup(3)).join(' ');
+        } else if (mode === 'words') {
+            text = (this.random() < 0.5 && this.pickEasy(words)) || this.randomGroup(3 + Math.floor(this.random() * 3));
+        } else {
+            text = this.pickLetter();
+        }
+
+        return {
+            text,
+            mode,
+            tip: getLearningRecommendations(text).suggestions[0] || ''
+        };
+    }
+
+    /**
+     * Show a new prompt and start timing the attempt
+     * @param {string} mode - TRAINER_MODES key
+     * @param {number} now - Timestamp
+     * @returns {Object} - The prompt
+     */
+    start(mode = 'letters', now = Date.now()) {
+        const prompt = this.nextPrompt(mode);
+        this.current = { ...prompt, entered: '', patterns: [], times: [], startedAt: now, lastAt: now };
+        return prompt;
+    }
+
+    /**
+     * Characters the attempt still needs
+     * @returns {number}
+     */
+    getRemaining() {
+        if (!this.current) return 0;
+        return this.current.text.replace(/\s/g, '').length - this.current.entered.replace(/\s/g, '').length;
+    }
+
+    /**
+     * Add a blinked letter to the attempt
+     * @param {string} char - Decoded character ('?' if unknown)
+     * @param {string} pattern - Pattern that was blinked
+     * @param {number} now - Timestamp
+     * @returns {Object|null} - Grade once the attempt is complete
+     */
+    addLetter(char, pattern, now = Date.now()) {
+        if (!this.current) return null;
+
+        this.current.entered += char;
+        this.current.patterns.push(pattern);
+        this.current.times.push(now - this.current.lastAt);
+        this.current.lastAt = now;
+
+        return this.getRemaining() <= 0 ? this.grade(now) : null;
+    }
+
+    /**
+     * A word gap: separates words in sentences and ends a word attempt early
+     * @param {number} now - Timestamp
+     * @returns {Object|null} - Grade if the gap ended the attempt
+     */
+    addWordGap(now = Date.now()) {
+        const current = this.current;
+        if (!current || !current.entered.trim()) return null;
+
+        if (current.mode === 'words') {
+            return this.grade(now);
+        }
+        if (!current.entered.endsWith(' ')) {
+            current.entered += ' ';
+        }
+        return null;
+    }
+
+    /**
+     * Grade the attempt, record the statistics and check for a Koch unlock
+     * @param {number} now - Timestamp
+     * @returns {Object} - { text, entered, mode, chars: [{ char, actual, pattern, expected, correct, time }], correct, accuracy, duration, unlocked }
+     */
+    grade(now = Date.now()) {
+        const current = this.current;
+        if (!current) return null;
+        this.current = null;
+
+        // Letters are compared in order; missed word gaps do not count against the attempt
+        const actual = Array.from(current.entered.replace(/\s/g, ''));
+        const chars = Array.from(current.text.replace(/\s/g, '')).map((char, index) => ({
+            char,
+            actual: actual[index] || '',
+            pattern: current.patterns[index] || '',
+            expected: encodeToMorse(char),
+            correct: actual[index] === char,
+            time: current.times[index] ?? null
+        }));
+
+        chars.forEach(result => this.record(result.char, result.correct, result.time));
+        this.recordDay(chars, now);
+
+        const correctCount = chars.filter(result => result.correct).length;
+        return {
+            text: current.text,
+            entered: current.entered.trim(),
+            mode: current.mode,
+            chars,
+            correct: correctCount === chars.length,
+            accuracy: chars.length > 0 ? correctCount / chars.length : 0,
+            duration: now - current.startedAt,
+            unlocked: this.checkUnlock()
+        };
+    }
+
+    /**
+     * Drop the current attempt without grading it
+     */
+    skip() {
+        this.current = null;
+    }
+
+    /**
+     * Record one graded character
+     * @param {string} char - Expected character
+     * @param {boolean} correct - Whether it was blinked correctly
+     * @param {number|null} time - ms it took
+     */
+    record(char, correct, time) {
+        const stats = this.stats[char] || { attempts: 0, correct: 0, recent: [], totalTime: 0, timed: 0, bestTime: null };
+
+        stats.attempts++;
+        stats.recent = [...stats.recent, correct ? 1 : 0].slice(-this.options.recentWindow);
+        if (correct) {
+            stats.correct++;
+            // Only correct answers say how fast a character is known
+            if (time !== null && time > 0) {
+                stats.totalTime += time;
+                stats.timed++;
+                stats.bestTime = stats.bestTime === null ? time : Math.min(stats.bestTime, time);
+            }
+        }
+        this.stats[char] = stats;
+    }
+
+    /**
+     * Add graded characters to today's totals
+     * @param {Array<Object>} chars - Graded characters
+     * @param {number} now - Timestamp
+     */
+    recordDay(chars, now) {
+        const date = getTrainerDay(now);
+        let day = this.history[this.history.length - 1];
+        if (!day || day.date !== date) {
+            day = { date, attempts: 0, correct: 0, totalTime: 0, timed: 0, level: this.level };
+            this.history.push(day);
+        }
+
+        chars.forEach(result => {
+            day.attempts++;
+            if (result.correct) {
+                day.correct++;
+                if (result.time !== null && result.time > 0) {
+                    day.totalTime += result.time;
+                    day.timed++;
+                }
+            }
+        });
+        day.level = this.level;
+        this.history = this.history.slice(-this.options.historyDays);
+    }
+
+    /**
+     * Unlock the next Koch character once the current set is reliable
+     * @returns {string|null} - Newly unlocked character
+     */
+    checkUnlock() {
+        if (this.level >= KOCH_ORDER.length) return null;
+
+        const unlocked = this.getUnlocked().map(char => this.getCharacterStats(char));
+        if (unlocked.some(stats => stats.recentAttempts < this.options.minAttempts)) return null;
+
+        const attempts = unlocked.reduce((sum, stats) => sum + stats.recentAttempts, 0);
+        const correct = unlocked.reduce((sum, stats) => sum + stats.recentCorrect, 0);
+        if (correct / attempts < this.options.unlockAccuracy) return null;
+
+        this.level++;
+        const char = KOCH_ORDER[this.level - 1];
+        if (this.history.length > 0) {
+            this.history[this.history.length - 1].level = this.level;
+        }
+        return char;
+    }
+
+    /**
+     * Accuracy and speed for one character
+     * @param {string} char - Character
+     * @returns {Object} - { char, pattern, attempts, accuracy, recentAttempts, recentCorrect, recentAccuracy, avgTime, bestTime }
+     */
+    getCharacterStats(char) {
+        const stats = this.stats[char] || { attempts: 0, correct: 0, recent: [], totalTime: 0, timed: 0, bestTime: null };
+        const recentCorrect = stats.recent.reduce((sum, value) => sum + value, 0);
+
+        return {
+            char,
+            pattern: encodeToMorse(char),
+            attempts: stats.attempts,
+            accuracy: stats.attempts > 0 ? stats.correct / stats.attempts : 0,
+            recentAttempts: stats.recent.length,
+            recentCorrect,
+            recentAccuracy: stats.recent.length > 0 ? recentCorrect / stats.recent.length : 0,
+            avgTime: stats.timed > 0 ? Math.round(stats.totalTime / stats.timed) : null,
+            bestTime: stats.bestTime
+        };
+    }
+
+    /**
+     * Course position
+     * @returns {Object} - { level, total, unlocked, next, recentAccuracy, needsPractice }
+     */
+    getProgress() {
+        const unlocked = this.getUnlocked();
+        const stats = unlocked.map(char => this.getCharacterStats(char));
+        const attempts = stats.reduce((sum, entry) => sum + entry.recentAttempts, 0);
+        const correct = stats.reduce((sum, entry) => sum + entry.recentCorrect, 0);
+
+        return {
+            level: this.level,
+            total: KOCH_ORDER.length,
+            unlocked,
+            next: KOCH_ORDER[this.level] || null,
+            recentAccuracy: attempts > 0 ? correct / attempts : 0,
+            needsPractice: stats
+                .filter(entry => entry.recentAttempts < this.options.minAttempts)
+                .map(entry => entry.char)
+        };
+    }
+
+    /**
+     * Serializable progress
+     * @returns {Object} - { level, stats, history }
+     */
+    toJSON() {
+        return {
+            level: this.level,
+            stats: this.stats,
+            history: this.history
+        };
+    }
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KOCH_ORDER,
+        TRAINER_MODES,
+        TRAINER_DEFAULTS,
+        MorseTrainer
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.MorseTraining = {
+        KOCH_ORDER,
+        TRAINER_MODES,
+        TRAINER_DEFAULTS,
+        MorseTrainer
+    };
+}
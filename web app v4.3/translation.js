@@ -0,0 +1,553 @@
+// ==================== TRANSLATION PROVIDERS ====================
+// Pluggable translators tried in order until one answers. The phrasebook
+// works offline and never sends the message anywhere; a LibreTranslate
+// server is only used when the user has configured its URL in settings.
+//
+// A provider is any object with:
+//   id, name, offline            - identification shown in the UI
+//   supports(source, target)     - whether it can handle the language pair
+//   translate(text, source, target) - Promise resolving to the translated text
+// A provider that simply does not cover a text throws an error with
+// notFound = true, so the miss is not counted against its reliability.
+
+const TRANSLATION_LANGUAGES = {
+    en: 'English',
+    bn: 'Bengali',
+    hi: 'Hindi',
+    ur: 'Urdu',
+    es: 'Spanish',
+    fr: 'French',
+    de: 'German',
+    zh: 'Chinese',
+    ja: 'Japanese',
+    ar: 'Arabic',
+    it: 'Italian',
+    sv: 'Swedish',
+    da: 'Danish',
+    pl: 'Polish',
+    ru: 'Russian',
+    el: 'Greek'
+};
+
+// Common care phrases, English -> Bangla. Longer phrases win over the single
+// words at the end, and the reverse direction is built from the same table.
+const TRANSLATION_PHRASEBOOK = {
+    'I NEED WATER': 'আমার পানি দরকার',
+    'I AM THIRSTY': 'আমার পিপাসা লেগেছে',
+    'I AM HUNGRY': 'আমার খিদে পেয়েছে',
+    'I AM IN PAIN': 'আমার ব্যথা হচ্ছে',
+    'I NEED HELP': 'আমার সাহায্য দরকার',
+    'HELP ME': 'আমাকে সাহায্য করুন',
+    'PLEASE HELP': 'দয়া করে সাহায্য করুন',
+    'CALL THE DOCTOR': 'ডাক্তার ডাকুন',
+    'CALL THE NURSE': 'নার্স ডাকুন',
+    'CALL MY FAMILY': 'আমার পরিবারকে ডাকুন',
+    'I NEED THE TOILET': 'আমার টয়লেটে যেতে হবে',
+    'I NEED TO GO TO THE TOILET': 'আমার টয়লেটে যেতে হবে',
+    'I AM COLD': 'আমার ঠান্ডা লাগছে',
+    'I AM HOT': 'আমার গরম লাগছে',
+    'I AM TIRED': 'আমি ক্লান্ত',
+    'I AM FINE': 'আমি ভালো আছি',
+    'I AM SCARED': 'আমার ভয় লাগছে',
+    'I WANT TO SLEEP': 'আমি ঘুমাতে চাই',
+    'I CANNOT BREATHE': 'আমি শ্বাস নিতে পারছি না',
+    'I CAN\'T BREATHE': 'আমি শ্বাস নিতে পারছি না',
+    'I FEEL SICK': 'আমার অসুস্থ লাগছে',
+    'I FEEL BETTER': 'আমি ভালো বোধ করছি',
+    'I FEEL WORSE': 'আমার আরও খারাপ লাগছে',
+    'MY HEAD HURTS': 'আমার মাথা ব্যথা করছে',
+    'MY BACK HURTS': 'আমার পিঠে ব্যথা করছে',
+    'MY CHEST HURTS': 'আমার বুকে ব্যথা করছে',
+    'MY STOMACH HURTS': 'আমার পেটে ব্যথা করছে',
+    'I NEED MEDICINE': 'আমার ওষুধ দরকার',
+    'I NEED A BLANKET': 'আমার একটা কম্বল দরকার',
+    'I WANT FOOD': 'আমি খাবার চাই',
+    'I WANT TO SIT UP': 'আমি উঠে বসতে চাই',
+    'I WANT TO GO HOME': 'আমি বাড়ি যেতে চাই',
+    'TURN ME': 'আমাকে পাশ ফিরিয়ে দিন',
+    'TURN OFF THE LIGHT': 'বাতি বন্ধ করুন',
+    'TURN ON THE LIGHT': 'বাতি জ্বালান',
+    'OPEN THE WINDOW': 'জানালা খুলুন',
+    'CLOSE THE WINDOW': 'জানালা বন্ধ করুন',
+    'MOVE MY PILLOW': 'আমার বালিশ ঠিক করে দিন',
+    'PLAY MUSIC': 'গান চালান',
+    'BE QUIET': 'দয়া করে চুপ করুন',
+    'COME HERE': 'এখানে আসুন',
+    'WHAT TIME IS IT': 'কয়টা বাজে',
+    'WHERE IS MY FAMILY': 'আমার পরিবার কোথায়',
+    'HOW ARE YOU': 'আপনি কেমন আছেন',
+    'I LOVE YOU': 'আমি তোমাকে ভালোবাসি',
+    'THANK YOU': 'ধন্যবাদ',
+    'GOOD MORNING': 'শুভ সকাল',
+    'GOOD NIGHT': 'শুভ রাত্রি',
+    'SOS': 'জরুরি সাহায্য দরকার',
+    'EMERGENCY': 'জরুরি অবস্থা',
+    'HELP': 'সাহায্য করুন',
+    'YES': 'হ্যাঁ',
+    'NO': 'না',
+    'OK': 'ঠিক আছে',
+    'PLEASE': 'দয়া করে',
+    'STOP': 'থামুন',
+    'WAIT': 'অপেক্ষা করুন',
+    'SORRY': 'দুঃখিত',
+    'HELLO': 'হ্যালো',
+    'BYE': 'বিদায়',
+    'GOODBYE': 'বিদায়',
+    'WATER': 'পানি',
+    'FOOD': 'খাবার',
+    'MEDICINE': 'ওষুধ',
+    'DOCTOR': 'ডাক্তার',
+    'NURSE': 'নার্স',
+    'TOILET': 'টয়লেট',
+    'PAIN': 'ব্যথা',
+    'BED': 'বিছানা',
+    'PILLOW': 'বালিশ',
+    'BLANKET': 'কম্বল',
+    'LIGHT': 'বাতি',
+    'FAMILY': 'পরিবার',
+    'MOTHER': 'মা',
+    'FATHER': 'বাবা',
+    'TV': 'টিভি',
+    'PHONE': 'ফোন',
+    'SLEEP': 'ঘুম',
+    'MORE': 'আরও',
+    'LESS': 'কম'
+};
+
+// Response time at which a server counts as slow when ordering providers
+const TRANSLATION_SLOW_MS = 5000;
+
+// Sentence endings used when joining translated sentences
+const SENTENCE_ENDINGS = {
+    en: '.',
+    bn: '।'
+};
+
+// Scripts of the non-Latin Morse alphabets (morse.js) and their language
+const SCRIPT_LANGUAGES = [
+    { pattern: /[\u0980-\u09FF]/, language: 'bn' },
+    { pattern: /[\u0400-\u04FF]/, language: 'ru' },
+    { pattern: /[\u0370-\u03FF\u1F00-\u1FFF]/, language: 'el' },
+    { pattern: /[\u3040-\u30FF]/, language: 'ja' }
+];
+
+/**
+ * Guess the language of a message from its script
+ * @param {string} text - Message text
+ * @returns {string} - 'bn', 'ru', 'el' or 'ja' for their scripts, otherwise 'en'
+ */
+function detectTextLanguage(text) {
+    const match = SCRIPT_LANGUAGES.find(script => script.pattern.test(text || ''));
+    return match ? match.language : 'en';
+}
+
+/**
+ * Normalise a phrase for lookup
+ * @param {string} text - Phrase
+ * @param {string} language - Language code of the phrase
+ * @returns {string} - Upper-case words separated by single spaces
+ */
+function normalizePhrase(text, language) {
+    const letters = language === 'en' ? /[^A-Z0-9'\s]/g : /[^\p{L}\p{M}\p{N}\s]/gu;
+    return (text || '')
+        .normalize('NFC')
+        .toUpperCase()
+        .replace(letters, ' ')
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Offline provider backed by a phrase table
+ */
+class PhrasebookProvider {
+    /**
+     * @param {Object} phrasebook - { sourcePhrase: targetPhrase }
+     * @param {string} source - Language of the keys
+     * @param {string} target - Language of the values
+     */
+    constructor(phrasebook = TRANSLATION_PHRASEBOOK, source = 'en', target = 'bn') {
+        this.id = 'phrasebook';
+        this.name = 'Offline phrasebook';
+        this.offline = true;
+        this.source = source;
+        this.target = target;
+
+        // One lookup table per direction; the first English phrase wins on the way back
+        this.tables = {
+            [`${source}-${target}`]: new Map(),
+            [`${target}-${source}`]: new Map()
+        };
+        Object.entries(phrasebook).forEach(([from, to]) => {
+            const forward = this.tables[`${source}-${target}`];
+            const backward = this.tables[`${target}-${source}`];
+            forward.set(normalizePhrase(from, source), to);
+            if (!backward.has(normalizePhrase(to, target))) {
+                backward.set(normalizePhrase(to, target), from);
+            }
+        });
+    }
+
+    /**
+     * Whether the phrasebook covers a language pair
+     * @param {string} source - Source language code
+     * @param {string} target - Target language code
+     * @returns {boolean}
+     */
+    supports(source, target) {
+        return Boolean(this.tables[`${source}-${target}`]);
+    }
+
+    /**
+     * Translate one sentence by longest phrase match
+     * @param {Array<string>} words - Normalised words of the sentence
+     * @param {Map} table - Phrase table for the direction
+     * @returns {Object} - { parts, unknown }
+     */
+    translateWords(words, table) {
+        const parts = [];
+        const unknown = [];
+        let index = 0;
+
+        while (index < words.length) {
+            let length = words.length - index;
+            while (length > 0 && !table.has(words.slice(index, index + length).join(' '))) {
+                length--;
+            }
+
+            if (length === 0) {
+                unknown.push(words[index]);
+                index++;
+            } else {
+                parts.push(table.get(words.slice(index, index + length).join(' ')));
+                index += length;
+            }
+        }
+
+        return { parts, unknown };
+    }
+
+    /**
+     * Translate a message; fails unless every word is covered
+     * @param {string} text - Message text
+     * @param {string} source - Source language code
+     * @param {string} target - Target language code
+     * @returns {Promise<string>} - Translated text
+     */
+    async translate(text, source, target) {
+        const table = this.tables[`${source}-${target}`];
+        if (!table) {
+            throw new Error(`Phrasebook has no ${source} to ${target} phrases`);
+        }
+
+        const ending = SENTENCE_ENDINGS[target] || '.';
+        const unknown = [];
+
+        // Keep line breaks; sentences inside a line are joined with the target's full stop
+        const lines = (text || '').split('\n').map(line => {
+            const sentences = line
+                .split(/[.!?।]+/)
+                .map(sentence => normalizePhrase(sentence, source))
+                .filter(Boolean)
+                .map(sentence => {
+                    const result = this.translateWords(sentence.split(' '), table);
+                    unknown.push(...result.unknown);
+                    return result.parts.join(' ');
+                });
+            return sentences.length > 1 ? sentences.join(`${ending} `) + ending : sentences.join('');
+        });
+
+        if (unknown.length > 0) {
+            const error = new Error(`Not in the phrasebook: ${[...new Set(unknown)].join(', ')}`);
+            error.notFound = true;
+            throw error;
+        }
+
+        const translated = lines.join('\n').trim();
+        if (!translated) {
+            throw new Error('Nothing to translate');
+        }
+        return translated;
+    }
+}
+
+/**
+ * Provider for a self-hosted LibreTranslate server
+ */
+class LibreTranslateProvider {
+    /**
+     * @param {string} url - Server address, e.g. http://192.168.1.20:5000
+     * @param {Object} options - { timeout (ms), fetch }
+     */
+    constructor(url, options = {}) {
+        this.url = (url || '').trim().replace(/\/+$/, '');
+        this.id = `libretranslate:${this.url}`;
+        this.name = `LibreTranslate (${this.url.replace(/^https?:\/\//, '')})`;
+        this.offline = false;
+        this.timeout = options.timeout || 10000;
+        this.fetch = options.fetch || (typeof fetch !== 'undefined' ? fetch.bind(globalThis) : null);
+    }
+
+    /**
+     * Whether a server is configured (the server itself decides the languages)
+     * @returns {boolean}
+     */
+    supports() {
+        return Boolean(this.url && this.fetch);
+    }
+
+    /**
+     * Call the server with a timeout
+     * @param {string} path - API path, e.g. /translate
+     * @param {Object} init - fetch options
+     * @returns {Promise<Object>} - Parsed JSON response
+     */
+    async request(path, init = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeoutId = controller ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+        try {
+            const response = await this.fetch(`${this.url}${path}`, {
+                ...init,
+                headers: { 'Accept': 'application/json', ...(init.headers || {}) },
+                signal: controller?.signal
+            });
+            const data = await response.json().catch(() => null);
+
+            if (!response.ok) {
+                throw new Error(data?.error || `HTTP ${response.status}`);
+            }
+            return data;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`No answer from ${this.url} within ${Math.round(this.timeout / 1000)}s`);
+            }
+            throw error;
+        } finally {
+            if (timeoutId) clearTimeout(timeoutId);
+        }
+    }
+
+    /**
+     * Translate a message on the server
+     * @param {string} text - Message text
+     * @param {string} source - Source language code
+     * @param {string} target - Target language code
+     * @returns {Promise<string>} - Translated text
+     */
+    async translate(text, source, target) {
+        const data = await this.request('/translate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: text,
+                source,
+                target,
+                format: 'text'
+            })
+        });
+
+        const translated = (data?.translatedText || '').trim();
+        if (!translated) {
+            throw new Error('Server sent no translation');
+        }
+        if (translated.toLowerCase() === text.trim().toLowerCase()) {
+            throw new Error('Server returned the text unchanged');
+        }
+        return translated;
+    }
+
+    /**
+     * Check the server is reachable
+     * @returns {Promise<Array<string>>} - Language codes the server offers
+     */
+    async getLanguages() {
+        const data = await this.request('/languages');
+        if (!Array.isArray(data)) {
+            throw new Error('Unexpected answer from /languages');
+        }
+        return data.map(language => language.code).filter(Boolean);
+    }
+}
+
+/**
+ * Rank a provider from its recorded health
+ * @param {Object} stats - { successes, failures, avgLatency } or undefined when never used
+ * @returns {number} - Higher is tried first
+ */
+function scoreProvider(stats) {
+    if (!stats) return 0.5;
+
+    // Smoothed success rate, so one early failure does not bury a server for good
+    const reliability = (stats.successes + 1) / (stats.successes + stats.failures + 2);
+    const slowness = Number.isFinite(stats.avgLatency) ? Math.min(stats.avgLatency / TRANSLATION_SLOW_MS, 1) * 0.25 : 0;
+    return reliability - slowness;
+}
+
+/**
+ * Tries providers in order and reports which one answered
+ */
+class TranslationService {
+    /**
+     * @param {Array<Object>} providers - Providers in their configured order
+     * @param {Object} options - { cache: { get, set }, stats: { id: health }, onAttempt(id, outcome) }
+     */
+    constructor(providers = [], options = {}) {
+        this.providers = providers.filter(Boolean);
+        this.cache = options.cache || null;
+        this.stats = options.stats || {};
+        this.onAttempt = options.onAttempt || null;
+    }
+
+    /**
+     * Providers in the order they will be tried. Offline providers always go
+     * first (instant and private); servers are ordered by recorded health.
+     * @returns {Array<Object>} - Ordered providers
+     */
+    getOrderedProviders() {
+        const offline = this.providers.filter(provider => provider.offline);
+        const online = this.providers
+            .filter(provider => !provider.offline)
+            .map((provider, index) => ({ provider, index, score: scoreProvider(this.stats[provider.id]) }))
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .map(entry => entry.provider);
+
+        return [...offline, ...online];
+    }
+
+    /**
+     * Report one provider call to the stats hook
+     * @param {Object} provider - Provider that was asked
+     * @param {Object} outcome - { success, notFound, latency, error }
+     */
+    report(provider, outcome) {
+        if (this.onAttempt) {
+            this.onAttempt(provider.id, { name: provider.name, ...outcome });
+        }
+    }
+
+    /**
+     * Translate from the cache, or with the first provider that succeeds
+     * @param {string} text - Message text
+     * @param {Object} options - { source, target }
+     * @returns {Promise<Object>} - { text, provider, providerName, offline, cached, source, target, attempts }
+     */
+    async translate(text, { source = detectTextLanguage(text), target = 'bn' } = {}) {
+        const attempts = [];
+
+        const cached = this.cache ? this.cache.get(text, source, target) : null;
+        if (cached) {
+            return {
+                text: cached.text,
+                provider: cached.provider,
+                providerName: cached.providerName,
+                offline: true,
+                cached: true,
+                source,
+                target,
+                attempts
+            };
+        }
+
+        for (const provider of this.getOrderedProviders()) {
+            if (!provider.supports(source, target)) continue;
+
+            const started = Date.now();
+            try {
+                const translated = await provider.translate(text, source, target);
+                const result = {
+                    text: translated,
+                    provider: provider.id,
+                    providerName: provider.name,
+                    offline: provider.offline,
+                    cached: false,
+                    source,
+                    target,
+                    attempts
+                };
+
+                this.report(provider, { success: true, latency: Date.now() - started });
+                // Offline answers are instant anyway; keep the cache for server results
+                if (this.cache && !provider.offline) {
+                    this.cache.set(text, source, target, result);
+                }
+                return result;
+            } catch (error) {
+                this.report(provider, {
+                    success: false,
+                    notFound: Boolean(error.notFound),
+                    latency: Date.now() - started,
+                    error: error.message
+                });
+                attempts.push({ provider: provider.id, providerName: provider.name, error: error.message });
+            }
+        }
+
+        const error = new Error(attempts.length > 0
+            ? attempts.map(attempt => `${attempt.providerName}: ${attempt.error}`).join('; ')
+            : `No translation provider for ${source} to ${target}`);
+        error.attempts = attempts;
+        throw error;
+    }
+}
+
+/**
+ * Split the translation server setting into addresses
+ * @param {string} value - One address, or several separated by commas or new lines
+ * @returns {Array<string>} - Addresses without trailing slashes
+ */
+function parseServerUrls(value) {
+    return (value || '')
+        .split(/[,\n]/)
+        .map(url => url.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+/**
+ * Build the provider chain from the user's settings
+ * @param {Object} settings - Settings (translationServerUrl)
+ * @param {Object} options - TranslationService options plus LibreTranslateProvider ones (timeout, fetch)
+ * @returns {TranslationService} - Phrasebook first, then the configured servers
+ */
+function createTranslationService(settings = {}, options = {}) {
+    const { cache, stats, onAttempt, ...serverOptions } = options;
+    const providers = [
+        new PhrasebookProvider(),
+        ...parseServerUrls(settings.translationServerUrl).map(url => new LibreTranslateProvider(url, serverOptions))
+    ];
+    return new TranslationService(providers, { cache, stats, onAttempt });
+}
+
+/**
+ * Export all functions for use
+ */
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        TRANSLATION_LANGUAGES,
+        TRANSLATION_PHRASEBOOK,
+        detectTextLanguage,
+        PhrasebookProvider,
+        LibreTranslateProvider,
+        TranslationService,
+        scoreProvider,
+        parseServerUrls,
+        createTranslationService
+    };
+}
+
+// For browser usage
+if (typeof window !== 'undefined') {
+    window.Translation = {
+        TRANSLATION_LANGUAGES,
+        TRANSLATION_PHRASEBOOK,
+        detectTextLanguage,
+        PhrasebookProvider,
+        LibreTranslateProvider,
+        TranslationService,
+        scoreProvider,
+        parseServerUrls,
+        createTranslationService
+    };
+}